@@ -0,0 +1,130 @@
+/**
+ * upgrades.js
+ * Declarative definitions for every upgrade in the game
+ * Loaded into the UpgradeRegistry - see README "Upgrades" for the effect types
+ *
+ * currency: 'gold' upgrades are bought during a round, 'xp' upgrades between rounds,
+ * null upgrades are enemy upgrades chosen by the player for free.
+ */
+
+const UPGRADE_DEFINITIONS = {
+    // In-round gold upgrades
+    reinforcedWalls: {
+        name: "Reinforced Walls",
+        description: "Increases base health by 25%",
+        category: "base",
+        cost: 300,
+        currency: "gold",
+        hotkey: "X",
+        message: "Base health +25%!",
+        effects: [
+            { type: "statModifier", target: "playerBase", stat: "maxHealth", operation: "multiply", value: 1.25 }
+        ]
+    },
+    improvedArrows: {
+        name: "Improved Arrows",
+        description: "Increases arrow damage by 20%",
+        category: "hero",
+        cost: 300,
+        currency: "gold",
+        hotkey: "C",
+        message: "Arrow damage +20%!",
+        effects: [
+            { type: "statModifier", target: "hero", stat: "damage", operation: "multiply", value: 1.2 }
+        ]
+    },
+    
+    // Platform ability upgrades
+    extendedPlatforms: {
+        name: "Extended Platforms",
+        description: "Platforms last 50% longer",
+        category: "platformAbility",
+        cost: 300,
+        currency: "gold",
+        message: "Platforms last 50% longer!",
+        effects: [
+            { type: "statModifier", target: "hero", stat: "platformDuration", operation: "multiply", value: 1.5 },
+            { type: "configPatch", path: "platformAbility.hasUpgrades", operation: "set", value: true }
+        ]
+    },
+    quickSummoning: {
+        name: "Quick Summoning",
+        description: "Reduces platform cooldown by 25%",
+        category: "platformAbility",
+        cost: 350,
+        currency: "gold",
+        message: "Platform cooldown reduced by 25%!",
+        effects: [
+            { type: "statModifier", target: "hero", stat: "platformCooldown", operation: "multiply", value: 0.75 },
+            { type: "configPatch", path: "platformAbility.hasUpgrades", operation: "set", value: true }
+        ]
+    },
+    widePlatforms: {
+        name: "Wide Platforms",
+        description: "Increases platform width by 40%",
+        category: "platformAbility",
+        cost: 400,
+        currency: "gold",
+        message: "Platforms are 40% wider!",
+        effects: [
+            { type: "statModifier", target: "hero", stat: "platformWidth", operation: "multiply", value: 1.4 },
+            { type: "configPatch", path: "platformAbility.hasUpgrades", operation: "set", value: true }
+        ]
+    },
+    
+    // Between-round XP upgrades (which rounds offer them is set in src/data/rounds.json)
+    unlockLongbowTraining: {
+        name: "Longbowman Training Ground",
+        description: "Unlock the ability to purchase longbowmen",
+        category: "army",
+        cost: 200,
+        currency: "xp",
+        effects: [
+            { type: "unlockFeature", feature: "longbowTraining" }
+        ]
+    },
+    warChest: {
+        name: "War Chest",
+        description: "Passive income is increased by 25%",
+        category: "economy",
+        cost: 150,
+        currency: "xp",
+        effects: [
+            { type: "configPatch", path: "passiveIncome.baseAmount", operation: "multiply", value: 1.25, floor: true }
+        ]
+    },
+    
+    // Enemy upgrades (which rounds offer them is set in src/data/rounds.json)
+    enemyBaseHealthBoost: {
+        name: "Reinforced Enemy Base",
+        description: "Enemy base has 20% more health",
+        category: "enemy",
+        cost: 0,
+        currency: null,
+        effects: [
+            { type: "statModifier", target: "enemy", stat: "baseHealth", operation: "multiply", value: 1.2 }
+        ]
+    },
+    enemyVeterans: {
+        name: "Enemy Veterans",
+        description: "Enemy troops have 20% more health",
+        category: "enemy",
+        cost: 0,
+        currency: null,
+        effects: [
+            { type: "statModifier", target: "enemy", stat: "troopHealth", operation: "multiply", value: 1.2 }
+        ]
+    },
+    enemyWarChest: {
+        name: "Enemy War Chest",
+        description: "Enemy commander earns 25% more gold",
+        category: "enemy",
+        cost: 0,
+        currency: null,
+        effects: [
+            { type: "statModifier", target: "enemy", stat: "income", operation: "multiply", value: 1.25 }
+        ]
+    }
+};
+
+export default UPGRADE_DEFINITIONS;
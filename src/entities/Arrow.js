@@ -3,6 +3,57 @@
  * Projectile class that handles arrow physics and collision
  */
 
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+// Special arrow types the hero can switch between
+// Each type is limited by either a cooldown (ms) or ammo per round
+const ARROW_TYPES = {
+    normal: {
+        name: 'Normal',
+        key: 'FIVE',
+        color: null,                // Use the default (black, red at max power)
+        cooldown: 0
+    },
+    fire: {
+        name: 'Fire',
+        key: 'SIX',
+        color: 0xFF6600,
+        cooldown: 4000,
+        statusEffect: 'burning'     // Status applied on hit (see STATUS_EFFECTS)
+    },
+    piercing: {
+        name: 'Piercing',
+        key: 'SEVEN',
+        color: 0x66CCFF,
+        cooldown: 3000,
+        maxPierce: 3,               // Troops hit before the arrow stops
+        pierceFalloff: 0.8          // Damage multiplier after each troop passed through
+    },
+    split: {
+        name: 'Split',
+        key: 'EIGHT',
+        color: 0x33CC33,
+        cooldown: 5000,
+        splitDelay: 300,            // Milliseconds of flight before the arrow forks
+        splitCount: 3,              // Arrows created by the fork
+        splitSpread: 0.2,           // Radians between forked arrows
+        splitDamageMultiplier: 0.5  // Damage of each forked arrow compared to the original
+    },
+    explosive: {
+        name: 'Explosive',
+        key: 'NINE',
+        color: 0xAA0000,
+        ammo: 3,                    // Shots per round
+        explosionRadius: 90,
+        splashMultiplier: 0.6       // Damage to everything else caught in the blast
+    }
+};
+
+// Order used when cycling arrow types with the mouse wheel
+const ARROW_TYPE_ORDER = Object.keys(ARROW_TYPES);
+
+export { ARROW_TYPES, ARROW_TYPE_ORDER };
+
 export default class Arrow {
     constructor(scene, x, y, options = {}) {
         // Store reference to the scene
@@ -21,21 +72,43 @@ export default class Arrow {
             isMaxPower: false,          // Track max power shots
             baseDamage: 10,             // Base damage amount
             powerLevel: 100,            // Power level (0-100)
-            damageMultiplier: 1.0       // For upgrades (future feature)
+            damageMultiplier: 1.0,      // From hero damage upgrades
+            type: 'normal',             // Key of ARROW_TYPES
+            splitFrom: null             // Arrow this one forked from (split arrows)
         };
         
         // Merge defaults with provided options
         this.options = { ...defaults, ...options };
         
+        // Special behavior for this arrow
+        this.type = ARROW_TYPES[this.options.type] || ARROW_TYPES.normal;
+        this.hitTroops = new Set(); // Troops already hit (piercing arrows hit each troop once)
+        
         // Calculate damage for this arrow (centralized here)
         this.damage = this.calculateDamage();
         
-        // Create arrow sprite as a rectangle (consistent with existing implementation)
-        this.sprite = scene.add.rectangle(x, y, 
-            this.options.width, 
-            this.options.height, 
-            this.options.color
-        );
+        // Create arrow sprite as a rectangle (consistent with existing implementation),
+        // reusing a pooled one when the scene has an arrow pool (see GameScene.createPools)
+        this.pool = scene.pools ? scene.pools.arrows : null;
+        this.released = false; // Set once the sprite is destroyed or back in the pool
+        
+        if (this.pool) {
+            this.sprite = this.pool.acquire();
+            this.sprite.setPosition(x, y);
+            this.sprite.setSize(this.options.width, this.options.height);
+            this.sprite.setFillStyle(this.options.color);
+            this.sprite.body.setSize(this.options.width, this.options.height);
+            this.sprite.body.reset(x, y);
+        } else {
+            this.sprite = scene.add.rectangle(x, y, 
+                this.options.width, 
+                this.options.height, 
+                this.options.color
+            );
+            
+            // Enable physics
+            scene.physics.add.existing(this.sprite);
+        }
         
         // Store a reference to this arrow instance on the sprite for collision callbacks
         this.sprite.arrowInstance = this;
@@ -49,9 +122,6 @@ export default class Arrow {
         // Track if the arrow has hit something to prevent multiple hits
         this.hasHit = false;
         
-        // Enable physics
-        scene.physics.add.existing(this.sprite);
-        
         // Set arrow rotation to match angle
         this.sprite.rotation = this.options.angle;
         
@@ -64,10 +134,13 @@ export default class Arrow {
         // Set up collisions
         this.setupCollisions();
         
-        // Add to scene's arrow management if available
-        if (this.scene.addArrowToScene) {
-            this.scene.addArrowToScene(this.sprite);
-        }
+        // Let the scene track the arrow for base and troop hits
+        eventBus.emit(GAME_EVENTS.ARROW_FIRED, {
+            arrow: this,
+            sprite: this.sprite,
+            isEnemyArrow: !!this.options.isEnemyArrow,
+            isMaxPower: !!this.options.isMaxPower
+        });
     }
     
     /**
@@ -105,13 +178,56 @@ export default class Arrow {
         const velocityY = Math.sin(this.options.angle) * this.options.speed * this.options.speedMultiplier;
         this.sprite.body.setVelocity(velocityX, velocityY);
         
-        // Make arrow rotate to match trajectory
-        this.scene.time.addEvent({
+        // Make arrow rotate to match trajectory (and check the ground for explosive arrows)
+        this.flightTimer = this.scene.time.addEvent({
             delay: 100,
-            callback: this.updateRotation,
+            callback: this.updateFlight,
             callbackScope: this,
             loop: true
         });
+        
+        // Split arrows fork after a short flight
+        if (this.type.splitCount) {
+            this.scene.time.delayedCall(this.type.splitDelay, this.split, [], this);
+        }
+    }
+    
+    /**
+     * Damage source id reported with this arrow's hits (see GAME_EVENTS)
+     * @returns {string} - 'hero' or 'enemyArrow'
+     */
+    get damageSource() {
+        return this.options.isEnemyArrow ? 'enemyArrow' : 'hero';
+    }
+    
+    /**
+     * Check whether this arrow still owns a live sprite
+     * (pooled sprites are reused by other arrows after release, so sprite.active alone isn't enough)
+     * @returns {boolean} - Whether the arrow is still in play
+     */
+    isActive() {
+        return !this.released && !!this.sprite && this.sprite.active;
+    }
+    
+    /**
+     * Periodic in-flight update
+     */
+    updateFlight() {
+        // If arrow is destroyed, cancel this arrow's timer
+        if (!this.isActive()) {
+            this.stopFlightTimer();
+            return;
+        }
+        
+        this.updateRotation();
+        
+        // Explosive arrows detonate when they reach the ground
+        if (this.type.explosionRadius && !this.hasHit &&
+            this.scene.GROUND_Y !== undefined && this.sprite.y >= this.scene.GROUND_Y) {
+            this.hasHit = true;
+            this.explode(this.sprite.x, this.scene.GROUND_Y, null);
+            this.destroy();
+        }
     }
     
     updateRotation() {
@@ -122,15 +238,22 @@ export default class Arrow {
             if (velocity.x !== 0 || velocity.y !== 0) {
                 this.sprite.rotation = Math.atan2(velocity.y, velocity.x);
             }
-        } else {
-            // If arrow is destroyed, cancel the timer
-            this.scene.time.removeAllEvents(this);
+        }
+    }
+    
+    /**
+     * Remove the in-flight timer
+     */
+    stopFlightTimer() {
+        if (this.flightTimer) {
+            this.flightTimer.remove();
+            this.flightTimer = null;
         }
     }
     
     setupCollisions() {
         // Set up arrow lifetime
-        this.scene.time.delayedCall(
+        this.lifetimeTimer = this.scene.time.delayedCall(
             this.options.lifetime,
             this.destroy,
             [],
@@ -160,7 +283,9 @@ export default class Arrow {
         const damage = this.damage || 10;
         
         // Apply damage to base
-        base.takeDamage(damage, arrow);
+        base.takeDamage(damage, this.damageSource);
+        eventBus.emit(GAME_EVENTS.ARROW_HIT, { arrow: this, target: base, targetType: 'base' });
+        this.applyImpactEffects(base, arrow.x, arrow.y);
         
         // Make arrow stick in the base
         arrow.body.setVelocity(0, 0);
@@ -172,7 +297,7 @@ export default class Arrow {
         // Make the arrow stick for a moment then fade away
         this.scene.time.delayedCall(2000, () => {
             // Fade out animation
-            if (arrow && arrow.active) {
+            if (this.isActive()) {
                 this.scene.tweens.add({
                     targets: arrow,
                     alpha: 0,
@@ -192,25 +317,35 @@ export default class Arrow {
         // Only process the hit once
         if (this.hasHit) return;
         
-        // Mark as hit
-        this.hasHit = true;
-        
         // Get troop instance from the sprite
         const troop = enemySprite.parentTroop;
-        if (!troop) return;
+        if (!troop || this.hitTroops.has(troop)) return;
+        this.hitTroops.add(troop);
         
         // Calculate damage
         const damage = this.damage || 10;
         
         // Apply damage to the troop based on arrow damage
-        troop.takeDamage(damage);
+        troop.takeDamage(damage, this.damageSource);
+        eventBus.emit(GAME_EVENTS.ARROW_HIT, { arrow: this, target: troop, targetType: 'troop' });
+        this.applyImpactEffects(troop, arrow.x, arrow.y);
+        
+        // Piercing arrows keep flying (weaker) until they passed through enough troops
+        if (this.type.maxPierce && this.hitTroops.size < this.type.maxPierce) {
+            this.damage = Math.max(1, Math.round(this.damage * this.type.pierceFalloff));
+            arrow.damage = this.damage;
+            return;
+        }
+        
+        // Mark as hit
+        this.hasHit = true;
         
         // Stop arrow movement
         arrow.body.setVelocity(0, 0);
         arrow.body.setAllowGravity(false);
         
         // Brief stick and quick fade (much faster than with bases)
-        if (arrow && arrow.active) {
+        if (this.isActive()) {
             this.scene.tweens.add({
                 targets: arrow,
                 alpha: 0,
@@ -220,9 +355,152 @@ export default class Arrow {
         }
     }
     
+    /**
+     * Handle a hit on the opposing hero (player 2's hero or, for player 2's arrows, the player's)
+     * @param {Phaser.GameObjects.Rectangle} arrow - The arrow sprite
+     * @param {Hero} hero - The hero that was hit
+     */
+    hitHero(arrow, hero) {
+        // Only process the hit once
+        if (this.hasHit || !hero.isAlive) return;
+        this.hasHit = true;
+        
+        hero.takeDamage(this.damage || 10, this.damageSource);
+        eventBus.emit(GAME_EVENTS.ARROW_HIT, { arrow: this, target: hero, targetType: 'hero' });
+        this.applyImpactEffects(hero, arrow.x, arrow.y);
+        
+        // Stop and fade like a troop hit
+        arrow.body.setVelocity(0, 0);
+        arrow.body.setAllowGravity(false);
+        
+        if (this.isActive()) {
+            this.scene.tweens.add({
+                targets: arrow,
+                alpha: 0,
+                duration: 300,
+                onComplete: () => this.destroy()
+            });
+        }
+    }
+    
+    /**
+     * Apply type-specific effects after the arrow damaged a target
+     * @param {Object} target - The troop or base that was hit
+     * @param {number} x - Impact x position
+     * @param {number} y - Impact y position
+     */
+    applyImpactEffects(target, x, y) {
+        if (this.type.statusEffect && target.statusEffects) {
+            target.statusEffects.apply(this.type.statusEffect);
+        }
+        
+        if (this.type.explosionRadius) {
+            this.explode(x, y, target);
+        }
+    }
+    
+    /**
+     * Deal area damage around an impact point
+     * @param {number} x - Explosion center x
+     * @param {number} y - Explosion center y
+     * @param {Object|null} directTarget - Target already damaged by the direct hit (skipped)
+     */
+    explode(x, y, directTarget) {
+        const radius = this.type.explosionRadius;
+        const splashDamage = Math.max(1, Math.round((this.damage || 10) * this.type.splashMultiplier));
+        
+        // Hero arrows hurt enemy troops and the enemy base
+        const hitsEnemies = !this.options.isEnemyArrow;
+        
+        // Only look at troops near the blast when the scene has a spatial index
+        // (padded because indexed positions are refreshed once per frame)
+        const candidates = this.scene.troopGrid
+            ? this.scene.troopGrid.queryRadius(x, y, radius + 50)
+            : [...(this.scene.troops || [])];
+        
+        for (const troop of candidates) {
+            if (troop === directTarget || troop.isEnemy !== hitsEnemies) continue;
+            if (!troop.sprite || !troop.sprite.active) continue;
+            
+            const distance = Math.hypot(troop.sprite.x - x, troop.sprite.y - y);
+            if (distance <= radius) {
+                troop.takeDamage(splashDamage, this.damageSource);
+            }
+        }
+        
+        // The opposing hero only exists in versus mode
+        const hero = hitsEnemies ? this.scene.enemyHero : this.scene.hero;
+        if (hero && hero !== directTarget && hero.isAlive && hero.sprite &&
+            Math.hypot(hero.sprite.x - x, hero.sprite.y - y) <= radius) {
+            hero.takeDamage(splashDamage, this.damageSource);
+        }
+        
+        const base = hitsEnemies ? this.scene.enemyBase : this.scene.playerBase;
+        if (base && base !== directTarget && base.sprite && base.health > 0) {
+            // Bases are wide - measure to the nearest edge
+            const edgeDistance = Math.max(0, Math.abs(base.sprite.x - x) - base.sprite.width / 2);
+            if (edgeDistance <= radius) {
+                base.takeDamage(splashDamage, this.damageSource);
+            }
+        }
+        
+        // Blast visual
+        const blast = this.scene.add.circle(x, y, radius, 0xFF8800, 0.5);
+        blast.setDepth(16);
+        blast.setScale(0.2);
+        this.scene.tweens.add({
+            targets: blast,
+            scale: 1,
+            alpha: 0,
+            duration: 300,
+            onComplete: () => blast.destroy()
+        });
+    }
+    
+    /**
+     * Fork a split arrow into several weaker arrows along its current path
+     */
+    split() {
+        if (!this.isActive() || this.hasHit) return;
+        
+        const velocity = this.sprite.body.velocity;
+        const angle = Math.atan2(velocity.y, velocity.x);
+        const speed = Math.hypot(velocity.x, velocity.y);
+        const count = this.type.splitCount;
+        
+        for (let i = 0; i < count; i++) {
+            // Spread the forks evenly around the current direction
+            const offset = (i - (count - 1) / 2) * this.type.splitSpread;
+            
+            new Arrow(this.scene, this.sprite.x, this.sprite.y, {
+                angle: angle + offset,
+                speed: speed,
+                color: this.type.color,
+                width: 18,
+                baseDamage: Math.max(1, Math.round(this.damage * this.type.splitDamageMultiplier)),
+                isEnemyArrow: this.options.isEnemyArrow,
+                splitFrom: this
+            });
+        }
+        
+        this.hasHit = true;
+        this.destroy();
+    }
+    
     destroy() {
-        // Only destroy if not already destroyed
-        if (this.sprite && this.sprite.active) {
+        // Only destroy once (later timers may still call this after the sprite was reused)
+        if (this.released) return;
+        this.released = true;
+        
+        this.stopFlightTimer();
+        if (this.lifetimeTimer) {
+            this.lifetimeTimer.remove();
+            this.lifetimeTimer = null;
+        }
+        
+        if (this.pool) {
+            this.pool.release(this.sprite);
+        } else if (this.sprite && this.sprite.active) {
             this.sprite.destroy();
         }
     }
@@ -238,12 +516,16 @@ export default class Arrow {
         // Create and return a new arrow
         return new Arrow(scene, x, y, {
             angle: angle,
-            color: options.color || (options.isMaxPower ? 0xFF0000 : 0x000000),
+            speed: options.speed || 900,                 // Launch speed from hero stats
+            type: options.type || 'normal',              // Special arrow type
+            color: options.color || (ARROW_TYPES[options.type] && ARROW_TYPES[options.type].color) ||
+                (options.isMaxPower ? 0xFF0000 : 0x000000),
             speedMultiplier: options.speedMultiplier || (options.isMaxPower ? 1.2 : 1.0),
             isMaxPower: options.isMaxPower || false,
             baseDamage: options.baseDamage || 10,        // Base damage from hero
             powerLevel: options.powerLevel || 100,       // Power level from hero's charge
-            damageMultiplier: options.damageMultiplier || 1.0  // Multiplier from hero upgrades
+            damageMultiplier: options.damageMultiplier || 1.0, // Multiplier from hero upgrades
+            isEnemyArrow: options.isEnemyArrow || false  // Shot by player 2 in versus mode
         });
     }
 } 
\ No newline at end of file
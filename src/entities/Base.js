@@ -8,6 +8,10 @@
  * - Win/lose conditions
  */
 
+import StatBlock from '../systems/StatBlock.js';
+import StatusEffectComponent from '../systems/StatusEffects.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
 export default class Base {
     /**
      * Create a new base
@@ -50,12 +54,19 @@ export default class Base {
         // Set up health properties
         this.health = this.options.health;
         this.maxHealth = this.options.maxHealth;
+        this.isDestroyed = false;
+        
+        // Stats that status effects can modify
+        this.stats = new StatBlock({ damageTaken: 1 });
         
         // Create health bar
         this.createHealthBar();
         
         // Store base data on the sprite for collision callbacks
         this.sprite.baseInstance = this;
+        
+        // Burning, armor, etc. (icons sit above the health bar)
+        this.statusEffects = new StatusEffectComponent(this, { iconOffsetY: 32 });
     }
     
     /**
@@ -124,14 +135,14 @@ export default class Base {
     /**
      * Handle damage to the base
      * @param {number} amount - Amount of damage to take
-     * @param {object} source - Source of the damage (e.g., an arrow)
+     * @param {string} source - Damage source id for stats (see GAME_EVENTS)
      */
-    takeDamage(amount, source) {
+    takeDamage(amount, source = 'unknown') {
         // Ensure amount is valid
         if (isNaN(amount) || amount <= 0) return;
         
-        // Round damage to integer
-        const damageAmount = Math.round(amount);
+        // Round damage to integer (after armor and other damage taken modifiers)
+        const damageAmount = Math.round(amount * this.stats.get('damageTaken'));
         
         // Reduce health
         this.health = Math.max(0, this.health - damageAmount);
@@ -147,49 +158,32 @@ export default class Base {
             }
         });
         
-        // Show damage indicator (only for enemy base)
-        if (!this.options.isPlayerBase && this.sprite && this.sprite.active) {
-            if (this.scene && this.scene.showDamageIndicator) {
-                this.scene.showDamageIndicator(this.sprite.x, this.sprite.y, damageAmount);
-            }
-        }
+        // Let the UI show a damage indicator
+        eventBus.emit(GAME_EVENTS.DAMAGE_DEALT, {
+            target: this,
+            targetType: 'base',
+            amount: damageAmount,
+            source,
+            isEnemy: !this.options.isPlayerBase,
+            x: this.sprite.x,
+            y: this.sprite.y
+        });
         
-        // Check if base is destroyed
-        if (this.health <= 0) {
+        // Check if base is destroyed (only once - later hits on a ruined base are ignored)
+        if (this.health <= 0 && !this.isDestroyed) {
+            this.isDestroyed = true;
             this.onDestroyed();
         }
     }
     
     /**
-     * Handle base destruction
+     * Handle base destruction - the scene ends the round (and shows the result) from the event
      */
     onDestroyed() {
-        // Determine what message to show based on which base was destroyed
-        const message = this.options.isPlayerBase ? 
-            'Player base destroyed! Game Over!' : 
-            'Enemy base destroyed! Victory!';
-        
-        // Create a large text notification
-        const centerX = this.scene.cameras.main.width / 2;
-        const centerY = this.scene.cameras.main.height / 2;
-        
-        const gameOverText = this.scene.add.text(
-            centerX, centerY,
-            message,
-            { 
-                font: '32px Arial', 
-                fill: this.options.isPlayerBase ? '#FF0000' : '#00FF00',
-                stroke: '#000000',
-                strokeThickness: 4 
-            }
-        ).setOrigin(0.5);
-        
-        // Trigger appropriate event in the scene if it has a handler
-        if (this.options.isPlayerBase && this.scene.onPlayerBaseDestroyed) {
-            this.scene.onPlayerBaseDestroyed();
-        } else if (!this.options.isPlayerBase && this.scene.onEnemyBaseDestroyed) {
-            this.scene.onEnemyBaseDestroyed();
-        }
+        eventBus.emit(GAME_EVENTS.BASE_DESTROYED, {
+            base: this,
+            isPlayerBase: !!this.options.isPlayerBase
+        });
     }
     
     /**
@@ -210,7 +204,7 @@ export default class Base {
             const damageAmount = arrowSprite.damage || 10; // Fallback to 10
             
             // Apply damage to the base
-            base.takeDamage(damageAmount, arrowSprite);
+            base.takeDamage(damageAmount, arrow ? arrow.damageSource : 'hero');
             
             // If arrow instance is available, make it stick
             if (arrow && !arrow.hasHit) {
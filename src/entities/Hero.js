@@ -3,53 +3,91 @@
  * Player character class that handles movement, jumping, and shooting arrows
  */
 
-// Import Arrow class
-import Arrow from './Arrow.js';
+// Import Arrow class and special arrow types
+import Arrow, { ARROW_TYPES, ARROW_TYPE_ORDER } from './Arrow.js';
 // Import Platform class for platform summoning ability
 import Platform from './Platform.js';
 // Import GameManager for configuration
 import gameManager from '../managers/GameManager.js';
+// Import StatBlock for upgradable hero stats
+import StatBlock from '../systems/StatBlock.js';
+import StatusEffectComponent from '../systems/StatusEffects.js';
+// Import the event bus to report health changes, death and fired arrows
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+// Base values for stats that upgrades can modify
+const HERO_BASE_STATS = {
+    damage: 15,           // Base damage for arrows
+    arrowSpeed: 900,      // Arrow launch speed
+    shootCooldown: 300,   // Minimum ms between shots
+    moveSpeed: 250,       // Horizontal movement speed
+    maxHealth: 200,       // Health after spawning/respawning
+    damageTaken: 1        // Incoming damage multiplier (armor effects lower it)
+};
 
 export default class Hero {
-    constructor(scene, x, y) {
+    /**
+     * Create a hero
+     * @param {Phaser.Scene} scene - The scene this hero belongs to
+     * @param {number} x - Spawn x position
+     * @param {number} y - Spawn y position
+     * @param {Object} options - { isEnemy (player 2 in versus mode, shoots enemy arrows), color }
+     */
+    constructor(scene, x, y, { isEnemy = false, color = 0x0000FF } = {}) {
         // Scene reference
         this.scene = scene;
         
         // Identify as hero
         this.isHero = true;
+        this.isEnemy = isEnemy;
         
         // Store initial position for respawn
         this.initialX = x;
         this.initialY = y;
         
+        // Upgradable stats - read them through the getters below
+        const platformConfig = gameManager.economyConfig.platformAbility;
+        this.stats = new StatBlock({
+            ...HERO_BASE_STATS,
+            platformCooldown: platformConfig.cooldown,
+            platformDuration: platformConfig.duration,
+            platformWidth: platformConfig.width
+        });
+        
         // Health system
-        this.maxHealth = 200;
         this.health = this.maxHealth;
         this.isAlive = true;
         
         // Create sprite and physics body
-        this.sprite = scene.add.rectangle(x, y, 30, 50, 0x0000FF);
+        this.sprite = scene.add.rectangle(x, y, 30, 50, color);
         this.sprite.setStrokeStyle(2, 0xFFFFFF);
         this.sprite.setDepth(16); // Set hero depth to be above projectiles
         scene.physics.add.existing(this.sprite);
         this.sprite.body.setBounce(0.1);
         this.sprite.body.setCollideWorldBounds(true);
         
+        // Burning, slow, stun, etc.
+        this.statusEffects = new StatusEffectComponent(this);
+        
         // Movement properties
-        this.moveSpeed = 250;
         this.jumpPower = -400;
         this.maxJumpTime = 400; // ms
         this.isJumping = false;
         this.fastFallSpeed = 650;
         
         // Archery system
-        this.shootCooldown = 300;
-        this.lastShot = 0;
-        this.arrowSpeed = 900;
-        
-        // Damage stats (will be passed to arrows)
-        this.baseDamage = 15;           // Base damage for arrows
-        this.damageMultiplier = 1.0;    // For future upgrades (e.g., +40% damage)
+        this.lastShot = -Infinity;
+        
+        // Special arrow types - each limited by its own cooldown or ammo
+        this.arrowType = 'normal';
+        this.arrowTypeLastUsed = {};  // Arrow type -> time of last shot
+        this.arrowAmmo = {};          // Arrow type -> shots left this round
+        ARROW_TYPE_ORDER.forEach(type => {
+            this.arrowTypeLastUsed[type] = -Infinity;
+            if (ARROW_TYPES[type].ammo !== undefined) {
+                this.arrowAmmo[type] = ARROW_TYPES[type].ammo;
+            }
+        });
         
         // Power charging system
         this.isCharging = false;
@@ -67,12 +105,8 @@ export default class Hero {
         this.powerBarBackground.setVisible(false);
         this.powerBarFill.setVisible(false);
         
-        // Platform summoning ability - get configuration from GameManager
+        // Platform summoning ability - cooldown, duration and width are stats (see getters)
         this.platforms = [];
-        const platformConfig = gameManager.economyConfig.platformAbility;
-        this.platformCooldown = platformConfig.cooldown;
-        this.platformDuration = platformConfig.duration;
-        this.platformWidth = platformConfig.width;
         this.lastPlatformSummon = 0;
         this.canSummonPlatform = true;
         this.isSpaceKeyDown = false; // Track space key state
@@ -92,6 +126,123 @@ export default class Hero {
         this.updatePlatformCooldown = this.updatePlatformCooldown.bind(this);
     }
     
+    /**
+     * Arrow damage before multipliers (base plus additive modifiers)
+     * @returns {number}
+     */
+    get baseDamage() {
+        return this.stats.getFlat('damage');
+    }
+    
+    /**
+     * Combined multiplier from damage upgrades (passed to arrows)
+     * @returns {number}
+     */
+    get damageMultiplier() {
+        return this.stats.getMultiplier('damage');
+    }
+    
+    /**
+     * @returns {number} - Final arrow launch speed
+     */
+    get arrowSpeed() {
+        return this.stats.get('arrowSpeed');
+    }
+    
+    /**
+     * @returns {number} - Final minimum ms between shots
+     */
+    get shootCooldown() {
+        return this.stats.get('shootCooldown');
+    }
+    
+    /**
+     * @returns {number} - Final horizontal movement speed
+     */
+    get moveSpeed() {
+        return this.stats.get('moveSpeed');
+    }
+    
+    /**
+     * @returns {number} - Final maximum health (rounded)
+     */
+    get maxHealth() {
+        return Math.round(this.stats.get('maxHealth'));
+    }
+    
+    /**
+     * @returns {number} - Final platform cooldown in ms
+     */
+    get platformCooldown() {
+        return this.stats.get('platformCooldown');
+    }
+    
+    /**
+     * @returns {number} - Final platform lifetime in ms
+     */
+    get platformDuration() {
+        return this.stats.get('platformDuration');
+    }
+    
+    /**
+     * @returns {number} - Final platform width
+     */
+    get platformWidth() {
+        return this.stats.get('platformWidth');
+    }
+    
+    /**
+     * Register a stat modifier (e.g. from an upgrade)
+     * Raising max health also heals the hero by the amount gained
+     * @param {Object} modifier - Modifier definition (see StatBlock.addModifier)
+     * @returns {string} - The modifier id
+     */
+    addStatModifier(modifier) {
+        const previousMaxHealth = this.maxHealth;
+        const id = this.stats.addModifier(modifier);
+        this.onMaxHealthChanged(previousMaxHealth);
+        return id;
+    }
+    
+    /**
+     * Remove a stat modifier by id
+     * @param {string} id - Modifier id
+     * @returns {boolean} - Whether a modifier was removed
+     */
+    removeStatModifier(id) {
+        const previousMaxHealth = this.maxHealth;
+        const removed = this.stats.removeModifier(id);
+        this.onMaxHealthChanged(previousMaxHealth);
+        return removed;
+    }
+    
+    /**
+     * Keep current health consistent after max health changes
+     * @param {number} previousMaxHealth - Max health before the change
+     */
+    onMaxHealthChanged(previousMaxHealth) {
+        const maxHealth = this.maxHealth;
+        if (maxHealth === previousMaxHealth) return;
+        
+        if (this.isAlive) {
+            // Gain the added health, never exceed the new maximum
+            this.health = Math.min(maxHealth, this.health + Math.max(0, maxHealth - previousMaxHealth));
+        }
+        
+        this.emitHealthChanged();
+    }
+    
+    /**
+     * Tell listeners (the health bar) that health or max health changed
+     */
+    emitHealthChanged() {
+        eventBus.emit(GAME_EVENTS.HERO_HEALTH_CHANGED, {
+            hero: this,
+            health: this.health,
+            maxHealth: this.maxHealth
+        });
+    }
+    
     // Helper method to create an arrow directly (bypassing shoot method)
     createManualArrow(targetX, targetY, color = null) {
         if (!this.sprite || !this.scene) {
@@ -108,8 +259,10 @@ export default class Hero {
                 targetY,
                 {
                     color: color, // Only pass color if specified, otherwise use Arrow defaults
+                    speed: this.arrowSpeed,
                     baseDamage: this.baseDamage,
-                    damageMultiplier: this.damageMultiplier
+                    damageMultiplier: this.damageMultiplier,
+                    isEnemyArrow: this.isEnemy
                 }
             );
             
@@ -136,6 +289,12 @@ export default class Hero {
         // Update platform cooldown indicator
         this.updatePlatformCooldown();
         
+        // Stunned heroes can't move or jump (startCharging and releaseArrow stop the shots)
+        if (this.statusEffects.isStunned()) {
+            this.sprite.body.setVelocityX(0);
+            return;
+        }
+        
         // Handle left/right movement
         if (keys.left.isDown) {
             this.sprite.body.setVelocityX(-this.moveSpeed);
@@ -152,7 +311,7 @@ export default class Hero {
             // If W is pressed and we're on the ground, jump
             if (keys.up.isDown) {
                 this.isJumping = true;
-                this.jumpStartTime = this.scene.time.now;
+                this.jumpStartTime = this.scene.getGameTime();
                 this.sprite.body.setVelocityY(this.jumpPower);
             } else {
                 // Reset jump state when on ground and W is not pressed
@@ -162,7 +321,7 @@ export default class Hero {
             // In the air
             // Continue applying upward force while W is held and within max time
             if (keys.up.isDown && this.isJumping) {
-                const jumpDuration = this.scene.time.now - this.jumpStartTime;
+                const jumpDuration = this.scene.getGameTime() - this.jumpStartTime;
                 
                 // Apply upward force only if within max jump time
                 if (jumpDuration < this.maxJumpTime) {
@@ -247,11 +406,13 @@ export default class Hero {
     }
     
     /**
-     * Start charging an arrow shot
+     * Start charging an arrow shot (not while stunned)
      */
     startCharging() {
+        if (this.statusEffects.isStunned()) return;
+        
         this.isCharging = true;
-        this.chargeStartTime = this.scene.time.now;
+        this.chargeStartTime = this.scene.getGameTime();
         this.powerBarBackground.setVisible(true);
         this.powerBarFill.setVisible(true);
     }
@@ -271,7 +432,7 @@ export default class Hero {
         // Update power level if charging
         if (this.isCharging) {
             // Calculate power using sine wave for oscillation
-            const elapsedTime = this.scene.time.now - this.chargeStartTime;
+            const elapsedTime = this.scene.getGameTime() - this.chargeStartTime;
             const cycle = (elapsedTime % this.oscillationSpeed) / this.oscillationSpeed;
             this.powerLevel = Math.abs(Math.sin(cycle * Math.PI)) * 100; // 0-100%
             
@@ -290,9 +451,10 @@ export default class Hero {
     
     /**
      * Stop charging and fire arrow based on power level
+     * A shot released while stunned is lost
      * @param {number} targetX - X coordinate of target position
      * @param {number} targetY - Y coordinate of target position
-     * @returns {Object|null} The created arrow or null if power too low
+     * @returns {Object|null} The created arrow or null if power too low or stunned
      */
     releaseArrow(targetX, targetY) {
         if (!this.isCharging) return null;
@@ -307,7 +469,7 @@ export default class Hero {
         this.isCharging = false;
         
         // Determine if we should fire based on power level
-        if (finalPower < 34) {
+        if (finalPower < 34 || this.statusEffects.isStunned()) {
             return null;
         }
         
@@ -315,14 +477,77 @@ export default class Hero {
         return this.shootWithPower(targetX, targetY, finalPower);
     }
     
+    /**
+     * Select the special arrow type used for the next shots
+     * @param {string} type - Key of ARROW_TYPES
+     */
+    setArrowType(type) {
+        if (!ARROW_TYPES[type] || type === this.arrowType) return;
+        
+        this.arrowType = type;
+        this.showArrowTypeMessage(`${ARROW_TYPES[type].name} arrows`, '#FFFFFF');
+    }
+    
+    /**
+     * Select the next or previous arrow type (mouse wheel)
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    cycleArrowType(step) {
+        const index = ARROW_TYPE_ORDER.indexOf(this.arrowType);
+        const count = ARROW_TYPE_ORDER.length;
+        this.setArrowType(ARROW_TYPE_ORDER[(index + step + count) % count]);
+    }
+    
+    /**
+     * Get the remaining cooldown of an arrow type
+     * @param {string} type - Key of ARROW_TYPES
+     * @returns {number} - Milliseconds until the type can be fired again (0 if ready)
+     */
+    getArrowTypeCooldown(type) {
+        const cooldown = ARROW_TYPES[type].cooldown || 0;
+        return Math.max(0, cooldown - (this.scene.getGameTime() - this.arrowTypeLastUsed[type]));
+    }
+    
+    /**
+     * Check whether an arrow type has ammo left and is off cooldown
+     * @param {string} type - Key of ARROW_TYPES
+     * @returns {boolean} - Whether the type can be fired
+     */
+    isArrowTypeReady(type) {
+        if (this.arrowAmmo[type] !== undefined && this.arrowAmmo[type] <= 0) return false;
+        return this.getArrowTypeCooldown(type) === 0;
+    }
+    
     /**
      * Create an arrow with properties based on power level
      * @param {number} targetX - X coordinate of target position
      * @param {number} targetY - Y coordinate of target position
      * @param {number} power - Power level (0-100)
-     * @returns {Object} The created arrow
+     * @returns {Object|null} The created arrow or null if on cooldown
      */
     shootWithPower(targetX, targetY, power) {
+        const now = this.scene.getGameTime();
+        
+        // Apply cooldown
+        if (now - this.lastShot < this.shootCooldown) {
+            return null;
+        }
+        
+        this.lastShot = now;
+        
+        // Fall back to a normal arrow while the selected type is recharging or out of ammo
+        let type = this.arrowType;
+        if (!this.isArrowTypeReady(type)) {
+            const reason = this.arrowAmmo[type] === 0 ? 'out of ammo' : 'recharging';
+            this.showArrowTypeMessage(`${ARROW_TYPES[type].name} ${reason}`, '#FF8888');
+            type = 'normal';
+        }
+        
+        this.arrowTypeLastUsed[type] = now;
+        if (this.arrowAmmo[type] !== undefined) {
+            this.arrowAmmo[type]--;
+        }
+        
         // Determine if this is a max power shot
         const isMaxPower = power >= 99;
         
@@ -336,9 +561,12 @@ export default class Hero {
                 targetY,
                 {
                     isMaxPower: isMaxPower,
+                    type: type,
+                    speed: this.arrowSpeed,
                     baseDamage: this.baseDamage,
                     powerLevel: power,  // Pass the power level for damage scaling
-                    damageMultiplier: this.damageMultiplier
+                    damageMultiplier: this.damageMultiplier,
+                    isEnemyArrow: this.isEnemy
                 }
             );
             
@@ -365,25 +593,22 @@ export default class Hero {
             return null;
         }
         
-        const now = Date.now();
-        
-        // Apply cooldown
-        if (now - this.lastShot < this.shootCooldown) {
-            return null;
-        }
-        
-        this.lastShot = now;
-        
-        // Use mid-range power for the legacy shoot method
+        // Use mid-range power for the legacy shoot method (cooldown applied there)
         return this.shootWithPower(targetX, targetY, 70); // 70% power for normal shots
     }
 
-    takeDamage(amount) {
+    /**
+     * Take damage from an attack
+     * @param {number} amount - Amount of damage to take
+     * @param {string} source - Damage source id for stats (see GAME_EVENTS)
+     */
+    takeDamage(amount, source = 'unknown') {
         // Validate damage amount
         if (isNaN(amount) || amount <= 0 || !this.isAlive) return;
         
-        // Apply damage
-        this.health = Math.max(0, this.health - Math.round(amount));
+        // Apply damage (after armor and other damage taken modifiers), clamped to the final max health
+        const damageAmount = Math.round(amount * this.stats.get('damageTaken'));
+        this.health = Math.min(this.maxHealth, Math.max(0, this.health - damageAmount));
         
         // Visual indicator of damage
         if (this.sprite && this.sprite.active) {
@@ -396,21 +621,28 @@ export default class Hero {
             });
             
             // Show damage number
-            if (this.scene.showDamageIndicator) {
-                this.scene.showDamageIndicator(this.sprite.x, this.sprite.y, amount, true);
-            }
+            eventBus.emit(GAME_EVENTS.DAMAGE_DEALT, {
+                target: this,
+                targetType: 'hero',
+                amount: damageAmount,
+                source,
+                isEnemy: this.isEnemy,
+                x: this.sprite.x,
+                y: this.sprite.y
+            });
         }
         
-        // Update health bar if it exists
-        if (this.scene.updateHeroHealthBar) {
-            this.scene.updateHeroHealthBar();
-        }
+        // Update health bar
+        this.emitHealthChanged();
         
         // Check for death
         if (this.health <= 0) {
             this.health = 0;
             this.isAlive = false;
             
+            // Effects don't carry over to the respawned hero
+            this.statusEffects.clear();
+            
             // Stop any movement
             if (this.sprite && this.sprite.body) {
                 this.sprite.body.setVelocity(0, 0);
@@ -434,6 +666,7 @@ export default class Hero {
             }
             
             console.log("Hero died, respawning in 15 seconds");
+            eventBus.emit(GAME_EVENTS.HERO_DIED, { hero: this, x: this.sprite.x, y: this.sprite.y });
             
             // Schedule respawn after 15 seconds
             this.scene.time.delayedCall(15000, () => {
@@ -461,11 +694,10 @@ export default class Hero {
                 }
                 
                 console.log("Hero respawned");
+                eventBus.emit(GAME_EVENTS.HERO_RESPAWNED, { hero: this });
                 
                 // Update health bar
-                if (this.scene.updateHeroHealthBar) {
-                    this.scene.updateHeroHealthBar();
-                }
+                this.emitHealthChanged();
             });
         }
     }
@@ -474,7 +706,7 @@ export default class Hero {
      * Summon a platform under the hero
      */
     summonPlatform() {
-        const now = this.scene.time.now;
+        const now = this.scene.getGameTime();
         
         // Check if cooldown has passed
         if (now - this.lastPlatformSummon < this.platformCooldown) {
@@ -521,7 +753,7 @@ export default class Hero {
                 // Only start cooldown if this was our active platform
                 if (this.activePlatform === platform) {
                     // Start the cooldown timer
-                    this.lastPlatformSummon = this.scene.time.now;
+                    this.lastPlatformSummon = this.scene.getGameTime();
                     
                     // Set up cooldown completion callback
                     if (this.cooldownTimer) {
@@ -564,7 +796,7 @@ export default class Hero {
         
         // Update cooldown progress
         if (!this.canSummonPlatform) {
-            const elapsed = this.scene.time.now - this.lastPlatformSummon;
+            const elapsed = this.scene.getGameTime() - this.lastPlatformSummon;
             const progress = Math.min(elapsed / this.platformCooldown, 1);
             
             // Show and update the cooldown indicator
@@ -590,7 +822,7 @@ export default class Hero {
      */
     showPlatformCooldownMessage() {
         // Remaining cooldown in seconds
-        const remaining = Math.ceil((this.platformCooldown - (this.scene.time.now - this.lastPlatformSummon)) / 1000);
+        const remaining = Math.ceil((this.platformCooldown - (this.scene.getGameTime() - this.lastPlatformSummon)) / 1000);
         
         // Create a text to show the cooldown
         const text = this.scene.add.text(
@@ -612,6 +844,31 @@ export default class Hero {
         });
     }
     
+    /**
+     * Show a short arrow type message above the hero
+     * @param {string} message - Text to show
+     * @param {string} color - Text color
+     */
+    showArrowTypeMessage(message, color) {
+        const text = this.scene.add.text(
+            this.sprite.x,
+            this.sprite.y - 80,
+            message,
+            { fontFamily: 'Arial', fontSize: 14, color: color }
+        );
+        text.setOrigin(0.5);
+        
+        // Fade out and destroy
+        this.scene.tweens.add({
+            targets: text,
+            alpha: 0,
+            y: text.y - 20,
+            duration: 1000,
+            ease: 'Power2',
+            onComplete: () => text.destroy()
+        });
+    }
+    
     /**
      * Show platform ready message to player
      */
@@ -52,7 +52,7 @@ export default class Platform {
         this.sprite.platformInstance = this;
         
         // Lifecycle properties
-        this.creationTime = scene.time.now;
+        this.creationTime = scene.getGameTime();
         this.isBlinking = false;
         this.isFadingOut = false;
         this.markedForDestroy = false;
@@ -69,7 +69,7 @@ export default class Platform {
         // Skip if already marked for destroy
         if (this.markedForDestroy) return;
         
-        const now = this.scene.time.now;
+        const now = this.scene.getGameTime();
         const age = now - this.creationTime;
         
         // Start blinking when it's time
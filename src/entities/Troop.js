@@ -3,6 +3,11 @@
  * Basic troop entity that moves from one base to another
  */
 
+import AbilityRunner from '../systems/TroopAbilities.js';
+import StatBlock from '../systems/StatBlock.js';
+import StatusEffectComponent from '../systems/StatusEffects.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
 // Nested troop configurations by category and type
 const TROOP_CONFIGS = {
     Light: {
@@ -18,7 +23,8 @@ const TROOP_CONFIGS = {
             height: 40,
             color: 0x00AA00, // Base green color
             enemyColor: 0xAA0000, // Base red color
-            depth: 5 // Middle layer depth
+            depth: 5, // Middle layer depth
+            abilities: ["sprint"] // See systems/TroopAbilities.js
         }
     },
     Heavy: {
@@ -34,7 +40,8 @@ const TROOP_CONFIGS = {
             height: 50,
             color: 0x008800, // Darker green
             enemyColor: 0x880000, // Darker red
-            depth: 0 // Back layer depth (largest troops in back)
+            depth: 0, // Back layer depth (largest troops in back)
+            abilities: ["shieldBash"]
         }
     },
     Ranged: {
@@ -55,7 +62,8 @@ const TROOP_CONFIGS = {
             projectileSpeed: 300,    // Default projectile speed
             projectileColor: 0x000000, // Default projectile color
             projectileWidth: 15,     // Default projectile width
-            projectileHeight: 3      // Default projectile height
+            projectileHeight: 3,     // Default projectile height
+            abilities: ["volley"]
         },
         // Archer unit type within Ranged category
         Archer: {
@@ -120,9 +128,18 @@ const DAMAGE_MULTIPLIERS = {
 // Universal engagement range for all troops
 const ENGAGEMENT_RANGE = 50;
 
+// Extra distance added to spatial grid queries (covers movement since the grid was updated)
+const GRID_QUERY_PADDING = 10;
+
+// Distance from its formation slot at which a troop counts as in place
+const FORMATION_SLOT_TOLERANCE = 4;
+
 // Flash color for attack animation
 const ATTACK_FLASH_COLOR = 0xFFFF00; // Yellow flash when attacking
 
+// Shared tables used by systems that reason about troop matchups (e.g. the enemy commander)
+export { TROOP_CONFIGS, DAMAGE_MULTIPLIERS, ENGAGEMENT_RANGE };
+
 export default class Troop {
     /**
      * Create a new troop
@@ -170,23 +187,35 @@ export default class Troop {
         
         // Apply configuration
         this.health = config.health;
-        this.speed = config.speed;
+        this.maxHealth = config.health;
         this.attackRange = config.attackRange;
-        this.attackSpeed = config.attackSpeed;
         this.attackDamage = config.attackDamage;
         this.troopWidth = config.width;
         this.troopHeight = config.height;
         
+        // Stats that abilities and status effects can modify (speed and attackSpeed are read through getters)
+        this.stats = new StatBlock({
+            speed: config.speed,
+            attackSpeed: config.attackSpeed,
+            damageTaken: 1
+        });
+        
         // Store the config for later use with projectiles
         this.config = config;
         
         // Other properties
-        this.targetX = targetX;
+        this.targetX = targetX; // Where the troop is heading (army commands can move it, e.g. a rally flag)
+        this.marchTargetX = targetX; // The opposing base it marches on
         this.isEnemy = isEnemy;
         this.lastAttackTime = 0;
         this.isAttacking = false;
         this.currentTarget = null; // Current attack target (troop or base)
         this.isStopped = false; // Whether the troop is stopped (for engagement)
+        this.isKnockedBack = false; // Whether the troop is being pushed back (can't act)
+        this.formationSlot = null; // { x, retreat } from the side's Formation (null = queue by category)
+        
+        // Active skills (cooldowns and trigger conditions live in the ability definitions)
+        this.abilities = new AbilityRunner(this, config.abilities || []);
         
         // Determine color based on category and allegiance
         const color = isEnemy ? config.enemyColor : config.color;
@@ -209,6 +238,40 @@ export default class Troop {
         
         // Store a reference to the troop in the sprite for collision callbacks
         this.sprite.parentTroop = this;
+        
+        // Burning, slow, stun, etc. (needs the sprite for icons and cleanup)
+        this.statusEffects = new StatusEffectComponent(this);
+        
+        eventBus.emit(GAME_EVENTS.TROOP_SPAWNED, {
+            troop: this,
+            category: this.category,
+            unitType: this.unitType,
+            isEnemy: this.isEnemy
+        });
+    }
+    
+    /**
+     * Movement speed in pixels per second, including modifiers
+     * @returns {number} - Current speed
+     */
+    get speed() {
+        return this.stats.get('speed');
+    }
+    
+    /**
+     * Milliseconds between attacks, including modifiers
+     * @returns {number} - Current attack interval
+     */
+    get attackSpeed() {
+        return this.stats.get('attackSpeed');
+    }
+    
+    /**
+     * Damage source id reported with this troop's attacks (see GAME_EVENTS)
+     * @returns {string} - e.g. 'troop:Heavy'
+     */
+    get damageSource() {
+        return `troop:${this.category}`;
     }
     
     /**
@@ -216,20 +279,41 @@ export default class Troop {
      * @param {number} delta - Time delta since last update
      * @param {Array} allTroops - All troops in the scene for detection
      * @param {Object} targetBase - The base this troop is targeting
+     * @param {Object} hero - The opposing side's hero (null if there is none)
      */
     move(delta, allTroops, targetBase, hero) {
         if (!this.sprite || !this.sprite.active) return;
         
+        // Knocked back or stunned troops can't move or attack
+        if (this.isKnockedBack || this.statusEffects.isStunned()) return;
+        
         this.checkCurrentTarget();
         
+        // Let abilities react to the current engagement state
+        this.abilities.update({
+            now: this.scene.getGameTime(),
+            allTroops,
+            targetBase,
+            hero
+        });
+        
+        // Falling back to the formation breaks off any fight
+        if (this.isFallingBack()) {
+            this.currentTarget = null;
+            this.isAttacking = false;
+            this.isStopped = false;
+            this.moveInDirection(this.formationSlot.x > this.sprite.x ? 1 : -1, delta);
+            return;
+        }
+        
         // If we're already attacking something valid, continue
         if (this.isAttacking && this.currentTarget) {
             this.attack(this.currentTarget, delta);
             return;
         }
         
-        // Check for hero if we're an enemy and not engaged
-        if (!this.currentTarget && this.isEnemy && hero && hero.isAlive && hero.sprite && hero.sprite.active) {
+        // Check for the opposing hero if not engaged
+        if (!this.currentTarget && hero && hero.isEnemy !== this.isEnemy && hero.isAlive && hero.sprite && hero.sprite.active) {
             // Check if hero is in proper attack range (considering both horizontal and vertical distances)
             if (this.isTargetInAttackRange(hero)) {
                 this.currentTarget = hero;
@@ -258,8 +342,10 @@ export default class Troop {
             return;
         }
         
-        // Check for same-category allies ahead (queuing behavior)
-        this.isStopped = this.checkSameCategoryAlliesAhead(allTroops, direction);
+        // Keep to the formation slot (without a formation, queue behind same-category allies)
+        this.isStopped = this.formationSlot
+            ? this.hasReachedFormationSlot(direction)
+            : this.checkSameCategoryAlliesAhead(allTroops, direction);
         
         // If stopped due to queuing, check if we can attack from this position
         if (this.isStopped) {
@@ -281,7 +367,7 @@ export default class Troop {
         let nearestDistance = Infinity;
         
         // Check enemy troops
-        for (const troop of allTroops) {
+        for (const troop of this.getTroopsInRange(allTroops, ENGAGEMENT_RANGE)) {
             // Skip self or troops of same allegiance
             if (troop === this || troop.isEnemy === this.isEnemy) continue;
             
@@ -307,6 +393,21 @@ export default class Troop {
         return nearestTarget;
     }
     
+    /**
+     * Get the troops that may be within a horizontal distance of this troop
+     * Queries the scene's spatial grid when there is one, otherwise falls back to the full list
+     * @param {Array} allTroops - All troops in the scene
+     * @param {number} range - Horizontal distance
+     * @returns {Array} - Candidate troops (callers still apply their own range checks)
+     */
+    getTroopsInRange(allTroops, range) {
+        const grid = this.scene.troopGrid;
+        if (!grid) return allTroops;
+        
+        // Indexed positions are refreshed once per frame, so pad the range for troops that moved since
+        return grid.queryHorizontal(this.sprite.x, range + GRID_QUERY_PADDING, troop => troop.sprite && troop.sprite.active);
+    }
+    
     /**
      * Check if current target is still valid
      */
@@ -357,7 +458,9 @@ export default class Troop {
      * @returns {boolean} - Whether there are allies blocking the path
      */
     checkSameCategoryAlliesAhead(allTroops, direction) {
-        for (const troop of allTroops) {
+        const minSpacing = this.troopWidth * 1.5; // Use troop width to determine spacing
+        
+        for (const troop of this.getTroopsInRange(allTroops, minSpacing)) {
             // Skip self, troops of different allegiance, or different category
             if (troop === this || 
                 troop.isEnemy !== this.isEnemy || 
@@ -369,7 +472,6 @@ export default class Troop {
             
             if (isBehind) {
                 const distance = Math.abs(troop.sprite.x - this.sprite.x);
-                const minSpacing = this.troopWidth * 1.5; // Use troop width to determine spacing
                 if (distance < minSpacing) { // Stop if too close to troop ahead
                     return true;
                 }
@@ -379,6 +481,30 @@ export default class Troop {
         return false;
     }
     
+    /**
+     * Check whether the troop has come as far forward as its formation slot allows
+     * @param {number} direction - Current movement direction
+     * @returns {boolean} - Whether the troop should stop
+     */
+    hasReachedFormationSlot(direction) {
+        if (this.formationSlot.x === null) return false;
+        
+        return (this.formationSlot.x - this.sprite.x) * direction <= FORMATION_SLOT_TOLERANCE;
+    }
+    
+    /**
+     * Check whether the army is falling back (or rallying) and this troop is still in front of its slot
+     * @returns {boolean} - Whether the troop should walk back to its slot
+     */
+    isFallingBack() {
+        const slot = this.formationSlot;
+        if (!slot || !slot.retreat || slot.x === null) return false;
+        
+        // "In front" is towards the opposing base, wherever the troop is heading now
+        const direction = this.marchTargetX > this.sprite.x ? 1 : -1;
+        return (this.sprite.x - slot.x) * direction > FORMATION_SLOT_TOLERANCE;
+    }
+    
     /**
      * Move the troop in the specified direction
      * @param {number} direction - Direction to move (1 = right, -1 = left)
@@ -391,16 +517,44 @@ export default class Troop {
         this.sprite.fillColor = this.baseColor;
     }
     
+    /**
+     * Push the troop along the x axis, interrupting its current engagement
+     * @param {number} distance - Pixels to move (negative = left)
+     * @param {number} duration - Milliseconds the push takes
+     */
+    knockBack(distance, duration = 250) {
+        if (!this.sprite || !this.sprite.active) return;
+        
+        // Keep the troop inside the world
+        const bounds = this.scene.physics.world.bounds;
+        const targetX = Math.min(Math.max(this.sprite.x + distance, bounds.x), bounds.right);
+        
+        this.isKnockedBack = true;
+        this.isAttacking = false;
+        this.currentTarget = null;
+        
+        this.scene.tweens.add({
+            targets: this.sprite,
+            x: targetX,
+            duration: duration,
+            ease: 'Power2',
+            onComplete: () => {
+                this.isKnockedBack = false;
+            }
+        });
+    }
+    
     /**
      * Take damage from an attack
      * @param {number} damage - Amount of damage to take
+     * @param {string} source - Damage source id for stats (see GAME_EVENTS)
      */
-    takeDamage(damage) {
+    takeDamage(damage, source = 'unknown') {
         // Ensure damage is valid
         if (isNaN(damage) || damage <= 0) return;
         
-        // Round damage to integer
-        const damageAmount = Math.round(damage);
+        // Round damage to integer (after armor and other damage taken modifiers)
+        const damageAmount = Math.round(damage * this.stats.get('damageTaken'));
         
         // Apply damage
         this.health -= damageAmount;
@@ -413,19 +567,28 @@ export default class Troop {
             yoyo: true
         });
         
-        // Show damage indicator (only for enemy troops)
-        if (this.isEnemy && this.sprite && this.sprite.active) {
-            if (this.scene && this.scene.showDamageIndicator) {
-                this.scene.showDamageIndicator(this.sprite.x, this.sprite.y, damageAmount);
-            }
-        }
+        // Let the UI show a damage indicator
+        eventBus.emit(GAME_EVENTS.DAMAGE_DEALT, {
+            target: this,
+            targetType: 'troop',
+            amount: damageAmount,
+            source,
+            isEnemy: this.isEnemy,
+            x: this.sprite.x,
+            y: this.sprite.y
+        });
         
         // Destroy if health depleted
         if (this.health <= 0) {
-            // Award gold if this is an enemy troop
-            if (this.isEnemy && this.scene && this.scene.awardGoldForKill) {
-                this.scene.awardGoldForKill(this);
-            }
+            // Kill rewards are handed out by the listeners (see GameScene.setupEventListeners)
+            eventBus.emit(GAME_EVENTS.TROOP_KILLED, {
+                troop: this,
+                category: this.category,
+                unitType: this.unitType,
+                isEnemy: this.isEnemy,
+                x: this.sprite.x,
+                y: this.sprite.y
+            });
             
             this.destroy();
         }
@@ -447,7 +610,7 @@ export default class Troop {
             return;
         }
         
-        const now = this.scene.time.now;
+        const now = this.scene.getGameTime();
         
         // Attack at regular intervals
         if (now - this.lastAttackTime >= this.attackSpeed) {
@@ -474,7 +637,7 @@ export default class Troop {
             } else {
                 // For melee units, apply damage immediately
                 if (target.takeDamage) {
-                    target.takeDamage(damage);
+                    target.takeDamage(damage, this.damageSource);
                 }
                 
                 // Store original color and flash to attack color to indicate attack
@@ -509,11 +672,18 @@ export default class Troop {
         const projectileWidth = config.projectileWidth || 15;
         const projectileHeight = config.projectileHeight || 3;
         
-        // Create the projectile based on type
+        // Create the projectile, reusing a pooled one when the scene has a pool (see GameScene.createPools)
+        const pool = this.scene.pools ? this.scene.pools.projectiles : null;
         let arrow;
         
-        if (projectileType === "longbow") {
-            // Create longbow arrow (longer, thinner, colored)
+        if (pool) {
+            arrow = pool.acquire();
+            arrow.setPosition(this.sprite.x, this.sprite.y);
+            arrow.setSize(projectileWidth, projectileHeight);
+            arrow.setFillStyle(projectileColor);
+            arrow.body.setSize(projectileWidth, projectileHeight);
+            arrow.body.reset(this.sprite.x, this.sprite.y);
+        } else {
             arrow = this.scene.add.rectangle(
                 this.sprite.x, 
                 this.sprite.y, 
@@ -521,9 +691,14 @@ export default class Troop {
                 projectileHeight, 
                 projectileColor
             );
-            arrow.setDepth(15); // Above all troops but below hero
             
-            // Add a trail effect (simple implementation)
+            // Enable physics on the arrow
+            this.scene.physics.add.existing(arrow);
+        }
+        arrow.setDepth(15); // Above all troops but below hero
+        
+        if (projectileType === "longbow") {
+            // Add a trail effect for longbow arrows (simple implementation)
             const trailParticle = this.scene.add.rectangle(
                 this.sprite.x, 
                 this.sprite.y, 
@@ -543,24 +718,11 @@ export default class Troop {
                     trailParticle.destroy();
                 }
             });
-        } else {
-            // Default arrow type
-            arrow = this.scene.add.rectangle(
-                this.sprite.x, 
-                this.sprite.y, 
-                projectileWidth, 
-                projectileHeight, 
-                projectileColor
-            );
-            arrow.setDepth(15); // Above all troops but below hero
         }
         
         // Store the projectile type for hit effects
         arrow.projectileType = projectileType;
         
-        // Enable physics on the arrow
-        this.scene.physics.add.existing(arrow);
-        
         // Calculate the angle to the target
         const targetX = target.sprite.x;
         const targetY = target.sprite.y;
@@ -578,52 +740,67 @@ export default class Troop {
         arrow.body.setAllowGravity(false);
         
         // Store target reference to check for the hero specifically
-        const isHeroTarget = target === this.scene.hero;
+        const isHeroTarget = !!target.isHero;
+        
+        // Remove the colliders and destroy (or release) the projectile exactly once
+        const colliders = [];
+        let finished = false;
+        const finishProjectile = () => {
+            if (finished) return;
+            finished = true;
+            
+            colliders.forEach(collider => collider.destroy());
+            if (pool) {
+                pool.release(arrow);
+            } else if (arrow.active) {
+                arrow.destroy();
+            }
+        };
         
         // Set up collision with the target
-        this.scene.physics.add.overlap(arrow, target.sprite, 
+        colliders.push(this.scene.physics.add.overlap(arrow, target.sprite, 
             (arrowSprite, targetSprite) => {
+                if (finished) return;
+                
                 // Apply damage when the arrow hits
                 if (target.takeDamage) {
-                    target.takeDamage(damage);
+                    target.takeDamage(damage, this.damageSource);
                 }
                 
                 // Apply custom hit effect based on projectile type
                 this.createHitEffect(arrowSprite, targetSprite);
                 
                 // Destroy the arrow after hit
-                arrow.destroy();
+                finishProjectile();
             }, 
             null, 
             this
-        );
+        ));
         
         // If target is a base, check for base's hitbox which might be different
         if (!isHeroTarget && target.hitbox) {
-            this.scene.physics.add.overlap(arrow, target.hitbox, 
+            colliders.push(this.scene.physics.add.overlap(arrow, target.hitbox, 
                 (arrowSprite, hitboxSprite) => {
+                    if (finished) return;
+                    
                     // Apply damage when the arrow hits the hitbox
                     if (target.takeDamage) {
-                        target.takeDamage(damage);
+                        target.takeDamage(damage, this.damageSource);
                     }
                     
                     // Apply custom hit effect
                     this.createHitEffect(arrowSprite, hitboxSprite);
                     
                     // Destroy the arrow after hit
-                    arrow.destroy();
+                    finishProjectile();
                 }, 
                 null, 
                 this
-            );
+            ));
         }
         
         // Destroy arrow after a short time if it doesn't hit anything
-        this.scene.time.delayedCall(3000, () => {
-            if (arrow && arrow.active) {
-                arrow.destroy();
-            }
-        });
+        this.scene.time.delayedCall(3000, finishProjectile);
     }
     
     /**
@@ -762,11 +939,11 @@ export default class Troop {
      * Check if we can attack targets from our current position while queued
      * @param {Array} allTroops - All troops in the scene
      * @param {Object} targetBase - The base this troop is targeting
-     * @param {Object} hero - The hero object
+     * @param {Object} hero - The opposing side's hero (null if there is none)
      */
     checkAndAttackFromQueue(allTroops, targetBase, hero) {
-        // Check for the hero first if we're an enemy
-        if (this.isEnemy && hero && hero.isAlive && hero.sprite && hero.sprite.active) {
+        // Check for the opposing hero first
+        if (hero && hero.isEnemy !== this.isEnemy && hero.isAlive && hero.sprite && hero.sprite.active) {
             // Use the new comprehensive targeting function
             if (this.isTargetInAttackRange(hero)) {
                 this.currentTarget = hero;
@@ -799,7 +976,7 @@ export default class Troop {
         let closestDistance = Infinity;
         
         // Check enemy troops within our attack range
-        for (const troop of allTroops) {
+        for (const troop of this.getTroopsInRange(allTroops, this.attackRange)) {
             // Skip self or troops of same allegiance
             if (troop === this || troop.isEnemy === this.isEnemy) continue;
             
@@ -832,6 +1009,12 @@ export default class Troop {
      */
     destroy() {
         if (this.sprite && this.sprite.active) {
+            // Stop knockback tweens still moving the sprite
+            this.scene.tweens.killTweensOf(this.sprite);
+            this.statusEffects.destroy();
+            if (this.scene.troopGrid) {
+                this.scene.troopGrid.remove(this);
+            }
             this.sprite.destroy();
         }
     }
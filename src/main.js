@@ -7,7 +7,16 @@ import GameScene from './scenes/GameScene.js';
 import MenuScene from './scenes/MenuScene.js';
 import DifficultyScene from './scenes/DifficultyScene.js';
 import UpgradeScene from './scenes/UpgradeScene.js';
+import GameOverScene from './scenes/GameOverScene.js';
+import ReplayScene from './scenes/ReplayScene.js';
+import VersusScene from './scenes/VersusScene.js';
+import SettingsScene from './scenes/SettingsScene.js';
+import PauseScene from './scenes/PauseScene.js';
 import gameManager from './managers/GameManager.js';
+// Collects match statistics from the event bus (subscribes when imported)
+import './managers/StatsManager.js';
+// Plays sound effects for events on the bus (subscribes when imported)
+import audioManager from './managers/AudioManager.js';
 
 // Game configuration
 const config = {
@@ -16,6 +25,10 @@ const config = {
     height: 600,
     parent: 'game-container', // Specify the parent element
     backgroundColor: '#4488AA', // Set a default background color
+    scale: {
+        mode: Phaser.Scale.FIT, // Shrink to fit small screens (phones), keeping the aspect ratio
+        autoCenter: Phaser.Scale.CENTER_BOTH
+    },
     render: {
         pixelArt: false,
         antialias: true
@@ -31,9 +44,10 @@ const config = {
         activePointers: 3,  // Increase from 1 to 3 for better input detection
         keyboard: true,
         mouse: true,      // Explicitly enable mouse
+        gamepad: true,    // Controllers (see GamepadControls)
         touch: true       // Enable touch for mobile
     },
-    scene: [MenuScene, DifficultyScene, GameScene, UpgradeScene] // Add UpgradeScene to scene array
+    scene: [MenuScene, DifficultyScene, GameScene, UpgradeScene, GameOverScene, ReplayScene, VersusScene, SettingsScene, PauseScene]
 };
 
 // Initialize the game
@@ -46,6 +60,11 @@ try {
     // Store game manager globally for easy access
     window.gameManager = gameManager;
     
+    // Browsers only start audio after a user gesture
+    const unlockAudio = () => audioManager.unlock();
+    document.addEventListener('pointerdown', unlockAudio, { once: true });
+    document.addEventListener('keydown', unlockAudio, { once: true });
+    
     // Ensure canvas has focus for keyboard events
     setTimeout(() => {
         const canvas = document.querySelector('#game-container canvas');
@@ -0,0 +1,574 @@
+/**
+ * AudioManager.js
+ * Procedural sound effects and music synthesized with Web Audio, implemented as a singleton
+ * There are no audio assets - every sound is built from oscillators and filtered noise
+ * Sounds go through sfx and music channels into a master channel; the volumes persist in localStorage
+ * The audio context comes from a factory, so a mock context can stand in for tests (setContextFactory, see tools/test-audio.mjs)
+ */
+
+import eventBus, { GAME_EVENTS } from './EventBus.js';
+
+// localStorage key for the volume settings
+const AUDIO_SETTINGS_KEY = 'archery2.audio';
+
+// Current volume settings schema version
+const AUDIO_SETTINGS_VERSION = 1;
+
+// Volume channels in mixing order (sfx and music both feed master)
+export const VOLUME_CHANNELS = ['master', 'sfx', 'music'];
+
+// Default volume of each channel (0-1)
+const DEFAULT_VOLUMES = { master: 0.8, sfx: 0.8, music: 0.5 };
+
+// Seconds before the same sound can play again (a volley of hits or deaths plays once)
+const SOUND_THROTTLE = 0.04;
+
+// Voices of each sound effect - tones sweep from frequency to endFrequency, noise is low-pass filtered
+// delay and duration are seconds, volume is the peak gain of the voice
+const SOUNDS = {
+    release: [
+        { type: 'triangle', frequency: 520, endFrequency: 180, duration: 0.14, volume: 0.3 },
+        { noise: true, filterFrequency: 3000, duration: 0.06, volume: 0.15 }
+    ],
+    maxPowerRelease: [
+        { type: 'square', frequency: 660, endFrequency: 1320, duration: 0.18, volume: 0.15 },
+        { type: 'triangle', frequency: 990, endFrequency: 1980, duration: 0.22, volume: 0.2, delay: 0.04 },
+        { noise: true, filterFrequency: 5000, duration: 0.08, volume: 0.2 }
+    ],
+    hitBase: [
+        { noise: true, filterFrequency: 400, duration: 0.25, volume: 0.5 },
+        { type: 'sine', frequency: 110, endFrequency: 55, duration: 0.3, volume: 0.4 }
+    ],
+    hitTroop: [
+        { noise: true, filterFrequency: 2200, duration: 0.07, volume: 0.3 },
+        { type: 'triangle', frequency: 320, endFrequency: 200, duration: 0.08, volume: 0.2 }
+    ],
+    troopDeath: [
+        { type: 'sawtooth', frequency: 240, endFrequency: 50, duration: 0.35, volume: 0.15 },
+        { noise: true, filterFrequency: 800, duration: 0.2, volume: 0.15 }
+    ],
+    gold: [
+        { type: 'square', frequency: 988, duration: 0.07, volume: 0.08 },
+        { type: 'square', frequency: 1319, duration: 0.16, volume: 0.08, delay: 0.07 }
+    ],
+    upgrade: [
+        { type: 'triangle', frequency: 523, duration: 0.12, volume: 0.25 },
+        { type: 'triangle', frequency: 659, duration: 0.12, volume: 0.25, delay: 0.08 },
+        { type: 'triangle', frequency: 784, duration: 0.12, volume: 0.25, delay: 0.16 },
+        { type: 'triangle', frequency: 1047, duration: 0.3, volume: 0.25, delay: 0.24 }
+    ]
+};
+
+// Bow draw tone - held while the hero charges, its pitch follows the power level
+const BOW_DRAW = {
+    type: 'sawtooth',
+    minFrequency: 90,          // Pitch at 0% power
+    maxFrequency: 420,         // Pitch at 100% power
+    filterFrequency: 1200,     // Low-pass to soften the sawtooth
+    volume: 0.06,
+    smoothing: 0.03            // Seconds the pitch takes to follow the power level
+};
+
+// Background music - an arpeggio over a four-chord loop, scheduled a little ahead of time
+const MUSIC_CONFIG = {
+    stepDuration: 0.25,        // Seconds per eighth note
+    lookahead: 0.3,            // Seconds of music scheduled ahead
+    interval: 100,             // Milliseconds between scheduling passes
+    stepsPerChord: 8,
+    chords: [220, 174.61, 261.63, 196], // Am, F, C, G roots (Hz)
+    arpeggio: [0, 7, 12, 15, 12, 7, 3, 7], // Semitones above the root, one per step
+    melodyVolume: 0.12,
+    bassVolume: 0.2
+};
+
+/**
+ * Create a browser audio context
+ * @returns {AudioContext|null} - The context, or null where Web Audio isn't available
+ */
+function createBrowserContext() {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    return AudioContextClass ? new AudioContextClass() : null;
+}
+
+class AudioManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (AudioManager.instance) {
+            return AudioManager.instance;
+        }
+        
+        AudioManager.instance = this;
+        
+        this.contextFactory = createBrowserContext;
+        this.context = null;            // Created on the first sound (browsers want a user gesture first)
+        this.unavailable = false;       // The factory failed or returned nothing - stay silent
+        this.channels = null;           // Channel name -> GainNode
+        this.noiseBuffer = null;        // One second of white noise shared by every noise voice
+        this.volumes = { ...DEFAULT_VOLUMES };
+        this.lastPlayed = {};           // Sound name -> context time it last played
+        this.drawVoice = null;          // { oscillator, gain } of the bow draw tone while charging
+        this.music = { playing: false, timer: null, nextStepTime: 0, step: 0 };
+        
+        this.load();
+        
+        eventBus.on(GAME_EVENTS.ARROW_FIRED, this.onArrowFired, this);
+        eventBus.on(GAME_EVENTS.ARROW_HIT, this.onArrowHit, this);
+        eventBus.on(GAME_EVENTS.TROOP_KILLED, this.onTroopKilled, this);
+        eventBus.on(GAME_EVENTS.GOLD_CHANGED, this.onGoldChanged, this);
+        eventBus.on(GAME_EVENTS.UPGRADE_PURCHASED, this.onUpgradePurchased, this);
+    }
+    
+    /**
+     * Use another audio context factory (e.g. one returning a mock context in tests)
+     * Drops the current context - the next sound creates one from the new factory
+     * @param {Function} factory - () => AudioContext-like object or null
+     */
+    setContextFactory(factory) {
+        this.stopMusic();
+        this.stopBowDraw();
+        
+        this.contextFactory = factory;
+        this.context = null;
+        this.unavailable = false;
+        this.channels = null;
+        this.noiseBuffer = null;
+        this.lastPlayed = {};
+    }
+    
+    /**
+     * Get the audio context, creating it and the mixer channels on first use
+     * @returns {AudioContext|null} - The context, or null if there is no audio
+     */
+    getContext() {
+        if (this.context || this.unavailable) return this.context;
+        
+        try {
+            this.context = this.contextFactory() || null;
+        } catch (error) {
+            console.warn('Audio not available:', error);
+            this.context = null;
+        }
+        
+        if (!this.context) {
+            this.unavailable = true;
+            return null;
+        }
+        
+        this.createChannels();
+        return this.context;
+    }
+    
+    /**
+     * Build the mixer: sfx and music gains feed the master gain, which feeds the speakers
+     */
+    createChannels() {
+        const context = this.context;
+        
+        this.channels = {};
+        VOLUME_CHANNELS.forEach(channel => {
+            this.channels[channel] = context.createGain();
+        });
+        
+        this.channels.master.connect(context.destination);
+        this.channels.sfx.connect(this.channels.master);
+        this.channels.music.connect(this.channels.master);
+        
+        this.applyVolumes();
+    }
+    
+    /**
+     * Resume a context the browser started suspended - call from a user gesture
+     */
+    unlock() {
+        const context = this.getContext();
+        if (context && context.state === 'suspended' && context.resume) {
+            context.resume();
+        }
+    }
+    
+    /**
+     * Get the volume of a channel
+     * @param {string} channel - One of VOLUME_CHANNELS
+     * @returns {number} - Volume (0-1)
+     */
+    getVolume(channel) {
+        return this.volumes[channel];
+    }
+    
+    /**
+     * Set and save the volume of a channel
+     * @param {string} channel - One of VOLUME_CHANNELS
+     * @param {number} volume - Volume (clamped to 0-1)
+     * @returns {boolean} - Whether the channel exists
+     */
+    setVolume(channel, volume) {
+        if (!VOLUME_CHANNELS.includes(channel)) {
+            console.warn(`Unknown volume channel: ${channel}`);
+            return false;
+        }
+        
+        // Rounded so repeated +/- steps don't drift
+        this.volumes[channel] = Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100;
+        this.applyVolumes();
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Apply the volumes to the mixer channels
+     */
+    applyVolumes() {
+        if (!this.channels) return;
+        
+        VOLUME_CHANNELS.forEach(channel => {
+            this.channels[channel].gain.setValueAtTime(this.volumes[channel], this.context.currentTime);
+        });
+    }
+    
+    /**
+     * Play a sound effect
+     * @param {string} name - Key of SOUNDS
+     * @returns {boolean} - Whether the sound was played (false without audio or while throttled)
+     */
+    play(name) {
+        const voices = SOUNDS[name];
+        if (!voices) {
+            console.warn(`Unknown sound: ${name}`);
+            return false;
+        }
+        
+        const context = this.getContext();
+        if (!context) return false;
+        
+        const now = context.currentTime;
+        if (this.lastPlayed[name] !== undefined && now - this.lastPlayed[name] < SOUND_THROTTLE) {
+            return false;
+        }
+        this.lastPlayed[name] = now;
+        
+        voices.forEach(voice => {
+            const startTime = now + (voice.delay || 0);
+            if (voice.noise) {
+                this.playNoise(voice, startTime);
+            } else {
+                this.playTone(voice, startTime, this.channels.sfx);
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Play one oscillator voice with a short attack and an exponential fade
+     * @param {Object} voice - { type, frequency, endFrequency, duration, volume }
+     * @param {number} startTime - Context time to start at
+     * @param {AudioNode} output - Channel to play into
+     */
+    playTone(voice, startTime, output) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const endTime = startTime + voice.duration;
+        
+        oscillator.type = voice.type;
+        oscillator.frequency.setValueAtTime(voice.frequency, startTime);
+        if (voice.endFrequency) {
+            oscillator.frequency.exponentialRampToValueAtTime(voice.endFrequency, endTime);
+        }
+        
+        this.applyEnvelope(gain, voice.volume, startTime, endTime);
+        
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(startTime);
+        oscillator.stop(endTime);
+    }
+    
+    /**
+     * Play one burst of filtered white noise (impacts, thuds, the bow string)
+     * @param {Object} voice - { filterFrequency, duration, volume }
+     * @param {number} startTime - Context time to start at
+     */
+    playNoise(voice, startTime) {
+        const context = this.context;
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const gain = context.createGain();
+        const endTime = startTime + voice.duration;
+        
+        source.buffer = this.getNoiseBuffer();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(voice.filterFrequency, startTime);
+        
+        this.applyEnvelope(gain, voice.volume, startTime, endTime);
+        
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.channels.sfx);
+        source.start(startTime);
+        source.stop(endTime);
+    }
+    
+    /**
+     * Fade a voice in quickly and out exponentially
+     * @param {GainNode} gain - The voice's gain
+     * @param {number} volume - Peak gain
+     * @param {number} startTime - Context time the voice starts
+     * @param {number} endTime - Context time the voice ends
+     */
+    applyEnvelope(gain, volume, startTime, endTime) {
+        gain.gain.setValueAtTime(0.0001, startTime);
+        gain.gain.linearRampToValueAtTime(volume, startTime + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, endTime);
+    }
+    
+    /**
+     * Get the shared white noise buffer, creating it on first use
+     * @returns {AudioBuffer} - One second of noise
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const sampleRate = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, sampleRate, sampleRate);
+            
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+    
+    /**
+     * Hold the bow draw tone at the pitch of a power level - call every frame while charging
+     * @param {number|null} powerLevel - Hero power level (0-100), or null when not charging
+     */
+    updateBowDraw(powerLevel) {
+        if (powerLevel === null || powerLevel === undefined) {
+            this.stopBowDraw();
+            return;
+        }
+        
+        const context = this.getContext();
+        if (!context) return;
+        
+        if (!this.drawVoice) {
+            this.startBowDraw();
+        }
+        
+        const power = Math.min(100, Math.max(0, powerLevel)) / 100;
+        const frequency = BOW_DRAW.minFrequency + (BOW_DRAW.maxFrequency - BOW_DRAW.minFrequency) * power;
+        this.drawVoice.oscillator.frequency.setTargetAtTime(frequency, context.currentTime, BOW_DRAW.smoothing);
+    }
+    
+    /**
+     * Start the bow draw tone
+     */
+    startBowDraw() {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        const filter = context.createBiquadFilter();
+        const gain = context.createGain();
+        const now = context.currentTime;
+        
+        oscillator.type = BOW_DRAW.type;
+        oscillator.frequency.setValueAtTime(BOW_DRAW.minFrequency, now);
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(BOW_DRAW.filterFrequency, now);
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.linearRampToValueAtTime(BOW_DRAW.volume, now + 0.05);
+        
+        oscillator.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.channels.sfx);
+        oscillator.start(now);
+        
+        this.drawVoice = { oscillator, gain };
+    }
+    
+    /**
+     * Fade out the bow draw tone (arrow released, charge cancelled or game paused)
+     */
+    stopBowDraw() {
+        if (!this.drawVoice) return;
+        
+        const { oscillator, gain } = this.drawVoice;
+        const now = this.context.currentTime;
+        gain.gain.setTargetAtTime(0, now, 0.02);
+        oscillator.stop(now + 0.1);
+        
+        this.drawVoice = null;
+    }
+    
+    /**
+     * Start the background music loop (does nothing if it is already playing)
+     */
+    startMusic() {
+        if (this.music.playing) return;
+        
+        const context = this.getContext();
+        if (!context) return;
+        
+        this.music.playing = true;
+        this.music.step = 0;
+        this.music.nextStepTime = context.currentTime + 0.1;
+        
+        this.scheduleMusic();
+        this.music.timer = setInterval(() => this.scheduleMusic(), MUSIC_CONFIG.interval);
+    }
+    
+    /**
+     * Stop the background music (notes already scheduled play out)
+     */
+    stopMusic() {
+        if (this.music.timer !== null) {
+            clearInterval(this.music.timer);
+            this.music.timer = null;
+        }
+        this.music.playing = false;
+    }
+    
+    /**
+     * Schedule every music step that starts within the lookahead window
+     */
+    scheduleMusic() {
+        if (!this.music.playing || !this.context) return;
+        
+        const horizon = this.context.currentTime + MUSIC_CONFIG.lookahead;
+        while (this.music.nextStepTime < horizon) {
+            this.playMusicStep(this.music.step, this.music.nextStepTime);
+            this.music.nextStepTime += MUSIC_CONFIG.stepDuration;
+            this.music.step++;
+        }
+    }
+    
+    /**
+     * Play one eighth note of the loop - an arpeggio note, plus the bass note on each chord change
+     * @param {number} step - Step number since the music started
+     * @param {number} startTime - Context time of the step
+     */
+    playMusicStep(step, startTime) {
+        const { chords, arpeggio, stepsPerChord, stepDuration } = MUSIC_CONFIG;
+        const chordIndex = Math.floor(step / stepsPerChord) % chords.length;
+        const root = chords[chordIndex];
+        const semitones = arpeggio[step % arpeggio.length];
+        
+        this.playTone({
+            type: 'triangle',
+            frequency: root * Math.pow(2, semitones / 12),
+            duration: stepDuration * 0.9,
+            volume: MUSIC_CONFIG.melodyVolume
+        }, startTime, this.channels.music);
+        
+        if (step % stepsPerChord === 0) {
+            this.playTone({
+                type: 'sine',
+                frequency: root / 2,
+                duration: stepDuration * stepsPerChord,
+                volume: MUSIC_CONFIG.bassVolume
+            }, startTime, this.channels.music);
+        }
+    }
+    
+    /**
+     * Release sound of every shot (forks of a split arrow are part of their shot)
+     * @param {Object} event - arrowFired payload
+     */
+    onArrowFired({ arrow, isMaxPower }) {
+        if (arrow.options.splitFrom) return;
+        
+        this.play(isMaxPower ? 'maxPowerRelease' : 'release');
+    }
+    
+    /**
+     * Impact sound - a heavy thud on bases, a short hit on troops
+     * @param {Object} event - arrowHit payload
+     */
+    onArrowHit({ targetType }) {
+        this.play(targetType === 'base' ? 'hitBase' : 'hitTroop');
+    }
+    
+    /**
+     * Troop death sound
+     */
+    onTroopKilled() {
+        this.play('troopDeath');
+    }
+    
+    /**
+     * Coin sound for gold earned (passive income ticks too often to be heard every time)
+     * @param {Object} event - goldChanged payload
+     */
+    onGoldChanged({ amount, reason }) {
+        if (amount > 0 && reason !== 'passive') {
+            this.play('gold');
+        }
+    }
+    
+    /**
+     * Fanfare for a purchased upgrade
+     */
+    onUpgradePurchased() {
+        this.play('upgrade');
+    }
+    
+    /**
+     * Get localStorage if the browser allows access to it
+     * @returns {Storage|null} - The storage object or null if unavailable
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Load the saved volumes - missing or invalid channels keep their default
+     */
+    load() {
+        const storage = this.getStorage();
+        const raw = storage ? storage.getItem(AUDIO_SETTINGS_KEY) : null;
+        if (!raw) return;
+        
+        try {
+            const saved = JSON.parse(raw);
+            if (!saved || saved.version !== AUDIO_SETTINGS_VERSION || !saved.volumes) {
+                throw new Error(`unsupported audio settings version ${saved && saved.version}`);
+            }
+            
+            VOLUME_CHANNELS.forEach(channel => {
+                const volume = saved.volumes[channel];
+                if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
+                    this.volumes[channel] = volume;
+                }
+            });
+        } catch (error) {
+            console.warn('Saved audio settings ignored, using defaults:', error.message);
+        }
+    }
+    
+    /**
+     * Write the volumes to localStorage
+     * @returns {boolean} - Whether the volumes were written
+     */
+    save() {
+        const storage = this.getStorage();
+        if (!storage) {
+            console.warn('Audio settings not saved: localStorage is not available');
+            return false;
+        }
+        
+        try {
+            storage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify({ version: AUDIO_SETTINGS_VERSION, volumes: this.volumes }));
+            return true;
+        } catch (error) {
+            console.warn('Error saving audio settings:', error);
+            return false;
+        }
+    }
+}
+
+// Create and export a single instance
+export default new AudioManager();
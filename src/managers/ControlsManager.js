@@ -0,0 +1,296 @@
+/**
+ * ControlsManager.js
+ * Keyboard bindings of every player action (one action map), implemented as a singleton
+ * Bindings are Phaser key names (e.g. 'A', 'SPACE', 'ONE') and persist in localStorage
+ */
+
+import { ARROW_TYPES, ARROW_TYPE_ORDER } from '../entities/Arrow.js';
+import upgradeRegistry from './UpgradeRegistry.js';
+
+// localStorage key for the bindings
+const CONTROLS_KEY = 'archery2.controls';
+
+// Current bindings schema version
+const CONTROLS_VERSION = 1;
+
+// Keys that can't be bound - Esc closes menus and leaves scenes, Shift + number spawns test enemies
+const RESERVED_KEYS = ['ESC', 'SHIFT'];
+
+// Display names for keys whose Phaser name isn't what is printed on the key
+const KEY_LABELS = {
+    ZERO: '0', ONE: '1', TWO: '2', THREE: '3', FOUR: '4',
+    FIVE: '5', SIX: '6', SEVEN: '7', EIGHT: '8', NINE: '9',
+    BACKTICK: '`',
+    SPACE: 'Space'
+};
+
+/**
+ * Check that a key name can be bound (a Phaser key name that isn't reserved)
+ * @param {*} key - Key name from a save or the settings screen
+ * @returns {boolean} - Whether the key can be bound
+ */
+function isBindableKey(key) {
+    return typeof key === 'string' && /^[A-Z0-9_]+$/.test(key) && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Build the list of rebindable actions with their default keys
+ * Arrow types and upgrades take their defaults from their own definitions
+ * @returns {Array<Object>} - { id, label, group, defaultKey }
+ */
+function createActions() {
+    return [
+        { id: 'moveLeft', label: 'Move left', group: 'Hero', defaultKey: 'A' },
+        { id: 'moveRight', label: 'Move right', group: 'Hero', defaultKey: 'D' },
+        { id: 'jump', label: 'Jump', group: 'Hero', defaultKey: 'W' },
+        { id: 'drop', label: 'Fast fall / drop', group: 'Hero', defaultKey: 'S' },
+        { id: 'platform', label: 'Summon platform', group: 'Hero', defaultKey: 'SPACE' },
+        ...ARROW_TYPE_ORDER.map(type => ({
+            id: `arrow.${type}`,
+            label: `${ARROW_TYPES[type].name} arrow`,
+            group: 'Arrows',
+            defaultKey: ARROW_TYPES[type].key
+        })),
+        { id: 'spawnLight', label: 'Buy Light troop', group: 'Troops', defaultKey: 'ONE' },
+        { id: 'spawnRanged', label: 'Buy Ranged troop', group: 'Troops', defaultKey: 'TWO' },
+        { id: 'spawnHeavy', label: 'Buy Heavy troop', group: 'Troops', defaultKey: 'THREE' },
+        { id: 'spawnLongbowman', label: 'Buy Longbowman', group: 'Troops', defaultKey: 'FOUR' },
+        { id: 'stance.advance', label: 'Advance', group: 'Army', defaultKey: 'Q' },
+        { id: 'stance.charge', label: 'Charge', group: 'Army', defaultKey: 'R' },
+        { id: 'stance.hold', label: 'Hold', group: 'Army', defaultKey: 'E' },
+        { id: 'stance.rally', label: 'Rally at flag', group: 'Army', defaultKey: 'G' },
+        { id: 'stance.fallBack', label: 'Fall back', group: 'Army', defaultKey: 'F' },
+        { id: 'camera.free', label: 'Free camera / hero', group: 'Camera', defaultKey: 'V' },
+        { id: 'camera.overview', label: 'Battlefield overview', group: 'Camera', defaultKey: 'B' },
+        { id: 'camera.left', label: 'Scroll left', group: 'Camera', defaultKey: 'LEFT' },
+        { id: 'camera.right', label: 'Scroll right', group: 'Camera', defaultKey: 'RIGHT' },
+        ...upgradeRegistry.list({ currency: 'gold' }).filter(upgrade => upgrade.hotkey).map(upgrade => ({
+            id: `upgrade.${upgrade.id}`,
+            label: upgrade.name,
+            group: 'Upgrades',
+            defaultKey: upgrade.hotkey
+        })),
+        { id: 'exportReplay', label: 'Export replay', group: 'Other', defaultKey: 'F8' },
+        { id: 'togglePoolStats', label: 'Debug overlay', group: 'Other', defaultKey: 'BACKTICK' }
+    ];
+}
+
+/**
+ * Get the display name of a key
+ * @param {string} key - Phaser key name
+ * @returns {string} - Name to show to the player (e.g. 'Space', '1', 'Numpad 1')
+ */
+export function describeKey(key) {
+    if (!key) return '-';
+    if (KEY_LABELS[key]) return KEY_LABELS[key];
+    
+    if (key.startsWith('NUMPAD_')) {
+        return `Numpad ${describeKey(key.slice('NUMPAD_'.length))}`;
+    }
+    
+    // LEFT -> Left, PAGE_UP -> Page Up (single letters and F-keys stay as they are)
+    return key.split('_')
+        .map(part => part.length > 1 && !/^F\d+$/.test(part) ? part[0] + part.slice(1).toLowerCase() : part)
+        .join(' ');
+}
+
+class ControlsManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (ControlsManager.instance) {
+            return ControlsManager.instance;
+        }
+        
+        ControlsManager.instance = this;
+        
+        this.actions = createActions();
+        this.bindings = this.getDefaultBindings(); // Action id -> key name
+        
+        this.load();
+    }
+    
+    /**
+     * Get the default key of every action
+     * @returns {Object} - Action id -> key name
+     */
+    getDefaultBindings() {
+        const bindings = {};
+        this.actions.forEach(action => {
+            bindings[action.id] = action.defaultKey;
+        });
+        return bindings;
+    }
+    
+    /**
+     * List the actions with their current keys (for the settings screen)
+     * @returns {Array<Object>} - { id, label, group, defaultKey, key }
+     */
+    getActions() {
+        return this.actions.map(action => ({ ...action, key: this.bindings[action.id] }));
+    }
+    
+    /**
+     * Get the action definition for an id
+     * @param {string} actionId - Action id
+     * @returns {Object|undefined} - The action
+     */
+    getAction(actionId) {
+        return this.actions.find(action => action.id === actionId);
+    }
+    
+    /**
+     * Get the key bound to an action
+     * @param {string} actionId - Action id
+     * @returns {string|null} - Phaser key name (null for unknown actions)
+     */
+    getKey(actionId) {
+        if (!(actionId in this.bindings)) {
+            console.warn(`Unknown control action: ${actionId}`);
+            return null;
+        }
+        return this.bindings[actionId];
+    }
+    
+    /**
+     * Find the action a key is bound to
+     * @param {string} key - Phaser key name
+     * @param {string} exceptActionId - Action to ignore (the one being rebound)
+     * @returns {Object|null} - The action using the key
+     */
+    findActionForKey(key, exceptActionId = null) {
+        const actionId = Object.keys(this.bindings).find(id => id !== exceptActionId && this.bindings[id] === key);
+        return actionId ? this.getAction(actionId) : null;
+    }
+    
+    /**
+     * Bind a key to an action unless the key is reserved or already used
+     * @param {string} actionId - Action id
+     * @param {string} key - Phaser key name
+     * @returns {{ success: boolean, message: string, conflict: Object|null }} - Result and reason
+     */
+    setBinding(actionId, key) {
+        const action = this.getAction(actionId);
+        if (!action) {
+            return { success: false, message: `Unknown action: ${actionId}`, conflict: null };
+        }
+        
+        if (RESERVED_KEYS.includes(key)) {
+            return { success: false, message: `${describeKey(key)} is reserved`, conflict: null };
+        }
+        
+        const conflict = this.findActionForKey(key, actionId);
+        if (conflict) {
+            return { success: false, message: `${describeKey(key)} is already used by ${conflict.label}`, conflict };
+        }
+        
+        this.bindings[actionId] = key;
+        this.save();
+        
+        console.log(`Bound ${action.label} to ${describeKey(key)}`);
+        return { success: true, message: `${action.label}: ${describeKey(key)}`, conflict: null };
+    }
+    
+    /**
+     * Restore every default binding
+     */
+    resetToDefaults() {
+        this.bindings = this.getDefaultBindings();
+        this.save();
+        console.log('Controls reset to defaults');
+    }
+    
+    /**
+     * Find two actions bound to the same key
+     * @param {Object} bindings - Action id -> key name
+     * @returns {Array<string>|null} - [first action id, second action id], or null if every key is unique
+     */
+    findClash(bindings) {
+        const usedBy = {};
+        for (const [actionId, key] of Object.entries(bindings)) {
+            if (usedBy[key]) return [usedBy[key], actionId];
+            usedBy[key] = actionId;
+        }
+        return null;
+    }
+    
+    /**
+     * Get localStorage if the browser allows access to it
+     * @returns {Storage|null} - The storage object or null if unavailable
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Load the saved bindings - actions without a saved key keep their default,
+     * invalid saved keys and saved keys that clash with another action fall back to their default
+     */
+    load() {
+        const storage = this.getStorage();
+        const raw = storage ? storage.getItem(CONTROLS_KEY) : null;
+        if (!raw) return;
+        
+        try {
+            const saved = JSON.parse(raw);
+            if (!saved || saved.version !== CONTROLS_VERSION || !saved.bindings) {
+                throw new Error(`unsupported controls version ${saved && saved.version}`);
+            }
+            
+            // Only actions that still exist (e.g. an upgrade hotkey could have been removed)
+            const defaults = this.getDefaultBindings();
+            const bindings = { ...defaults };
+            Object.keys(bindings).forEach(actionId => {
+                const key = saved.bindings[actionId];
+                if (key === undefined) return;
+                
+                if (isBindableKey(key)) {
+                    bindings[actionId] = key;
+                } else {
+                    console.warn(`Saved key for ${actionId} ignored: ${JSON.stringify(key)}`);
+                }
+            });
+            
+            // A saved key can clash with the default key of an action added since the save -
+            // the action holding a non-default key goes back to its default until nothing clashes
+            // (defaults never clash with each other, so this ends)
+            let clash = this.findClash(bindings);
+            while (clash) {
+                const actionId = bindings[clash[0]] !== defaults[clash[0]] ? clash[0] : clash[1];
+                console.warn(`Saved key for ${actionId} is now used by another action, using the default`);
+                bindings[actionId] = defaults[actionId];
+                clash = this.findClash(bindings);
+            }
+            
+            this.bindings = bindings;
+        } catch (error) {
+            console.warn('Saved controls ignored, using defaults:', error.message);
+        }
+    }
+    
+    /**
+     * Write the bindings to localStorage
+     * @returns {boolean} - Whether the bindings were written
+     */
+    save() {
+        const storage = this.getStorage();
+        if (!storage) {
+            console.warn('Controls not saved: localStorage is not available');
+            return false;
+        }
+        
+        try {
+            storage.setItem(CONTROLS_KEY, JSON.stringify({ version: CONTROLS_VERSION, bindings: this.bindings }));
+            return true;
+        } catch (error) {
+            console.warn('Error saving controls:', error);
+            return false;
+        }
+    }
+}
+
+// Create and export a single instance
+export default new ControlsManager();
@@ -0,0 +1,205 @@
+/**
+ * EventBus.js
+ * Central publish/subscribe hub for combat and economy events implemented as a singleton
+ * Entities and managers emit events here instead of calling back into the scene, so UI,
+ * stats tracking and audio can subscribe without the emitters knowing about them
+ * Has no Phaser dependency so entities still work in the headless simulator
+ */
+
+/**
+ * Names of every event on the bus - emitting or subscribing to any other name is reported
+ *
+ * Payloads:
+ * - troopSpawned:      { troop, category, unitType, isEnemy }
+ * - troopKilled:       { troop, category, unitType, isEnemy, x, y }
+ * - damageDealt:       { target, targetType ('troop' | 'hero' | 'base'), amount, source, isEnemy, x, y }
+ * - goldChanged:       { gold, amount (negative when spent), reason, side ('player' | 'enemy') }
+ * - xpChanged:         { xp, amount (negative when spent), reason, side ('player' | 'enemy') }
+ * - upgradePurchased:  { upgradeId, upgrade, currency, cost }
+ * - baseDestroyed:     { base, isPlayerBase }
+ * - heroHealthChanged: { hero, health, maxHealth } (hero.isEnemy for player 2 in versus mode)
+ * - heroDied:          { hero, x, y }
+ * - heroRespawned:     { hero }
+ * - arrowFired:        { arrow, sprite, isEnemyArrow, isMaxPower }
+ * - arrowHit:          { arrow, target, targetType ('troop' | 'base' | 'hero') } (direct hits, not splash)
+ * - enemyWaveSent:     { wave (troop categories), cost }
+ * - roundStarted:      { round, difficulty, definition, time }
+ * - roundEnded:        { round, victory, time }
+ *
+ * Damage sources are 'hero' (hero arrows), 'enemyArrow', 'troop:<Category>', 'status:<effect id>' or 'unknown'
+ */
+export const GAME_EVENTS = Object.freeze({
+    TROOP_SPAWNED: 'troopSpawned',
+    TROOP_KILLED: 'troopKilled',
+    DAMAGE_DEALT: 'damageDealt',
+    GOLD_CHANGED: 'goldChanged',
+    XP_CHANGED: 'xpChanged',
+    UPGRADE_PURCHASED: 'upgradePurchased',
+    BASE_DESTROYED: 'baseDestroyed',
+    HERO_HEALTH_CHANGED: 'heroHealthChanged',
+    HERO_DIED: 'heroDied',
+    HERO_RESPAWNED: 'heroRespawned',
+    ARROW_FIRED: 'arrowFired',
+    ARROW_HIT: 'arrowHit',
+    ENEMY_WAVE_SENT: 'enemyWaveSent',
+    ROUND_STARTED: 'roundStarted',
+    ROUND_ENDED: 'roundEnded'
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+class EventBus {
+    constructor() {
+        // Ensure singleton pattern
+        if (EventBus.instance) {
+            return EventBus.instance;
+        }
+        
+        EventBus.instance = this;
+        
+        // Event name -> array of { handler, context, once, removed }
+        this.listeners = new Map();
+        
+        console.log('EventBus initialized');
+    }
+    
+    /**
+     * Check an event name against GAME_EVENTS
+     * @param {string} event - Event name
+     * @returns {boolean} - Whether the event is known
+     */
+    isKnownEvent(event) {
+        if (KNOWN_EVENTS.has(event)) return true;
+        
+        console.warn(`EventBus: unknown event "${event}"`);
+        return false;
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @param {Object} context - Optional `this` for the handler, also used by offContext
+     * @returns {Function} - Removes this subscription
+     */
+    on(event, handler, context = null) {
+        return this.addListener(event, handler, context, false);
+    }
+    
+    /**
+     * Subscribe to the next emit of an event only
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @param {Object} context - Optional `this` for the handler, also used by offContext
+     * @returns {Function} - Removes this subscription
+     */
+    once(event, handler, context = null) {
+        return this.addListener(event, handler, context, true);
+    }
+    
+    /**
+     * Register a listener
+     * @param {string} event - Event name
+     * @param {Function} handler - Listener function
+     * @param {Object} context - Listener context
+     * @param {boolean} once - Whether to remove the listener after the first call
+     * @returns {Function} - Removes this subscription
+     */
+    addListener(event, handler, context, once) {
+        if (!this.isKnownEvent(event) || typeof handler !== 'function') {
+            return () => {};
+        }
+        
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        
+        this.listeners.get(event).push({ handler, context, once, removed: false });
+        return () => this.off(event, handler, context);
+    }
+    
+    /**
+     * Unsubscribe a handler
+     * @param {string} event - Event name
+     * @param {Function} handler - The subscribed handler
+     * @param {Object} context - The context it was subscribed with
+     */
+    off(event, handler, context = null) {
+        this.removeListeners(event, listener => listener.handler === handler && listener.context === context);
+    }
+    
+    /**
+     * Unsubscribe every handler registered with a context (e.g. a scene that is shutting down)
+     * @param {Object} context - Context passed to on/once
+     */
+    offContext(context) {
+        [...this.listeners.keys()].forEach(event => {
+            this.removeListeners(event, listener => listener.context === context);
+        });
+    }
+    
+    /**
+     * Remove the listeners of an event that match a predicate
+     * Removed listeners are flagged so an emit already in progress skips them
+     * @param {string} event - Event name
+     * @param {Function} predicate - (listener) => boolean, true to remove
+     */
+    removeListeners(event, predicate) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        const remaining = listeners.filter(listener => {
+            if (!predicate(listener)) return true;
+            
+            listener.removed = true;
+            return false;
+        });
+        
+        if (remaining.length > 0) {
+            this.listeners.set(event, remaining);
+        } else {
+            this.listeners.delete(event);
+        }
+    }
+    
+    /**
+     * Notify every subscriber of an event
+     * A failing subscriber is reported and does not stop the others (or the emitter)
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Object} payload - Event data (see GAME_EVENTS)
+     */
+    emit(event, payload = {}) {
+        if (!this.isKnownEvent(event)) return;
+        
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        // Copy so handlers can subscribe or unsubscribe while we iterate
+        [...listeners].forEach(listener => {
+            if (listener.removed) return;
+            
+            if (listener.once) {
+                this.removeListeners(event, other => other === listener);
+            }
+            
+            try {
+                listener.handler.call(listener.context, payload);
+            } catch (error) {
+                console.warn(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Count the subscribers of an event
+     * @param {string} event - Event name
+     * @returns {number} - Number of listeners
+     */
+    listenerCount(event) {
+        const listeners = this.listeners.get(event);
+        return listeners ? listeners.length : 0;
+    }
+}
+
+// Create and export a single instance
+export default new EventBus();
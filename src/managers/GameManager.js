@@ -1,9 +1,131 @@
 /**
  * GameManager.js
  * Central game state management class implemented as a singleton
- * Handles difficulty, rounds, and will later manage economy and upgrades
+ * Handles difficulty, rounds, economy and upgrades
  */
 
+import upgradeRegistry, { applyConfigPatch } from './UpgradeRegistry.js';
+import StatBlock from '../systems/StatBlock.js';
+import Wallet from '../systems/Wallet.js';
+import eventBus, { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * Build the default economy configuration
+ * Used for new games and as the baseline that saved games are diffed against
+ * @returns {Object} - A fresh economy configuration object
+ */
+function createDefaultEconomyConfig() {
+    return {
+        // Passive income settings
+        passiveIncome: {
+            baseAmount: 20,     // Base amount of gold per passive income tick
+            interval: 5000,     // Milliseconds between passive income ticks (5 seconds)
+        },
+        
+        // Kill reward settings
+        killRewards: {
+            basePercentage: 0.5, // Base percentage of unit cost rewarded (50%)
+        },
+        
+        // XP reward settings
+        xpRewards: {
+            troopKill: {
+                Light: 10,
+                Ranged: 15,
+                Heavy: 20,
+            },
+            baseDestroy: 100,
+        },
+        
+        // Unit costs - used both for spawning ally units and calculating enemy kill rewards
+        unitCosts: {
+            Light: 20,
+            Ranged: 35,
+            Heavy: 50,
+            // Future unit types can be added here
+        },
+        
+        // Platform ability configuration
+        platformAbility: {
+            cooldown: 5000,        // Base cooldown in ms (5 seconds)
+            duration: 6000,        // How long platforms exist (6 seconds)
+            width: 70,             // Base platform width
+            hasUpgrades: false,    // Whether upgrades are unlocked
+        }
+    };
+}
+
+/**
+ * Collect the values in a config object that differ from the defaults
+ * @param {Object} current - The current config values
+ * @param {Object} defaults - The default config values
+ * @returns {Object|undefined} - Nested object of changed values, or undefined if nothing changed
+ */
+function diffConfig(current, defaults) {
+    const diff = {};
+    let changed = false;
+    
+    Object.keys(current).forEach(key => {
+        const value = current[key];
+        const defaultValue = defaults ? defaults[key] : undefined;
+        
+        if (isPlainObject(value) && isPlainObject(defaultValue)) {
+            const nested = diffConfig(value, defaultValue);
+            if (nested !== undefined) {
+                diff[key] = nested;
+                changed = true;
+            }
+        } else if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+            diff[key] = value;
+            changed = true;
+        }
+    });
+    
+    return changed ? diff : undefined;
+}
+
+/**
+ * Apply saved overrides on top of a config object (mutates and returns the target)
+ * Keys missing from the overrides keep their default values
+ * @param {Object} target - The config to apply overrides to
+ * @param {Object} overrides - Nested object of values to apply
+ * @returns {Object} - The updated target
+ */
+function mergeConfig(target, overrides) {
+    Object.keys(overrides || {}).forEach(key => {
+        if (isPlainObject(overrides[key]) && isPlainObject(target[key])) {
+            mergeConfig(target[key], overrides[key]);
+        } else {
+            target[key] = overrides[key];
+        }
+    });
+    
+    return target;
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build empty run statistics
+ * @returns {Object} - Fresh run statistics for a new game
+ */
+function createRunStats() {
+    return {
+        kills: { Light: 0, Heavy: 0, Ranged: 0 }, // Enemy troops killed by category
+        goldEarned: 0,
+        goldSpent: 0,
+        xpEarned: 0,
+        rounds: []              // Per-round match statistics (see StatsManager)
+    };
+}
+
 class GameManager {
     constructor() {
         // Ensure singleton pattern
@@ -17,115 +139,24 @@ class GameManager {
         this.difficulty = null;    // Will be set during difficulty selection
         this.currentRound = 1;     // Track the current game round
         
-        // Economy system
-        this.gold = 100;           // Starting gold for the player
-        this.xp = 0;               // Starting XP for the player
+        // Economy system - one wallet per side ('enemy' is player 2 in versus mode,
+        // the enemy AI keeps its own gold in EnemyCommander)
+        this.wallets = {
+            player: new Wallet({ side: 'player', gold: 100, xp: 0 }),
+            enemy: new Wallet({ side: 'enemy' })
+        };
         
         // Upgrade tracking
         this.purchasedUpgrades = {};       // In-game gold upgrades
         this.roundUpgrades = [];           // Between-round XP upgrades
         this.enemyUpgrades = [];           // Enemy upgrades applied between rounds
         this.unlockedFeatures = {};        // Features unlocked via upgrades
+        
+        // Statistics for the whole run (shown on the game over screen)
+        this.runStats = createRunStats();
 
         // Economy configuration - these values can be adjusted via difficulty or upgrades
-        this.economyConfig = {
-            // Passive income settings
-            passiveIncome: {
-                baseAmount: 20,     // Base amount of gold per passive income tick
-                interval: 5000,     // Milliseconds between passive income ticks (5 seconds)
-            },
-            
-            // Kill reward settings
-            killRewards: {
-                basePercentage: 0.5, // Base percentage of unit cost rewarded (50%)
-            },
-            
-            // XP reward settings
-            xpRewards: {
-                troopKill: {
-                    Light: 10,
-                    Ranged: 15,
-                    Heavy: 20,
-                },
-                baseDestroy: 100,
-            },
-            
-            // Unit costs - used both for spawning ally units and calculating enemy kill rewards
-            unitCosts: {
-                Light: 20,
-                Ranged: 35,
-                Heavy: 50,
-                // Future unit types can be added here
-            },
-            
-            // Platform ability configuration
-            platformAbility: {
-                cooldown: 5000,        // Base cooldown in ms (5 seconds)
-                duration: 6000,        // How long platforms exist (6 seconds)
-                width: 70,             // Base platform width
-                hasUpgrades: false,    // Whether upgrades are unlocked
-            },
-            
-            // Base upgrades and their costs
-            baseUpgrades: {
-                longbowTraining: { 
-                    cost: 400,
-                    description: "Unlock longbowmen units",
-                    effectKey: "unlockLongbowmen"
-                },
-                reinforcedWalls: { 
-                    cost: 300,
-                    description: "Increases base health by 25%",
-                    effectKey: "reinforcedWalls"
-                },
-                improvedArrows: { 
-                    cost: 300,
-                    description: "Increases arrow damage by 20%",
-                    effectKey: "improvedArrows"
-                },
-                // Platform ability upgrades
-                extendedPlatforms: {
-                    cost: 300,
-                    description: "Platforms last 50% longer",
-                    effectKey: "extendedPlatforms",
-                    category: "platformAbility"
-                },
-                quickSummoning: {
-                    cost: 350,
-                    description: "Reduces platform cooldown by 25%",
-                    effectKey: "quickSummoning",
-                    category: "platformAbility"
-                },
-                widePlatforms: {
-                    cost: 400,
-                    description: "Increases platform width by 40%",
-                    effectKey: "widePlatforms",
-                    category: "platformAbility"
-                }
-            },
-            
-            // Round-based upgrades using XP
-            roundUpgrades: {
-                unlockLongbowTraining: {
-                    name: "Longbowman Training Ground",
-                    description: "Unlock the ability to purchase longbowmen",
-                    cost: 200,
-                    round: 1,
-                    effectKey: "unlockLongbowTraining"
-                }
-            },
-            
-            // Enemy upgrades
-            enemyUpgrades: {
-                enemyBaseHealthBoost: {
-                    name: "Reinforced Enemy Base",
-                    description: "Enemy base has 20% more health",
-                    round: 1, 
-                    effectKey: "enemyBaseHealthBoost",
-                    effectValue: 1.2 // 20% increase
-                }
-            }
-        };
+        this.economyConfig = createDefaultEconomyConfig();
         
         console.log('GameManager initialized');
     }
@@ -136,12 +167,14 @@ class GameManager {
     resetGame() {
         this.difficulty = null;
         this.currentRound = 1;
-        this.gold = 100; // Reset gold to starting value
-        this.xp = 0;     // Reset XP to starting value
+        this.wallets.player = new Wallet({ side: 'player', gold: 100, xp: 0 }); // Reset gold and XP to starting values
+        this.wallets.enemy = new Wallet({ side: 'enemy' });
         this.purchasedUpgrades = {}; // Reset in-game upgrades
         this.roundUpgrades = [];     // Reset between-round upgrades
         this.enemyUpgrades = [];     // Reset enemy upgrades
         this.unlockedFeatures = {};  // Reset unlocked features
+        this.economyConfig = createDefaultEconomyConfig(); // Undo config changes made by upgrades
+        this.runStats = createRunStats(); // Reset run statistics
         
         // Reset future properties when implemented
         // this.stickPoints = 0;
@@ -188,66 +221,102 @@ class GameManager {
     }
     
     /**
-     * Add gold to the player's account
+     * Player gold (the player wallet's balance)
+     * @returns {number}
+     */
+    get gold() {
+        return this.wallets.player.gold;
+    }
+    
+    set gold(value) {
+        this.wallets.player.gold = value;
+    }
+    
+    /**
+     * Player XP (the player wallet's balance)
+     * @returns {number}
+     */
+    get xp() {
+        return this.wallets.player.xp;
+    }
+    
+    set xp(value) {
+        this.wallets.player.xp = value;
+    }
+    
+    /**
+     * Get the wallet of a side
+     * @param {string} side - 'player' or 'enemy' (player 2 in versus mode)
+     * @returns {Wallet} - The side's wallet
+     */
+    getWallet(side = 'player') {
+        return this.wallets[side] || this.wallets.player;
+    }
+    
+    /**
+     * Add gold to a side's account
      * @param {number} amount - Amount of gold to add
      * @param {string} source - Source of gold (for logging/tracking)
+     * @param {string} side - Wallet to add to ('player' or 'enemy')
+     * @returns {number} - New gold total of that side
      */
-    addGold(amount, source = 'unknown') {
+    addGold(amount, source = 'unknown', side = 'player') {
         // Apply any modifiers based on difficulty
         const diffParams = this.getDifficultyParameters();
         const adjustedAmount = source === 'passive' 
             ? Math.floor(amount * diffParams.resourceMultiplier)
             : amount;
         
-        this.gold += adjustedAmount;
-        console.log(`Added ${adjustedAmount} gold from ${source}. New total: ${this.gold}`);
-        return this.gold;
+        // Run statistics only follow the player
+        if (side === 'player') {
+            this.runStats.goldEarned += adjustedAmount;
+        }
+        
+        return this.getWallet(side).addGold(adjustedAmount, source);
     }
     
     /**
-     * Check if player has enough gold and deduct if true
+     * Check if a side has enough gold and deduct if true
      * @param {number} amount - Amount of gold to spend
      * @param {string} reason - What the gold is being spent on (for logging)
+     * @param {string} side - Wallet to spend from ('player' or 'enemy')
      * @returns {boolean} - Whether the transaction was successful
      */
-    spendGold(amount, reason = 'purchase') {
-        if (this.gold >= amount) {
-            this.gold -= amount;
-            console.log(`Spent ${amount} gold on ${reason}. Remaining: ${this.gold}`);
-            return true;
-        } else {
-            console.log(`Not enough gold for ${reason}. Required: ${amount}, Available: ${this.gold}`);
+    spendGold(amount, reason = 'purchase', side = 'player') {
+        if (!this.getWallet(side).spendGold(amount, reason)) {
             return false;
         }
+        
+        if (side === 'player') {
+            this.runStats.goldSpent += amount;
+        }
+        return true;
     }
     
     /**
-     * Add XP to the player
+     * Add XP to a side
      * @param {number} amount - Amount of XP to add
      * @param {string} source - Source of XP (for logging/tracking)
-     * @returns {number} - New XP total
+     * @param {string} side - Wallet to add to ('player' or 'enemy')
+     * @returns {number} - New XP total of that side
      */
-    addXP(amount, source = 'unknown') {
-        this.xp += amount;
-        console.log(`Added ${amount} XP from ${source}. New total: ${this.xp}`);
-        return this.xp;
+    addXP(amount, source = 'unknown', side = 'player') {
+        if (side === 'player') {
+            this.runStats.xpEarned += amount;
+        }
+        
+        return this.getWallet(side).addXP(amount, source);
     }
     
     /**
      * Spend XP on a round upgrade
      * @param {number} amount - Amount of XP to spend
      * @param {string} reason - What the XP is being spent on
+     * @param {string} side - Wallet to spend from ('player' or 'enemy')
      * @returns {boolean} - Whether the transaction was successful
      */
-    spendXP(amount, reason = 'upgrade') {
-        if (this.xp >= amount) {
-            this.xp -= amount;
-            console.log(`Spent ${amount} XP on ${reason}. Remaining: ${this.xp}`);
-            return true;
-        } else {
-            console.log(`Not enough XP for ${reason}. Required: ${amount}, Available: ${this.xp}`);
-            return false;
-        }
+    spendXP(amount, reason = 'upgrade', side = 'player') {
+        return this.getWallet(side).spendXP(amount, reason);
     }
     
     /**
@@ -268,6 +337,24 @@ class GameManager {
         return Math.max(reward, 1); // Ensure at least 1 gold is rewarded
     }
     
+    /**
+     * Record an enemy troop kill for the run statistics
+     * @param {string} category - Category of the troop that was killed
+     */
+    recordKill(category) {
+        this.runStats.kills[category] = (this.runStats.kills[category] || 0) + 1;
+    }
+    
+    /**
+     * Make sure the player starts a round with at least the given amount of gold
+     * @param {number} amount - Minimum gold for the start of the round
+     */
+    applyRoundStartingGold(amount) {
+        if (this.gold < amount) {
+            this.addGold(amount - this.gold, 'round start');
+        }
+    }
+    
     /**
      * Get the cost of a unit based on its type
      * @param {string} unitType - Type of unit to check cost for
@@ -277,110 +364,132 @@ class GameManager {
         return this.economyConfig.unitCosts[unitType] || 0;
     }
     
+    /**
+     * Check whether an upgrade has been bought (or chosen, for enemy upgrades)
+     * @param {string} upgradeId - ID of the upgrade
+     * @returns {boolean} - Whether the upgrade is owned
+     */
+    hasUpgrade(upgradeId) {
+        return !!this.purchasedUpgrades[upgradeId] ||
+            this.roundUpgrades.includes(upgradeId) ||
+            this.enemyUpgrades.includes(upgradeId);
+    }
+    
+    /**
+     * Get the ids of every owned player upgrade (gold and XP)
+     * @returns {Array<string>} - Owned upgrade ids
+     */
+    getOwnedUpgradeIds() {
+        return [...Object.keys(this.purchasedUpgrades), ...this.roundUpgrades];
+    }
+    
+    /**
+     * Get the prerequisites of an upgrade that are not owned yet
+     * @param {string} upgradeId - ID of the upgrade
+     * @returns {Array<string>} - Missing prerequisite ids
+     */
+    getMissingPrerequisites(upgradeId) {
+        return upgradeRegistry.getMissingPrerequisites(upgradeId, id => this.hasUpgrade(id));
+    }
+    
+    /**
+     * Get the player's balance in a currency
+     * @param {string} currency - 'gold' or 'xp'
+     * @returns {number} - Current balance
+     */
+    getBalance(currency) {
+        return this.wallets.player.getBalance(currency);
+    }
+    
     /**
      * Check if an upgrade is available for purchase
      * @param {string} upgradeId - ID of the upgrade
      * @returns {boolean} - Whether the upgrade can be purchased
      */
     canPurchaseUpgrade(upgradeId) {
-        const upgrade = this.economyConfig.baseUpgrades[upgradeId];
-        if (!upgrade) return false;
+        const upgrade = upgradeRegistry.get(upgradeId);
+        if (!upgrade || !upgrade.currency) return false;
         
         // Check if already purchased
-        if (this.purchasedUpgrades[upgradeId]) return false;
+        if (this.hasUpgrade(upgradeId)) return false;
         
-        // Check if features required are unlocked
-        if (upgradeId === 'longbowTraining' && !this.unlockedFeatures.longbowTraining) {
-            return false;
-        }
+        // Check that required upgrades are owned
+        if (this.getMissingPrerequisites(upgradeId).length > 0) return false;
         
-        // Check if player has enough gold
-        return this.gold >= upgrade.cost;
+        // Check if player has enough gold or XP
+        return this.getBalance(upgrade.currency) >= upgrade.cost;
     }
     
     /**
-     * Purchase an upgrade
+     * Purchase an upgrade with its currency and apply its persistent effects
+     * Stat modifiers are applied by the scenes from the owned upgrade list
      * @param {string} upgradeId - ID of the upgrade to purchase
      * @returns {boolean} - Whether the purchase was successful
      */
     purchaseUpgrade(upgradeId) {
-        const upgrade = this.economyConfig.baseUpgrades[upgradeId];
+        const upgrade = upgradeRegistry.get(upgradeId);
         
-        if (!upgrade) {
+        if (!upgrade || !upgrade.currency) {
             console.log(`Upgrade ${upgradeId} not found.`);
             return false;
         }
         
-        if (this.purchasedUpgrades[upgradeId]) {
+        if (this.hasUpgrade(upgradeId)) {
             console.log(`Upgrade ${upgradeId} already purchased.`);
             return false;
         }
         
-        // Verify any feature requirements
-        if (upgradeId === 'longbowTraining' && !this.unlockedFeatures.longbowTraining) {
-            console.log('Longbow training not unlocked yet.');
+        // Verify prerequisites
+        const missing = this.getMissingPrerequisites(upgradeId);
+        if (missing.length > 0) {
+            console.log(`Upgrade ${upgradeId} requires: ${missing.join(', ')}`);
             return false;
         }
         
-        if (this.spendGold(upgrade.cost, `upgrade: ${upgradeId}`)) {
-            this.purchasedUpgrades[upgradeId] = true;
-            console.log(`Purchased upgrade: ${upgradeId} - ${upgrade.description}`);
-            return true;
-        }
+        const paid = upgrade.currency === 'xp'
+            ? this.spendXP(upgrade.cost, `upgrade: ${upgradeId}`)
+            : this.spendGold(upgrade.cost, `upgrade: ${upgradeId}`);
+        if (!paid) return false;
         
-        return false;
-    }
-    
-    /**
-     * Purchase a round-based upgrade with XP
-     * @param {string} upgradeId - ID of the upgrade to purchase 
-     * @param {number} cost - Cost in XP
-     * @returns {boolean} - Whether the purchase was successful
-     */
-    purchaseRoundUpgrade(upgradeId, cost) {
-        // Check if already purchased
-        if (this.roundUpgrades.includes(upgradeId)) {
-            console.log(`Round upgrade ${upgradeId} already purchased.`);
-            return false;
-        }
-        
-        // Try to spend XP
-        if (this.spendXP(cost, `round upgrade: ${upgradeId}`)) {
-            // Add to purchased round upgrades
+        if (upgrade.currency === 'xp') {
             this.roundUpgrades.push(upgradeId);
-            
-            // Apply the upgrade effects
-            this.applyRoundUpgradeEffect(upgradeId);
-            
-            console.log(`Purchased round upgrade: ${upgradeId}`);
-            return true;
+        } else {
+            this.purchasedUpgrades[upgradeId] = true;
         }
         
-        return false;
+        this.applyUpgradeEffects(upgradeId);
+        
+        console.log(`Purchased upgrade: ${upgradeId} - ${upgrade.description}`);
+        eventBus.emit(GAME_EVENTS.UPGRADE_PURCHASED, {
+            upgradeId,
+            upgrade,
+            currency: upgrade.currency,
+            cost: upgrade.cost
+        });
+        return true;
     }
     
     /**
-     * Apply effect of a round upgrade
+     * Apply the feature unlocks and config patches of an upgrade
      * @param {string} upgradeId - ID of the upgrade to apply
      */
-    applyRoundUpgradeEffect(upgradeId) {
-        const upgrade = this.economyConfig.roundUpgrades[upgradeId];
-        if (!upgrade) return;
-        
-        // Apply specific upgrade effects
-        switch(upgradeId) {
-            case 'unlockLongbowTraining':
-                // Unlock the longbowman training feature
-                this.unlockedFeatures.longbowTraining = true;
-                console.log('Unlocked longbowman training feature');
-                break;
-                
-            // Add more round upgrade effects here
-            
-            default:
-                console.log(`No effect implementation for round upgrade: ${upgradeId}`);
-                break;
-        }
+    applyUpgradeEffects(upgradeId) {
+        upgradeRegistry.getEffects(upgradeId).forEach(effect => {
+            switch (effect.type) {
+                case 'unlockFeature':
+                    this.unlockedFeatures[effect.feature] = true;
+                    console.log(`Unlocked feature: ${effect.feature}`);
+                    break;
+                    
+                case 'configPatch':
+                    applyConfigPatch(this.economyConfig, effect);
+                    break;
+                    
+                default:
+                    // Stat modifiers are applied to entities by the scenes
+                    break;
+            }
+        });
     }
     
     /**
@@ -388,29 +497,35 @@ class GameManager {
      * @param {string} upgradeId - ID of the enemy upgrade to add
      */
     addEnemyUpgrade(upgradeId) {
+        const upgrade = upgradeRegistry.get(upgradeId);
+        if (!upgrade || upgrade.category !== 'enemy') {
+            console.log(`Enemy upgrade ${upgradeId} not found.`);
+            return;
+        }
+        
         // Don't add duplicates
         if (this.enemyUpgrades.includes(upgradeId)) return;
         
         this.enemyUpgrades.push(upgradeId);
+        this.applyUpgradeEffects(upgradeId);
         console.log(`Added enemy upgrade: ${upgradeId}`);
     }
     
     /**
-     * Get all enemy upgrade effects for the current state
-     * @returns {Object} - Collection of enemy upgrade effects
+     * Get the multipliers granted to the enemy by enemy upgrades
+     * @returns {{ baseHealth: number, troopHealth: number, income: number }} - Enemy multipliers (1 = unchanged)
      */
     getEnemyUpgradeEffects() {
-        const effects = {};
-        
-        // Process all enemy upgrades
-        this.enemyUpgrades.forEach(upgradeId => {
-            const upgrade = this.economyConfig.enemyUpgrades[upgradeId];
-            if (upgrade) {
-                effects[upgrade.effectKey] = upgrade.effectValue;
-            }
+        const stats = new StatBlock({ baseHealth: 1, troopHealth: 1, income: 1 });
+        upgradeRegistry.getStatModifiers(this.enemyUpgrades, 'enemy').forEach(modifier => {
+            stats.addModifier(modifier);
         });
         
-        return effects;
+        return {
+            baseHealth: stats.get('baseHealth'),
+            troopHealth: stats.get('troopHealth'),
+            income: stats.get('income')
+        };
     }
     
     /**
@@ -422,6 +537,48 @@ class GameManager {
         return !!this.unlockedFeatures[featureId];
     }
     
+    /**
+     * Serialize the game state into a plain object for saving
+     * Only economy config values that differ from the defaults are stored
+     * @returns {Object} - Serializable game state
+     */
+    serialize() {
+        return {
+            difficulty: this.difficulty,
+            currentRound: this.currentRound,
+            gold: this.gold,
+            xp: this.xp,
+            purchasedUpgrades: { ...this.purchasedUpgrades },
+            roundUpgrades: [...this.roundUpgrades],
+            enemyUpgrades: [...this.enemyUpgrades],
+            unlockedFeatures: { ...this.unlockedFeatures },
+            economyOverrides: diffConfig(this.economyConfig, createDefaultEconomyConfig()) || {},
+            runStats: JSON.parse(JSON.stringify(this.runStats))
+        };
+    }
+    
+    /**
+     * Restore game state from a serialized object
+     * Missing fields fall back to their new-game values
+     * @param {Object} state - State previously produced by serialize()
+     */
+    loadState(state) {
+        this.resetGame();
+        
+        this.difficulty = state.difficulty || null;
+        this.currentRound = state.currentRound || 1;
+        this.gold = typeof state.gold === 'number' ? state.gold : this.gold;
+        this.xp = typeof state.xp === 'number' ? state.xp : this.xp;
+        this.purchasedUpgrades = { ...(state.purchasedUpgrades || {}) };
+        this.roundUpgrades = [...(state.roundUpgrades || [])];
+        this.enemyUpgrades = [...(state.enemyUpgrades || [])];
+        this.unlockedFeatures = { ...(state.unlockedFeatures || {}) };
+        this.economyConfig = mergeConfig(createDefaultEconomyConfig(), state.economyOverrides);
+        this.runStats = mergeConfig(createRunStats(), state.runStats);
+        
+        console.log(`Game state loaded: round ${this.currentRound}, ${this.gold} gold, ${this.xp} XP`);
+    }
+    
     /**
      * Advance to the next round
      * @returns {number} The new current round
@@ -0,0 +1,272 @@
+/**
+ * ReplayManager.js
+ * Records rounds as seeded input logs and exports/imports them as JSON files, implemented as a singleton
+ * GameScene records the player's actions and the enemy AI's decisions, ReplayScene plays them back
+ */
+
+import eventBus, { GAME_EVENTS } from './EventBus.js';
+
+// Identifies replay files and their schema version
+export const REPLAY_FORMAT = 'archery2-replay';
+export const REPLAY_VERSION = 1;
+
+// Action types in a replay log and their required fields
+// Every action also has `t` - milliseconds of game time since the round started
+export const REPLAY_ACTIONS = {
+    keys: ['left', 'right', 'up', 'down', 'space'], // Hero key state after it changed
+    chargeStart: ['x', 'y'],                        // Pointer down (world coordinates)
+    release: ['x', 'y'],                            // Pointer up - shoot at this world position
+    arrowType: ['arrowType'],                       // Arrow type picked with a number key
+    cycleArrowType: ['direction'],                  // Mouse wheel (+1 / -1)
+    spawnTroop: ['category'],                       // Troop purchase key (optional unitType)
+    upgrade: ['upgradeId'],                         // Gold upgrade hotkey
+    testSpawn: ['category'],                        // Shift+7/8/9 enemy test spawn
+    stance: ['stance'],                             // Army command (advance / charge / hold / fallBack)
+    rally: ['x'],                                   // Rally flag planted (world x) - the army gathers there
+    enemyWave: ['wave']                             // Enemy AI wave purchase
+};
+
+/**
+ * Validate a parsed replay file
+ * @param {Object} data - Parsed replay JSON
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateReplay(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['replay: expected an object'];
+    }
+    
+    if (data.format !== REPLAY_FORMAT) {
+        return [`format: expected "${REPLAY_FORMAT}", got ${JSON.stringify(data.format)} (not a replay file?)`];
+    }
+    
+    const errors = [];
+    
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > REPLAY_VERSION) {
+        errors.push(`version: expected 1 to ${REPLAY_VERSION}, got ${JSON.stringify(data.version)}`);
+    }
+    
+    if (!Number.isInteger(data.seed) || data.seed < 0) {
+        errors.push(`seed: expected a non-negative integer, got ${JSON.stringify(data.seed)}`);
+    }
+    
+    if (!data.startState || typeof data.startState !== 'object' || Array.isArray(data.startState)) {
+        errors.push('startState: expected the game state from the start of the round');
+    }
+    
+    if (!Array.isArray(data.actions)) {
+        errors.push('actions: expected an array');
+        return errors;
+    }
+    
+    let previousTime = 0;
+    data.actions.forEach((action, index) => {
+        const path = `actions[${index}]`;
+        
+        if (!action || typeof action !== 'object') {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+        
+        if (typeof action.t !== 'number' || !Number.isFinite(action.t) || action.t < previousTime) {
+            errors.push(`${path}.t: expected a time >= ${previousTime}, got ${JSON.stringify(action.t)}`);
+        } else {
+            previousTime = action.t;
+        }
+        
+        const fields = REPLAY_ACTIONS[action.type];
+        if (!fields) {
+            errors.push(`${path}.type: unknown action ${JSON.stringify(action.type)}`);
+            return;
+        }
+        
+        fields.filter(field => action[field] === undefined).forEach(field => {
+            errors.push(`${path}.${field}: required for ${action.type} actions`);
+        });
+    });
+    
+    return errors;
+}
+
+class ReplayManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (ReplayManager.instance) {
+            return ReplayManager.instance;
+        }
+        
+        ReplayManager.instance = this;
+        
+        this.recording = null;     // Replay being recorded
+        this.startTime = 0;        // Scene time the recording started at
+        this.lastReplay = null;    // Most recently finished recording (for export after the round)
+        
+        // The round result ends the recording
+        eventBus.on(GAME_EVENTS.ROUND_ENDED, ({ victory, time }) => {
+            this.finishRecording({ victory, time });
+        }, this);
+    }
+    
+    /**
+     * Whether a round is being recorded
+     * @returns {boolean} - Recording state
+     */
+    get isRecording() {
+        return this.recording !== null;
+    }
+    
+    /**
+     * Start recording a round
+     * @param {Object} options - { seed, startState, startTime, round, difficulty }
+     */
+    startRecording({ seed, startState, startTime, round, difficulty }) {
+        this.startTime = startTime;
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: new Date().toISOString(),
+            round,
+            difficulty,
+            seed,
+            result: null,          // 'victory' or 'defeat' once the round ended
+            duration: 0,
+            startState: JSON.parse(JSON.stringify(startState)),
+            actions: []
+        };
+        
+        console.log(`Recording replay of round ${round} (seed ${seed})`);
+    }
+    
+    /**
+     * Add an action to the recording (ignored when nothing is being recorded)
+     * @param {Object} action - { type, ...fields } (see REPLAY_ACTIONS)
+     * @param {number} now - Current scene time
+     */
+    record(action, now) {
+        if (!this.recording) return;
+        
+        this.recording.actions.push({ t: Math.max(0, Math.round(now - this.startTime)), ...action });
+    }
+    
+    /**
+     * Stop recording and keep the replay for export (safe to call when not recording)
+     * @param {Object} options - { victory, time } (both optional, e.g. when the scene is left mid-round)
+     * @returns {Object|null} - The finished replay
+     */
+    finishRecording({ victory = null, time = null } = {}) {
+        if (!this.recording) return null;
+        
+        const replay = this.recording;
+        if (victory !== null) {
+            replay.result = victory ? 'victory' : 'defeat';
+        }
+        
+        const lastActionTime = replay.actions.length > 0 ? replay.actions[replay.actions.length - 1].t : 0;
+        replay.duration = time !== null ? Math.round(time - this.startTime) : lastActionTime;
+        
+        this.recording = null;
+        this.lastReplay = replay;
+        
+        console.log(`Replay recorded: ${replay.actions.length} actions over ${Math.round(replay.duration / 1000)}s`);
+        return replay;
+    }
+    
+    /**
+     * Get the replay to export - the round in progress (up to now) or the last finished one
+     * @param {number} now - Current scene time (used for the duration of a round in progress)
+     * @returns {Object|null} - Replay data
+     */
+    getCurrentReplay(now = null) {
+        if (!this.recording) return this.lastReplay;
+        
+        const snapshot = JSON.parse(JSON.stringify(this.recording));
+        if (now !== null) {
+            snapshot.duration = Math.round(now - this.startTime);
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Parse the contents of a replay file
+     * @param {string} text - File contents
+     * @returns {{ replay: Object|null, errors: Array<string> }} - The replay, or the reasons it was rejected
+     */
+    parseReplay(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { replay: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+        
+        const errors = validateReplay(data);
+        return { replay: errors.length === 0 ? data : null, errors };
+    }
+    
+    /**
+     * Download a replay as a JSON file
+     * @param {Object} replay - Replay data
+     * @returns {boolean} - Whether the download was started
+     */
+    exportReplay(replay) {
+        if (!replay || typeof document === 'undefined') {
+            console.warn('Replay export skipped: nothing recorded or no browser document');
+            return false;
+        }
+        
+        try {
+            const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const stamp = replay.recordedAt ? replay.recordedAt.slice(0, 19).replace(/[:T]/g, '-') : 'unknown';
+            
+            link.href = url;
+            link.download = `archery2-replay-round${replay.round}-${stamp}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            console.log(`Replay exported (${replay.actions.length} actions)`);
+            return true;
+        } catch (error) {
+            console.warn('Error exporting replay:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Ask the user for a replay file and parse it
+     * @returns {Promise<Object|null>} - { replay, errors } or null if no file was chosen
+     */
+    importReplay() {
+        return new Promise(resolve => {
+            if (typeof document === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            
+            input.addEventListener('cancel', () => resolve(null));
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                
+                file.text()
+                    .then(text => resolve(this.parseReplay(text)))
+                    .catch(error => resolve({ replay: null, errors: [`Could not read ${file.name}: ${error.message}`] }));
+            });
+            
+            input.click();
+        });
+    }
+}
+
+// Create and export a single instance
+export default new ReplayManager();
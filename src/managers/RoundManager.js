@@ -0,0 +1,227 @@
+/**
+ * RoundManager.js
+ * Holds the campaign round definitions loaded from src/data/rounds.json
+ * Validates the definitions and falls back to safe defaults for malformed rounds
+ */
+
+import { TROOP_CONFIGS } from '../entities/Troop.js';
+import gameManager from './GameManager.js';
+import upgradeRegistry from './UpgradeRegistry.js';
+
+// Used when the JSON is missing or a round entry is malformed
+const DEFAULT_ROUND = {
+    round: 1,
+    startingGold: 100,
+    enemyBaseHealth: 300,
+    waves: [],
+    playerUpgrades: ['unlockLongbowTraining'],
+    enemyUpgrades: ['enemyBaseHealthBoost']
+};
+
+/**
+ * Validate campaign round definitions
+ * @param {Object} data - Parsed contents of rounds.json
+ * @param {Object} known - Known ids: { categories, playerUpgrades, enemyUpgrades }
+ * @returns {{ errors: Array<string>, invalidRounds: Set<number> }} - Error messages and indexes of malformed rounds
+ */
+export function validateRoundDefinitions(data, known) {
+    const errors = [];
+    const invalidRounds = new Set();
+    
+    if (!data || typeof data !== 'object' || !Array.isArray(data.rounds)) {
+        errors.push('rounds.json: expected an object with a "rounds" array');
+        return { errors, invalidRounds };
+    }
+    
+    if (data.rounds.length === 0) {
+        errors.push('rounds: expected at least one round definition');
+    }
+    
+    data.rounds.forEach((round, index) => {
+        const path = `rounds[${index}]`;
+        const roundErrors = [];
+        
+        if (!round || typeof round !== 'object' || Array.isArray(round)) {
+            errors.push(`${path}: expected an object`);
+            invalidRounds.add(index);
+            return;
+        }
+        
+        if (round.round !== index + 1) {
+            roundErrors.push(`${path}.round: expected ${index + 1} (rounds must be listed in order), got ${JSON.stringify(round.round)}`);
+        }
+        
+        if (!isNonNegativeInteger(round.startingGold)) {
+            roundErrors.push(`${path}.startingGold: expected a non-negative integer, got ${JSON.stringify(round.startingGold)}`);
+        }
+        
+        if (!isNonNegativeInteger(round.enemyBaseHealth) || round.enemyBaseHealth === 0) {
+            roundErrors.push(`${path}.enemyBaseHealth: expected a positive integer, got ${JSON.stringify(round.enemyBaseHealth)}`);
+        }
+        
+        if (!Array.isArray(round.waves)) {
+            roundErrors.push(`${path}.waves: expected an array of waves`);
+        } else {
+            round.waves.forEach((wave, waveIndex) => {
+                roundErrors.push(...validateWave(wave, `${path}.waves[${waveIndex}]`, known.categories));
+            });
+        }
+        
+        roundErrors.push(...validateUpgradePool(round.playerUpgrades, `${path}.playerUpgrades`, known.playerUpgrades));
+        roundErrors.push(...validateUpgradePool(round.enemyUpgrades, `${path}.enemyUpgrades`, known.enemyUpgrades));
+        
+        if (roundErrors.length > 0) {
+            errors.push(...roundErrors);
+            invalidRounds.add(index);
+        }
+    });
+    
+    return { errors, invalidRounds };
+}
+
+/**
+ * Validate a single enemy wave entry
+ * @param {Object} wave - Wave definition
+ * @param {string} path - Path of the wave for error messages
+ * @param {Array<string>} categories - Known troop categories
+ * @returns {Array<string>} - Error messages
+ */
+function validateWave(wave, path, categories) {
+    if (!wave || typeof wave !== 'object' || Array.isArray(wave)) {
+        return [`${path}: expected an object`];
+    }
+    
+    const errors = [];
+    
+    if (typeof wave.at !== 'number' || wave.at < 0) {
+        errors.push(`${path}.at: expected a non-negative number of milliseconds, got ${JSON.stringify(wave.at)}`);
+    }
+    
+    if (wave.spacing !== undefined && (typeof wave.spacing !== 'number' || wave.spacing <= 0)) {
+        errors.push(`${path}.spacing: expected a positive number of milliseconds, got ${JSON.stringify(wave.spacing)}`);
+    }
+    
+    if (!wave.units || typeof wave.units !== 'object' || Array.isArray(wave.units)) {
+        errors.push(`${path}.units: expected an object of troop category counts`);
+        return errors;
+    }
+    
+    const entries = Object.entries(wave.units);
+    if (entries.length === 0) {
+        errors.push(`${path}.units: expected at least one troop category`);
+    }
+    
+    entries.forEach(([category, count]) => {
+        if (!categories.includes(category)) {
+            errors.push(`${path}.units.${category}: unknown troop category (expected one of ${categories.join(', ')})`);
+        } else if (!isNonNegativeInteger(count) || count === 0) {
+            errors.push(`${path}.units.${category}: expected a positive integer count, got ${JSON.stringify(count)}`);
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Validate a list of upgrade ids offered after a round
+ * @param {Array<string>} pool - Upgrade ids
+ * @param {string} path - Path of the pool for error messages
+ * @param {Array<string>} knownIds - Upgrade ids that exist
+ * @returns {Array<string>} - Error messages
+ */
+function validateUpgradePool(pool, path, knownIds) {
+    if (!Array.isArray(pool)) {
+        return [`${path}: expected an array of upgrade ids`];
+    }
+    
+    const errors = [];
+    pool.forEach((upgradeId, index) => {
+        if (!knownIds.includes(upgradeId)) {
+            errors.push(`${path}[${index}]: unknown upgrade "${upgradeId}" (expected one of ${knownIds.join(', ')})`);
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Check that a value is an integer >= 0
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a non-negative integer
+ */
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+class RoundManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (RoundManager.instance) {
+            return RoundManager.instance;
+        }
+        
+        RoundManager.instance = this;
+        
+        // Until definitions are loaded every round uses the defaults
+        this.rounds = [DEFAULT_ROUND];
+    }
+    
+    /**
+     * Load round definitions, replacing malformed rounds with the previous valid one
+     * @param {Object} data - Parsed contents of rounds.json
+     * @returns {Array<string>} - Validation error messages (empty if valid)
+     */
+    setDefinitions(data) {
+        const { errors, invalidRounds } = validateRoundDefinitions(data, {
+            categories: Object.keys(TROOP_CONFIGS),
+            playerUpgrades: upgradeRegistry.ids({ currency: 'xp' }),
+            enemyUpgrades: upgradeRegistry.ids({ category: 'enemy' })
+        });
+        
+        if (errors.length > 0) {
+            console.error(`rounds.json has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`);
+        }
+        
+        const definitions = data && Array.isArray(data.rounds) ? data.rounds : [];
+        if (definitions.length === 0) {
+            this.rounds = [DEFAULT_ROUND];
+            return errors;
+        }
+        
+        this.rounds = [];
+        definitions.forEach((round, index) => {
+            if (invalidRounds.has(index)) {
+                // Fall back to the previous valid round so the campaign stays playable
+                const fallback = this.rounds[index - 1] || DEFAULT_ROUND;
+                this.rounds.push({ ...fallback, round: index + 1 });
+            } else {
+                this.rounds.push(round);
+            }
+        });
+        
+        console.log(`Loaded ${this.rounds.length} round definitions`);
+        return errors;
+    }
+    
+    /**
+     * Get the definition for a round
+     * Rounds beyond the last definition reuse the final round
+     * @param {number} roundNumber - Round number (1-based)
+     * @returns {Object} - Round definition
+     */
+    getRound(roundNumber) {
+        const index = Math.min(Math.max(roundNumber, 1), this.rounds.length) - 1;
+        return this.rounds[index];
+    }
+    
+    /**
+     * Get the definition for the GameManager's current round
+     * @returns {Object} - Round definition
+     */
+    getCurrentRound() {
+        return this.getRound(gameManager.currentRound);
+    }
+}
+
+// Create and export a single instance
+export default new RoundManager();
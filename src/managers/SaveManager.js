@@ -0,0 +1,160 @@
+/**
+ * SaveManager.js
+ * Persists the GameManager state to localStorage so campaigns can be continued
+ * Saves carry a schema version and are migrated forward when loaded
+ */
+
+import gameManager from './GameManager.js';
+
+// localStorage key for the campaign save
+const SAVE_KEY = 'archery2.save';
+
+// Current save schema version - bump this and add a migration when the save format changes
+const SAVE_VERSION = 3;
+
+// Migrations keyed by the version they upgrade FROM
+// Each migration receives a save of that version and returns the save for the next version
+const MIGRATIONS = {
+    // v2 added run statistics - older campaigns start counting from zero
+    1: (save) => ({
+        ...save,
+        state: {
+            ...save.state,
+            runStats: { kills: {}, goldEarned: 0, goldSpent: 0, xpEarned: 0 }
+        }
+    }),
+    
+    // v3 added per-round match statistics - rounds played before that have no report
+    2: (save) => ({
+        ...save,
+        state: {
+            ...save.state,
+            runStats: { ...save.state.runStats, rounds: [] }
+        }
+    })
+};
+
+class SaveManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (SaveManager.instance) {
+            return SaveManager.instance;
+        }
+        
+        SaveManager.instance = this;
+    }
+    
+    /**
+     * Get localStorage if the browser allows access to it
+     * @returns {Storage|null} - The storage object or null if unavailable
+     */
+    getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Access can throw when storage is disabled (e.g. privacy settings)
+            return null;
+        }
+    }
+    
+    /**
+     * Check if a saved campaign exists
+     * @returns {boolean} - Whether a save is stored
+     */
+    hasSave() {
+        const storage = this.getStorage();
+        return !!(storage && storage.getItem(SAVE_KEY));
+    }
+    
+    /**
+     * Write the current game state to localStorage
+     * @param {string} resumeScene - Scene to start when the save is continued
+     * @returns {boolean} - Whether the save was written
+     */
+    save(resumeScene = 'GameScene') {
+        const storage = this.getStorage();
+        if (!storage) {
+            console.warn('Save skipped: localStorage is not available');
+            return false;
+        }
+        
+        const save = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            resumeScene: resumeScene,
+            state: gameManager.serialize()
+        };
+        
+        try {
+            storage.setItem(SAVE_KEY, JSON.stringify(save));
+            console.log(`Game saved at round ${save.state.currentRound} (resume in ${resumeScene})`);
+            return true;
+        } catch (error) {
+            console.warn('Error writing save:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved campaign into the GameManager
+     * @returns {Object|null} - The loaded (migrated) save, or null if nothing could be loaded
+     */
+    load() {
+        const storage = this.getStorage();
+        const raw = storage ? storage.getItem(SAVE_KEY) : null;
+        if (!raw) return null;
+        
+        try {
+            const save = this.migrate(JSON.parse(raw));
+            gameManager.loadState(save.state);
+            return save;
+        } catch (error) {
+            console.warn('Error loading save:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Upgrade a save object to the current schema version
+     * @param {Object} save - Parsed save data
+     * @returns {Object} - Save data at SAVE_VERSION
+     */
+    migrate(save) {
+        if (!save || typeof save !== 'object' || !save.state) {
+            throw new Error('Save data is malformed');
+        }
+        
+        let version = typeof save.version === 'number' ? save.version : 0;
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+        }
+        
+        let migrated = save;
+        while (version < SAVE_VERSION) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            
+            migrated = migration(migrated);
+            version++;
+            migrated.version = version;
+            console.log(`Migrated save to version ${version}`);
+        }
+        
+        return migrated;
+    }
+    
+    /**
+     * Delete the saved campaign
+     */
+    clear() {
+        const storage = this.getStorage();
+        if (storage) {
+            storage.removeItem(SAVE_KEY);
+        }
+    }
+}
+
+// Create and export a single instance
+export default new SaveManager();
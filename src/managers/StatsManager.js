@@ -0,0 +1,235 @@
+/**
+ * StatsManager.js
+ * Collects per-round match statistics from the event bus, implemented as a singleton
+ * Finished rounds are kept in gameManager.runStats.rounds so they are saved with the run
+ */
+
+import gameManager from './GameManager.js';
+import eventBus, { GAME_EVENTS } from './EventBus.js';
+
+/**
+ * Build empty statistics for a round
+ * @param {number} round - Round number
+ * @returns {Object} - Fresh round statistics
+ */
+function createRoundStats(round) {
+    const perCategory = () => ({ Light: 0, Ranged: 0, Heavy: 0 });
+    
+    return {
+        round,
+        victory: null,              // Whether the enemy base was destroyed
+        duration: 0,                // Milliseconds of game time
+        arrowsFired: 0,             // Hero shots (split forks count as part of their shot)
+        arrowsHit: 0,               // Shots that hit an enemy troop or the enemy base at least once
+        maxPowerShots: 0,
+        damageBySource: {},         // Damage source id -> damage dealt to enemies
+        damageTaken: { hero: 0, base: 0, troops: 0 },
+        troopsSpawned: perCategory(), // Player troops
+        troopsLost: perCategory(),
+        enemiesKilled: perCategory(),
+        goldIncome: { passive: 0, kills: 0, other: 0 }
+    };
+}
+
+/**
+ * Add the numbers of one stats object into another (mutates and returns the total)
+ * @param {Object} total - Accumulated stats
+ * @param {Object} stats - Stats to add
+ * @returns {Object} - The updated total
+ */
+function addStats(total, stats) {
+    Object.keys(stats).forEach(key => {
+        const value = stats[key];
+        
+        if (typeof value === 'number') {
+            total[key] = (total[key] || 0) + value;
+        } else if (value && typeof value === 'object') {
+            total[key] = addStats(total[key] || {}, value);
+        }
+    });
+    
+    return total;
+}
+
+class StatsManager {
+    constructor() {
+        // Ensure singleton pattern
+        if (StatsManager.instance) {
+            return StatsManager.instance;
+        }
+        
+        StatsManager.instance = this;
+        
+        // Statistics of the round in progress (null between rounds)
+        this.current = null;
+        this.roundStartTime = 0;
+        
+        // Hero shots that already counted as a hit this round
+        this.hitShots = new WeakSet();
+        
+        eventBus.on(GAME_EVENTS.ROUND_STARTED, this.onRoundStarted, this);
+        eventBus.on(GAME_EVENTS.ROUND_ENDED, this.onRoundEnded, this);
+        eventBus.on(GAME_EVENTS.ARROW_FIRED, this.onArrowFired, this);
+        eventBus.on(GAME_EVENTS.ARROW_HIT, this.onArrowHit, this);
+        eventBus.on(GAME_EVENTS.DAMAGE_DEALT, this.onDamageDealt, this);
+        eventBus.on(GAME_EVENTS.TROOP_SPAWNED, this.onTroopSpawned, this);
+        eventBus.on(GAME_EVENTS.TROOP_KILLED, this.onTroopKilled, this);
+        eventBus.on(GAME_EVENTS.GOLD_CHANGED, this.onGoldChanged, this);
+    }
+    
+    /**
+     * Start collecting a new round
+     * @param {Object} event - roundStarted payload
+     */
+    onRoundStarted({ round, time }) {
+        this.current = createRoundStats(round);
+        this.roundStartTime = time || 0;
+        this.hitShots = new WeakSet();
+    }
+    
+    /**
+     * Finish the round in progress and add it to the run
+     * @param {Object} event - roundEnded payload
+     */
+    onRoundEnded({ victory, time }) {
+        if (!this.current) return;
+        
+        this.current.victory = !!victory;
+        this.current.duration = Math.max(0, (time || 0) - this.roundStartTime);
+        
+        if (!Array.isArray(gameManager.runStats.rounds)) {
+            gameManager.runStats.rounds = [];
+        }
+        gameManager.runStats.rounds.push(this.current);
+        
+        console.log(`Round ${this.current.round} stats recorded`);
+        this.current = null;
+    }
+    
+    /**
+     * Count a hero shot
+     * @param {Object} event - arrowFired payload
+     */
+    onArrowFired({ arrow, isEnemyArrow, isMaxPower }) {
+        if (!this.current || isEnemyArrow || arrow.options.splitFrom) return;
+        
+        this.current.arrowsFired++;
+        if (isMaxPower) {
+            this.current.maxPowerShots++;
+        }
+    }
+    
+    /**
+     * Count a hero shot as a hit the first time it (or one of its forks) hits something
+     * @param {Object} event - arrowHit payload
+     */
+    onArrowHit({ arrow }) {
+        if (!this.current || arrow.options.isEnemyArrow) return;
+        
+        const shot = arrow.options.splitFrom || arrow;
+        if (this.hitShots.has(shot)) return;
+        
+        this.hitShots.add(shot);
+        this.current.arrowsHit++;
+    }
+    
+    /**
+     * Add damage to the dealt-by-source or taken totals
+     * @param {Object} event - damageDealt payload
+     */
+    onDamageDealt({ targetType, amount, source, isEnemy }) {
+        if (!this.current) return;
+        
+        if (isEnemy) {
+            const key = source || 'unknown';
+            this.current.damageBySource[key] = (this.current.damageBySource[key] || 0) + amount;
+        } else if (targetType === 'hero') {
+            this.current.damageTaken.hero += amount;
+        } else if (targetType === 'base') {
+            this.current.damageTaken.base += amount;
+        } else {
+            this.current.damageTaken.troops += amount;
+        }
+    }
+    
+    /**
+     * Count a player troop
+     * @param {Object} event - troopSpawned payload
+     */
+    onTroopSpawned({ category, isEnemy }) {
+        if (!this.current || isEnemy) return;
+        
+        this.current.troopsSpawned[category] = (this.current.troopsSpawned[category] || 0) + 1;
+    }
+    
+    /**
+     * Count a lost player troop or a killed enemy
+     * @param {Object} event - troopKilled payload
+     */
+    onTroopKilled({ category, isEnemy }) {
+        if (!this.current) return;
+        
+        const counts = isEnemy ? this.current.enemiesKilled : this.current.troopsLost;
+        counts[category] = (counts[category] || 0) + 1;
+    }
+    
+    /**
+     * Split gold income into passive income, kill rewards and everything else
+     * @param {Object} event - goldChanged payload
+     */
+    onGoldChanged({ amount, reason, side }) {
+        if (!this.current || amount <= 0 || side === 'enemy') return;
+        
+        const income = this.current.goldIncome;
+        if (reason === 'passive') {
+            income.passive += amount;
+        } else if (reason === 'enemy kill') {
+            income.kills += amount;
+        } else {
+            income.other += amount;
+        }
+    }
+    
+    /**
+     * Get the statistics of every finished round of the run
+     * @returns {Array<Object>} - Round statistics in play order
+     */
+    getRounds() {
+        return gameManager.runStats.rounds || [];
+    }
+    
+    /**
+     * Get the statistics of a finished round (the latest attempt if it was replayed)
+     * @param {number} round - Round number
+     * @returns {Object|null} - Round statistics
+     */
+    getRoundStats(round) {
+        const rounds = this.getRounds().filter(stats => stats.round === round);
+        return rounds.length > 0 ? rounds[rounds.length - 1] : null;
+    }
+    
+    /**
+     * Sum the statistics of every finished round
+     * @returns {Object} - Totals with the same fields as a round, plus `rounds` (count)
+     */
+    getRunTotals() {
+        const totals = this.getRounds().reduce((total, stats) => addStats(total, stats), createRoundStats(0));
+        
+        delete totals.round;
+        totals.victory = null;
+        totals.rounds = this.getRounds().length;
+        return totals;
+    }
+    
+    /**
+     * Hero accuracy of a round or run
+     * @param {Object} stats - Round statistics or run totals
+     * @returns {number} - Fraction of shots that hit (0 when nothing was fired)
+     */
+    getAccuracy(stats) {
+        return stats.arrowsFired > 0 ? stats.arrowsHit / stats.arrowsFired : 0;
+    }
+}
+
+// Create and export a single instance
+export default new StatsManager();
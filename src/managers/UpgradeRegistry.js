@@ -0,0 +1,248 @@
+/**
+ * UpgradeRegistry.js
+ * Single source of truth for upgrade definitions (cost, currency, prerequisites, effects)
+ * Effects are declarative so purchase checks, UI listing and effect application share one table
+ *
+ * Effect types:
+ *   statModifier - { target, stat, operation: 'add' | 'multiply', value } applied to a StatBlock
+ *   unlockFeature - { feature } sets a GameManager unlocked feature flag
+ *   configPatch  - { path, operation: 'set' | 'add' | 'multiply', value } changes GameManager.economyConfig
+ */
+
+import UPGRADE_DEFINITIONS from '../data/upgrades.js';
+import { MODIFIER_TYPES } from '../systems/StatBlock.js';
+
+// Allowed values for definition fields
+const EFFECT_TYPES = ['statModifier', 'unlockFeature', 'configPatch'];
+const CURRENCIES = ['gold', 'xp', null];
+const CONFIG_PATCH_OPERATIONS = ['set', 'add', 'multiply'];
+
+/**
+ * Validate a single upgrade definition
+ * @param {string} id - Upgrade id
+ * @param {Object} definition - Upgrade definition
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateUpgradeDefinition(id, definition) {
+    if (!definition || typeof definition !== 'object') {
+        return [`${id}: expected an object`];
+    }
+    
+    const errors = [];
+    
+    if (typeof definition.cost !== 'number' || definition.cost < 0) {
+        errors.push(`${id}.cost: expected a non-negative number, got ${JSON.stringify(definition.cost)}`);
+    }
+    
+    if (!CURRENCIES.includes(definition.currency)) {
+        errors.push(`${id}.currency: expected one of gold, xp or null, got ${JSON.stringify(definition.currency)}`);
+    }
+    
+    if (definition.prerequisites !== undefined && !Array.isArray(definition.prerequisites)) {
+        errors.push(`${id}.prerequisites: expected an array of upgrade ids`);
+    }
+    
+    if (!Array.isArray(definition.effects)) {
+        errors.push(`${id}.effects: expected an array of effects`);
+        return errors;
+    }
+    
+    definition.effects.forEach((effect, index) => {
+        const path = `${id}.effects[${index}]`;
+        
+        if (!effect || !EFFECT_TYPES.includes(effect.type)) {
+            errors.push(`${path}.type: expected one of ${EFFECT_TYPES.join(', ')}`);
+            return;
+        }
+        
+        if (effect.type === 'statModifier') {
+            if (typeof effect.target !== 'string' || typeof effect.stat !== 'string') {
+                errors.push(`${path}: statModifier needs a target and a stat`);
+            }
+            if (effect.operation !== MODIFIER_TYPES.ADD && effect.operation !== MODIFIER_TYPES.MULTIPLY) {
+                errors.push(`${path}.operation: expected add or multiply, got ${JSON.stringify(effect.operation)}`);
+            }
+        } else if (effect.type === 'unlockFeature') {
+            if (typeof effect.feature !== 'string') {
+                errors.push(`${path}.feature: expected a feature id`);
+            }
+        } else if (effect.type === 'configPatch') {
+            if (typeof effect.path !== 'string') {
+                errors.push(`${path}.path: expected a dotted config path`);
+            }
+            if (!CONFIG_PATCH_OPERATIONS.includes(effect.operation)) {
+                errors.push(`${path}.operation: expected one of ${CONFIG_PATCH_OPERATIONS.join(', ')}`);
+            }
+            if (effect.floor !== undefined && typeof effect.floor !== 'boolean') {
+                errors.push(`${path}.floor: expected true or false`);
+            }
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Apply a configPatch effect to a config object (mutates the config)
+ * @param {Object} config - Config to patch (e.g. GameManager.economyConfig)
+ * @param {Object} effect - configPatch effect
+ * @returns {boolean} - Whether the patch was applied
+ */
+export function applyConfigPatch(config, effect) {
+    const keys = effect.path.split('.');
+    const lastKey = keys.pop();
+    const parent = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), config);
+    
+    if (!parent || typeof parent !== 'object' || !(lastKey in parent)) {
+        console.warn(`Config patch path not found: ${effect.path}`);
+        return false;
+    }
+    
+    switch (effect.operation) {
+        case 'add':
+            parent[lastKey] += effect.value;
+            break;
+        case 'multiply':
+            parent[lastKey] *= effect.value;
+            break;
+        case 'set':
+        default:
+            parent[lastKey] = effect.value;
+            break;
+    }
+    
+    // Whole amounts (e.g. gold per tick) stay whole
+    if (effect.floor) {
+        parent[lastKey] = Math.floor(parent[lastKey]);
+    }
+    
+    return true;
+}
+
+class UpgradeRegistry {
+    constructor() {
+        // Ensure singleton pattern
+        if (UpgradeRegistry.instance) {
+            return UpgradeRegistry.instance;
+        }
+        
+        UpgradeRegistry.instance = this;
+        
+        this.upgrades = new Map(); // Upgrade id -> definition
+        
+        Object.entries(UPGRADE_DEFINITIONS).forEach(([id, definition]) => {
+            this.register(id, definition);
+        });
+    }
+    
+    /**
+     * Add an upgrade definition to the registry
+     * @param {string} id - Upgrade id
+     * @param {Object} definition - Upgrade definition
+     */
+    register(id, definition) {
+        const errors = validateUpgradeDefinition(id, definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid upgrade definition:\n  ${errors.join('\n  ')}`);
+        }
+        
+        this.upgrades.set(id, {
+            prerequisites: [],
+            ...definition,
+            id
+        });
+    }
+    
+    /**
+     * Get an upgrade definition
+     * @param {string} id - Upgrade id
+     * @returns {Object|null} - The definition (with its id) or null if unknown
+     */
+    get(id) {
+        return this.upgrades.get(id) || null;
+    }
+    
+    /**
+     * Check whether an upgrade exists
+     * @param {string} id - Upgrade id
+     * @returns {boolean} - Whether the upgrade is registered
+     */
+    has(id) {
+        return this.upgrades.has(id);
+    }
+    
+    /**
+     * List upgrades whose fields match the filter
+     * @param {Object} filter - Field values to match, e.g. { currency: 'xp' } or { category: 'enemy' }
+     * @returns {Array<Object>} - Matching definitions in registration order
+     */
+    list(filter = {}) {
+        return [...this.upgrades.values()].filter(upgrade =>
+            Object.entries(filter).every(([key, value]) => upgrade[key] === value)
+        );
+    }
+    
+    /**
+     * List the ids of upgrades whose fields match the filter
+     * @param {Object} filter - Field values to match
+     * @returns {Array<string>} - Matching upgrade ids
+     */
+    ids(filter = {}) {
+        return this.list(filter).map(upgrade => upgrade.id);
+    }
+    
+    /**
+     * Get the prerequisites of an upgrade that are not owned yet
+     * @param {string} id - Upgrade id
+     * @param {Function} isOwned - Callback returning whether an upgrade id is owned
+     * @returns {Array<string>} - Missing prerequisite ids
+     */
+    getMissingPrerequisites(id, isOwned) {
+        const upgrade = this.get(id);
+        if (!upgrade) return [];
+        
+        return upgrade.prerequisites.filter(prerequisite => !isOwned(prerequisite));
+    }
+    
+    /**
+     * Get the effects of an upgrade, optionally of one type
+     * @param {string} id - Upgrade id
+     * @param {string} type - Optional effect type to filter by
+     * @returns {Array<Object>} - Effects
+     */
+    getEffects(id, type = null) {
+        const upgrade = this.get(id);
+        if (!upgrade) return [];
+        
+        return type ? upgrade.effects.filter(effect => effect.type === type) : upgrade.effects;
+    }
+    
+    /**
+     * Build StatBlock modifiers from the statModifier effects of some upgrades
+     * @param {Array<string>} upgradeIds - Upgrades to collect modifiers from
+     * @param {string} target - Only include effects for this target (e.g. 'hero')
+     * @returns {Array<Object>} - Modifiers ready for StatBlock.addModifier
+     */
+    getStatModifiers(upgradeIds, target) {
+        const modifiers = [];
+        
+        upgradeIds.forEach(upgradeId => {
+            this.getEffects(upgradeId, 'statModifier').forEach((effect, index) => {
+                if (effect.target !== target) return;
+                
+                modifiers.push({
+                    id: `${upgradeId}.${index}`,
+                    source: upgradeId,
+                    stat: effect.stat,
+                    type: effect.operation,
+                    value: effect.value
+                });
+            });
+        });
+        
+        return modifiers;
+    }
+}
+
+// Create and export a single instance
+export default new UpgradeRegistry();
@@ -0,0 +1,177 @@
+/**
+ * GameOverScene.js
+ * Defeat screen shown when the player base is destroyed
+ * Summarizes the run and offers Retry Round, New Game and Main Menu
+ */
+
+import gameManager from '../managers/GameManager.js';
+import replayManager from '../managers/ReplayManager.js';
+
+export default class GameOverScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'GameOverScene' });
+    }
+    
+    init(data) {
+        // Round the player reached and the GameManager state from its start
+        this.roundReached = data.round || gameManager.currentRound;
+        this.roundStartSnapshot = data.snapshot || null;
+    }
+    
+    create() {
+        // Set background
+        this.add.rectangle(0, 0, this.cameras.main.width, this.cameras.main.height, 0x3d1a1a)
+            .setOrigin(0, 0);
+        
+        // Defeat header
+        this.add.text(
+            this.cameras.main.width / 2,
+            60,
+            'Defeat',
+            { fontFamily: 'Arial', fontSize: 48, color: '#FF4444', fontStyle: 'bold' }
+        ).setOrigin(0.5);
+        
+        this.add.text(
+            this.cameras.main.width / 2,
+            115,
+            `Your base fell in round ${this.roundReached}`,
+            { fontFamily: 'Arial', fontSize: 22, color: '#FFFFFF' }
+        ).setOrigin(0.5);
+        
+        // Run summary
+        this.createRunSummary();
+        
+        // Action buttons
+        const buttonY = this.cameras.main.height - 80;
+        const retryButton = this.createButton(
+            this.cameras.main.width / 2 - 220,
+            buttonY,
+            'Retry Round',
+            () => this.retryRound()
+        );
+        
+        // Retry needs the snapshot from the start of the round
+        if (!this.roundStartSnapshot) {
+            retryButton.setAlpha(0.5);
+            retryButton.disableInteractive();
+        }
+        
+        this.createButton(
+            this.cameras.main.width / 2,
+            buttonY,
+            'New Game',
+            () => this.startNewGame()
+        );
+        
+        this.createButton(
+            this.cameras.main.width / 2 + 220,
+            buttonY,
+            'Main Menu',
+            () => this.scene.start('MenuScene')
+        );
+        
+        // Share the round that was just lost (e.g. as a bug repro)
+        this.createReplayExportButton();
+    }
+    
+    /**
+     * Small top-right button that saves the round just played as a replay file
+     */
+    createReplayExportButton() {
+        const replay = replayManager.lastReplay;
+        if (!replay) return;
+        
+        const button = this.add.text(
+            this.cameras.main.width - 16,
+            16,
+            'Export Replay',
+            { fontFamily: 'Arial', fontSize: 14, color: '#CCCCCC', backgroundColor: '#00000066', padding: { x: 6, y: 4 } }
+        ).setOrigin(1, 0)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerover', () => button.setColor('#FFFFFF'))
+            .on('pointerout', () => button.setColor('#CCCCCC'))
+            .on('pointerdown', () => {
+                if (replayManager.exportReplay(replay)) {
+                    button.setText('Replay Exported');
+                }
+            });
+    }
+    
+    /**
+     * Display kills, gold and XP collected over the run
+     */
+    createRunSummary() {
+        const stats = gameManager.runStats;
+        const kills = stats.kills;
+        const totalKills = Object.values(kills).reduce((total, count) => total + count, 0);
+        
+        const lines = [
+            `Enemies killed: ${totalKills}`,
+            `   Light: ${kills.Light || 0}    Ranged: ${kills.Ranged || 0}    Heavy: ${kills.Heavy || 0}`,
+            `Gold earned: ${stats.goldEarned}`,
+            `Gold spent: ${stats.goldSpent}`,
+            `XP earned: ${stats.xpEarned}`
+        ];
+        
+        // Summary panel
+        const panelY = 290;
+        const panel = this.add.rectangle(this.cameras.main.width / 2, panelY, 500, 220, 0x000000, 0.5)
+            .setOrigin(0.5);
+        panel.setStrokeStyle(2, 0xFFFFFF);
+        
+        lines.forEach((line, index) => {
+            this.add.text(
+                this.cameras.main.width / 2 - 220,
+                panelY - 80 + index * 40,
+                line,
+                { fontFamily: 'Arial', fontSize: 20, color: index === 1 ? '#CCCCCC' : '#FFFFFF' }
+            ).setOrigin(0, 0.5);
+        });
+    }
+    
+    /**
+     * Helper method to create styled buttons
+     */
+    createButton(x, y, text, callback) {
+        // Create button background
+        const button = this.add.rectangle(x, y, 180, 50, 0x4a6fa5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', callback);
+        
+        // Add hover states
+        button.on('pointerover', () => {
+            button.fillColor = 0x6889b5;
+        });
+        
+        button.on('pointerout', () => {
+            button.fillColor = 0x4a6fa5;
+        });
+        
+        // Add text
+        this.add.text(x, y, text, {
+            fontFamily: 'Arial',
+            fontSize: 20,
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        
+        return button;
+    }
+    
+    /**
+     * Restore the state from the start of the lost round and replay it
+     */
+    retryRound() {
+        if (!this.roundStartSnapshot) return;
+        
+        gameManager.loadState(this.roundStartSnapshot);
+        this.scene.start('GameScene');
+    }
+    
+    /**
+     * Reset the game and go back to difficulty selection
+     */
+    startNewGame() {
+        gameManager.resetGame();
+        this.scene.start('DifficultyScene');
+    }
+}
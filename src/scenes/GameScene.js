@@ -4,13 +4,49 @@
  */
 
 import Hero from '../entities/Hero.js';
+import { ARROW_TYPES, ARROW_TYPE_ORDER } from '../entities/Arrow.js';
 import Base from '../entities/Base.js';
 import Troop from '../entities/Troop.js';
+import EnemyCommander from '../systems/EnemyCommander.js';
+import { createSeededRandom, createSeed } from '../systems/SeededRandom.js';
 import gameManager from '../managers/GameManager.js';
+import saveManager from '../managers/SaveManager.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+import roundManager from '../managers/RoundManager.js';
+import upgradeRegistry from '../managers/UpgradeRegistry.js';
+import replayManager from '../managers/ReplayManager.js';
+import controlsManager, { describeKey } from '../managers/ControlsManager.js';
+import audioManager from '../managers/AudioManager.js';
+import StatBlock from '../systems/StatBlock.js';
+import SpatialGrid from '../systems/SpatialGrid.js';
+import ObjectPool from '../systems/ObjectPool.js';
+import GamepadControls from '../systems/GamepadControls.js';
+import TouchControls from '../systems/TouchControls.js';
+import Formation, { FORMATION_STANCES, STANCE_LABELS, STANCE_ORDER } from '../systems/Formation.js';
+import Minimap from '../systems/Minimap.js';
+
+// Base style for pooled floating text (every key is set so reused text doesn't keep an old style)
+const FLOATING_TEXT_STYLE = {
+    fontFamily: 'Arial',
+    fontSize: '14px',
+    color: '#FFFFFF',
+    stroke: '#000000',
+    strokeThickness: 2
+};
+
+// Free camera settings
+const FREE_CAMERA_CONFIG = {
+    scrollSpeed: 900,    // Screen pixels per second
+    edgeSize: 30,        // Mouse this close to the left or right screen edge scrolls
+    zoomSmoothing: 0.15  // Fraction of the way to the target zoom per frame
+};
 
 export default class GameScene extends Phaser.Scene {
-    constructor() {
-        super({ key: 'GameScene' });
+    /**
+     * @param {Object} config - Scene config (ReplayScene reuses this scene under its own key)
+     */
+    constructor(config = { key: 'GameScene' }) {
+        super(config);
         
         // Game world constants
         this.WORLD_WIDTH = 2000;
@@ -20,12 +56,40 @@ export default class GameScene extends Phaser.Scene {
         
         // Game object references
         this.hero = null;
+        this.enemyHero = null; // Player 2's hero (versus mode only)
         this.platforms = null;
         this.playerBase = null;
         this.enemyBase = null;
         this.keys = null;
+        this.gamepadControls = null; // Controller input for the hero (hot-pluggable)
+        this.touchControls = null; // On-screen joystick and buttons for touch screens
+        this.chargePointerId = null; // Pointer (mouse or finger) that is charging a shot
         this.arrows = []; // Initialize as empty array
         this.troops = []; // Initialize troops array
+        this.heroArrows = null; // Group of arrow sprites shared by the arrow-base colliders
+        this.troopGrid = null; // Spatial index of troops (targeting, splash damage)
+        this.projectileGrid = null; // Spatial index of arrow sprites (arrow-troop hits)
+        this.pools = null; // Object pools for arrows, troop projectiles and floating text
+        this.poolStatsText = null; // Debug overlay with pool counters (toggle with `)
+        this.enemyCommander = null; // Enemy AI that buys and spawns enemy troops
+        this.formation = null; // Rows and stance of the player's army
+        this.stanceButtons = null; // HUD buttons that pick the army's stance
+        this.rallyFlag = null; // Flag drawn at the rally point while the army rallies
+        this.minimap = null; // HUD strip with the whole battlefield
+        this.cameraPeekTimer = null; // Returns the camera to the hero after a minimap click
+        this.uiCamera = null; // Unzoomed camera that draws the HUD
+        this.unassignedObjects = []; // Objects added since the last render, waiting for their camera
+        this.freeCameraActive = false; // Camera moved by the player instead of following the hero
+        this.overviewActive = false; // Free camera zoomed out to the whole battlefield
+        this.cameraKeys = null; // { left, right } keys that scroll the free camera
+        this.freeCameraText = null; // HUD note shown while the camera is free
+        this.roundStartSnapshot = null; // GameManager state at round start (for Retry Round)
+        this.roundDefinition = null; // Round settings from rounds.json
+        this.replaySeed = 0; // Seed of the enemy AI's random choices (recorded in the replay)
+        this.roundStartTime = 0; // Game time the round started at
+        this.pausedTime = 0; // Time spent in the pause menu this round (not part of the game time)
+        this.pauseStartedAt = null; // Game loop time the pause menu opened at
+        this.lastRecordedKeys = null; // Hero key state last written to the replay
         
         // Game state
         this.worldBounds = { width: this.WORLD_WIDTH, height: this.WORLD_HEIGHT }; // Wider world for sidescrolling
@@ -36,11 +100,43 @@ export default class GameScene extends Phaser.Scene {
         this.starLayers = []; // Array to store star layers for parallax
     }
 
+    /**
+     * Pick a new seed for every round so the replay can reproduce the enemy AI's choices
+     */
+    init() {
+        this.replaySeed = createSeed();
+        this.lastRecordedKeys = null;
+        this.chargePointerId = null;
+        this.pausedTime = 0;
+        this.pauseStartedAt = null;
+        this.rallyFlag = null;
+        this.cameraPeekTimer = null;
+        this.freeCameraActive = false;
+        this.overviewActive = false;
+        this.freeCameraText = null;
+    }
+    
+    /**
+     * Get the game time - scene time without the time spent paused
+     * Cooldowns, charge times and replay timestamps all use this so a pause doesn't count
+     * @returns {number} - Milliseconds
+     */
+    getGameTime() {
+        return this.time.now - this.pausedTime;
+    }
+
     preload() {
         // No assets to preload for placeholder graphics
     }
 
     create() {
+        // Remember the state at round start so a lost round can be retried
+        this.roundStartSnapshot = gameManager.serialize();
+        
+        // Look up this round's settings and hand out its starting gold
+        this.roundDefinition = roundManager.getCurrentRound();
+        gameManager.applyRoundStartingGold(this.roundDefinition.startingGold);
+        
         // Set up game world - explicitly set background color and bounds
         this.cameras.main.setBackgroundColor('#4488AA');
         
@@ -51,6 +147,31 @@ export default class GameScene extends Phaser.Scene {
         this.arrows = [];
         this.troops = [];
         
+        // Spatial indexes so targeting and hit detection only look at nearby objects
+        const gridOptions = { width: this.WORLD_WIDTH, height: this.WORLD_HEIGHT, cellSize: 100 };
+        this.troopGrid = new SpatialGrid(gridOptions);
+        this.projectileGrid = new SpatialGrid(gridOptions);
+        
+        // Arrows join this group so a single collider per base covers all of them
+        // (destroyed arrows leave the group automatically)
+        this.heroArrows = this.add.group();
+        
+        // Reuse short-lived objects instead of creating and destroying them
+        this.createPools();
+        
+        // React to combat and economy events from the entities and the GameManager
+        this.setupEventListeners();
+        
+        // Keep the game time still while the pause menu is open
+        this.setupPauseHandling();
+        
+        // Background music for the round
+        audioManager.startMusic();
+        this.events.once('shutdown', () => {
+            audioManager.stopMusic();
+            audioManager.stopBowDraw();
+        });
+        
         // Create stars in the background for parallax effect
         this.createStars();
     
@@ -60,8 +181,20 @@ export default class GameScene extends Phaser.Scene {
         // Create player and enemy bases
         this.createBases();
         
-        // Initialize hero at x=200, y=450 (near player base)
-        this.hero = new Hero(this, 200, 400);
+        // The player's troops march in rows from their base towards the enemy base
+        this.formation = new Formation(
+            this.playerBase.sprite.x,
+            Math.sign(this.enemyBase.sprite.x - this.playerBase.sprite.x),
+            false
+        );
+        
+        // Create the hero (and player 2's hero in versus mode)
+        this.createHeroes();
+        
+        // Re-apply stat upgrades bought in earlier rounds
+        gameManager.getOwnedUpgradeIds().forEach(upgradeId => {
+            this.applyUpgradeStatModifiers(upgradeId);
+        });
         
         // Set up camera to follow hero with offset and deadzone
         this.setupCamera();
@@ -75,23 +208,121 @@ export default class GameScene extends Phaser.Scene {
         // Create hero health bar
         this.createHeroHealthBar();
         
+        // Show the selected arrow type above the health bar
+        this.createArrowTypeDisplay();
+        
+        // Overview of the whole battlefield at the top of the screen
+        this.minimap = new Minimap(this);
+        
+        // Hidden debug overlay with object pool counters
+        this.createPoolStatsOverlay();
+        
         // Setup economy display and systems
         this.setupEconomySystem();
         
+        // Start the enemy AI
+        this.setupEnemyCommander();
+        
+        // Schedule the scripted enemy waves for this round
+        this.scheduleEnemyWaves();
+        
         // After everything is set up, update UI elements based on game state
         this.updateBasedOnGameState();
+        
+        // Record the round so it can be replayed
+        this.roundStartTime = this.getGameTime();
+        this.startReplayRecording();
+        
+        eventBus.emit(GAME_EVENTS.ROUND_STARTED, {
+            round: gameManager.currentRound,
+            difficulty: gameManager.difficulty,
+            definition: this.roundDefinition,
+            time: this.getGameTime()
+        });
+    }
+    
+    /**
+     * Create the player's hero near the player base
+     */
+    createHeroes() {
+        // Initialize hero at x=200, y=450 (near player base)
+        this.hero = new Hero(this, 200, 400);
+    }
+    
+    /**
+     * Subscribe the scene to the event bus
+     * Subscriptions use the scene as context and are all removed when the scene shuts down
+     */
+    setupEventListeners() {
+        eventBus.on(GAME_EVENTS.ARROW_FIRED, ({ sprite }) => this.addArrowToScene(sprite), this);
+        eventBus.on(GAME_EVENTS.DAMAGE_DEALT, this.onDamageDealt, this);
+        eventBus.on(GAME_EVENTS.TROOP_KILLED, ({ troop, isEnemy }) => {
+            if (isEnemy) {
+                this.awardGoldForKill(troop);
+            }
+        }, this);
+        eventBus.on(GAME_EVENTS.BASE_DESTROYED, ({ isPlayerBase }) => {
+            if (isPlayerBase) {
+                this.onPlayerBaseDestroyed();
+            } else {
+                this.onEnemyBaseDestroyed();
+            }
+        }, this);
+        eventBus.on(GAME_EVENTS.HERO_HEALTH_CHANGED, this.updateHeroHealthBar, this);
+        eventBus.on(GAME_EVENTS.GOLD_CHANGED, this.updateGoldDisplay, this);
+        eventBus.on(GAME_EVENTS.XP_CHANGED, this.updateXPDisplay, this);
+        eventBus.on(GAME_EVENTS.ENEMY_WAVE_SENT, ({ wave }) => {
+            replayManager.record({ type: 'enemyWave', wave }, this.getGameTime());
+        }, this);
+        
+        this.events.once('shutdown', () => eventBus.offContext(this));
+    }
+    
+    /**
+     * Show damage numbers for the hero and for enemy troops and the enemy base
+     * @param {Object} event - damageDealt payload
+     */
+    onDamageDealt({ targetType, amount, isEnemy, x, y }) {
+        if (targetType === 'hero') {
+            this.showDamageIndicator(x, y, amount, true);
+        } else if (isEnemy) {
+            this.showDamageIndicator(x, y, amount);
+        }
     }
 
     update(time, delta) {
         try {
             // Skip update if game is not active
-            if (!this.gameActive) return;
+            if (!this.gameActive) {
+                audioManager.stopBowDraw();
+                return;
+            }
             
             // Get player input and update hero
             if (this.hero && this.keys) {
-                this.hero.update(this.keys);
+                // The controller acts first (aim, shots, purchases) and holds keys alongside the keyboard
+                let keys = this.keys;
+                if (this.gamepadControls) {
+                    this.gamepadControls.update();
+                    keys = this.gamepadControls.mergeKeys(keys);
+                }
+                
+                // The touch joystick and buttons hold keys too
+                if (this.touchControls) {
+                    this.touchControls.update();
+                    keys = this.touchControls.mergeKeys(keys);
+                }
+                
+                this.recordHeroKeys(keys);
+                this.hero.update(keys);
+                
+                // Bow draw sound rises with the power level while charging
+                audioManager.updateBowDraw(this.hero.isCharging ? this.hero.powerLevel : null);
             }
             
+            // Scroll and zoom the free camera
+            this.updateFreeCamera(delta);
+            
             // Update UI
             this.updateUI();
             
@@ -103,16 +334,24 @@ export default class GameScene extends Phaser.Scene {
             // Update troop movements
             this.updateTroops(delta);
             
+            // Resolve arrow hits on enemy troops
+            this.checkArrowTroopHits();
+            
             // Clean up arrows that are out of bounds
             if (typeof this.cleanupArrows === 'function') {
                 this.cleanupArrows();
             }
             
-            // Update gold display if it exists
-            this.updateGoldDisplay();
+            // Update selected arrow type, cooldown and ammo
+            this.updateArrowTypeDisplay();
             
-            // Update XP display if it exists
-            this.updateXPDisplay();
+            // Redraw the battlefield overview
+            if (this.minimap) {
+                this.minimap.update();
+            }
+            
+            // Update pool counters if the debug overlay is open
+            this.updatePoolStatsOverlay();
         } catch (error) {
             console.warn("Error in update method:", error);
         }
@@ -190,54 +429,17 @@ export default class GameScene extends Phaser.Scene {
     // Helper method to add arrows to the management array
     addArrowToScene(arrow) {
         if (arrow && arrow.active) {
-            // Add to tracking array
-            this.arrows.push(arrow);
-            
-            // Set up collision with enemy base using overlap
-            if (this.enemyBase && this.enemyBase.sprite) {
-                this.physics.add.overlap(arrow, this.enemyBase.sprite, 
-                    (arrowSprite, baseSprite) => {
-                        const arrowObj = arrowSprite.arrowInstance;
-                        
-                        // Call the arrow's hitBase method if it exists
-                        if (arrowObj && typeof arrowObj.hitBase === 'function') {
-                            arrowObj.hitBase(arrowSprite, baseSprite);
-                        } else {
-                            // Log warning for debugging
-                            console.warn('Arrow missing hitBase method, using Base.onArrowHit fallback');
-                            
-                            // Fallback to static method if it exists
-                            if (typeof Base.onArrowHit === 'function') {
-                                Base.onArrowHit(baseSprite, arrowSprite);
-                            } else {
-                                console.error('Neither Arrow.hitBase nor Base.onArrowHit methods exist');
-                            }
-                        }
-                    },
-                    null, this);
+            // Add to tracking array (a reused pooled sprite may still be listed)
+            if (!this.arrows.includes(arrow)) {
+                this.arrows.push(arrow);
             }
             
-            // Set up collision with enemy troops
-            this.setupArrowTroopCollision(arrow);
-            
-            // Set up collision with player base (for enemy arrows in the future)
-            if (this.playerBase && this.playerBase.sprite) {
-                this.physics.add.overlap(arrow, this.playerBase.sprite, 
-                    (arrowSprite, baseSprite) => {
-                        const arrowObj = arrowSprite.arrowInstance;
-                        
-                        // Only process if this is an enemy arrow (for future use)
-                        if (arrowObj && arrowObj.options && arrowObj.options.isEnemyArrow) {
-                            // Call the arrow's hitBase method if it exists
-                            if (typeof arrowObj.hitBase === 'function') {
-                                arrowObj.hitBase(arrowSprite, baseSprite);
-                            } else if (typeof Base.onArrowHit === 'function') {
-                                Base.onArrowHit(baseSprite, arrowSprite);
-                            }
-                        }
-                    },
-                    null, this);
-            }
+            // Base collisions come from the group colliders set up in setupCollisions
+            this.heroArrows.add(arrow);
+            
+            // Troop collisions are resolved through the projectile grid
+            // (pooled sprites leave the group and grid when released, see createPools)
+            this.projectileGrid.update(arrow, arrow.x, arrow.y, arrow.width, arrow.height);
             
             // NOTE: Intentionally NOT adding collision with platforms
             // Arrows should pass through platforms completely
@@ -245,32 +447,251 @@ export default class GameScene extends Phaser.Scene {
     }
     
     /**
-     * Set up collision detection between the given arrow and enemy troops
-     * @param {Phaser.GameObjects.GameObject} arrow - The arrow to check collisions for
+     * Handle an arrow overlapping a base
+     * @param {Phaser.GameObjects.Rectangle} arrowSprite - The arrow sprite
+     * @param {Phaser.GameObjects.Rectangle} baseSprite - The base sprite
      */
-    setupArrowTroopCollision(arrow) {
-        // Skip if no troops in the scene
-        if (!this.troops || this.troops.length === 0) return;
+    onArrowHitBase(arrowSprite, baseSprite) {
+        const arrowObj = arrowSprite.arrowInstance;
+        
+        // Each base is only hit by the other side's arrows (enemy arrows come from player 2 in versus mode)
+        const isEnemyArrow = !!(arrowObj && arrowObj.options && arrowObj.options.isEnemyArrow);
+        if ((baseSprite === this.playerBase.sprite) !== isEnemyArrow) {
+            return;
+        }
+        
+        // Call the arrow's hitBase method if it exists
+        if (arrowObj && typeof arrowObj.hitBase === 'function') {
+            arrowObj.hitBase(arrowSprite, baseSprite);
+        } else {
+            // Log warning for debugging
+            console.warn('Arrow missing hitBase method, using Base.onArrowHit fallback');
+            
+            // Fallback to static method if it exists
+            if (typeof Base.onArrowHit === 'function') {
+                Base.onArrowHit(baseSprite, arrowSprite);
+            } else {
+                console.error('Neither Arrow.hitBase nor Base.onArrowHit methods exist');
+            }
+        }
+    }
+    
+    /**
+     * Refresh arrow positions in the projectile grid and let each troop pick up
+     * the other side's arrows overlapping it (and the opposing hero, in versus mode)
+     */
+    checkArrowTroopHits() {
+        if (!this.arrows || this.arrows.length === 0) return;
+        
+        for (const arrow of this.arrows) {
+            if (arrow && arrow.active) {
+                this.projectileGrid.update(arrow, arrow.x, arrow.y, arrow.width, arrow.height);
+            }
+        }
         
-        // Check for enemy troops in the scene
         for (const troop of this.troops) {
-            // Skip if troop is not an enemy or doesn't have a sprite
-            if (!troop.isEnemy || !troop.sprite || !troop.sprite.active) continue;
-            
-            // Set up collision between arrow and enemy troop
-            this.physics.add.overlap(arrow, troop.sprite, 
-                (arrowSprite, troopSprite) => {
-                    const arrowObj = arrowSprite.arrowInstance;
-                    
-                    // Call the arrow's hitEnemy method if it exists
-                    if (arrowObj && typeof arrowObj.hitEnemy === 'function') {
-                        arrowObj.hitEnemy(arrowSprite, troopSprite);
-                    }
-                },
-                null, this);
+            if (!troop.sprite || !troop.sprite.active) continue;
+            
+            const sprite = troop.sprite;
+            const halfWidth = sprite.width / 2;
+            const halfHeight = sprite.height / 2;
+            const arrows = this.projectileGrid.queryRect(
+                sprite.x - halfWidth, sprite.y - halfHeight,
+                sprite.x + halfWidth, sprite.y + halfHeight
+            );
+            
+            for (const arrowSprite of arrows) {
+                // The troop may have died from an earlier arrow this frame
+                if (!sprite.active) break;
+                
+                const arrowObj = arrowSprite.arrowInstance;
+                
+                // Arrows only hit the other side's troops
+                if (!arrowObj || !!arrowObj.options.isEnemyArrow !== troop.isEnemy) continue;
+                
+                // Call the arrow's hitEnemy method if it exists
+                if (arrowSprite.active && typeof arrowObj.hitEnemy === 'function') {
+                    arrowObj.hitEnemy(arrowSprite, sprite);
+                }
+            }
+        }
+        
+        // Heroes are hit by the other hero's arrows
+        if (this.enemyHero) {
+            this.checkArrowHeroHits(this.hero);
+            this.checkArrowHeroHits(this.enemyHero);
+        }
+    }
+    
+    /**
+     * Let a hero pick up the opposing side's arrows overlapping it
+     * @param {Hero} hero - The hero to check
+     */
+    checkArrowHeroHits(hero) {
+        if (!hero || !hero.isAlive || !hero.sprite || !hero.sprite.active) return;
+        
+        const sprite = hero.sprite;
+        const arrows = this.projectileGrid.queryRect(
+            sprite.x - sprite.width / 2, sprite.y - sprite.height / 2,
+            sprite.x + sprite.width / 2, sprite.y + sprite.height / 2
+        );
+        
+        for (const arrowSprite of arrows) {
+            const arrowObj = arrowSprite.arrowInstance;
+            if (!arrowSprite.active || !arrowObj || !!arrowObj.options.isEnemyArrow === hero.isEnemy) continue;
+            
+            arrowObj.hitHero(arrowSprite, hero);
+            if (!hero.isAlive) break;
         }
     }
 
+    /**
+     * Destroy an arrow sprite through its Arrow instance so pooled sprites are released
+     * @param {Phaser.GameObjects.Rectangle} arrow - The arrow sprite
+     */
+    destroyArrowSprite(arrow) {
+        if (arrow.arrowInstance) {
+            arrow.arrowInstance.destroy();
+        } else {
+            arrow.destroy();
+        }
+    }
+    
+    /**
+     * Create the pools for arrow sprites, troop projectiles and floating text
+     * Released objects are hidden and disabled instead of destroyed
+     */
+    createPools() {
+        const hide = object => {
+            this.tweens.killTweensOf(object);
+            object.setActive(false).setVisible(false);
+            if (object.body) {
+                object.body.stop();
+                object.body.enable = false;
+            }
+        };
+        
+        const show = object => {
+            object.setActive(true).setVisible(true).setAlpha(1).setScale(1).setRotation(0);
+            if (object.body) {
+                object.body.enable = true;
+            }
+        };
+        
+        // Rectangles with a physics body, sized and colored by whoever acquires them
+        const createProjectileSprite = () => {
+            const sprite = this.add.rectangle(0, 0, 1, 1, 0x000000);
+            this.physics.add.existing(sprite);
+            hide(sprite);
+            return sprite;
+        };
+        
+        const discard = object => object.destroy();
+        
+        this.pools = {
+            arrows: new ObjectPool({
+                name: 'Arrows',
+                create: createProjectileSprite,
+                onAcquire: show,
+                onRelease: sprite => {
+                    this.heroArrows.remove(sprite);
+                    this.projectileGrid.remove(sprite);
+                    sprite.arrowInstance = null;
+                    hide(sprite);
+                },
+                onDiscard: discard,
+                maxFree: 100
+            }),
+            projectiles: new ObjectPool({
+                name: 'Troop projectiles',
+                create: createProjectileSprite,
+                onAcquire: show,
+                onRelease: hide,
+                onDiscard: discard,
+                maxFree: 100
+            }),
+            floatingText: new ObjectPool({
+                name: 'Floating text',
+                create: () => {
+                    const text = this.add.text(0, 0, '', FLOATING_TEXT_STYLE).setOrigin(0.5);
+                    hide(text);
+                    return text;
+                },
+                onAcquire: show,
+                onRelease: hide,
+                onDiscard: discard,
+                maxFree: 50
+            })
+        };
+    }
+    
+    /**
+     * Show pooled text that floats up and fades out
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} text - Text to display
+     * @param {Object} style - Text style overrides (on top of FLOATING_TEXT_STYLE)
+     * @param {Object} motion - { rise, duration, ease } of the fade-out tween
+     */
+    showFloatingText(x, y, text, style = {}, { rise = 30, duration = 1000, ease = 'Linear' } = {}) {
+        const floatingText = this.pools.floatingText.acquire();
+        floatingText.setStyle({ ...FLOATING_TEXT_STYLE, ...style });
+        floatingText.setText(text);
+        floatingText.setPosition(x, y);
+        floatingText.setDepth(30); // Above entities
+        
+        this.tweens.add({
+            targets: floatingText,
+            y: y - rise,
+            alpha: 0,
+            duration: duration,
+            ease: ease,
+            onComplete: () => this.pools.floatingText.release(floatingText)
+        });
+    }
+    
+    /**
+     * Create the (hidden) object pool debug overlay, toggled with the backtick key
+     */
+    createPoolStatsOverlay() {
+        this.poolStatsText = this.add.text(this.cameras.main.width - 10, 60, '', {
+            fontFamily: 'monospace',
+            fontSize: 12,
+            color: '#FFFFFF',
+            backgroundColor: 'rgba(0, 0, 0, 0.7)',
+            padding: { x: 6, y: 4 }
+        });
+        this.poolStatsText.setOrigin(1, 0);
+        this.poolStatsText.setScrollFactor(0);
+        this.poolStatsText.setDepth(200);
+        this.poolStatsText.setVisible(false);
+    }
+    
+    /**
+     * Show or hide the pool stats overlay
+     */
+    togglePoolStatsOverlay() {
+        if (!this.poolStatsText) return;
+        
+        this.poolStatsText.setVisible(!this.poolStatsText.visible);
+        this.updatePoolStatsOverlay();
+    }
+    
+    /**
+     * Refresh the pool counters shown in the debug overlay
+     */
+    updatePoolStatsOverlay() {
+        if (!this.poolStatsText || !this.poolStatsText.visible || !this.pools) return;
+        
+        const lines = Object.values(this.pools).map(pool => {
+            const stats = pool.getStats();
+            return `${stats.name}: ${stats.active} active, ${stats.free} free, ` +
+                `peak ${stats.peak}, ${stats.allocations} allocated (${Math.round(stats.reuseRate * 100)}% reused)`;
+        });
+        
+        this.poolStatsText.setText(['Object pools', ...lines]);
+    }
+    
     cleanupArrows() {
         if (!this.arrows || this.arrows.length === 0) {
             return;
@@ -292,16 +713,16 @@ export default class GameScene extends Phaser.Scene {
                 arrow.y > this.worldBounds.height + margin
             );
             
-            // If out of bounds, destroy the arrow
+            // If out of bounds, destroy the arrow (returns pooled sprites to the pool)
             if (outOfBounds) {
-                arrow.destroy();
+                this.destroyArrowSprite(arrow);
                 return false;
             }
             
             // Check if arrow has existed for too long (10 seconds)
             const arrowLifetime = Date.now() - arrow.creationTime;
             if (arrowLifetime > 10000) {
-                arrow.destroy();
+                this.destroyArrowSprite(arrow);
                 return false;
             }
             
@@ -359,52 +780,45 @@ export default class GameScene extends Phaser.Scene {
         const textStyle = isHero ? 
             {
                 fontSize: '16px',
-                fill: '#ff0000',
+                color: '#ff0000',
                 stroke: '#000000',
                 strokeThickness: 2
             } : 
             {
                 fontSize: '14px',
-                fill: '#000000',
+                color: '#000000',
                 stroke: '#000000',
                 strokeThickness: 1
             };
         
-        const damageText = this.add.text(x, y - 40, `-${Math.round(amount)}`, textStyle)
-            .setOrigin(0.5, 0.5);
-        damageText.setDepth(30); // Ensure it's above entities
-        
-        // Animation is the same for both types
-        this.tweens.add({
-            targets: damageText,
-            y: y - 40,
-            alpha: 0,
-            duration: 1000,
-            onComplete: () => damageText.destroy()
-        });
+        // Animation is the same for both types (fade out in place)
+        this.showFloatingText(x, y - 40, `-${Math.round(amount)}`, textStyle, { rise: 0, duration: 1000 });
     }
     /**
      * Create player and enemy bases
      */
     createBases() {
+        // Player base stats that upgrades can modify
+        this.playerBaseStats = new StatBlock({ maxHealth: 300 });
+        
         // Create player base on the left
         this.playerBase = new Base(this, 100, this.GROUND_Y - 80, {
             isPlayerBase: true,
             color: 0x3333FF,
-            health: 300,
-            maxHealth: 300,
+            health: this.playerBaseStats.get('maxHealth'),
+            maxHealth: this.playerBaseStats.get('maxHealth'),
             width: 80,
             height: 150
         });
         
         // Create enemy base on the right
-        let enemyBaseHealth = 300; // Base health amount
+        let enemyBaseHealth = this.roundDefinition.enemyBaseHealth; // Base health from the round definition
         
         // Apply enemy upgrades if they exist
         const enemyUpgradeEffects = gameManager.getEnemyUpgradeEffects();
-        if (enemyUpgradeEffects.enemyBaseHealthBoost) {
+        if (enemyUpgradeEffects.baseHealth !== 1) {
             // Apply health boost (e.g., multiply by 1.2 for 20% increase)
-            enemyBaseHealth = Math.floor(enemyBaseHealth * enemyUpgradeEffects.enemyBaseHealthBoost);
+            enemyBaseHealth = Math.floor(enemyBaseHealth * enemyUpgradeEffects.baseHealth);
             console.log(`Enemy base health boosted to ${enemyBaseHealth}`);
         }
         
@@ -416,10 +830,6 @@ export default class GameScene extends Phaser.Scene {
             width: 80, 
             height: 150
         });
-        
-        // Register base destruction callbacks
-        this.playerBase.onDestroyed = () => this.onPlayerBaseDestroyed();
-        this.enemyBase.onDestroyed = () => this.onEnemyBaseDestroyed();
     }
     
     /**
@@ -432,7 +842,10 @@ export default class GameScene extends Phaser.Scene {
         // Hero collides with bases
         this.physics.add.collider(this.hero.sprite, [this.playerBase.sprite, this.enemyBase.sprite]);
         
-        // Note: Arrow collisions with bases are set up individually in addArrowToScene method
+        // Arrows hit bases through one collider per base (arrows join the group in addArrowToScene)
+        this.physics.add.overlap(this.heroArrows, this.enemyBase.sprite, this.onArrowHitBase, null, this);
+        this.physics.add.overlap(this.heroArrows, this.playerBase.sprite, this.onArrowHitBase, null, this);
+        
         // Note: Platform collisions are handled directly in the Platform class itself
     }
     
@@ -442,7 +855,20 @@ export default class GameScene extends Phaser.Scene {
     onPlayerBaseDestroyed() {
         console.log("Player base destroyed - Game Over!");
         this.gameActive = false;
-        // You could add game over screen, restart option, etc. here
+        eventBus.emit(GAME_EVENTS.ROUND_ENDED, { round: gameManager.currentRound, victory: false, time: this.getGameTime() });
+        
+        // Stop the enemy AI from spending any more gold
+        if (this.enemyCommander) {
+            this.enemyCommander.stop();
+        }
+        
+        // Give the defeat message a moment on screen before showing the summary
+        this.time.delayedCall(2000, () => {
+            this.scene.start('GameOverScene', {
+                round: gameManager.currentRound,
+                snapshot: this.roundStartSnapshot
+            });
+        });
     }
     
     /**
@@ -462,17 +888,25 @@ export default class GameScene extends Phaser.Scene {
         
         // Show XP reward text
         this.showXPRewardEffect(basePosition.x, basePosition.y, `+${xpReward} XP`);
-        this.updateXPDisplay();
         
         this.gameActive = false;
+        eventBus.emit(GAME_EVENTS.ROUND_ENDED, { round: gameManager.currentRound, victory: true, time: this.getGameTime() });
+        
+        // Stop the enemy AI from spending any more gold
+        if (this.enemyCommander) {
+            this.enemyCommander.stop();
+        }
+        
+        // Save the campaign so it can be continued from the upgrade screen
+        saveManager.save('UpgradeScene');
         
         console.log("Starting transition to UpgradeScene in 1.5 seconds...");
         
-        // Use a more reliable approach for scene transition
-        setTimeout(() => {
+        // On the scene clock, so the transition waits while paused and is dropped if the round is restarted or quit
+        this.time.delayedCall(1500, () => {
             console.log("Transitioning to UpgradeScene now");
             this.scene.start('UpgradeScene', { fromScene: 'GameScene' });
-        }, 1500);
+        });
     }
 
     /**
@@ -483,6 +917,11 @@ export default class GameScene extends Phaser.Scene {
         // Skip if no target bases
         if (!this.playerBase || !this.enemyBase) return;
         
+        // Give the player's troops their formation slots before anyone moves
+        if (this.formation) {
+            this.formation.update(this.troops);
+        }
+        
         // Update each troop
         for (let i = this.troops.length - 1; i >= 0; i--) {
             const troop = this.troops[i];
@@ -490,14 +929,18 @@ export default class GameScene extends Phaser.Scene {
             // Skip inactive troops
             if (!troop.sprite || !troop.sprite.active) {
                 this.troops.splice(i, 1);
+                this.troopGrid.remove(troop);
                 continue;
             }
             
+            // Keep the spatial index in step with the troop's position
+            this.indexTroop(troop);
+            
             // Determine target base based on troop allegiance
             const targetBase = troop.isEnemy ? this.playerBase : this.enemyBase;
             
-            // Update troop movement and behavior
-            troop.move(delta, this.troops, targetBase, this.hero);
+            // Update troop movement and behavior (troops attack the opposing side's hero)
+            troop.move(delta, this.troops, targetBase, troop.isEnemy ? this.hero : this.enemyHero);
         }
     }
 
@@ -525,9 +968,7 @@ export default class GameScene extends Phaser.Scene {
         
         // Add to troops array
         this.troops.push(troop);
-        
-        // Set up arrow registration for ranged troops
-        this.registerArrowsForTroop(troop);
+        this.indexTroop(troop);
         
         return troop;
     }
@@ -551,41 +992,32 @@ export default class GameScene extends Phaser.Scene {
             customConfig
         );
         
+        // Apply enemy troop health upgrades
+        const enemyUpgradeEffects = gameManager.getEnemyUpgradeEffects();
+        if (enemyUpgradeEffects.troopHealth !== 1) {
+            troop.health = Math.floor(troop.health * enemyUpgradeEffects.troopHealth);
+            troop.maxHealth = troop.health;
+        }
+        
         // Add to troops array
         this.troops.push(troop);
+        this.indexTroop(troop);
         
         // Add collision with platforms
         this.physics.add.collider(troop.sprite, this.platforms);
         
-        // Register existing arrows for collision with this new troop
-        this.registerArrowsForTroop(troop);
-        
         console.log(`Spawned enemy ${category} troop heading to player base`);
+        
+        return troop;
     }
     
     /**
-     * Register all existing arrows for collision with a newly spawned troop
-     * @param {Object} troop - The troop to register collisions for
+     * Add a troop to the spatial index or update its position
+     * @param {Troop} troop - The troop to index
      */
-    registerArrowsForTroop(troop) {
-        // Skip if troop is not an enemy or no arrows exist
-        if (!troop.isEnemy || !this.arrows || this.arrows.length === 0) return;
-        
-        // Set up collision for each active arrow
-        for (const arrow of this.arrows) {
-            if (arrow && arrow.active) {
-                this.physics.add.overlap(arrow, troop.sprite, 
-                    (arrowSprite, troopSprite) => {
-                        const arrowObj = arrowSprite.arrowInstance;
-                        
-                        // Call the arrow's hitEnemy method if it exists
-                        if (arrowObj && typeof arrowObj.hitEnemy === 'function') {
-                            arrowObj.hitEnemy(arrowSprite, troopSprite);
-                        }
-                    },
-                    null, this);
-            }
-        }
+    indexTroop(troop) {
+        const sprite = troop.sprite;
+        this.troopGrid.update(troop, sprite.x, sprite.y, sprite.width, sprite.height);
     }
     
     /**
@@ -604,19 +1036,212 @@ export default class GameScene extends Phaser.Scene {
         // Configure camera to follow hero
         const camera = this.cameras.main;
         camera.setBounds(0, 0, this.WORLD_WIDTH, this.WORLD_HEIGHT);
-        camera.startFollow(this.hero.sprite, true, 0.1, 0.1);
+        this.followHero();
+        
+        // The HUD gets its own camera that never scrolls or zooms, so zooming the main camera out leaves it in place
+        this.uiCamera = this.cameras.add(0, 0, camera.width, camera.height);
+        
+        // Each object gets its camera once, just before the first render after it was added
+        // (not on add - the scroll factor is usually set right after creating the object)
+        this.unassignedObjects = [...this.children.list];
+        this.events.on('addedtoscene', this.queueCameraAssignment, this);
+        this.events.on('prerender', this.assignCameras, this);
+        this.events.once('shutdown', () => {
+            this.events.off('addedtoscene', this.queueCameraAssignment, this);
+            this.events.off('prerender', this.assignCameras, this);
+        });
         
         // Ensure UI stays fixed to camera
         this.events.on('update', this.updateUI, this);
     }
     
+    /**
+     * Remember an object added to the scene so it gets its camera before it is drawn
+     * @param {Phaser.GameObjects.GameObject} gameObject - The added object
+     */
+    queueCameraAssignment(gameObject) {
+        this.unassignedObjects.push(gameObject);
+    }
+    
+    /**
+     * Give the objects added since the last render their camera: HUD (fixed to the screen) for the
+     * UI camera, the world for the main camera
+     * Only top-level objects are filtered - a container's children render (and take input) through
+     * their container, and Phaser skips a child whose own filter excludes the container's camera
+     */
+    assignCameras() {
+        if (!this.uiCamera || this.unassignedObjects.length === 0) return;
+        
+        const mainCamera = this.cameras.main;
+        this.unassignedObjects.forEach(child => {
+            if (child.parentContainer) {
+                child.cameraFilter = 0;
+                return;
+            }
+            
+            const isHud = child === this.uiContainer || child.scrollFactorX === 0;
+            child.cameraFilter = isHud ? mainCamera.id : this.uiCamera.id;
+        });
+        this.unassignedObjects = [];
+    }
+    
+    /**
+     * Lock the camera onto the hero again
+     */
+    followHero() {
+        this.cameras.main.startFollow(this.hero.sprite, true, 0.1, 0.1);
+    }
+    
+    /**
+     * Pan the camera to another part of the battlefield for a moment (minimap clicks)
+     * The camera returns to the hero once the player stops clicking for a while (a free camera stays there)
+     * @param {number} x - World x to center on
+     */
+    peekCamera(x) {
+        const camera = this.cameras.main;
+        camera.stopFollow();
+        camera.pan(x, camera.midPoint.y, 300, 'Sine.easeOut', true);
+        
+        if (this.freeCameraActive) return;
+        
+        if (this.cameraPeekTimer) {
+            this.cameraPeekTimer.remove();
+        }
+        this.cameraPeekTimer = this.time.delayedCall(2500, () => {
+            this.cameraPeekTimer = null;
+            this.followHero();
+        });
+    }
+    
     /**
      * Update UI elements to stay fixed to the camera
+     * The HUD container is drawn by the UI camera, so following that camera keeps it on screen
+     * at any scroll and zoom of the main camera
      */
     updateUI() {
         if (this.uiContainer) {
-            // Position the UI container at the camera's scroll position
-            this.uiContainer.setPosition(this.cameras.main.scrollX, this.cameras.main.scrollY);
+            // Position the UI container at the HUD camera's scroll position
+            const camera = this.uiCamera || this.cameras.main;
+            this.uiContainer.setPosition(camera.scrollX, camera.scrollY);
+        }
+    }
+    
+    /**
+     * Keyboard controls of the free camera (from the player's bindings)
+     */
+    setupCameraControls() {
+        const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+        this.cameraKeys = this.input.keyboard.addKeys({
+            left: keyCodes[controlsManager.getKey('camera.left')],
+            right: keyCodes[controlsManager.getKey('camera.right')]
+        });
+        
+        this.onControl('camera.free', () => this.toggleFreeCamera());
+        this.onControl('camera.overview', () => this.toggleOverview());
+    }
+    
+    /**
+     * Free the camera from the hero, or snap it back to the hero
+     */
+    toggleFreeCamera() {
+        if (this.freeCameraActive) {
+            this.snapCameraToHero();
+        } else {
+            this.setFreeCamera(true);
+        }
+    }
+    
+    /**
+     * Zoom the free camera out to the whole battlefield, or back in (frees the camera first)
+     */
+    toggleOverview() {
+        if (!this.freeCameraActive) {
+            this.setFreeCamera(true);
+        }
+        this.overviewActive = !this.overviewActive;
+    }
+    
+    /**
+     * Turn the free camera on or off
+     * @param {boolean} enabled - Whether the player moves the camera
+     */
+    setFreeCamera(enabled) {
+        this.freeCameraActive = enabled;
+        this.overviewActive = false;
+        
+        if (this.cameraPeekTimer) {
+            this.cameraPeekTimer.remove();
+            this.cameraPeekTimer = null;
+        }
+        
+        if (enabled) {
+            this.cameras.main.stopFollow();
+        }
+        
+        if (!this.freeCameraText) {
+            const x = this.minimap ? this.minimap.x + this.minimap.options.width / 2 : this.cameras.main.width / 2;
+            const y = this.minimap ? this.minimap.y + this.minimap.options.height + 4 : 10;
+            this.freeCameraText = this.add.text(x, y, '', {
+                fontFamily: 'Arial',
+                fontSize: 13,
+                color: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(100);
+        }
+        this.freeCameraText.setText(`Free camera - ${this.describeControl('camera.free')}: back to hero`);
+        this.freeCameraText.setVisible(enabled);
+    }
+    
+    /**
+     * Leave the free camera and jump straight back to the hero at normal zoom
+     */
+    snapCameraToHero() {
+        this.setFreeCamera(false);
+        
+        const camera = this.cameras.main;
+        camera.panEffect.reset();
+        camera.setZoom(1);
+        camera.centerOn(this.hero.sprite.x, this.hero.sprite.y);
+        this.followHero();
+    }
+    
+    /**
+     * Scroll the free camera with the keys or the mouse at the screen edges, and ease towards its zoom
+     * @param {number} delta - Time since the last frame
+     */
+    updateFreeCamera(delta) {
+        if (!this.freeCameraActive) return;
+        
+        const camera = this.cameras.main;
+        const { scrollSpeed, edgeSize, zoomSmoothing } = FREE_CAMERA_CONFIG;
+        
+        // Overview zoom fits the whole battlefield width on screen
+        const targetZoom = this.overviewActive ? camera.width / this.WORLD_WIDTH : 1;
+        if (camera.zoom !== targetZoom) {
+            const zoom = camera.zoom + (targetZoom - camera.zoom) * zoomSmoothing;
+            camera.setZoom(Math.abs(targetZoom - zoom) < 0.001 ? targetZoom : zoom);
+        }
+        
+        let direction = 0;
+        if (this.cameraKeys) {
+            if (this.cameraKeys.left.isDown) direction -= 1;
+            if (this.cameraKeys.right.isDown) direction += 1;
+        }
+        
+        // Mouse resting at the left or right edge of the game (not touches - fingers aim and steer)
+        const pointer = this.input.mousePointer;
+        if (direction === 0 && pointer && this.input.isOver && !pointer.wasTouch) {
+            if (pointer.x < edgeSize) {
+                direction = -1;
+            } else if (pointer.x > camera.width - edgeSize) {
+                direction = 1;
+            }
+        }
+        
+        if (direction !== 0) {
+            // Same speed on screen at any zoom (the camera bounds stop it at the battlefield edges)
+            camera.scrollX += direction * scrollSpeed * delta / 1000 / camera.zoom;
         }
     }
 
@@ -665,102 +1290,373 @@ export default class GameScene extends Phaser.Scene {
         // Add the ground to physics group
         this.platforms.add(ground);
     }
-
+
+    /**
+     * Set up all input controls for the game
+     */
+    setupInputs() {
+        // Set up mouse/touch input for aiming and shooting
+        this.setupMouseControls();
+        
+        // On-screen joystick and buttons (shown on touch screens)
+        this.touchControls = new TouchControls(this);
+        
+        // Gamepad - a controller can be plugged in at any time
+        this.gamepadControls = new GamepadControls(this);
+        
+        // Keyboard shortcuts from the player's bindings
+        this.setupKeyboardControls();
+    }
+    
+    /**
+     * Set up every keyboard control from the player's bindings
+     * Called again by applyKeyBindings, so all keyboard listeners belong here
+     */
+    setupKeyboardControls() {
+        // Set up keyboard input for movement (keys from the player's bindings)
+        const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+        const keys = this.input.keyboard.addKeys({
+            left: keyCodes[controlsManager.getKey('moveLeft')],
+            right: keyCodes[controlsManager.getKey('moveRight')],
+            up: keyCodes[controlsManager.getKey('jump')],
+            down: keyCodes[controlsManager.getKey('drop')],
+            space: keyCodes[controlsManager.getKey('platform')]
+        });
+        
+        // Pass keys to the update method
+        this.keys = keys;
+        
+        // Set up keyboard shortcuts for upgrades
+        this.setupUpgradeShortcuts();
+        
+        // Set up troop control shortcuts
+        this.setupTroopControls();
+        
+        // Army command shortcuts
+        STANCE_ORDER.forEach(stance => {
+            this.onControl(`stance.${stance}`, () => this.orderArmy(stance));
+        });
+        
+        // Set up arrow type selection (number keys and mouse wheel)
+        this.setupArrowTypeControls();
+        
+        // Setup enemy test spawning
+        this.setupTestingControls();
+        
+        // Export the round so far as a replay file (F8 by default)
+        this.onControl('exportReplay', () => {
+            if (replayManager.exportReplay(replayManager.getCurrentReplay(this.getGameTime()))) {
+                this.showUpgradeMessage('Replay exported', '#FFFF00');
+            }
+        });
+        
+        // Debug overlay with object pool counters
+        this.onControl('togglePoolStats', () => this.togglePoolStatsOverlay());
+        
+        // Free camera and battlefield overview
+        this.setupCameraControls();
+        
+        // Esc closes an open upgrade description, otherwise it pauses
+        this.input.keyboard.on('keydown-ESC', () => {
+            if (this.upgradeDescriptionBox) {
+                this.upgradeDescriptionBox.destroy();
+                this.upgradeDescriptionBox = null;
+                return;
+            }
+            this.pauseGame();
+        });
+    }
+    
+    /**
+     * Re-register the keyboard controls with the current bindings
+     * (they can be changed from the pause menu while the round is paused)
+     */
+    applyKeyBindings() {
+        this.input.keyboard.removeAllListeners();
+        this.input.keyboard.removeAllKeys(true);
+        this.setupKeyboardControls();
+    }
+    
+    /**
+     * Track the time spent paused so the game time skips it
+     * Phaser's timers, tweens and physics stop on their own while the scene is paused
+     */
+    setupPauseHandling() {
+        this.events.on('pause', this.onScenePaused, this);
+        this.events.on('resume', this.onSceneResumed, this);
+        
+        this.events.once('shutdown', () => {
+            this.events.off('pause', this.onScenePaused, this);
+            this.events.off('resume', this.onSceneResumed, this);
+        });
+    }
+    
+    /**
+     * Remember when the pause started
+     */
+    onScenePaused() {
+        this.pauseStartedAt = this.game.loop.time;
+        
+        // update doesn't run while paused, so it can't end the bow draw sound
+        audioManager.stopBowDraw();
+    }
+    
+    /**
+     * Leave the pause out of the game time and pick up changed key bindings
+     */
+    onSceneResumed() {
+        if (this.pauseStartedAt !== null) {
+            this.pausedTime += this.game.loop.time - this.pauseStartedAt;
+            this.pauseStartedAt = null;
+        }
+        
+        // Also releases keys that were let go while paused
+        this.applyKeyBindings();
+        
+        if (this.gamepadControls) {
+            this.gamepadControls.ignoreHeldButtons();
+        }
+    }
+    
+    /**
+     * Pause the round and open the pause menu (Esc, gamepad Start or the touch pause button)
+     */
+    pauseGame() {
+        if (!this.gameActive || this.scene.isPaused() || this.scene.isActive('PauseScene')) return;
+        
+        this.scene.launch('PauseScene', { sceneKey: this.scene.key });
+        this.scene.pause();
+    }
+    
+    /**
+     * Start this round over from its starting state (pause menu)
+     */
+    restartRound() {
+        gameManager.loadState(this.roundStartSnapshot);
+        this.scene.restart();
+    }
+    
+    /**
+     * Listen for the key bound to a control action
+     * @param {string} actionId - Action id (see ControlsManager)
+     * @param {Function} handler - Called with the keyboard event
+     * @param {string} eventType - 'keydown' or 'keyup'
+     */
+    onControl(actionId, handler, eventType = 'keydown') {
+        this.input.keyboard.on(`${eventType}-${controlsManager.getKey(actionId)}`, handler);
+    }
+    
+    /**
+     * Get the display name of the key bound to a control action
+     * @param {string} actionId - Action id (see ControlsManager)
+     * @returns {string} - Key name for prompts and logs
+     */
+    describeControl(actionId) {
+        return describeKey(controlsManager.getKey(actionId));
+    }
+    
+    /**
+     * Start recording this round as a replay
+     * The recording starts from the round start snapshot, before this round's starting gold
+     */
+    startReplayRecording() {
+        replayManager.startRecording({
+            seed: this.replaySeed,
+            startState: this.roundStartSnapshot,
+            startTime: this.roundStartTime,
+            round: gameManager.currentRound,
+            difficulty: gameManager.difficulty
+        });
+        
+        // Leaving mid-round (e.g. to the menu) still keeps what was recorded
+        this.events.once('shutdown', () => replayManager.finishRecording());
+    }
+    
+    /**
+     * Record a player action in the replay and apply it
+     * Every input that changes the round goes through here so a replay can repeat it
+     * @param {Object} action - { type, ...fields } (see REPLAY_ACTIONS)
+     */
+    runAction(action) {
+        replayManager.record(action, this.getGameTime());
+        this.applyAction(action);
+    }
+    
+    /**
+     * Apply a recorded or live action to the round
+     * @param {Object} action - { type, ...fields } (see REPLAY_ACTIONS)
+     */
+    applyAction(action) {
+        switch (action.type) {
+            case 'chargeStart':
+                if (this.hero) this.hero.startCharging();
+                break;
+            case 'release':
+                if (!this.hero) break;
+                if (action.power !== undefined && this.hero.isCharging) {
+                    this.hero.powerLevel = action.power;
+                }
+                this.hero.releaseArrow(action.x, action.y);
+                break;
+            case 'arrowType':
+                if (this.hero) this.hero.setArrowType(action.arrowType);
+                break;
+            case 'cycleArrowType':
+                if (this.hero) this.hero.cycleArrowType(action.direction);
+                break;
+            case 'spawnTroop':
+                this.spawnAllyTroopWithGold(action.category, action.unitType || null);
+                break;
+            case 'upgrade':
+                this.purchaseBaseUpgrade(action.upgradeId);
+                break;
+            case 'testSpawn':
+                this.spawnEnemyTroop(action.category);
+                break;
+            case 'stance':
+                this.setArmyStance(action.stance);
+                break;
+            case 'rally':
+                this.setRallyPoint(action.x);
+                break;
+            default:
+                console.warn(`Unknown action: ${action.type}`);
+        }
+    }
+    
     /**
-     * Set up all input controls for the game
+     * Record the hero's movement keys whenever they change
+     * @param {Object} keys - Keys passed to the hero (keyboard, merged with the controller)
      */
-    setupInputs() {
-        // Set up mouse/touch input for aiming and shooting
-        this.setupMouseControls();
-        
-        // Set up keyboard input for movement
-        const keys = this.input.keyboard.addKeys({
-            left: Phaser.Input.Keyboard.KeyCodes.A,
-            right: Phaser.Input.Keyboard.KeyCodes.D,
-            up: Phaser.Input.Keyboard.KeyCodes.W,
-            down: Phaser.Input.Keyboard.KeyCodes.S,
-            space: Phaser.Input.Keyboard.KeyCodes.SPACE
-        });
-        
-        // Pass keys to the update method
-        this.keys = keys;
-        
-        // Set up keyboard shortcuts for upgrades
-        this.setupUpgradeShortcuts();
-        
-        // Set up troop control shortcuts
-        this.setupTroopControls();
+    recordHeroKeys(keys = this.keys) {
+        if (!replayManager.isRecording) return;
+        
+        const state = {
+            left: keys.left.isDown,
+            right: keys.right.isDown,
+            up: keys.up.isDown,
+            down: keys.down.isDown,
+            space: keys.space.isDown
+        };
+        
+        const last = this.lastRecordedKeys;
+        if (last && Object.keys(state).every(key => state[key] === last[key])) return;
+        
+        this.lastRecordedKeys = state;
+        replayManager.record({ type: 'keys', ...state }, this.getGameTime());
+    }
+    
+    /**
+     * Get the world position of a pointer through the main camera (scroll and zoom)
+     * @param {Phaser.Input.Pointer} pointer - Mouse or touch pointer
+     * @returns {{x: number, y: number}} - Rounded world position
+     */
+    getPointerWorldPosition(pointer) {
+        const point = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        return { x: Math.round(point.x), y: Math.round(point.y) };
+    }
+    
+    /**
+     * Get the pointer that is charging a shot
+     * @returns {Phaser.Input.Pointer|null} - The pointer, or null when no pointer is charging
+     */
+    getChargePointer() {
+        if (this.chargePointerId === null) return null;
         
-        // Setup enemy test spawning
-        this.setupTestingControls();
+        return this.input.manager.pointers.find(pointer => pointer.id === this.chargePointerId) || null;
     }
     
     /**
-     * Set up mouse controls for shooting
+     * Set up mouse controls for shooting - on touch screens dragging a finger aims the same way
      */
     setupMouseControls() {
-        this.input.on('pointerdown', () => {
+        // Right-click plants the rally flag, so keep the browser menu away
+        if (this.input.mouse) {
+            this.input.mouse.disableContextMenu();
+        }
+        
+        // Mouse wheel cycles the arrow type
+        this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+            if (this.hero && deltaY !== 0) {
+                this.runAction({ type: 'cycleArrowType', direction: deltaY > 0 ? 1 : -1 });
+            }
+        });
+        
+        this.input.on('pointerdown', (pointer, currentlyOver) => {
+            // Presses on buttons (troop buttons, touch controls) don't draw the bow,
+            // and neither does a second finger while another one is charging
+            if (currentlyOver.length > 0) return;
+            
+            // Right-click sends the army to a rally point
+            if (pointer.rightButtonDown()) {
+                this.runAction({ type: 'rally', x: this.getPointerWorldPosition(pointer).x });
+                return;
+            }
+            
+            if (this.chargePointerId !== null && this.chargePointerId !== pointer.id) return;
+            
             // Mouse button pressed - charging arrow
             if (this.hero) {
-                this.hero.startCharging();
+                this.chargePointerId = pointer.id;
+                this.runAction({ type: 'chargeStart', ...this.getPointerWorldPosition(pointer) });
             }
         });
         
-        this.input.on('pointerup', () => {
+        this.input.on('pointerup', (pointer) => {
+            // Only the pointer that started the charge shoots (other fingers may be on the touch controls),
+            // and letting go of the right button (rally) doesn't
+            if (pointer.id !== this.chargePointerId || pointer.rightButtonReleased()) return;
+            this.chargePointerId = null;
+            
             // Mouse button released - firing arrow
             if (this.hero && this.gameActive) {
-                // Get world position of mouse by adding camera scroll
-                const worldX = this.input.activePointer.x + this.cameras.main.scrollX;
-                const worldY = this.input.activePointer.y + this.cameras.main.scrollY;
-                
-                this.hero.releaseArrow(worldX, worldY);
+                // Record the charged power too - the power bar oscillates, so replaying the
+                // release a frame early or late would otherwise change the shot
+                this.runAction({ type: 'release', ...this.getPointerWorldPosition(pointer), power: this.hero.powerLevel });
             }
         });
     }
     
+    /**
+     * Set up arrow type selection - bound keys (5-9 by default) pick a type, the mouse wheel cycles
+     */
+    setupArrowTypeControls() {
+        ARROW_TYPE_ORDER.forEach(type => {
+            this.onControl(`arrow.${type}`, (event) => {
+                // Shift + number is reserved for testing controls
+                if (event.shiftKey || !this.hero) return;
+                this.runAction({ type: 'arrowType', arrowType: type });
+            });
+        });
+        
+        console.log(`Arrow Types: ${ARROW_TYPE_ORDER.map(type => `${this.describeControl(`arrow.${type}`)} (${ARROW_TYPES[type].name})`).join(', ')}, or mouse wheel`);
+    }
+    
     /**
      * Set up keyboard shortcuts for upgrades
      */
     setupUpgradeShortcuts() {
         // Key bindings for base upgrades - show description on down, purchase on up
-        this.input.keyboard.on('keydown-Z', () => {
-            if (this.upgradeDescriptionBox) return;
-            this.showUpgradeDescription('longbowTraining');
-        });
-        this.input.keyboard.on('keyup-Z', () => {
-            if (this.upgradeDescriptionBox) {
-                this.upgradeDescriptionBox.destroy();
-                this.upgradeDescriptionBox = null;
-                this.purchaseBaseUpgrade('longbowTraining');
-            }
-        });
-        
-        this.input.keyboard.on('keydown-X', () => {
-            if (this.upgradeDescriptionBox) return;
-            this.showUpgradeDescription('reinforcedWalls');
-        });
-        this.input.keyboard.on('keyup-X', () => {
-            if (this.upgradeDescriptionBox) {
-                this.upgradeDescriptionBox.destroy();
-                this.upgradeDescriptionBox = null;
-                this.purchaseBaseUpgrade('reinforcedWalls');
-            }
-        });
-        
-        this.input.keyboard.on('keydown-C', () => {
-            if (this.upgradeDescriptionBox) return;
-            this.showUpgradeDescription('improvedArrows');
-        });
-        this.input.keyboard.on('keyup-C', () => {
-            if (this.upgradeDescriptionBox) {
-                this.upgradeDescriptionBox.destroy();
-                this.upgradeDescriptionBox = null;
-                this.purchaseBaseUpgrade('improvedArrows');
-            }
+        const shortcutUpgrades = upgradeRegistry.list({ currency: 'gold' }).filter(upgrade => upgrade.hotkey);
+        
+        // The upgrade's hotkey is the default binding of its control action
+        shortcutUpgrades.forEach(upgrade => {
+            const actionId = `upgrade.${upgrade.id}`;
+            this.onControl(actionId, () => {
+                if (this.upgradeDescriptionBox) return;
+                this.showUpgradeDescription(upgrade.id);
+            });
+            this.onControl(actionId, () => {
+                if (this.upgradeDescriptionBox) {
+                    this.upgradeDescriptionBox.destroy();
+                    this.upgradeDescriptionBox = null;
+                    this.runAction({ type: 'upgrade', upgradeId: upgrade.id });
+                }
+            }, 'keyup');
         });
         
         // Add debug info about controls to console
-        console.log("Base Upgrades: Z (Longbow Training), X (Reinforced Walls), C (Improved Arrows)");
+        console.log(`Base Upgrades: ${shortcutUpgrades.map(upgrade => `${this.describeControl(`upgrade.${upgrade.id}`)} (${upgrade.name})`).join(', ')}`);
     }
     
     /**
@@ -768,29 +1664,30 @@ export default class GameScene extends Phaser.Scene {
      */
     setupTroopControls() {
         // Set up keyboard shortcuts for spawning troops
-        this.input.keyboard.on('keydown-ONE', () => {
-            this.spawnAllyTroopWithGold('Light');
+        this.onControl('spawnLight', () => {
+            this.runAction({ type: 'spawnTroop', category: 'Light' });
         });
         
-        this.input.keyboard.on('keydown-TWO', () => {
-            this.spawnAllyTroopWithGold('Ranged');
+        this.onControl('spawnRanged', () => {
+            this.runAction({ type: 'spawnTroop', category: 'Ranged' });
         });
         
-        this.input.keyboard.on('keydown-THREE', () => {
-            this.spawnAllyTroopWithGold('Heavy');
+        this.onControl('spawnHeavy', () => {
+            this.runAction({ type: 'spawnTroop', category: 'Heavy' });
         });
         
-        this.input.keyboard.on('keydown-FOUR', () => {
+        this.onControl('spawnLongbowman', () => {
             // Only check if the feature is unlocked
             if (gameManager.isFeatureUnlocked('longbowTraining')) {
-                this.spawnAllyTroopWithGold('Ranged', 'Longbowman');
+                this.runAction({ type: 'spawnTroop', category: 'Ranged', unitType: 'Longbowman' });
             } else {
                 this.showUpgradeMessage('Longbowmen not unlocked!', '#FF0000');
             }
         });
         
         // Add debug info about troop controls
-        console.log("Troop Controls: 1 (Light), 2 (Ranged), 3 (Heavy), 4 (Longbowman if unlocked)");
+        console.log(`Troop Controls: ${this.describeControl('spawnLight')} (Light), ${this.describeControl('spawnRanged')} (Ranged), ` +
+            `${this.describeControl('spawnHeavy')} (Heavy), ${this.describeControl('spawnLongbowman')} (Longbowman if unlocked)`);
     }
     
     /**
@@ -856,6 +1753,45 @@ export default class GameScene extends Phaser.Scene {
         this.healthText.setText(`Health: ${this.hero.health}`);
     }
 
+    /**
+     * Create the arrow type indicator (fixed to the camera above the health bar)
+     */
+    createArrowTypeDisplay() {
+        this.arrowTypeText = this.add.text(20, this.cameras.main.height - 70, '', {
+            fontFamily: 'Arial',
+            fontSize: 16,
+            color: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3
+        });
+        this.arrowTypeText.setScrollFactor(0);
+        this.arrowTypeText.setDepth(100);
+        
+        this.updateArrowTypeDisplay();
+    }
+    
+    /**
+     * Update the arrow type indicator with the selected type's cooldown or ammo
+     */
+    updateArrowTypeDisplay() {
+        if (!this.hero || !this.arrowTypeText) return;
+        
+        const type = this.hero.arrowType;
+        let status = '';
+        
+        if (this.hero.arrowAmmo[type] !== undefined) {
+            status = ` x${this.hero.arrowAmmo[type]}`;
+        }
+        
+        const cooldown = this.hero.getArrowTypeCooldown(type);
+        if (cooldown > 0) {
+            status += ` (${(cooldown / 1000).toFixed(1)}s)`;
+        }
+        
+        this.arrowTypeText.setText(`Arrow: ${ARROW_TYPES[type].name}${status}`);
+        this.arrowTypeText.setColor(this.hero.isArrowTypeReady(type) ? '#FFFFFF' : '#FF8888');
+    }
+    
     /**
      * Sets up the economy system including passive income
      */
@@ -873,6 +1809,52 @@ export default class GameScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Create and start the enemy commander AI
+     * @param {Object} options - Extra EnemyCommander options
+     */
+    setupEnemyCommander(options = {}) {
+        try {
+            // Seeded so a replay makes the same choices
+            this.enemyCommander = new EnemyCommander(this, { random: createSeededRandom(this.replaySeed), ...options });
+            this.enemyCommander.start();
+        } catch (error) {
+            console.warn("Error in setupEnemyCommander:", error);
+        }
+    }
+    
+    /**
+     * Schedule the scripted enemy waves from the round definition
+     */
+    scheduleEnemyWaves() {
+        const waves = this.roundDefinition.waves || [];
+        
+        waves.forEach((wave, index) => {
+            this.time.delayedCall(wave.at, () => {
+                if (!this.gameActive) return;
+                
+                // Flatten the unit counts into a spawn order
+                const spawnOrder = [];
+                Object.entries(wave.units).forEach(([category, count]) => {
+                    for (let i = 0; i < count; i++) {
+                        spawnOrder.push(category);
+                    }
+                });
+                
+                console.log(`Round ${gameManager.currentRound} wave ${index + 1}: ${spawnOrder.join(', ')}`);
+                
+                const spacing = wave.spacing || 600;
+                spawnOrder.forEach((category, spawnIndex) => {
+                    this.time.delayedCall(spawnIndex * spacing, () => {
+                        if (this.gameActive) {
+                            this.spawnEnemyTroop(category);
+                        }
+                    });
+                });
+            });
+        });
+    }
+    
     /**
      * Generate passive income on timer
      */
@@ -881,8 +1863,6 @@ export default class GameScene extends Phaser.Scene {
         
         const baseAmount = gameManager.economyConfig.passiveIncome.baseAmount;
         gameManager.addGold(baseAmount, 'passive');
-        this.updateGoldDisplay();
-        this.updateXPDisplay();
         console.log(`Passive income: +${baseAmount} gold`);
     }
     
@@ -935,7 +1915,6 @@ export default class GameScene extends Phaser.Scene {
                 
                 // Show visual feedback
                 this.showGoldSpendEffect(this.playerBase.sprite.x, this.playerBase.sprite.y - 30, `-${cost}g`);
-                this.updateGoldDisplay();
             } else {
                 this.showNotEnoughGoldMessage();
             }
@@ -951,7 +1930,6 @@ export default class GameScene extends Phaser.Scene {
             
             // Show visual feedback
             this.showGoldSpendEffect(this.playerBase.sprite.x, this.playerBase.sprite.y - 30, `-${cost}g`);
-            this.updateGoldDisplay();
         } else {
             this.showNotEnoughGoldMessage();
         }
@@ -959,10 +1937,11 @@ export default class GameScene extends Phaser.Scene {
     
     /**
      * Display a message when player doesn't have enough gold
+     * @param {Hero} hero - Hero to show the message above (player 2's hero in versus mode)
      */
-    showNotEnoughGoldMessage() {
-        const x = this.hero.sprite.x;
-        const y = this.hero.sprite.y - 40;
+    showNotEnoughGoldMessage(hero = this.hero) {
+        const x = hero.sprite.x;
+        const y = hero.sprite.y - 40;
         
         const text = this.add.text(x, y, 'Not enough gold!', {
             fontFamily: 'Arial',
@@ -990,23 +1969,7 @@ export default class GameScene extends Phaser.Scene {
      * @param {string} text - Text to display
      */
     showGoldSpendEffect(x, y, text) {
-        const goldText = this.add.text(x, y, text, {
-            fontFamily: 'Arial',
-            fontSize: 14,
-            color: '#FFD700',
-            stroke: '#000000',
-            strokeThickness: 2
-        });
-        goldText.setOrigin(0.5);
-        
-        this.tweens.add({
-            targets: goldText,
-            y: y - 30,
-            alpha: 0,
-            duration: 1500,
-            ease: 'Power2',
-            onComplete: () => goldText.destroy()
-        });
+        this.showFloatingText(x, y, text, { color: '#FFD700' }, { rise: 30, duration: 1500, ease: 'Power2' });
     }
     
     /**
@@ -1018,6 +1981,7 @@ export default class GameScene extends Phaser.Scene {
         
         const reward = gameManager.calculateKillReward(troop.category);
         gameManager.addGold(reward, 'enemy kill');
+        gameManager.recordKill(troop.category);
         
         // Award XP based on troop category
         const xpReward = gameManager.economyConfig.xpRewards.troopKill[troop.category];
@@ -1037,23 +2001,7 @@ export default class GameScene extends Phaser.Scene {
      * @param {string} text - Text to display
      */
     showGoldRewardEffect(x, y, text) {
-        const goldText = this.add.text(x, y, text, {
-            fontFamily: 'Arial',
-            fontSize: 14,
-            color: '#FFD700',
-            stroke: '#000000',
-            strokeThickness: 2
-        });
-        goldText.setOrigin(0.5);
-        
-        this.tweens.add({
-            targets: goldText,
-            y: y - 40,
-            alpha: 0,
-            duration: 1500,
-            ease: 'Power2',
-            onComplete: () => goldText.destroy()
-        });
+        this.showFloatingText(x, y, text, { color: '#FFD700' }, { rise: 40, duration: 1500, ease: 'Power2' });
     }
     
     /**
@@ -1064,28 +2012,8 @@ export default class GameScene extends Phaser.Scene {
      */
     showXPRewardEffect(x, y, text) {
         try {
-            const xpText = this.add.text(x, y, text, {
-                fontFamily: 'Arial',
-                fontSize: 14,
-                color: '#32CD32', // Green color for XP
-                stroke: '#000000',
-                strokeThickness: 2
-            });
-            xpText.setOrigin(0.5);
-            
-            // Create a shorter, simpler tween that won't interfere with scene transitions
-            this.tweens.add({
-                targets: xpText,
-                y: y - 30,
-                alpha: 0,
-                duration: 800,
-                ease: 'Power1',
-                onComplete: () => {
-                    if (xpText && xpText.destroy) {
-                        xpText.destroy();
-                    }
-                }
-            });
+            // Green color and a shorter tween that won't interfere with scene transitions
+            this.showFloatingText(x, y, text, { color: '#32CD32' }, { rise: 30, duration: 800, ease: 'Power1' });
         } catch (error) {
             console.warn("Error showing XP reward effect:", error);
         }
@@ -1096,20 +2024,27 @@ export default class GameScene extends Phaser.Scene {
      * @param {string} upgradeId - ID of the upgrade to purchase
      */
     purchaseBaseUpgrade(upgradeId) {
+        const upgrade = upgradeRegistry.get(upgradeId);
+        if (!upgrade) return;
+        
         if (gameManager.purchaseUpgrade(upgradeId)) {
             // Show visual feedback
             this.showGoldSpendEffect(
                 this.playerBase.x, 
                 this.playerBase.y - 50, 
-                `-${gameManager.economyConfig.baseUpgrades[upgradeId].cost}g`
+                `-${upgrade.cost}g`
             );
             
             // Apply upgrade effect
             this.applyUpgradeEffect(upgradeId);
         } else {
-            // Show "Not enough gold" or "Already purchased" message
-            if (gameManager.purchasedUpgrades[upgradeId]) {
+            // Show "Already purchased", "Requires ..." or "Not enough gold" message
+            const missing = gameManager.getMissingPrerequisites(upgradeId);
+            if (gameManager.hasUpgrade(upgradeId)) {
                 this.showUpgradeMessage('Already purchased!', '#FFAA00');
+            } else if (missing.length > 0) {
+                const names = missing.map(id => upgradeRegistry.get(id).name);
+                this.showUpgradeMessage(`Requires ${names.join(', ')}!`, '#FF0000');
             } else {
                 this.showNotEnoughGoldMessage();
             }
@@ -1145,75 +2080,143 @@ export default class GameScene extends Phaser.Scene {
     }
     
     /**
-     * Apply upgrade effect based on upgrade ID
+     * Give the player's army a new stance
+     * @param {string} stance - One of FORMATION_STANCES
+     */
+    setArmyStance(stance) {
+        if (!this.formation || !this.formation.setStance(stance)) return;
+        
+        this.onArmyStanceChanged();
+    }
+    
+    /**
+     * Plant the rally flag and gather the player's army there
+     * @param {number} x - World x of the flag
+     */
+    setRallyPoint(x) {
+        if (!this.formation) return;
+        
+        this.formation.setRallyPoint(Phaser.Math.Clamp(x, 0, this.WORLD_WIDTH));
+        this.onArmyStanceChanged();
+    }
+    
+    /**
+     * Show the army's new command in the HUD and on the battlefield
+     */
+    onArmyStanceChanged() {
+        this.updateStanceButtons();
+        this.updateRallyFlag();
+        
+        if (this.hero) {
+            this.showUpgradeMessage(`Army: ${STANCE_LABELS[this.formation.stance]}`, '#FFFF00');
+        }
+    }
+    
+    /**
+     * Give the army a command from a key, HUD button or the gamepad
+     * Rallying without a right-click gathers at the current flag, or at the hero if there is none yet
+     * @param {string} stance - One of FORMATION_STANCES
+     */
+    orderArmy(stance) {
+        if (!this.formation) return;
+        
+        if (stance === FORMATION_STANCES.RALLY) {
+            const x = this.formation.rallyX !== null ? this.formation.rallyX : this.hero && Math.round(this.hero.sprite.x);
+            if (typeof x === 'number') {
+                this.runAction({ type: 'rally', x });
+            }
+            return;
+        }
+        
+        this.runAction({ type: 'stance', stance });
+    }
+    
+    /**
+     * Switch the army to the next command (gamepad)
+     */
+    cycleArmyStance() {
+        if (!this.formation) return;
+        
+        this.orderArmy(this.formation.getNextStance());
+    }
+    
+    /**
+     * Draw the rally flag at the rally point while the army rallies
+     */
+    updateRallyFlag() {
+        const rallying = this.formation && this.formation.stance === FORMATION_STANCES.RALLY;
+        
+        if (!this.rallyFlag) {
+            if (!rallying) return;
+            
+            const pole = this.add.rectangle(0, -30, 3, 60, 0x5C3A1E);
+            const banner = this.add.triangle(2, -50, 0, 0, 0, 20, 26, 10, 0x3333FF).setOrigin(0, 0.5);
+            this.rallyFlag = this.add.container(0, this.GROUND_Y, [pole, banner]);
+            this.rallyFlag.setDepth(4);
+        }
+        
+        this.rallyFlag.setVisible(rallying);
+        if (rallying) {
+            this.rallyFlag.setX(this.formation.rallyX);
+        }
+    }
+    
+    /**
+     * Apply the in-scene effects of a newly purchased upgrade
+     * Feature unlocks and config patches were already applied by the GameManager
      * @param {string} upgradeId - ID of the upgrade
      */
     applyUpgradeEffect(upgradeId) {
-        const upgrade = gameManager.economyConfig.baseUpgrades[upgradeId];
+        const upgrade = upgradeRegistry.get(upgradeId);
         if (!upgrade) return;
         
-        // Apply specific upgrade effects
-        switch (upgradeId) {
-            case 'longbowTraining':
-                // Unlock longbowmen units for summoning
-                this.showUpgradeMessage('Longbowmen unlocked!', '#00FF00');
-                // Update the troop button UI
-                this.updateSpecialTroopButtons();
-                break;
-                
-            case 'reinforcedWalls':
-                // Increase player base health by 25%
-                if (this.playerBase && this.playerBase.health) {
-                    const healthBonus = Math.floor(this.playerBase.maxHealth * 0.25);
-                    this.playerBase.maxHealth += healthBonus;
-                    this.playerBase.health += healthBonus;
-                    this.playerBase.updateHealthBar();
-                    this.showUpgradeMessage(`Base health +${healthBonus}!`, '#00FF00');
-                }
-                break;
-                
-            case 'improvedArrows':
-                // Placeholder for improving hero arrow damage
-                this.showUpgradeMessage('Arrow damage +20%!', '#00FF00');
-                // Future implementation: this.hero.arrowDamageMultiplier = 1.2;
-                break;
-                
-            // Platform ability upgrades
-            case 'extendedPlatforms':
-                if (this.hero) {
-                    // Increase platform duration by 50%
-                    const newDuration = Math.floor(gameManager.economyConfig.platformAbility.duration * 1.5);
-                    this.hero.platformDuration = newDuration;
-                    gameManager.economyConfig.platformAbility.hasUpgrades = true;
-                    this.showUpgradeMessage('Platforms last 50% longer!', '#00FF00');
-                }
-                break;
-                
-            case 'quickSummoning':
-                if (this.hero) {
-                    // Reduce cooldown by 25%
-                    const newCooldown = Math.floor(gameManager.economyConfig.platformAbility.cooldown * 0.75);
-                    this.hero.platformCooldown = newCooldown;
-                    gameManager.economyConfig.platformAbility.hasUpgrades = true;
-                    this.showUpgradeMessage('Platform cooldown reduced by 25%!', '#00FF00');
-                }
-                break;
-                
-            case 'widePlatforms':
-                if (this.hero) {
-                    // Increase platform width by 40%
-                    const newWidth = Math.floor(gameManager.economyConfig.platformAbility.width * 1.4);
-                    this.hero.platformWidth = newWidth;
-                    gameManager.economyConfig.platformAbility.hasUpgrades = true;
-                    this.showUpgradeMessage('Platforms are 40% wider!', '#00FF00');
-                }
-                break;
-                
-            default:
-                console.log(`No effect implementation for upgrade: ${upgradeId}`);
-                break;
+        this.applyUpgradeStatModifiers(upgradeId);
+        
+        // Newly unlocked features may change which troop buttons are shown
+        this.updateSpecialTroopButtons();
+        
+        this.showUpgradeMessage(upgrade.message || `${upgrade.name} purchased!`, '#00FF00');
+    }
+    
+    /**
+     * Register the stat modifiers of an owned upgrade on the hero and player base
+     * Safe to call more than once - modifiers are keyed by upgrade
+     * @param {string} upgradeId - ID of the upgrade
+     */
+    applyUpgradeStatModifiers(upgradeId) {
+        if (!gameManager.hasUpgrade(upgradeId)) return;
+        
+        if (this.hero) {
+            upgradeRegistry.getStatModifiers([upgradeId], 'hero').forEach(modifier => {
+                this.hero.addStatModifier(modifier);
+            });
+        }
+        
+        if (this.playerBase) {
+            const baseModifiers = upgradeRegistry.getStatModifiers([upgradeId], 'playerBase');
+            baseModifiers.forEach(modifier => {
+                this.playerBaseStats.addModifier(modifier);
+            });
+            
+            if (baseModifiers.length > 0) {
+                this.syncPlayerBaseHealth();
+            }
         }
     }
+    
+    /**
+     * Update the player base after its max health stat changed
+     * Health gained from a higher maximum is added to the current health
+     */
+    syncPlayerBaseHealth() {
+        const maxHealth = Math.floor(this.playerBaseStats.get('maxHealth'));
+        const gained = maxHealth - this.playerBase.maxHealth;
+        if (gained === 0) return;
+        
+        this.playerBase.maxHealth = maxHealth;
+        this.playerBase.health = Math.min(maxHealth, this.playerBase.health + Math.max(0, gained));
+        this.playerBase.updateHealthBar();
+    }
 
     /**
      * Update UI elements and features based on current game state
@@ -1250,6 +2253,9 @@ export default class GameScene extends Phaser.Scene {
             // Recreate troop buttons
             this._setupTroopButtons();
             
+            // Army stance buttons under the troop buttons
+            this._setupStanceButtons();
+            
             // If it's the first round, provide some basic instructions
             if (gameManager.currentRound === 1) {
                 const instructions = this.add.text(
@@ -1320,7 +2326,8 @@ export default class GameScene extends Phaser.Scene {
             'lightTroopButton', 
             'heavyTroopButton', 
             'rangedTroopButton', 
-            'longbowmanButton'
+            'longbowmanButton',
+            'stanceButtons'
         ];
         
         troopButtons.forEach(buttonName => {
@@ -1386,16 +2393,19 @@ export default class GameScene extends Phaser.Scene {
      */
     _setupTroopButtons() {
         try {
+            // Buttons grow on touch screens so they stay big enough to tap
+            const buttonScale = this.touchControls ? this.touchControls.getTroopButtonScale(30) : 1;
+            
             // UI positions
-            const controlsX = 120;
-            const controlsY = 50;
-            const spacing = 80;
+            const controlsX = 90 + 30 * buttonScale;
+            const controlsY = 20 + 30 * buttonScale;
+            const spacing = 80 * buttonScale;
             
             // Create light troop button
             this.lightTroopButton = this.add.container(controlsX, controlsY);
             const lightBg = this.add.circle(0, 0, 30, 0x00AA00)
                 .setInteractive({ useHandCursor: true })
-                .on('pointerdown', () => this.spawnAllyTroopWithGold('Light'));
+                .on('pointerdown', () => this.runAction({ type: 'spawnTroop', category: 'Light' }));
             
             const lightText = this.add.text(0, 0, 'L', { 
                 fontFamily: 'Arial',
@@ -1410,13 +2420,14 @@ export default class GameScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             this.lightTroopButton.add([lightBg, lightText, lightCost]);
+            this.lightTroopButton.setScale(buttonScale);
             this.uiContainer.add(this.lightTroopButton);
             
             // Create heavy troop button
             this.heavyTroopButton = this.add.container(controlsX + spacing, controlsY);
             const heavyBg = this.add.circle(0, 0, 30, 0x008800)
                 .setInteractive({ useHandCursor: true })
-                .on('pointerdown', () => this.spawnAllyTroopWithGold('Heavy'));
+                .on('pointerdown', () => this.runAction({ type: 'spawnTroop', category: 'Heavy' }));
             
             const heavyText = this.add.text(0, 0, 'H', { 
                 fontFamily: 'Arial',
@@ -1431,13 +2442,14 @@ export default class GameScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             this.heavyTroopButton.add([heavyBg, heavyText, heavyCost]);
+            this.heavyTroopButton.setScale(buttonScale);
             this.uiContainer.add(this.heavyTroopButton);
             
             // Create ranged troop button
             this.rangedTroopButton = this.add.container(controlsX + spacing * 2, controlsY);
             const rangedBg = this.add.circle(0, 0, 30, 0x00CC00)
                 .setInteractive({ useHandCursor: true })
-                .on('pointerdown', () => this.spawnAllyTroopWithGold('Ranged'));
+                .on('pointerdown', () => this.runAction({ type: 'spawnTroop', category: 'Ranged' }));
             
             const rangedText = this.add.text(0, 0, 'R', { 
                 fontFamily: 'Arial',
@@ -1452,13 +2464,14 @@ export default class GameScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             this.rangedTroopButton.add([rangedBg, rangedText, rangedCost]);
+            this.rangedTroopButton.setScale(buttonScale);
             this.uiContainer.add(this.rangedTroopButton);
             
             // Create longbowman button 
             this.longbowmanButton = this.add.container(controlsX + spacing * 3, controlsY);
             const longbowBg = this.add.circle(0, 0, 30, 0x225588)
                 .setInteractive({ useHandCursor: true })
-                .on('pointerdown', () => this.spawnAllyTroopWithGold('Ranged', 'Longbowman'));
+                .on('pointerdown', () => this.runAction({ type: 'spawnTroop', category: 'Ranged', unitType: 'Longbowman' }));
             
             const longbowText = this.add.text(0, 0, 'LB', { 
                 fontFamily: 'Arial',
@@ -1473,6 +2486,7 @@ export default class GameScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             this.longbowmanButton.add([longbowBg, longbowText, longbowCost]);
+            this.longbowmanButton.setScale(buttonScale);
             
             // Initially hide, will be updated in updateSpecialTroopButtons
             this.longbowmanButton.setVisible(false);
@@ -1485,34 +2499,83 @@ export default class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Set up the army stance buttons (the active stance is highlighted)
+     * @private
+     */
+    _setupStanceButtons() {
+        try {
+            const buttonScale = this.touchControls ? this.touchControls.getTroopButtonScale(30) : 1;
+            
+            this.stanceButtons = this.add.container(10, 20 + 125 * buttonScale);
+            
+            STANCE_ORDER.forEach((stance, index) => {
+                const x = 40 + index * 85;
+                const background = this.add.rectangle(x, 0, 80, 26, 0x333333)
+                    .setStrokeStyle(1, 0xFFFFFF)
+                    .setInteractive({ useHandCursor: true })
+                    .on('pointerdown', () => this.orderArmy(stance));
+                background.stance = stance;
+                
+                const label = this.add.text(x, 0, `${STANCE_LABELS[stance]} (${this.describeControl(`stance.${stance}`)})`, {
+                    fontFamily: 'Arial',
+                    fontSize: 12,
+                    color: '#FFFFFF'
+                }).setOrigin(0.5);
+                
+                this.stanceButtons.add([background, label]);
+            });
+            
+            this.stanceButtons.setScale(buttonScale);
+            this.uiContainer.add(this.stanceButtons);
+            
+            this.updateStanceButtons();
+        } catch (error) {
+            console.warn("Error setting up stance buttons:", error);
+        }
+    }
+    
+    /**
+     * Highlight the button of the army's current stance
+     */
+    updateStanceButtons() {
+        if (!this.stanceButtons || !this.formation) return;
+        
+        this.stanceButtons.list.forEach(child => {
+            if (child.stance) {
+                child.setFillStyle(child.stance === this.formation.stance ? 0x4a6fa5 : 0x333333);
+            }
+        });
+    }
+    
     /**
      * Set up testing-only controls
      */
     setupTestingControls() {
-        // Add enemy troop spawning for testing - using number keys
-        this.input.keyboard.on('keydown-SEVEN', () => {
-            if (this.gameActive) {
-                this.spawnEnemyTroop("Light");
+        // Add enemy troop spawning for testing - using Shift + number keys (plain numbers pick arrow types)
+        this.input.keyboard.on('keydown-SEVEN', (event) => {
+            if (this.gameActive && event.shiftKey) {
+                this.runAction({ type: 'testSpawn', category: 'Light' });
                 console.log("Spawned enemy Light troop (testing)");
             }
         });
         
-        this.input.keyboard.on('keydown-EIGHT', () => {
-            if (this.gameActive) {
-                this.spawnEnemyTroop("Ranged");
+        this.input.keyboard.on('keydown-EIGHT', (event) => {
+            if (this.gameActive && event.shiftKey) {
+                this.runAction({ type: 'testSpawn', category: 'Ranged' });
                 console.log("Spawned enemy Ranged troop (testing)");
             }
         });
         
-        this.input.keyboard.on('keydown-NINE', () => {
-            if (this.gameActive) {
-                this.spawnEnemyTroop("Heavy");
+        this.input.keyboard.on('keydown-NINE', (event) => {
+            if (this.gameActive && event.shiftKey) {
+                this.runAction({ type: 'testSpawn', category: 'Heavy' });
                 console.log("Spawned enemy Heavy troop (testing)");
             }
         });
         
         // Add debug info about controls
-        console.log("Testing Controls: Enemy Troops: 7 (Light), 8 (Ranged), 9 (Heavy)");
+        console.log("Testing Controls: Enemy Troops: Shift+7 (Light), Shift+8 (Ranged), Shift+9 (Heavy)");
     }
 
     /**
@@ -1522,7 +2585,7 @@ export default class GameScene extends Phaser.Scene {
     showUpgradeDescription(upgradeId) {
         try {
             // Get upgrade info
-            const upgrade = gameManager.economyConfig.baseUpgrades[upgradeId];
+            const upgrade = upgradeRegistry.get(upgradeId);
             if (!upgrade) return;
             
             // Create description box near the middle of the screen
@@ -1537,7 +2600,7 @@ export default class GameScene extends Phaser.Scene {
             bg.setStrokeStyle(2, 0xFFFFFF);
             
             // Upgrade title
-            const title = this.add.text(0, -50, upgradeId, {
+            const title = this.add.text(0, -50, upgrade.name, {
                 fontFamily: 'Arial',
                 fontSize: 24,
                 color: '#FFFFFF'
@@ -1551,10 +2614,10 @@ export default class GameScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             // Cost
-            const cost = this.add.text(0, 30, `Cost: ${upgrade.cost} gold`, {
+            const cost = this.add.text(0, 30, `Cost: ${upgrade.cost} ${upgrade.currency}`, {
                 fontFamily: 'Arial',
                 fontSize: 18,
-                color: gameManager.gold >= upgrade.cost ? '#00FF00' : '#FF0000'
+                color: gameManager.canPurchaseUpgrade(upgradeId) ? '#00FF00' : '#FF0000'
             }).setOrigin(0.5);
             
             // Add close hint
@@ -1580,14 +2643,7 @@ export default class GameScene extends Phaser.Scene {
             // Store reference
             this.upgradeDescriptionBox = descriptionBox;
             
-            // Set up key to close it
-            const escKey = this.input.keyboard.addKey('ESC');
-            escKey.once('down', () => {
-                if (this.upgradeDescriptionBox) {
-                    this.upgradeDescriptionBox.destroy();
-                    this.upgradeDescriptionBox = null;
-                }
-            });
+            // Esc closes it (see setupKeyboardControls)
             
             // Auto-close after 5 seconds
             this.time.delayedCall(5000, () => {
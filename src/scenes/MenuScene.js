@@ -4,6 +4,9 @@
  */
 
 import gameManager from '../managers/GameManager.js';
+import saveManager from '../managers/SaveManager.js';
+import roundManager from '../managers/RoundManager.js';
+import replayManager from '../managers/ReplayManager.js';
 
 export default class MenuScene extends Phaser.Scene {
     constructor() {
@@ -11,12 +14,18 @@ export default class MenuScene extends Phaser.Scene {
     }
     
     preload() {
+        // Campaign round definitions
+        this.load.json('rounds', 'src/data/rounds.json');
+        
         // Future preloading of assets
         // this.load.image('menu-background', 'assets/menu-bg.png');
         // this.load.image('logo', 'assets/logo.png');
     }
     
     create() {
+        // Hand the round definitions to the round manager (validates and reports problems)
+        roundManager.setDefinitions(this.cache.json.get('rounds'));
+        
         // Set background
         this.add.rectangle(0, 0, this.cameras.main.width, this.cameras.main.height, 0x2a4d69)
             .setOrigin(0, 0);
@@ -37,17 +46,43 @@ export default class MenuScene extends Phaser.Scene {
         // Create menu buttons
         this.createMenuButton(
             this.cameras.main.width / 2,
-            this.cameras.main.height / 2 - 40,
+            this.cameras.main.height / 2 - 110,
             'New Game',
             () => this.startNewGame()
         );
         
-        this.createMenuButton(
+        const continueButton = this.createMenuButton(
             this.cameras.main.width / 2,
-            this.cameras.main.height / 2 + 40,
+            this.cameras.main.height / 2 - 40,
             'Continue Game',
             () => this.continueGame()
         );
+        
+        // Dim the continue button when there is nothing to continue
+        if (!saveManager.hasSave()) {
+            continueButton.setAlpha(0.5);
+        }
+        
+        this.createMenuButton(
+            this.cameras.main.width / 2,
+            this.cameras.main.height / 2 + 30,
+            'Local Versus',
+            () => this.scene.start('VersusScene')
+        );
+        
+        this.createMenuButton(
+            this.cameras.main.width / 2,
+            this.cameras.main.height / 2 + 100,
+            'Watch Replay',
+            () => this.watchReplay()
+        );
+        
+        this.createMenuButton(
+            this.cameras.main.width / 2,
+            this.cameras.main.height / 2 + 170,
+            'Settings',
+            () => this.scene.start('SettingsScene')
+        );
     }
     
     /**
@@ -90,17 +125,55 @@ export default class MenuScene extends Phaser.Scene {
     }
     
     /**
-     * Handle Continue Game button click 
-     * Currently a placeholder for future save/load functionality
+     * Handle Continue Game button click
+     * Loads the saved campaign and resumes in the scene it was saved from
      */
     continueGame() {
-        console.log('Continue Game not implemented yet');
+        if (!saveManager.hasSave()) {
+            this.showMenuMessage('No saved game found');
+            return;
+        }
+        
+        const save = saveManager.load();
+        if (!save) {
+            this.showMenuMessage('Saved game could not be loaded');
+            return;
+        }
+        
+        this.scene.start(save.resumeScene || 'GameScene', { fromScene: 'MenuScene' });
+    }
+    
+    /**
+     * Handle Watch Replay button click
+     * Asks for a replay file and plays it back
+     */
+    watchReplay() {
+        replayManager.importReplay().then(result => {
+            // No file chosen
+            if (!result) return;
+            
+            if (!result.replay) {
+                console.warn('Replay rejected:', result.errors);
+                this.showMenuMessage(`Invalid replay: ${result.errors[0]}`);
+                return;
+            }
+            
+            this.scene.start('ReplayScene', { replay: result.replay });
+        });
+    }
+    
+    /**
+     * Display a short notification at the bottom of the menu
+     * @param {string} message - Message to display
+     */
+    showMenuMessage(message) {
+        console.log(message);
         
         // Display a notification to the user
         const text = this.add.text(
             this.cameras.main.width / 2,
-            this.cameras.main.height - 100,
-            'Continue Game not implemented yet',
+            this.cameras.main.height - 40,
+            message,
             { fontFamily: 'Arial', fontSize: 16, color: '#ff0000' }
         ).setOrigin(0.5);
         
@@ -0,0 +1,113 @@
+/**
+ * PauseScene.js
+ * Pause menu shown over a paused round - resume, restart the round, change the controls or quit
+ * The round's scene stays paused underneath, so its physics, timers and troop AI are frozen
+ */
+
+// Gamepad buttons that close the menu (standard mapping: B and Start)
+const RESUME_BUTTONS = [1, 9];
+
+export default class PauseScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'PauseScene' });
+        
+        this.sceneKey = null; // Key of the paused scene
+    }
+    
+    /**
+     * @param {Object} data - { sceneKey } of the paused scene
+     */
+    init(data) {
+        this.sceneKey = (data && data.sceneKey) || 'GameScene';
+    }
+    
+    create() {
+        const { width, height } = this.cameras.main;
+        
+        // Dim the frozen round
+        this.add.rectangle(0, 0, width, height, 0x000000, 0.6)
+            .setOrigin(0, 0)
+            .setInteractive(); // Swallow clicks meant for the round
+        
+        this.add.text(width / 2, height / 2 - 160, 'Paused', {
+            fontFamily: 'Arial',
+            fontSize: 48,
+            color: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
+        
+        this.createButton(width / 2, height / 2 - 70, 'Resume', () => this.resumeGame());
+        this.createButton(width / 2, height / 2, 'Restart Round', () => this.restartRound());
+        this.createButton(width / 2, height / 2 + 70, 'Settings', () => this.openSettings());
+        this.createButton(width / 2, height / 2 + 140, 'Quit to Menu', () => this.quitToMenu());
+        
+        this.input.keyboard.on('keydown-ESC', () => this.resumeGame());
+        
+        // The round's scene doesn't update while paused, so the pause menu listens for the controller
+        if (this.input.gamepad) {
+            this.input.gamepad.on('down', (pad, button) => {
+                if (RESUME_BUTTONS.includes(button.index)) {
+                    this.resumeGame();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Helper method to create styled buttons
+     */
+    createButton(x, y, text, callback) {
+        const button = this.add.rectangle(x, y, 220, 50, 0x4a6fa5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', callback);
+        
+        button.on('pointerover', () => {
+            button.fillColor = 0x6889b5;
+        });
+        
+        button.on('pointerout', () => {
+            button.fillColor = 0x4a6fa5;
+        });
+        
+        this.add.text(x, y, text, {
+            fontFamily: 'Arial',
+            fontSize: 20,
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        
+        return button;
+    }
+    
+    /**
+     * Close the menu and continue the round
+     */
+    resumeGame() {
+        this.scene.resume(this.sceneKey);
+        this.scene.stop();
+    }
+    
+    /**
+     * Close the menu and start the round over from its starting state
+     */
+    restartRound() {
+        const pausedScene = this.scene.get(this.sceneKey);
+        this.scene.stop();
+        pausedScene.restartRound();
+    }
+    
+    /**
+     * Open the controls screen - it wakes this menu again on Back
+     */
+    openSettings() {
+        this.scene.launch('SettingsScene', { returnTo: this.scene.key });
+        this.scene.sleep();
+    }
+    
+    /**
+     * Leave the round for the main menu
+     */
+    quitToMenu() {
+        this.scene.stop(this.sceneKey);
+        this.scene.start('MenuScene');
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * ReplayScene.js
+ * Plays back a recorded round (see ReplayManager) by feeding its input log into a GameScene
+ * The GameManager state from before the replay is restored when the scene shuts down
+ */
+
+import GameScene from './GameScene.js';
+import gameManager from '../managers/GameManager.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+// Extra time after the last recorded action before a replay without a result ends
+const REPLAY_END_GRACE = 3000;
+
+export default class ReplayScene extends GameScene {
+    constructor() {
+        super({ key: 'ReplayScene' });
+        
+        this.replay = null;             // Replay being played
+        this.nextActionIndex = 0;       // Next action of the log to apply
+        this.stateBeforeReplay = null;  // GameManager state to restore afterwards
+        this.replayFinished = false;
+        this.replayOverlay = null;
+    }
+    
+    /**
+     * Load the replay's starting state
+     * @param {Object} data - { replay } (validated by ReplayManager)
+     */
+    init(data) {
+        this.replay = data.replay;
+        this.replaySeed = this.replay.seed;
+        this.nextActionIndex = 0;
+        this.replayFinished = false;
+        
+        this.stateBeforeReplay = gameManager.serialize();
+        gameManager.loadState(this.replay.startState);
+    }
+    
+    create() {
+        super.create();
+        
+        this.events.once('shutdown', () => {
+            gameManager.loadState(this.stateBeforeReplay);
+        });
+        
+        this.createReplayOverlay();
+    }
+    
+    /**
+     * Show the replay banner and progress
+     */
+    createReplayOverlay() {
+        this.replayOverlay = this.add.text(
+            this.cameras.main.width / 2,
+            16,
+            '',
+            { fontFamily: 'Arial', fontSize: '16px', color: '#FFFF00', stroke: '#000000', strokeThickness: 3 }
+        ).setOrigin(0.5, 0).setScrollFactor(0).setDepth(100);
+        
+        this.updateReplayOverlay();
+    }
+    
+    /**
+     * Update the replay banner with the playback time
+     */
+    updateReplayOverlay() {
+        if (!this.replayOverlay) return;
+        
+        const elapsed = Math.floor(Math.max(0, this.getGameTime() - this.roundStartTime) / 1000);
+        const total = Math.floor((this.replay.duration || 0) / 1000);
+        this.replayOverlay.setText(
+            `REPLAY - Round ${this.replay.round} - ${elapsed}s / ${total}s - Esc to exit`
+        );
+    }
+    
+    /**
+     * Replays are not recorded again
+     */
+    startReplayRecording() {}
+    
+    /**
+     * Replace live input with the recorded key state
+     */
+    setupInputs() {
+        this.keys = {
+            left: { isDown: false },
+            right: { isDown: false },
+            up: { isDown: false },
+            down: { isDown: false },
+            space: { isDown: false }
+        };
+        
+        this.setupKeyboardControls();
+    }
+    
+    /**
+     * Only Esc (exit), the camera and the debug overlay are read from the keyboard
+     */
+    setupKeyboardControls() {
+        this.input.keyboard.on('keydown-ESC', () => this.exitReplay());
+        this.onControl('togglePoolStats', () => this.togglePoolStatsOverlay());
+        this.setupCameraControls();
+    }
+    
+    /**
+     * The enemy AI only sends the waves from the log
+     */
+    setupEnemyCommander() {
+        super.setupEnemyCommander({ autoDecide: false });
+    }
+    
+    update(time, delta) {
+        if (!this.replayFinished) {
+            this.playDueActions();
+        }
+        
+        this.updateReplayOverlay();
+        super.update(time, delta);
+    }
+    
+    /**
+     * Apply every action whose time has come, and end the replay once the log ran out
+     */
+    playDueActions() {
+        const elapsed = this.getGameTime() - this.roundStartTime;
+        const actions = this.replay.actions;
+        
+        while (this.nextActionIndex < actions.length && actions[this.nextActionIndex].t <= elapsed) {
+            this.applyAction(actions[this.nextActionIndex]);
+            this.nextActionIndex++;
+        }
+        
+        // The recorded round was left before a base fell (or the playback drifted)
+        if (this.nextActionIndex >= actions.length && elapsed > (this.replay.duration || 0) + REPLAY_END_GRACE) {
+            this.finishReplay(null);
+        }
+    }
+    
+    /**
+     * Apply a recorded action, including the ones only a replay feeds in
+     * @param {Object} action - { type, ...fields } (see REPLAY_ACTIONS)
+     */
+    applyAction(action) {
+        switch (action.type) {
+            case 'keys':
+                Object.keys(this.keys).forEach(key => {
+                    this.keys[key].isDown = !!action[key];
+                });
+                break;
+            case 'enemyWave':
+                // Forced so an economy that drifted from the recording still sends the same troops
+                if (this.enemyCommander) {
+                    this.enemyCommander.sendWave(action.wave, true);
+                }
+                break;
+            default:
+                super.applyAction(action);
+        }
+    }
+    
+    /**
+     * Player base destroyed during playback
+     */
+    onPlayerBaseDestroyed() {
+        this.finishReplay(false);
+    }
+    
+    /**
+     * Enemy base destroyed during playback (no rewards or saving)
+     */
+    onEnemyBaseDestroyed() {
+        this.finishReplay(true);
+    }
+    
+    /**
+     * Stop playback, show the result and return to the menu
+     * @param {boolean|null} victory - Round result, or null when the log ended without one
+     */
+    finishReplay(victory) {
+        if (this.replayFinished) return;
+        
+        this.replayFinished = true;
+        this.gameActive = false;
+        
+        if (this.enemyCommander) {
+            this.enemyCommander.stop();
+        }
+        
+        // Ends the round for the stats, which are discarded with the replay's game state
+        eventBus.emit(GAME_EVENTS.ROUND_ENDED, { round: gameManager.currentRound, victory: victory === true, time: this.getGameTime() });
+        
+        const result = victory === null ? '' : ` - ${victory ? 'Victory' : 'Defeat'}`;
+        const recorded = this.replay.result ? ` (recorded: ${this.replay.result})` : '';
+        this.add.text(
+            this.cameras.main.width / 2,
+            this.cameras.main.height / 2,
+            `Replay finished${result}${recorded}`,
+            { fontFamily: 'Arial', fontSize: '28px', color: '#FFFFFF', stroke: '#000000', strokeThickness: 4 }
+        ).setOrigin(0.5).setScrollFactor(0).setDepth(100);
+        
+        this.time.delayedCall(3000, () => this.exitReplay());
+    }
+    
+    /**
+     * Leave the replay for the main menu
+     */
+    exitReplay() {
+        this.scene.start('MenuScene');
+    }
+}
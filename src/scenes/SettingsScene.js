@@ -0,0 +1,415 @@
+/**
+ * SettingsScene.js
+ * Settings screen - lists every action of the ControlsManager action map and rebinds them,
+ * and sets the AudioManager volumes
+ * Click a key, then press the new key (Esc cancels); bindings and volumes are saved right away
+ */
+
+import controlsManager, { describeKey } from '../managers/ControlsManager.js';
+import audioManager, { VOLUME_CHANNELS } from '../managers/AudioManager.js';
+
+// Layout of the action list - actions that don't fit on one page go on further pages
+const LIST_LAYOUT = {
+    top: 105,          // y of the first row
+    rowHeight: 28,
+    rowsPerColumn: 12,
+    columns: [40, 420], // x of each column's label
+    keyOffset: 290,    // Key button x relative to the label
+    keyWidth: 110,
+    pagerX: 700,       // Center of the page controls (top right, beside the title)
+    pagerY: 40
+};
+
+// Layout of the volume controls (one group per channel, side by side)
+const VOLUME_LAYOUT = {
+    y: 460,
+    columns: [150, 400, 650], // Center x of each channel's group
+    step: 0.1                 // Volume change per click
+};
+
+// Names of the volume channels on screen
+const VOLUME_LABELS = { master: 'Master', sfx: 'Effects', music: 'Music' };
+
+export default class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SettingsScene' });
+        
+        this.rows = [];                // { action, button, keyText } per listed action
+        this.listObjects = [];         // Game objects of the current page of the list
+        this.page = 0;                 // Page of the action list on screen
+        this.pageText = null;
+        this.listeningAction = null;   // Action waiting for its new key
+        this.volumeTexts = {};         // Channel -> text showing its volume
+        this.statusText = null;
+        this.keyNames = null;          // Key code -> Phaser key name
+        this.returnTo = null;          // Sleeping scene to wake on Back (the pause menu), or the main menu
+    }
+    
+    /**
+     * @param {Object} data - { returnTo } when opened from a scene that is waiting for it
+     */
+    init(data) {
+        this.returnTo = (data && data.returnTo) || null;
+    }
+    
+    create() {
+        this.rows = [];
+        this.listObjects = [];
+        this.page = 0;
+        this.pageText = null;
+        this.listeningAction = null;
+        
+        // Same lookup the keyboard plugin uses for its keydown-<name> events
+        this.keyNames = {};
+        Object.entries(Phaser.Input.Keyboard.KeyCodes).forEach(([name, code]) => {
+            this.keyNames[code] = name;
+        });
+        
+        // Set background
+        this.add.rectangle(0, 0, this.cameras.main.width, this.cameras.main.height, 0x2a4d69)
+            .setOrigin(0, 0);
+        
+        // Add title
+        this.add.text(
+            this.cameras.main.width / 2,
+            40,
+            'Settings',
+            {
+                fontFamily: 'Arial',
+                fontSize: 36,
+                color: '#ffffff',
+                fontStyle: 'bold'
+            }
+        ).setOrigin(0.5);
+        
+        this.add.text(
+            this.cameras.main.width / 2,
+            80,
+            'Click a key to change it, then press the new key (Esc cancels)',
+            { fontFamily: 'Arial', fontSize: 16, color: '#dddddd' }
+        ).setOrigin(0.5);
+        
+        this.createActionList();
+        this.createPageControls();
+        this.createVolumeControls();
+        
+        this.statusText = this.add.text(
+            this.cameras.main.width / 2,
+            this.cameras.main.height - 110,
+            '',
+            { fontFamily: 'Arial', fontSize: 16, color: '#ffffff' }
+        ).setOrigin(0.5);
+        
+        this.createButton(this.cameras.main.width / 2 - 120, this.cameras.main.height - 60, 'Reset to Defaults', () => this.resetToDefaults());
+        this.createButton(this.cameras.main.width / 2 + 120, this.cameras.main.height - 60, 'Back', () => this.goBack());
+        
+        this.input.keyboard.on('keydown', this.onKeyDown, this);
+    }
+    
+    /**
+     * Number of actions that fit on one page of the list
+     * @returns {number} - Actions per page
+     */
+    getPageSize() {
+        return LIST_LAYOUT.columns.length * LIST_LAYOUT.rowsPerColumn;
+    }
+    
+    /**
+     * Number of pages the action list needs
+     * @returns {number} - Page count (at least 1)
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(controlsManager.getActions().length / this.getPageSize()));
+    }
+    
+    /**
+     * List the actions of the current page with a button showing each key
+     */
+    createActionList() {
+        this.listObjects.forEach(object => object.destroy());
+        this.listObjects = [];
+        this.rows = [];
+        
+        const pageSize = this.getPageSize();
+        const pageActions = controlsManager.getActions().slice(this.page * pageSize, (this.page + 1) * pageSize);
+        
+        pageActions.forEach((action, index) => {
+            const column = Math.floor(index / LIST_LAYOUT.rowsPerColumn);
+            const x = LIST_LAYOUT.columns[column];
+            const y = LIST_LAYOUT.top + (index % LIST_LAYOUT.rowsPerColumn) * LIST_LAYOUT.rowHeight;
+            
+            const label = this.add.text(x, y, `${action.group}: ${action.label}`, {
+                fontFamily: 'Arial',
+                fontSize: 16,
+                color: '#ffffff'
+            }).setOrigin(0, 0.5);
+            
+            const keyX = x + LIST_LAYOUT.keyOffset;
+            const button = this.add.rectangle(keyX, y, LIST_LAYOUT.keyWidth, 24, 0x4a6fa5)
+                .setInteractive({ useHandCursor: true })
+                .on('pointerdown', () => this.startListening(action.id));
+            
+            button.on('pointerover', () => {
+                if (this.listeningAction !== action.id) button.fillColor = 0x6889b5;
+            });
+            
+            button.on('pointerout', () => {
+                if (this.listeningAction !== action.id) button.fillColor = 0x4a6fa5;
+            });
+            
+            const keyText = this.add.text(keyX, y, describeKey(action.key), {
+                fontFamily: 'Arial',
+                fontSize: 16,
+                color: '#ffffff'
+            }).setOrigin(0.5);
+            
+            this.rows.push({ action, button, keyText });
+            this.listObjects.push(label, button, keyText);
+        });
+    }
+    
+    /**
+     * Add < / > buttons to page through the action list (only when it needs more than one page)
+     */
+    createPageControls() {
+        if (this.getPageCount() <= 1) return;
+        
+        const { pagerX, pagerY } = LIST_LAYOUT;
+        this.createSmallButton(pagerX - 50, pagerY, '<', () => this.changePage(-1));
+        this.createSmallButton(pagerX + 50, pagerY, '>', () => this.changePage(1));
+        
+        this.pageText = this.add.text(pagerX, pagerY, '', {
+            fontFamily: 'Arial',
+            fontSize: 16,
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        
+        this.refreshPageText();
+    }
+    
+    /**
+     * Show another page of the action list
+     * @param {number} step - Pages to move (-1 = previous, 1 = next, wraps around)
+     */
+    changePage(step) {
+        const pageCount = this.getPageCount();
+        this.page = (this.page + step + pageCount) % pageCount;
+        
+        this.listeningAction = null;
+        this.createActionList();
+        this.refreshPageText();
+        this.showStatus('', '#ffffff');
+    }
+    
+    /**
+     * Show which page of the action list is on screen
+     */
+    refreshPageText() {
+        if (this.pageText) {
+            this.pageText.setText(`${this.page + 1} / ${this.getPageCount()}`);
+        }
+    }
+    
+    /**
+     * Add - / + buttons for the volume of every channel
+     */
+    createVolumeControls() {
+        this.volumeTexts = {};
+        
+        VOLUME_CHANNELS.forEach((channel, index) => {
+            const x = VOLUME_LAYOUT.columns[index];
+            const y = VOLUME_LAYOUT.y;
+            
+            this.add.text(x - 60, y, VOLUME_LABELS[channel], {
+                fontFamily: 'Arial',
+                fontSize: 16,
+                color: '#ffffff'
+            }).setOrigin(1, 0.5);
+            
+            this.createSmallButton(x - 35, y, '-', () => this.changeVolume(channel, -VOLUME_LAYOUT.step));
+            this.createSmallButton(x + 35, y, '+', () => this.changeVolume(channel, VOLUME_LAYOUT.step));
+            
+            this.volumeTexts[channel] = this.add.text(x, y, '', {
+                fontFamily: 'Arial',
+                fontSize: 16,
+                color: '#ffffff'
+            }).setOrigin(0.5);
+        });
+        
+        this.refreshVolumes();
+    }
+    
+    /**
+     * Create a small square button for the volume and page controls
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button text
+     * @param {Function} callback - Click handler
+     */
+    createSmallButton(x, y, label, callback) {
+        const button = this.add.rectangle(x, y, 28, 28, 0x4a6fa5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', callback);
+        
+        button.on('pointerover', () => {
+            button.fillColor = 0x6889b5;
+        });
+        
+        button.on('pointerout', () => {
+            button.fillColor = 0x4a6fa5;
+        });
+        
+        this.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: 20,
+            color: '#ffffff'
+        }).setOrigin(0.5);
+    }
+    
+    /**
+     * Raise or lower the volume of a channel
+     * @param {string} channel - One of VOLUME_CHANNELS
+     * @param {number} change - Amount to add (0-1 scale)
+     */
+    changeVolume(channel, change) {
+        audioManager.setVolume(channel, audioManager.getVolume(channel) + change);
+        this.refreshVolumes();
+        
+        // Let the player hear the new effects level (music changes are heard in the next round)
+        if (channel !== 'music') {
+            audioManager.play('release');
+        }
+    }
+    
+    /**
+     * Show the current volume of every channel
+     */
+    refreshVolumes() {
+        VOLUME_CHANNELS.forEach(channel => {
+            this.volumeTexts[channel].setText(`${Math.round(audioManager.getVolume(channel) * 100)}%`);
+        });
+    }
+    
+    /**
+     * Helper method to create styled buttons
+     */
+    createButton(x, y, text, callback) {
+        const button = this.add.rectangle(x, y, 200, 50, 0x4a6fa5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', callback);
+        
+        button.on('pointerover', () => {
+            button.fillColor = 0x6889b5;
+        });
+        
+        button.on('pointerout', () => {
+            button.fillColor = 0x4a6fa5;
+        });
+        
+        this.add.text(x, y, text, {
+            fontFamily: 'Arial',
+            fontSize: 20,
+            color: '#ffffff'
+        }).setOrigin(0.5);
+        
+        return button;
+    }
+    
+    /**
+     * Wait for the new key of an action
+     * @param {string} actionId - Action to rebind
+     */
+    startListening(actionId) {
+        this.listeningAction = actionId;
+        this.refreshRows();
+        
+        const row = this.rows.find(entry => entry.action.id === actionId);
+        this.showStatus(`Press a key for ${row.action.label}`, '#ffff00');
+    }
+    
+    /**
+     * Stop waiting for a key
+     */
+    stopListening() {
+        this.listeningAction = null;
+        this.refreshRows();
+    }
+    
+    /**
+     * Rebind the action being listened for, or go back to the menu on Esc
+     * @param {KeyboardEvent} event - The key press
+     */
+    onKeyDown(event) {
+        const key = this.keyNames[event.keyCode];
+        
+        if (!this.listeningAction) {
+            if (key === 'ESC') {
+                this.goBack();
+            }
+            return;
+        }
+        
+        if (key === 'ESC') {
+            this.stopListening();
+            this.showStatus('Cancelled', '#dddddd');
+            return;
+        }
+        
+        if (!key) {
+            this.showStatus('That key is not supported', '#ff6666');
+            return;
+        }
+        
+        const result = controlsManager.setBinding(this.listeningAction, key);
+        if (!result.success) {
+            // Keep listening so another key can be tried right away
+            this.showStatus(`${result.message} - press another key`, '#ff6666');
+            return;
+        }
+        
+        this.stopListening();
+        this.showStatus(result.message, '#88ff88');
+    }
+    
+    /**
+     * Leave the settings for the scene that opened them
+     */
+    goBack() {
+        if (this.returnTo) {
+            this.scene.wake(this.returnTo);
+            this.scene.stop();
+        } else {
+            this.scene.start('MenuScene');
+        }
+    }
+    
+    /**
+     * Restore every default binding
+     */
+    resetToDefaults() {
+        controlsManager.resetToDefaults();
+        this.stopListening();
+        this.showStatus('Controls reset to defaults', '#88ff88');
+    }
+    
+    /**
+     * Update the key buttons with the current bindings
+     */
+    refreshRows() {
+        this.rows.forEach(({ action, button, keyText }) => {
+            const listening = this.listeningAction === action.id;
+            button.fillColor = listening ? 0xaa8833 : 0x4a6fa5;
+            keyText.setText(listening ? '...' : describeKey(controlsManager.getKey(action.id)));
+        });
+    }
+    
+    /**
+     * Show a message under the action list
+     * @param {string} message - Message to display
+     * @param {string} color - Text color
+     */
+    showStatus(message, color) {
+        this.statusText.setText(message);
+        this.statusText.setColor(color);
+    }
+}
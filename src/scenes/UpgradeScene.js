@@ -5,6 +5,45 @@
  */
 
 import gameManager from '../managers/GameManager.js';
+import saveManager from '../managers/SaveManager.js';
+import roundManager from '../managers/RoundManager.js';
+import upgradeRegistry from '../managers/UpgradeRegistry.js';
+import statsManager from '../managers/StatsManager.js';
+import replayManager from '../managers/ReplayManager.js';
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "2:05"
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+/**
+ * Get a readable name for a damage source id
+ * @param {string} source - Damage source id (see GAME_EVENTS)
+ * @returns {string} - e.g. "Hero arrows", "Heavy troops", "Burning"
+ */
+function describeDamageSource(source) {
+    const [kind, name] = source.split(':');
+    
+    if (kind === 'hero') return 'Hero arrows';
+    if (kind === 'troop') return `${name} troops`;
+    if (kind === 'status') return name.charAt(0).toUpperCase() + name.slice(1);
+    return source;
+}
+
+/**
+ * Format per-category troop counts
+ * @param {Object} counts - Category -> count
+ * @returns {string} - e.g. "Light 3   Ranged 1   Heavy 0"
+ */
+function formatTroopCounts(counts) {
+    return ['Light', 'Ranged', 'Heavy'].map(category => `${category} ${counts[category] || 0}`).join('   ');
+}
 
 export default class UpgradeScene extends Phaser.Scene {
     constructor() {
@@ -16,6 +55,10 @@ export default class UpgradeScene extends Phaser.Scene {
     init(data) {
         // Get data passed from the previous scene
         this.fromScene = data.fromScene || 'GameScene';
+        
+        // Clear selections from the previous visit
+        this.selectedPlayerUpgrade = null;
+        this.selectedEnemyUpgrade = null;
     }
     
     preload() {
@@ -35,6 +78,116 @@ export default class UpgradeScene extends Phaser.Scene {
             { fontFamily: 'Arial', fontSize: 32, color: '#FFFFFF' }
         ).setOrigin(0.5);
         
+        // Show the round report first, the upgrade choices once the player continues
+        const roundStats = statsManager.getRoundStats(gameManager.currentRound);
+        if (roundStats) {
+            this.createRoundReport(roundStats);
+        } else {
+            this.createUpgradeChoices();
+        }
+        
+        // Share the round that was just won (e.g. as a bug repro)
+        this.createReplayExportButton();
+    }
+    
+    /**
+     * Small top-right button that saves the round just played as a replay file
+     */
+    createReplayExportButton() {
+        const replay = replayManager.lastReplay;
+        if (!replay) return;
+        
+        const button = this.add.text(
+            this.cameras.main.width - 16,
+            16,
+            'Export Replay',
+            { fontFamily: 'Arial', fontSize: 14, color: '#CCCCCC', backgroundColor: '#00000066', padding: { x: 6, y: 4 } }
+        ).setOrigin(1, 0)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerover', () => button.setColor('#FFFFFF'))
+            .on('pointerout', () => button.setColor('#CCCCCC'))
+            .on('pointerdown', () => {
+                if (replayManager.exportReplay(replay)) {
+                    button.setText('Replay Exported');
+                }
+            });
+    }
+    
+    /**
+     * Show the statistics of the finished round and of the run so far
+     * @param {Object} stats - Round statistics from the StatsManager
+     */
+    createRoundReport(stats) {
+        const centerX = this.cameras.main.width / 2;
+        const reportObjects = [];
+        
+        const panel = this.add.rectangle(centerX, 290, 560, 450, 0x000000, 0.5).setOrigin(0.5);
+        panel.setStrokeStyle(2, 0xFFFFFF);
+        reportObjects.push(panel);
+        
+        // Largest damage sources first
+        const damageSources = Object.entries(stats.damageBySource).sort((a, b) => b[1] - a[1]);
+        const totalDamage = damageSources.reduce((total, [, amount]) => total + amount, 0);
+        const run = statsManager.getRunTotals();
+        const runDamage = Object.values(run.damageBySource).reduce((total, amount) => total + amount, 0);
+        const income = stats.goldIncome;
+        
+        // [label, value, style] rows - 'sub' rows are indented details, 'heading' rows start a section
+        const rows = [
+            ['Round time', formatDuration(stats.duration)],
+            ['Hero accuracy', `${stats.arrowsHit}/${stats.arrowsFired} (${Math.round(statsManager.getAccuracy(stats) * 100)}%)`],
+            ['Max power shots', `${stats.maxPowerShots}`],
+            ['Damage dealt', `${totalDamage}`],
+            ...damageSources.map(([source, amount]) => [describeDamageSource(source), `${amount}`, 'sub']),
+            ['Troops spawned', formatTroopCounts(stats.troopsSpawned)],
+            ['Troops lost', formatTroopCounts(stats.troopsLost)],
+            ['Enemies killed', formatTroopCounts(stats.enemiesKilled)],
+            ['Gold income', `${income.passive + income.kills + income.other}`],
+            ['Passive', `${income.passive}`, 'sub'],
+            ['Kill rewards', `${income.kills}`, 'sub'],
+            ['Damage taken', `Hero ${stats.damageTaken.hero}   Base ${stats.damageTaken.base}`],
+            [`Run so far (${run.rounds} ${run.rounds === 1 ? 'round' : 'rounds'})`, '', 'heading'],
+            ['Hero accuracy', `${Math.round(statsManager.getAccuracy(run) * 100)}%`, 'sub'],
+            ['Damage dealt', `${runDamage}`, 'sub'],
+            ['Gold income', `${run.goldIncome.passive + run.goldIncome.kills + run.goldIncome.other}`, 'sub']
+        ];
+        
+        // Shrink the spacing if many damage sources were used
+        const rowHeight = Math.min(24, 420 / rows.length);
+        const top = 290 - 225 + 15 + rowHeight / 2;
+        
+        rows.forEach(([label, value, style], index) => {
+            const y = top + index * rowHeight;
+            const color = style === 'sub' ? '#CCCCCC' : (style === 'heading' ? '#FFFF00' : '#FFFFFF');
+            const indent = style === 'sub' ? 20 : 0;
+            
+            reportObjects.push(this.add.text(centerX - 260 + indent, y, label,
+                { fontFamily: 'Arial', fontSize: 16, color }).setOrigin(0, 0.5));
+            reportObjects.push(this.add.text(centerX + 260, y, value,
+                { fontFamily: 'Arial', fontSize: 16, color }).setOrigin(1, 0.5));
+        });
+        
+        // Continue button
+        const buttonY = this.cameras.main.height - 60;
+        const continueBg = this.add.rectangle(centerX, buttonY, 240, 60, 0x4477AA)
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerover', () => continueBg.setFillStyle(0x5588BB))
+            .on('pointerout', () => continueBg.setFillStyle(0x4477AA))
+            .on('pointerdown', () => {
+                reportObjects.forEach(object => object.destroy());
+                this.createUpgradeChoices();
+            });
+        reportObjects.push(continueBg);
+        
+        reportObjects.push(this.add.text(centerX, buttonY, 'Continue to Upgrades',
+            { fontFamily: 'Arial', fontSize: 20, color: '#FFFFFF' }).setOrigin(0.5));
+    }
+    
+    /**
+     * Show the XP balance, the player and enemy upgrade choices and the start button
+     */
+    createUpgradeChoices() {
         // XP display
         this.add.text(
             this.cameras.main.width / 2, 
@@ -57,11 +210,12 @@ export default class UpgradeScene extends Phaser.Scene {
         // Display enemy upgrade options (will be enabled after player selects their upgrade)
         this.createEnemyUpgradeSection();
         
-        // Initially disable enemy upgrade section
-        this.enableEnemyUpgradeSection(false);
+        // Initially disable enemy upgrade section (unless there is nothing for the player to pick)
+        this.enableEnemyUpgradeSection(this.isPlayerSelectionComplete());
         
         // Start button (initially disabled, will be enabled after selecting both upgrades)
         this.createStartNextRoundButton();
+        this.updateStartButtonState();
     }
     
     createStartNextRoundButton() {
@@ -97,12 +251,17 @@ export default class UpgradeScene extends Phaser.Scene {
             { fontFamily: 'Arial', fontSize: 24, color: '#00FF00' }
         ).setOrigin(0.5);
         
-        // Get round-specific player upgrades
+        // Get round-specific player upgrades (kept so button indexes stay stable after purchases)
         const playerUpgrades = this.getPlayerUpgradesForCurrentRound();
+        this.playerUpgradeOptions = playerUpgrades;
         
         // Create upgrade buttons
         this.playerUpgradeButtons = [];
         
+        if (playerUpgrades.length === 0) {
+            this.createEmptySectionText(220, 'No upgrades available this round');
+        }
+        
         playerUpgrades.forEach((upgrade, index) => {
             const y = 220 + (index * 80);
             const button = this.createUpgradeButton(
@@ -126,12 +285,17 @@ export default class UpgradeScene extends Phaser.Scene {
             { fontFamily: 'Arial', fontSize: 24, color: '#FF0000' }
         ).setOrigin(0.5);
         
-        // Get round-specific enemy upgrades
+        // Get round-specific enemy upgrades (kept so button indexes stay stable after selection)
         const enemyUpgrades = this.getEnemyUpgradesForCurrentRound();
+        this.enemyUpgradeOptions = enemyUpgrades;
         
         // Create upgrade buttons
         this.enemyUpgradeButtons = [];
         
+        if (enemyUpgrades.length === 0) {
+            this.createEmptySectionText(sectionY + 50, 'The enemy gains no upgrades this round');
+        }
+        
         enemyUpgrades.forEach((upgrade, index) => {
             const y = sectionY + 50 + (index * 80);
             const button = this.createUpgradeButton(
@@ -160,39 +324,81 @@ export default class UpgradeScene extends Phaser.Scene {
         });
     }
     
+    createEmptySectionText(y, message) {
+        this.add.text(
+            this.cameras.main.width / 2,
+            y,
+            message,
+            { fontFamily: 'Arial', fontSize: 16, color: '#AAAAAA' }
+        ).setOrigin(0.5);
+    }
+    
     getPlayerUpgradesForCurrentRound() {
-        // For round 1, only offer longbowman training
-        if (gameManager.currentRound === 1) {
-            return [
-                {
-                    id: 'unlockLongbowTraining',
-                    name: 'Longbowman Training Ground',
-                    description: 'Unlock the ability to purchase longbowmen',
-                    cost: 200,
+        // Upgrade pool for this round comes from rounds.json, minus anything already owned
+        const pool = roundManager.getCurrentRound().playerUpgrades;
+        
+        return pool
+            .filter(id => !gameManager.hasUpgrade(id))
+            .map(id => {
+                const upgrade = upgradeRegistry.get(id);
+                return {
+                    id: id,
+                    name: upgrade.name,
+                    description: upgrade.description,
+                    cost: upgrade.cost,
                     type: 'xp'
-                }
-            ];
-        }
-        
-        // Add more round-specific upgrades in the future
-        return [];
+                };
+            });
     }
     
     getEnemyUpgradesForCurrentRound() {
-        // For round 1, only offer base health increase
-        if (gameManager.currentRound === 1) {
-            return [
-                {
-                    id: 'enemyBaseHealthBoost',
-                    name: 'Reinforced Enemy Base',
-                    description: 'Enemy base has 20% more health',
+        // Enemy upgrade pool for this round comes from rounds.json, minus anything already applied
+        const pool = roundManager.getCurrentRound().enemyUpgrades;
+        
+        return pool
+            .filter(id => !gameManager.hasUpgrade(id))
+            .map(id => {
+                const upgrade = upgradeRegistry.get(id);
+                return {
+                    id: id,
+                    name: upgrade.name,
+                    description: upgrade.description,
                     type: 'enemy'
-                }
-            ];
-        }
+                };
+            });
+    }
+    
+    /**
+     * The player is done choosing once they picked an upgrade or cannot afford any
+     * @returns {boolean} - Whether the player upgrade step is complete
+     */
+    isPlayerSelectionComplete() {
+        if (this.selectedPlayerUpgrade) return true;
+        
+        return !this.playerUpgradeOptions.some(upgrade => gameManager.canPurchaseUpgrade(upgrade.id));
+    }
+    
+    /**
+     * The enemy upgrade step is complete once one is picked or none are offered
+     * @returns {boolean} - Whether the enemy upgrade step is complete
+     */
+    isEnemySelectionComplete() {
+        return !!this.selectedEnemyUpgrade || this.enemyUpgradeOptions.length === 0;
+    }
+    
+    /**
+     * Enable the start button once both upgrade steps are complete
+     */
+    updateStartButtonState() {
+        if (!this.isPlayerSelectionComplete() || !this.isEnemySelectionComplete()) return;
         
-        // Add more round-specific enemy upgrades in the future
-        return [];
+        if (this.startNextRoundBg) {
+            this.startNextRoundBg.setAlpha(1);
+            this.startNextRoundBg.setInteractive({ useHandCursor: true });
+        }
+        if (this.startNextRoundText) {
+            this.startNextRoundText.setAlpha(1);
+        }
     }
     
     createUpgradeButton(x, y, upgrade, callback) {
@@ -247,7 +453,7 @@ export default class UpgradeScene extends Phaser.Scene {
     
     selectPlayerUpgrade(upgradeId) {
         // Check if player has enough XP
-        const upgrade = this.getPlayerUpgradesForCurrentRound().find(u => u.id === upgradeId);
+        const upgrade = this.playerUpgradeOptions.find(u => u.id === upgradeId);
         if (!upgrade) return;
         
         if (gameManager.xp < upgrade.cost) {
@@ -262,7 +468,7 @@ export default class UpgradeScene extends Phaser.Scene {
         }
         
         // Find the index of the selected upgrade
-        const selectedButtonIndex = this.getPlayerUpgradesForCurrentRound().findIndex(u => u.id === upgradeId);
+        const selectedButtonIndex = this.playerUpgradeOptions.findIndex(u => u.id === upgradeId);
         if (selectedButtonIndex < 0 || !this.playerUpgradeButtons[selectedButtonIndex]) {
             return; // Button not found
         }
@@ -288,15 +494,18 @@ export default class UpgradeScene extends Phaser.Scene {
         this.enableEnemyUpgradeSection(true);
         
         // Apply the upgrade in the game manager
-        gameManager.purchaseRoundUpgrade(upgradeId, upgrade.cost);
+        gameManager.purchaseUpgrade(upgradeId);
         
         // Update XP display
         this.updateXPDisplay();
+        
+        // The enemy step may already be complete if nothing is offered
+        this.updateStartButtonState();
     }
     
     selectEnemyUpgrade(upgradeId) {
         // Find the index of the selected upgrade
-        const selectedButtonIndex = this.getEnemyUpgradesForCurrentRound().findIndex(u => u.id === upgradeId);
+        const selectedButtonIndex = this.enemyUpgradeOptions.findIndex(u => u.id === upgradeId);
         if (selectedButtonIndex < 0 || !this.enemyUpgradeButtons[selectedButtonIndex]) {
             return; // Button not found
         }
@@ -322,13 +531,7 @@ export default class UpgradeScene extends Phaser.Scene {
         gameManager.addEnemyUpgrade(upgradeId);
         
         // Enable the start next round button
-        if (this.startNextRoundBg) {
-            this.startNextRoundBg.setAlpha(1);
-            this.startNextRoundBg.setInteractive({ useHandCursor: true });
-        }
-        if (this.startNextRoundText) {
-            this.startNextRoundText.setAlpha(1);
-        }
+        this.updateStartButtonState();
     }
     
     updateXPDisplay() {
@@ -361,7 +564,7 @@ export default class UpgradeScene extends Phaser.Scene {
     }
     
     startNextRound() {
-        if (!this.selectedPlayerUpgrade || !this.selectedEnemyUpgrade) {
+        if (!this.isPlayerSelectionComplete() || !this.isEnemySelectionComplete()) {
             return; // Require both selections
         }
         
@@ -374,6 +577,9 @@ export default class UpgradeScene extends Phaser.Scene {
         // Advance round in game manager
         gameManager.advanceRound();
         
+        // Save the campaign with the chosen upgrades so it resumes at the new round
+        saveManager.save('GameScene');
+        
         // Start the game scene with the new round
         this.scene.start('GameScene');
     }
@@ -0,0 +1,448 @@
+/**
+ * VersusScene.js
+ * Local two-player mode on one keyboard: player 2's hero defends the enemy base
+ * Each side buys troops from its own GameManager wallet, and the campaign state is restored afterwards
+ */
+
+import GameScene from './GameScene.js';
+import Hero from '../entities/Hero.js';
+import gameManager from '../managers/GameManager.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+// Versus match settings
+const VERSUS_CONFIG = {
+    startingGold: 100,         // Gold in each wallet when the match starts
+    aimSpeed: 60,              // Degrees per second player 2's aim turns while a key is held
+    minAim: -30,               // Lowest aim angle (degrees above horizontal)
+    maxAim: 75,                // Highest aim angle
+    startAim: 15,              // Aim angle at the start of a match
+    aimDistance: 400,          // Distance of player 2's aim point from the hero
+    cameraMargin: 400,         // Extra world width kept around both heroes
+    endDelay: 4000             // Milliseconds the result stays on screen
+};
+
+// Player 2's keys (arrows + numpad) - left/right/up/down/space mirror the player's movement keys
+const PLAYER_TWO_KEYS = {
+    left: 'LEFT',
+    right: 'RIGHT',
+    up: 'UP',
+    down: 'DOWN',
+    space: 'ENTER',            // Numpad Enter - summon platform
+    shoot: 'NUMPAD_ZERO',      // Hold to charge, release to shoot
+    aimUp: 'NUMPAD_EIGHT',
+    aimDown: 'NUMPAD_FIVE'
+};
+
+export default class VersusScene extends GameScene {
+    constructor() {
+        super({ key: 'VersusScene' });
+        
+        this.stateBeforeMatch = null;   // GameManager state to restore afterwards
+        this.playerTwoKeys = null;
+        this.playerTwoAim = VERSUS_CONFIG.startAim;
+        this.playerTwoCharging = false; // Whether the shoot key was down last frame
+        this.aimIndicator = null;
+        this.playerTwoTexts = null;     // { gold, xp } HUD texts
+    }
+    
+    /**
+     * Start both sides from a fresh game with equal wallets
+     */
+    init() {
+        super.init();
+        
+        this.stateBeforeMatch = gameManager.serialize();
+        gameManager.resetGame();
+        gameManager.setDifficulty('normal');
+        gameManager.getWallet('player').gold = VERSUS_CONFIG.startingGold;
+        gameManager.getWallet('enemy').gold = VERSUS_CONFIG.startingGold;
+        
+        this.playerTwoAim = VERSUS_CONFIG.startAim;
+        this.playerTwoCharging = false;
+    }
+    
+    create() {
+        super.create();
+        
+        this.events.once('shutdown', () => {
+            gameManager.loadState(this.stateBeforeMatch);
+        });
+        
+        this.showControlsHint();
+    }
+    
+    /**
+     * Add player 2's hero near the enemy base
+     */
+    createHeroes() {
+        super.createHeroes();
+        
+        this.enemyHero = new Hero(this, this.WORLD_WIDTH - 200, 400, { isEnemy: true, color: 0xAA0000 });
+        
+        this.aimIndicator = this.add.graphics();
+        this.aimIndicator.setDepth(17);
+    }
+    
+    /**
+     * Player 2's hero collides with the ground and the bases like the player's
+     */
+    setupCollisions() {
+        super.setupCollisions();
+        
+        this.physics.add.collider(this.enemyHero.sprite, this.platforms);
+        this.physics.add.collider(this.enemyHero.sprite, [this.playerBase.sprite, this.enemyBase.sprite]);
+    }
+    
+    /**
+     * Frame both heroes with a zooming camera (the HUD keeps its own unzoomed camera)
+     */
+    setupCamera() {
+        super.setupCamera();
+        this.updateVersusCamera(1);
+    }
+    
+    /**
+     * The camera frames both heroes instead of following player 1
+     */
+    followHero() {}
+    
+    /**
+     * The camera always frames both heroes - minimap clicks don't move it
+     */
+    peekCamera() {}
+    
+    /**
+     * No free camera - the camera frames both heroes, and the arrow keys belong to player 2
+     */
+    setupCameraControls() {}
+    
+    /**
+     * Zoom the main camera out far enough to show both heroes
+     * @param {number} smoothing - Fraction of the way to move towards the target (1 = jump there)
+     */
+    updateVersusCamera(smoothing = 0.1) {
+        const camera = this.cameras.main;
+        const positions = [this.hero, this.enemyHero]
+            .map(hero => (hero.isAlive ? hero.sprite : { x: hero.initialX, y: hero.initialY }));
+        
+        const minX = Math.min(...positions.map(position => position.x));
+        const maxX = Math.max(...positions.map(position => position.x));
+        const midY = (positions[0].y + positions[1].y) / 2;
+        
+        const minZoom = camera.width / this.WORLD_WIDTH;
+        const targetZoom = Phaser.Math.Clamp(camera.width / (maxX - minX + VERSUS_CONFIG.cameraMargin), minZoom, 1);
+        
+        camera.setZoom(camera.zoom + (targetZoom - camera.zoom) * smoothing);
+        camera.centerOn((minX + maxX) / 2, midY);
+    }
+    
+    /**
+     * Player 2's controls on top of the player's
+     */
+    setupKeyboardControls() {
+        super.setupKeyboardControls();
+        
+        this.playerTwoKeys = this.input.keyboard.addKeys(PLAYER_TWO_KEYS);
+        
+        // Troop purchases from player 2's wallet
+        this.input.keyboard.on('keydown-NUMPAD_ONE', () => this.spawnEnemyTroopWithGold('Light'));
+        this.input.keyboard.on('keydown-NUMPAD_TWO', () => this.spawnEnemyTroopWithGold('Ranged'));
+        this.input.keyboard.on('keydown-NUMPAD_THREE', () => this.spawnEnemyTroopWithGold('Heavy'));
+        
+        // Arrow type selection
+        this.input.keyboard.on('keydown-NUMPAD_SEVEN', () => this.enemyHero.cycleArrowType(-1));
+        this.input.keyboard.on('keydown-NUMPAD_NINE', () => this.enemyHero.cycleArrowType(1));
+        
+        console.log("Player 2 Controls: Arrows (move), Numpad 0 (hold to shoot), Numpad 8/5 (aim), Numpad 7/9 (arrow type), Numpad 1-3 (troops), Numpad Enter (platform)");
+    }
+    
+    /**
+     * Show both players' controls for a few seconds
+     */
+    showControlsHint() {
+        // Player 1's keys follow the bindings from the settings screen
+        const moveKeys = ['jump', 'moveLeft', 'drop', 'moveRight'].map(id => this.describeControl(id)).join('/');
+        const troopKeys = ['spawnLight', 'spawnRanged', 'spawnHeavy'].map(id => this.describeControl(id)).join('/');
+        
+        const hint = this.add.text(
+            this.cameras.main.width / 2,
+            this.cameras.main.height - 80,
+            `P1: ${moveKeys} + mouse, ${troopKeys} troops    P2: Arrows, Numpad 0 shoot, 8/5 aim, 1-3 troops`,
+            { fontFamily: 'Arial', fontSize: 14, color: '#FFFFFF', stroke: '#000000', strokeThickness: 3 }
+        ).setOrigin(0.5).setScrollFactor(0).setDepth(100);
+        
+        this.tweens.add({
+            targets: hint,
+            alpha: 0,
+            delay: 6000,
+            duration: 1000,
+            onComplete: () => hint.destroy()
+        });
+    }
+    
+    /**
+     * No replay - player 2's input isn't part of the replay log
+     */
+    startReplayRecording() {}
+    
+    /**
+     * No enemy AI - player 2 buys the enemy troops
+     */
+    setupEnemyCommander() {}
+    
+    /**
+     * No scripted campaign waves
+     */
+    scheduleEnemyWaves() {}
+    
+    /**
+     * Reward player 2 for the player's troops they kill
+     */
+    setupEventListeners() {
+        super.setupEventListeners();
+        
+        eventBus.on(GAME_EVENTS.TROOP_KILLED, ({ troop, isEnemy }) => {
+            if (!isEnemy) {
+                this.awardPlayerTwoKill(troop);
+            }
+        }, this);
+    }
+    
+    update(time, delta) {
+        super.update(time, delta);
+        
+        if (this.gameActive && this.enemyHero && this.playerTwoKeys) {
+            this.updatePlayerTwo(delta);
+        }
+        
+        if (this.hero && this.enemyHero) {
+            this.updateVersusCamera();
+        }
+    }
+    
+    /**
+     * Move, aim and shoot with player 2's hero
+     * @param {number} delta - Time since the last frame
+     */
+    updatePlayerTwo(delta) {
+        const hero = this.enemyHero;
+        const keys = this.playerTwoKeys;
+        
+        hero.update(keys);
+        
+        // Turn the aim while a key is held
+        const aimStep = VERSUS_CONFIG.aimSpeed * delta / 1000;
+        if (keys.aimUp.isDown) {
+            this.playerTwoAim = Math.min(VERSUS_CONFIG.maxAim, this.playerTwoAim + aimStep);
+        } else if (keys.aimDown.isDown) {
+            this.playerTwoAim = Math.max(VERSUS_CONFIG.minAim, this.playerTwoAim - aimStep);
+        }
+        
+        // Charge while the shoot key is held, shoot when it is released
+        if (keys.shoot.isDown && !this.playerTwoCharging) {
+            this.playerTwoCharging = true;
+            if (hero.isAlive) {
+                hero.startCharging();
+            }
+        } else if (!keys.shoot.isDown && this.playerTwoCharging) {
+            this.playerTwoCharging = false;
+            if (hero.isAlive) {
+                const target = this.getPlayerTwoAimPoint();
+                hero.releaseArrow(target.x, target.y);
+            }
+        }
+        
+        this.drawAimIndicator();
+    }
+    
+    /**
+     * World point player 2 is aiming at (player 2 faces the player's base)
+     * @returns {Object} - { x, y }
+     */
+    getPlayerTwoAimPoint() {
+        const angle = Phaser.Math.DegToRad(this.playerTwoAim);
+        const sprite = this.enemyHero.sprite;
+        
+        return {
+            x: sprite.x - Math.cos(angle) * VERSUS_CONFIG.aimDistance,
+            y: sprite.y - Math.sin(angle) * VERSUS_CONFIG.aimDistance
+        };
+    }
+    
+    /**
+     * Draw a short line in player 2's aim direction
+     */
+    drawAimIndicator() {
+        this.aimIndicator.clear();
+        if (!this.enemyHero.isAlive) return;
+        
+        const sprite = this.enemyHero.sprite;
+        const target = this.getPlayerTwoAimPoint();
+        const length = 50 / VERSUS_CONFIG.aimDistance;
+        
+        this.aimIndicator.lineStyle(2, 0xFF6666, 0.9);
+        this.aimIndicator.lineBetween(
+            sprite.x,
+            sprite.y,
+            sprite.x + (target.x - sprite.x) * length,
+            sprite.y + (target.y - sprite.y) * length
+        );
+    }
+    
+    /**
+     * Spawn an enemy troop if player 2 has enough gold
+     * @param {string} category - Troop category (Light, Ranged, Heavy)
+     */
+    spawnEnemyTroopWithGold(category) {
+        if (!this.gameActive) return;
+        
+        const cost = gameManager.getUnitCost(category);
+        
+        if (gameManager.spendGold(cost, `spawn ${category} troop`, 'enemy')) {
+            this.spawnEnemyTroop(category);
+            this.showGoldSpendEffect(this.enemyBase.sprite.x, this.enemyBase.sprite.y - 30, `-${cost}g`);
+        } else {
+            this.showNotEnoughGoldMessage(this.enemyHero);
+        }
+    }
+    
+    /**
+     * Award player 2 gold and XP for killing one of the player's troops
+     * @param {Troop} troop - The troop that was killed
+     */
+    awardPlayerTwoKill(troop) {
+        const reward = gameManager.calculateKillReward(troop.category);
+        gameManager.addGold(reward, 'enemy kill', 'enemy');
+        
+        const xpReward = gameManager.economyConfig.xpRewards.troopKill[troop.category];
+        gameManager.addXP(xpReward, 'enemy kill', 'enemy');
+        
+        this.showGoldRewardEffect(troop.sprite.x, troop.sprite.y, `+${reward}`);
+        this.showXPRewardEffect(troop.sprite.x, troop.sprite.y - 20, `+${xpReward} XP`);
+    }
+    
+    /**
+     * Passive income for both wallets
+     */
+    generatePassiveIncome() {
+        super.generatePassiveIncome();
+        
+        if (!this.gameActive) return;
+        gameManager.addGold(gameManager.economyConfig.passiveIncome.baseAmount, 'passive', 'enemy');
+    }
+    
+    /**
+     * Add player 2's gold and XP to the HUD
+     */
+    updateBasedOnGameState() {
+        super.updateBasedOnGameState();
+        
+        if (this.roundText) {
+            this.roundText.setText('Versus');
+        }
+        
+        const style = { fontFamily: 'Arial', fontSize: 16, color: '#FF9999' };
+        const right = this.cameras.main.width - 10;
+        this.playerTwoTexts = {
+            gold: this.add.text(right, 35, '', style).setOrigin(1, 0),
+            xp: this.add.text(right, 60, '', style).setOrigin(1, 0)
+        };
+        this.uiContainer.add([this.playerTwoTexts.gold, this.playerTwoTexts.xp]);
+        
+        this.updateGoldDisplay();
+        this.updateXPDisplay();
+    }
+    
+    /**
+     * Update both players' gold
+     */
+    updateGoldDisplay() {
+        super.updateGoldDisplay();
+        
+        if (this.playerTwoTexts) {
+            this.playerTwoTexts.gold.setText(`P2 Gold: ${gameManager.getWallet('enemy').gold}`);
+        }
+    }
+    
+    /**
+     * Update both players' XP
+     */
+    updateXPDisplay() {
+        super.updateXPDisplay();
+        
+        if (this.playerTwoTexts) {
+            this.playerTwoTexts.xp.setText(`P2 XP: ${gameManager.getWallet('enemy').xp}`);
+        }
+    }
+    
+    /**
+     * Add player 2's health bar in the bottom right corner
+     */
+    createHeroHealthBar() {
+        super.createHeroHealthBar();
+        
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        
+        this.playerTwoHealthBg = this.add.rectangle(width - 20, height - 20, 204, 24, 0x000000)
+            .setOrigin(1, 1).setStrokeStyle(2, 0xffffff).setScrollFactor(0).setDepth(100);
+        this.playerTwoHealthFill = this.add.rectangle(width - 22, height - 22, 200, 20, 0x00ff00)
+            .setOrigin(1, 1).setScrollFactor(0).setDepth(100);
+        this.add.text(width - 122, height - 42, 'P2 Health', {
+            fontSize: '18px',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5, 1).setScrollFactor(0).setDepth(100);
+        
+        this.updateHeroHealthBar();
+    }
+    
+    /**
+     * Update both players' health bars
+     */
+    updateHeroHealthBar() {
+        super.updateHeroHealthBar();
+        
+        if (!this.enemyHero || !this.playerTwoHealthFill) return;
+        
+        const healthPercent = this.enemyHero.health / this.enemyHero.maxHealth;
+        this.playerTwoHealthFill.width = Math.max(0, Math.floor(200 * healthPercent));
+        this.playerTwoHealthFill.setFillStyle(healthPercent > 0.6 ? 0x00ff00 : healthPercent > 0.3 ? 0xffff00 : 0xff0000);
+    }
+    
+    /**
+     * Player 2 destroyed the player's base
+     */
+    onPlayerBaseDestroyed() {
+        this.finishMatch(2);
+    }
+    
+    /**
+     * The player destroyed player 2's base
+     */
+    onEnemyBaseDestroyed() {
+        this.finishMatch(1);
+    }
+    
+    /**
+     * End the match and return to the menu (no rewards, nothing is saved)
+     * @param {number} winner - Winning player (1 or 2)
+     */
+    finishMatch(winner) {
+        if (!this.gameActive) return;
+        
+        console.log(`Versus match over - player ${winner} wins`);
+        this.gameActive = false;
+        eventBus.emit(GAME_EVENTS.ROUND_ENDED, { round: gameManager.currentRound, victory: winner === 1, time: this.getGameTime() });
+        
+        this.add.text(
+            this.cameras.main.width / 2,
+            this.cameras.main.height / 2,
+            `Player ${winner} wins!`,
+            { fontFamily: 'Arial', fontSize: '32px', color: winner === 1 ? '#00FF00' : '#FF0000', stroke: '#000000', strokeThickness: 4 }
+        ).setOrigin(0.5).setScrollFactor(0).setDepth(100);
+        
+        this.time.delayedCall(VERSUS_CONFIG.endDelay, () => this.scene.start('MenuScene'));
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * BattleSimulator.js
+ * Deterministic headless battles between two armies for balance testing
+ * Runs the real Troop combat logic (targeting, DAMAGE_MULTIPLIERS, ENGAGEMENT_RANGE, queuing, abilities)
+ * on a HeadlessScene with a seeded RNG and a fixed timestep, so it works in Node without a canvas
+ *
+ * Armies are maps of troop category (optionally "Category:UnitType") to count, e.g. { Heavy: 3, "Ranged:Longbowman": 2 }
+ */
+
+import Troop, { TROOP_CONFIGS } from '../entities/Troop.js';
+import HeadlessScene from './HeadlessScene.js';
+import SpatialGrid from './SpatialGrid.js';
+import { createSeededRandom } from './SeededRandom.js';
+import gameManager from '../managers/GameManager.js';
+
+// Default battle settings
+const DEFAULT_OPTIONS = {
+    timestep: 1000 / 60,       // Milliseconds per simulation step (one 60fps frame)
+    maxDuration: 180000,       // Battles still running after this are draws
+    spawnInterval: 500,        // Milliseconds between spawns from the same side
+    spawnJitter: 250,          // Random extra delay (0 to this) added to each spawn
+    width: 2000,               // Battlefield width (matches GameScene.WORLD_WIDTH)
+    spawnOffset: 100,          // Distance of each spawn point from the edge (matches the bases)
+    quiet: true                // Silence troop console logging during battles
+};
+
+// Re-exported so simulator users can seed their own runs the same way
+export { createSeededRandom };
+
+/**
+ * Get the gold cost of a unit
+ * @param {string} unit - Troop category, optionally "Category:UnitType"
+ * @returns {number} - Gold cost
+ */
+export function getUnitCost(unit) {
+    const [category, unitType] = unit.split(':');
+    const unitConfig = unitType && TROOP_CONFIGS[category] ? TROOP_CONFIGS[category][unitType] : null;
+    
+    if (unitConfig && unitConfig.goldCost !== undefined) {
+        return unitConfig.goldCost;
+    }
+    
+    return gameManager.economyConfig.unitCosts[category] || 0;
+}
+
+/**
+ * Get the total gold cost of an army
+ * @param {Object} army - Unit -> count
+ * @returns {number} - Gold cost
+ */
+export function getArmyCost(army) {
+    return Object.entries(army).reduce((total, [unit, count]) => total + getUnitCost(unit) * count, 0);
+}
+
+/**
+ * Check that an army only uses known troop categories and unit types
+ * @param {Object} army - Unit -> count
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+export function validateArmy(army) {
+    const errors = [];
+    
+    if (!army || typeof army !== 'object' || Object.keys(army).length === 0) {
+        return ['army: expected at least one unit'];
+    }
+    
+    Object.entries(army).forEach(([unit, count]) => {
+        const [category, unitType] = unit.split(':');
+        
+        if (!TROOP_CONFIGS[category]) {
+            errors.push(`${unit}: unknown troop category`);
+        } else if (unitType && !TROOP_CONFIGS[category][unitType]) {
+            errors.push(`${unit}: unknown unit type for ${category}`);
+        }
+        
+        if (!Number.isInteger(count) || count < 0) {
+            errors.push(`${unit}: expected a non-negative integer count, got ${JSON.stringify(count)}`);
+        }
+    });
+    
+    return errors;
+}
+
+export default class BattleSimulator {
+    /**
+     * Create a battle simulator
+     * @param {Object} options - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+    
+    /**
+     * Fight a single battle
+     * @param {Object} leftArmy - Army spawning on the left (player side)
+     * @param {Object} rightArmy - Army spawning on the right (enemy side)
+     * @param {number} seed - RNG seed for spawn order and timing
+     * @returns {Object} - { winner: 'left' | 'right' | 'draw', duration, timeToKill, left, right }
+     */
+    runBattle(leftArmy, rightArmy, seed = 1) {
+        const errors = [...validateArmy(leftArmy), ...validateArmy(rightArmy)];
+        if (errors.length > 0) {
+            throw new Error(`Invalid army:\n  ${errors.join('\n  ')}`);
+        }
+        
+        const random = createSeededRandom(seed);
+        const restore = this.isolateGlobals(random);
+        
+        try {
+            return this.simulate(leftArmy, rightArmy, random);
+        } finally {
+            restore();
+        }
+    }
+    
+    /**
+     * Fight many seeded battles and summarize them
+     * @param {Object} leftArmy - Army spawning on the left
+     * @param {Object} rightArmy - Army spawning on the right
+     * @param {Object} options - { runs, seed } (battle i uses seed + i)
+     * @returns {Object} - Win rates, draw rate, average time-to-kill and gold efficiency per side
+     */
+    runMatchup(leftArmy, rightArmy, { runs = 100, seed = 1 } = {}) {
+        const results = [];
+        for (let i = 0; i < runs; i++) {
+            results.push(this.runBattle(leftArmy, rightArmy, seed + i));
+        }
+        
+        const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+        const decided = results.filter(result => result.winner !== 'draw');
+        
+        const summarizeSide = side => {
+            const cost = getArmyCost(side === 'left' ? leftArmy : rightArmy);
+            const wins = results.filter(result => result.winner === side);
+            
+            return {
+                cost,
+                wins: wins.length,
+                winRate: wins.length / runs,
+                averageSurvivors: average(results.map(result => result[side].survivors)),
+                // Enemy gold destroyed per gold spent
+                goldEfficiency: cost > 0 ? average(results.map(result => result[side].goldKilled)) / cost : 0,
+                averageTimeToWin: average(wins.map(result => result.timeToKill))
+            };
+        };
+        
+        return {
+            runs,
+            seed,
+            left: summarizeSide('left'),
+            right: summarizeSide('right'),
+            draws: runs - decided.length,
+            averageTimeToKill: average(decided.map(result => result.timeToKill)),
+            averageDuration: average(results.map(result => result.duration))
+        };
+    }
+    
+    /**
+     * Run the battle loop
+     * @param {Object} leftArmy - Army spawning on the left
+     * @param {Object} rightArmy - Army spawning on the right
+     * @param {Function} random - Seeded RNG
+     * @returns {Object} - Battle result
+     */
+    simulate(leftArmy, rightArmy, random) {
+        const { timestep, maxDuration, width, spawnOffset } = this.options;
+        const scene = new HeadlessScene({ width });
+        const troops = [];
+        
+        // Same troop index GameScene keeps, so targeting runs through the grid queries
+        scene.troopGrid = new SpatialGrid({ width, height: scene.GROUND_Y, cellSize: 100 });
+        const indexTroop = troop => {
+            scene.troopGrid.update(troop, troop.sprite.x, troop.sprite.y, troop.sprite.width, troop.sprite.height);
+        };
+        
+        const sides = {
+            left: this.createSide(leftArmy, random, spawnOffset, width - spawnOffset, false),
+            right: this.createSide(rightArmy, random, width - spawnOffset, spawnOffset, true)
+        };
+        
+        let firstContactTime = null;
+        
+        const spawnDue = side => {
+            while (side.queue.length > 0 && side.queue[0].time <= scene.time.now) {
+                const { unit } = side.queue.shift();
+                const troop = new Troop(scene, side.spawnX, scene.GROUND_Y, unit, side.targetX, side.isEnemy);
+                troop.unit = unit;
+                troops.push(troop);
+                indexTroop(troop);
+                side.spawned.push(troop);
+            }
+        };
+        
+        const isDefeated = side => side.queue.length === 0 &&
+            side.spawned.every(troop => !troop.sprite.active);
+        
+        while (scene.time.now < maxDuration) {
+            scene.step(timestep, (time, delta) => {
+                spawnDue(sides.left);
+                spawnDue(sides.right);
+                
+                // Same loop as GameScene.updateTroops, without bases or the hero
+                for (let i = troops.length - 1; i >= 0; i--) {
+                    const troop = troops[i];
+                    if (!troop.sprite || !troop.sprite.active) {
+                        troops.splice(i, 1);
+                        continue;
+                    }
+                    
+                    indexTroop(troop);
+                    troop.move(delta, troops, null, null);
+                    
+                    if (firstContactTime === null && troop.isAttacking) {
+                        firstContactTime = time;
+                    }
+                }
+            });
+            
+            const leftDefeated = isDefeated(sides.left);
+            const rightDefeated = isDefeated(sides.right);
+            if (leftDefeated || rightDefeated) {
+                const winner = leftDefeated && rightDefeated ? 'draw' : (leftDefeated ? 'right' : 'left');
+                return this.buildResult(winner, scene.time.now, firstContactTime, sides);
+            }
+        }
+        
+        return this.buildResult('draw', scene.time.now, firstContactTime, sides);
+    }
+    
+    /**
+     * Build a side's shuffled spawn queue
+     * @param {Object} army - Unit -> count
+     * @param {Function} random - Seeded RNG
+     * @param {number} spawnX - Spawn x position
+     * @param {number} targetX - X position the troops march towards
+     * @param {boolean} isEnemy - Whether this side uses the enemy flag
+     * @returns {Object} - Side state
+     */
+    createSide(army, random, spawnX, targetX, isEnemy) {
+        const units = [];
+        Object.entries(army).forEach(([unit, count]) => {
+            for (let i = 0; i < count; i++) units.push(unit);
+        });
+        
+        // Fisher-Yates shuffle so the spawn order varies between seeds
+        for (let i = units.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [units[i], units[j]] = [units[j], units[i]];
+        }
+        
+        let time = 0;
+        const queue = units.map(unit => {
+            const entry = { unit, time };
+            time += this.options.spawnInterval + random() * this.options.spawnJitter;
+            return entry;
+        });
+        
+        return { army, queue, spawned: [], spawnX, targetX, isEnemy };
+    }
+    
+    /**
+     * Summarize a finished battle
+     * @param {string} winner - 'left', 'right' or 'draw'
+     * @param {number} duration - Milliseconds simulated
+     * @param {number|null} firstContactTime - When the first troop started attacking
+     * @param {Object} sides - Side states
+     * @returns {Object} - Battle result
+     */
+    buildResult(winner, duration, firstContactTime, sides) {
+        const summarize = (side, opponent) => {
+            const alive = side.spawned.filter(troop => troop.sprite.active);
+            const killed = opponent.spawned.filter(troop => !troop.sprite.active);
+            
+            return {
+                survivors: alive.length + side.queue.length,
+                survivingHealth: alive.reduce((total, troop) => total + troop.health, 0),
+                goldKilled: killed.reduce((total, troop) => total + getUnitCost(troop.unit), 0)
+            };
+        };
+        
+        return {
+            winner,
+            duration,
+            // Time from the first engagement until one side was wiped out
+            timeToKill: winner === 'draw' ? null : duration - (firstContactTime || 0),
+            left: summarize(sides.left, sides.right),
+            right: summarize(sides.right, sides.left)
+        };
+    }
+    
+    /**
+     * Route Math.random through the seeded RNG and optionally mute troop logging for one battle
+     * @param {Function} random - Seeded RNG
+     * @returns {Function} - Restores the originals
+     */
+    isolateGlobals(random) {
+        const originalRandom = Math.random;
+        const originalLog = console.log;
+        const originalDebug = console.debug;
+        
+        Math.random = random;
+        if (this.options.quiet) {
+            console.log = () => {};
+            console.debug = () => {};
+        }
+        
+        return () => {
+            Math.random = originalRandom;
+            console.log = originalLog;
+            console.debug = originalDebug;
+        };
+    }
+}
@@ -0,0 +1,293 @@
+/**
+ * EnemyCommander.js
+ * Enemy AI that manages its own gold wallet and spends it on troop waves
+ * Reacts to the player's army makeup and scales with the selected difficulty
+ */
+
+import { DAMAGE_MULTIPLIERS } from '../entities/Troop.js';
+import gameManager from '../managers/GameManager.js';
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+// Default commander settings - income and wave size are scaled by enemyStrength
+const COMMANDER_CONFIG = {
+    startingGold: 60,          // Gold available at the start of the round
+    passiveIncome: {
+        baseAmount: 20,        // Gold per income tick (before difficulty scaling)
+        interval: 5000,        // Milliseconds between income ticks
+    },
+    decisionInterval: 3000,    // Milliseconds between purchase decisions
+    waveSize: 2,               // Troops per wave at enemyStrength 1.0
+    spawnSpacing: 600,         // Milliseconds between troops of the same wave
+    counterWeight: 0.7,        // 0 = always a balanced mix, 1 = only counter the player's army
+    autoDecide: true,          // Buy waves on the decision timer (off when a replay sends the waves)
+};
+
+export default class EnemyCommander {
+    /**
+     * Create a new enemy commander
+     * @param {Phaser.Scene} scene - The scene to spawn troops in (must provide spawnEnemyTroop)
+     * @param {Object} options - Optional overrides for COMMANDER_CONFIG
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.options = { ...COMMANDER_CONFIG, ...options };
+        
+        // Difficulty scaling
+        this.strength = gameManager.getDifficultyParameters().enemyStrength;
+        
+        // Enemy upgrades chosen between rounds
+        this.incomeMultiplier = gameManager.getEnemyUpgradeEffects().income;
+        
+        // Wallet - kept separate from the player's GameManager wallet
+        this.gold = Math.floor(this.options.startingGold * this.strength);
+        
+        // Random source (overridable for deterministic runs)
+        this.random = this.options.random || Math.random;
+        
+        // Runtime state
+        this.incomeTimer = null;
+        this.decisionTimer = null;
+        this.spawnQueue = [];      // Troops of the current wave still waiting to spawn
+        this.wavesSent = 0;
+    }
+    
+    /**
+     * Start the income and decision timers
+     */
+    start() {
+        this.stop();
+        
+        this.incomeTimer = this.scene.time.addEvent({
+            delay: this.options.passiveIncome.interval,
+            callback: this.generatePassiveIncome,
+            callbackScope: this,
+            loop: true
+        });
+        
+        if (this.options.autoDecide) {
+            this.decisionTimer = this.scene.time.addEvent({
+                delay: this.options.decisionInterval,
+                callback: this.makeDecision,
+                callbackScope: this,
+                loop: true
+            });
+        }
+        
+        console.log(`EnemyCommander started with ${this.gold} gold (strength ${this.strength})`);
+    }
+    
+    /**
+     * Stop all commander timers
+     */
+    stop() {
+        if (this.incomeTimer) {
+            this.incomeTimer.remove();
+            this.incomeTimer = null;
+        }
+        if (this.decisionTimer) {
+            this.decisionTimer.remove();
+            this.decisionTimer = null;
+        }
+        this.spawnQueue = [];
+    }
+    
+    /**
+     * Add gold to the enemy wallet
+     * @param {number} amount - Amount of gold to add
+     * @param {string} source - Source of gold (for logging/tracking)
+     * @returns {number} - New gold total
+     */
+    addGold(amount, source = 'unknown') {
+        this.gold += amount;
+        console.log(`Enemy added ${amount} gold from ${source}. New total: ${this.gold}`);
+        return this.gold;
+    }
+    
+    /**
+     * Check if the enemy has enough gold and deduct if true
+     * @param {number} amount - Amount of gold to spend
+     * @param {string} reason - What the gold is being spent on (for logging)
+     * @returns {boolean} - Whether the transaction was successful
+     */
+    spendGold(amount, reason = 'purchase') {
+        if (this.gold >= amount) {
+            this.gold -= amount;
+            console.log(`Enemy spent ${amount} gold on ${reason}. Remaining: ${this.gold}`);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Generate passive income on timer
+     */
+    generatePassiveIncome() {
+        if (!this.scene.gameActive) return;
+        
+        const amount = Math.floor(this.options.passiveIncome.baseAmount * this.strength * this.incomeMultiplier);
+        this.addGold(amount, 'passive');
+    }
+    
+    /**
+     * Count the player's active troops by category
+     * @returns {Object} - Map of category to troop count
+     */
+    analyzePlayerArmy() {
+        const counts = {};
+        Object.keys(DAMAGE_MULTIPLIERS).forEach(category => {
+            counts[category] = 0;
+        });
+        
+        for (const troop of this.scene.troops || []) {
+            if (troop.isEnemy || !troop.sprite || !troop.sprite.active) continue;
+            if (counts[troop.category] !== undefined) {
+                counts[troop.category]++;
+            }
+        }
+        
+        return counts;
+    }
+    
+    /**
+     * Score how well a category performs against the player's army
+     * Uses the ratio of damage dealt to damage received from DAMAGE_MULTIPLIERS
+     * @param {string} category - Candidate troop category
+     * @param {Object} playerArmy - Player troop counts by category
+     * @returns {number} - Matchup score (1.0 = even)
+     */
+    scoreCategory(category, playerArmy) {
+        let totalScore = 0;
+        let totalTroops = 0;
+        
+        for (const [playerCategory, count] of Object.entries(playerArmy)) {
+            if (count === 0) continue;
+            
+            const dealt = DAMAGE_MULTIPLIERS[category][playerCategory] || 1;
+            const received = DAMAGE_MULTIPLIERS[playerCategory][category] || 1;
+            totalScore += count * (dealt / received);
+            totalTroops += count;
+        }
+        
+        // No player army to react to - every category is equally good
+        return totalTroops > 0 ? totalScore / totalTroops : 1;
+    }
+    
+    /**
+     * Get the weight of each category for the next wave
+     * Blends a balanced mix with counter picks based on counterWeight
+     * @returns {Object} - Map of category to selection weight (sums to 1)
+     */
+    getCategoryWeights() {
+        const playerArmy = this.analyzePlayerArmy();
+        const categories = Object.keys(DAMAGE_MULTIPLIERS);
+        
+        // Square the scores so clear counters stand out from even matchups
+        const scores = {};
+        let scoreSum = 0;
+        categories.forEach(category => {
+            scores[category] = Math.pow(this.scoreCategory(category, playerArmy), 2);
+            scoreSum += scores[category];
+        });
+        
+        const weights = {};
+        const counterWeight = this.options.counterWeight;
+        categories.forEach(category => {
+            weights[category] = (1 - counterWeight) / categories.length +
+                counterWeight * (scores[category] / scoreSum);
+        });
+        
+        return weights;
+    }
+    
+    /**
+     * Pick a category using weighted random selection
+     * @param {Object} weights - Map of category to selection weight
+     * @returns {string} - Chosen category
+     */
+    pickCategory(weights) {
+        let roll = this.random();
+        const entries = Object.entries(weights);
+        
+        for (const [category, weight] of entries) {
+            roll -= weight;
+            if (roll <= 0) return category;
+        }
+        
+        return entries[entries.length - 1][0];
+    }
+    
+    /**
+     * Plan the composition of the next wave
+     * @returns {Array<string>} - Troop categories to spawn
+     */
+    planWave() {
+        const size = Math.max(1, Math.round(this.options.waveSize * this.strength));
+        const weights = this.getCategoryWeights();
+        const wave = [];
+        
+        for (let i = 0; i < size; i++) {
+            wave.push(this.pickCategory(weights));
+        }
+        
+        return wave;
+    }
+    
+    /**
+     * Decide whether to buy a wave this tick
+     */
+    makeDecision() {
+        if (!this.scene.gameActive) return;
+        
+        // Wait until the previous wave has finished spawning
+        if (this.spawnQueue.length > 0) return;
+        
+        this.sendWave(this.planWave());
+    }
+    
+    /**
+     * Buy a wave and start spawning it
+     * @param {Array<string>} wave - Troop categories to spawn
+     * @param {boolean} force - Send the wave even if the wallet can't pay for it (replays whose economy drifted)
+     * @returns {boolean} - Whether the wave was sent
+     */
+    sendWave(wave, force = false) {
+        const cost = wave.reduce((total, category) => total + gameManager.getUnitCost(category), 0);
+        
+        // Save up until the whole wave is affordable
+        if (!this.spendGold(cost, `wave ${this.wavesSent + 1} (${wave.join(', ')})`)) {
+            if (!force) return false;
+            
+            console.warn(`Enemy can't afford wave ${this.wavesSent + 1} (${cost} gold, has ${this.gold}) - sending it anyway`);
+            this.gold = 0;
+        }
+        
+        this.wavesSent++;
+        eventBus.emit(GAME_EVENTS.ENEMY_WAVE_SENT, { wave: [...wave], cost });
+        
+        // Queue behind a wave that is still spawning
+        const idle = this.spawnQueue.length === 0;
+        this.spawnQueue.push(...wave);
+        if (idle) {
+            this.spawnNextInQueue();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Spawn the next troop of the current wave, then schedule the rest
+     */
+    spawnNextInQueue() {
+        if (this.spawnQueue.length === 0 || !this.scene.gameActive) {
+            this.spawnQueue = [];
+            return;
+        }
+        
+        const category = this.spawnQueue.shift();
+        this.scene.spawnEnemyTroop(category);
+        
+        if (this.spawnQueue.length > 0) {
+            this.scene.time.delayedCall(this.options.spawnSpacing, () => this.spawnNextInQueue());
+        }
+    }
+}
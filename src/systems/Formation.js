@@ -0,0 +1,202 @@
+/**
+ * Formation.js
+ * Keeps one side's troops in rows - Heavy in front, Light behind them, Ranged at the back
+ * Every frame each troop gets a formation slot (the x it may advance to), so the rows re-form on
+ * their own when the front line dies; the stance (the army's current command) decides where the
+ * front line stands and where the troops are heading (troop.targetX)
+ */
+
+// Stances (army commands) the player can give
+export const FORMATION_STANCES = {
+    ADVANCE: 'advance',     // March on the enemy base, the front row leads
+    CHARGE: 'charge',       // Every troop runs at the enemy base at its own pace, out of formation
+    HOLD: 'hold',           // Stop where the front line stood when the order was given
+    RALLY: 'rally',         // Gather in formation at the rally flag (troops past it walk back)
+    FALL_BACK: 'fallBack'   // Break off and form up in front of the own base
+};
+
+// Stance names for the HUD
+export const STANCE_LABELS = {
+    advance: 'Advance',
+    charge: 'Charge',
+    hold: 'Hold',
+    rally: 'Rally',
+    fallBack: 'Fall Back'
+};
+
+// Order the stances are listed and cycled in
+export const STANCE_ORDER = [
+    FORMATION_STANCES.ADVANCE,
+    FORMATION_STANCES.CHARGE,
+    FORMATION_STANCES.HOLD,
+    FORMATION_STANCES.RALLY,
+    FORMATION_STANCES.FALL_BACK
+];
+
+// Default formation settings - distances are pixels along the line of march
+const FORMATION_CONFIG = {
+    rowOrder: ['Heavy', 'Light', 'Ranged'], // Front to back (unknown categories form the last row)
+    spacingFactor: 1.5,        // Distance between troops of a row, in troop widths
+    rowGap: 20,                // Extra distance between two rows
+    holdDistance: 250,         // Hold line from the base when no troop is on the field
+    fallBackDistance: 80       // Distance of the back row from the base when falling back
+};
+
+export default class Formation {
+    /**
+     * Create a formation for one side
+     * @param {number} baseX - X of the side's base (where the army comes from)
+     * @param {number} direction - Direction of the march (1 = right, -1 = left)
+     * @param {boolean} isEnemy - Which side's troops the formation takes
+     * @param {Object} options - Optional overrides for FORMATION_CONFIG
+     */
+    constructor(baseX, direction, isEnemy, options = {}) {
+        this.baseX = baseX;
+        this.direction = direction;
+        this.isEnemy = isEnemy;
+        this.options = { ...FORMATION_CONFIG, ...options };
+        
+        this.stance = FORMATION_STANCES.ADVANCE;
+        this.holdProgress = null;  // Hold line (distance from the base), set on the first update after the order
+        this.rallyX = null;        // World x of the rally flag (null until one is placed)
+    }
+    
+    /**
+     * Give the army a new stance
+     * @param {string} stance - One of FORMATION_STANCES
+     * @returns {boolean} - Whether the stance was taken (rallying needs a rally flag)
+     */
+    setStance(stance) {
+        if (!STANCE_ORDER.includes(stance)) {
+            console.warn(`Unknown stance: ${stance}`);
+            return false;
+        }
+        
+        if (stance === FORMATION_STANCES.RALLY && this.rallyX === null) {
+            console.warn('Cannot rally without a rally flag');
+            return false;
+        }
+        
+        this.stance = stance;
+        this.holdProgress = null;
+        return true;
+    }
+    
+    /**
+     * Plant the rally flag and order the army to gather there
+     * @param {number} x - World x of the flag
+     */
+    setRallyPoint(x) {
+        this.rallyX = x;
+        this.setStance(FORMATION_STANCES.RALLY);
+    }
+    
+    /**
+     * Get the stance after the current one (gamepad cycling)
+     * @returns {string} - One of FORMATION_STANCES
+     */
+    getNextStance() {
+        return STANCE_ORDER[(STANCE_ORDER.indexOf(this.stance) + 1) % STANCE_ORDER.length];
+    }
+    
+    /**
+     * Distance of an x position from the base along the line of march
+     * @param {number} x - World x
+     * @returns {number} - Progress in pixels
+     */
+    getProgress(x) {
+        return (x - this.baseX) * this.direction;
+    }
+    
+    /**
+     * World x of a distance from the base along the line of march
+     * @param {number} progress - Progress in pixels
+     * @returns {number} - World x
+     */
+    getWorldX(progress) {
+        return this.baseX + progress * this.direction;
+    }
+    
+    /**
+     * Row of a troop (0 = front row)
+     * @param {Troop} troop - The troop
+     * @returns {number} - Row index
+     */
+    getRow(troop) {
+        const row = this.options.rowOrder.indexOf(troop.category);
+        return row === -1 ? this.options.rowOrder.length : row;
+    }
+    
+    /**
+     * Assign every troop of the side its formation slot - call once per frame before the troops move
+     * Slot x is null for the troop leading an advance (and for every troop in a charge),
+     * retreat is set while falling back or rallying so troops past their slot walk back to it
+     * Troops head for the rally flag while rallying and for the opposing base otherwise
+     * @param {Array<Troop>} troops - All troops in the scene
+     */
+    update(troops) {
+        const members = troops.filter(troop => troop.isEnemy === this.isEnemy && troop.sprite && troop.sprite.active);
+        if (members.length === 0) return;
+        
+        const rallying = this.stance === FORMATION_STANCES.RALLY;
+        members.forEach(troop => {
+            troop.targetX = rallying ? this.rallyX : troop.marchTargetX;
+        });
+        
+        if (this.stance === FORMATION_STANCES.CHARGE) {
+            members.forEach(troop => {
+                troop.formationSlot = { x: null, retreat: false };
+            });
+            return;
+        }
+        
+        // Front row first, and within a row the troop furthest forward first
+        members.sort((a, b) => this.getRow(a) - this.getRow(b) ||
+            this.getProgress(b.sprite.x) - this.getProgress(a.sprite.x));
+        
+        // Distance of each troop's slot behind the front slot
+        let depth = 0;
+        const offsets = members.map((troop, index) => {
+            if (index > 0) {
+                depth += troop.troopWidth * this.options.spacingFactor;
+                if (this.getRow(troop) !== this.getRow(members[index - 1])) {
+                    depth += this.options.rowGap;
+                }
+            }
+            return depth;
+        });
+        
+        // Without an anchor the leader marches on and the rest form up behind it
+        const anchor = this.getAnchorProgress(members[0], depth);
+        const front = anchor === null ? this.getProgress(members[0].sprite.x) : anchor;
+        const retreat = this.stance === FORMATION_STANCES.FALL_BACK || rallying;
+        
+        members.forEach((troop, index) => {
+            const isFreeLeader = anchor === null && index === 0;
+            troop.formationSlot = { x: isFreeLeader ? null : this.getWorldX(front - offsets[index]), retreat };
+        });
+    }
+    
+    /**
+     * Where the front of the formation stands for the current stance
+     * @param {Troop} leader - First troop of the front row
+     * @param {number} depth - Distance from the front slot to the last one
+     * @returns {number|null} - Progress of the front slot, or null when the leader marches freely
+     */
+    getAnchorProgress(leader, depth) {
+        switch (this.stance) {
+            case FORMATION_STANCES.HOLD:
+                if (this.holdProgress === null) {
+                    this.holdProgress = Math.max(this.getProgress(leader.sprite.x), this.options.holdDistance);
+                }
+                return this.holdProgress;
+            case FORMATION_STANCES.RALLY:
+                return this.getProgress(this.rallyX);
+            case FORMATION_STANCES.FALL_BACK:
+                // The whole army lines up in front of the base
+                return this.options.fallBackDistance + depth;
+            default:
+                return null;
+        }
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * GamepadControls.js
+ * Gamepad input for the player's hero - the left stick moves, the right stick aims a reticle,
+ * the right trigger charges and releases arrows and the face buttons buy troops or summon a platform
+ * Controllers can be plugged in or out at any time - the first connected pad drives the hero
+ */
+
+// Button indices of the standard gamepad mapping
+export const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+// Default gamepad settings
+const GAMEPAD_CONFIG = {
+    deadzone: 0.25,            // Stick deflection ignored as drift
+    jumpThreshold: 0.6,        // Left stick deflection up/down that counts as jump / drop
+    triggerThreshold: 0.5,     // Trigger pressure that starts charging
+    aimDistance: 220,          // Reticle distance from the hero
+    defaultAim: { x: 0.95, y: -0.3 }, // Aim before the right stick is used (towards the enemy, slightly up)
+    reticleRadius: 10,
+    reticleColor: 0xFFFF00
+};
+
+// Face buttons that buy troops (Y is the platform - it presses the hero's space key)
+const TROOP_BUTTONS = [
+    { button: GAMEPAD_BUTTONS.A, category: 'Light' },
+    { button: GAMEPAD_BUTTONS.B, category: 'Ranged' },
+    { button: GAMEPAD_BUTTONS.X, category: 'Heavy' }
+];
+
+// Shoulder buttons that cycle the arrow type
+const ARROW_CYCLE_BUTTONS = [
+    { button: GAMEPAD_BUTTONS.LB, direction: -1 },
+    { button: GAMEPAD_BUTTONS.RB, direction: 1 }
+];
+
+// Button prompts shown in the HUD while a controller is connected
+const CONTROLLER_PROMPT = 'A Light   B Ranged   X Heavy   Y Platform   RT Shoot   LB/RB Arrow   Back Stance   Start Pause';
+
+export default class GamepadControls {
+    /**
+     * Create gamepad controls for the scene's hero
+     * @param {Phaser.Scene} scene - The scene (must provide hero, runAction and showUpgradeMessage)
+     * @param {Object} options - Optional overrides for GAMEPAD_CONFIG
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.options = { ...GAMEPAD_CONFIG, ...options };
+        
+        this.pad = null;                        // Connected pad driving the hero
+        this.aim = { ...this.options.defaultAim }; // Normalized aim direction
+        this.previousButtons = {};              // Button index -> pressed last frame (edge detection)
+        this.triggerHeld = false;               // Whether the trigger is charging an arrow
+        
+        // Aim reticle in the world, in front of the hero
+        this.reticle = scene.add.graphics();
+        this.reticle.setDepth(50);
+        this.reticle.setVisible(false);
+        
+        // Controller prompt layer in the HUD
+        this.promptText = scene.add.text(scene.cameras.main.width / 2, scene.cameras.main.height - 8, CONTROLLER_PROMPT, {
+            fontFamily: 'Arial',
+            fontSize: 13,
+            color: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3
+        });
+        this.promptText.setOrigin(0.5, 1);
+        this.promptText.setScrollFactor(0);
+        this.promptText.setDepth(100);
+        this.promptText.setVisible(false);
+        
+        if (!scene.input.gamepad) {
+            console.warn('Gamepad input is disabled in the game config');
+        }
+    }
+    
+    /**
+     * Whether a controller is driving the hero
+     * @returns {boolean} - Connection state
+     */
+    get isConnected() {
+        return this.pad !== null;
+    }
+    
+    /**
+     * Find the first connected pad
+     * @returns {Phaser.Input.Gamepad.Gamepad|null} - The pad, or null if none is connected
+     */
+    findPad() {
+        const plugin = this.scene.input.gamepad;
+        if (!plugin) return null;
+        
+        return plugin.getAll().find(pad => pad && pad.connected) || null;
+    }
+    
+    /**
+     * Poll the controller - call once per frame before the hero updates
+     */
+    update() {
+        const pad = this.findPad();
+        if (pad !== this.pad) {
+            this.onPadChanged(pad);
+        }
+        
+        if (!this.pad) return;
+        
+        this.updateAim();
+        this.updateTrigger();
+        this.updateButtons();
+        this.drawReticle();
+    }
+    
+    /**
+     * React to a controller being plugged in, swapped or unplugged
+     * @param {Phaser.Input.Gamepad.Gamepad|null} pad - The new pad
+     */
+    onPadChanged(pad) {
+        // Don't leave an arrow charging when the controller goes away
+        if (this.triggerHeld) {
+            this.releaseTrigger();
+        }
+        
+        this.pad = pad;
+        this.previousButtons = {};
+        
+        this.reticle.setVisible(!!pad);
+        this.promptText.setVisible(!!pad);
+        
+        if (pad) {
+            console.log(`Gamepad connected: ${pad.id}`);
+            this.showMessage('Controller connected', '#FFFF00');
+        } else {
+            console.log('Gamepad disconnected');
+            this.showMessage('Controller disconnected', '#FF8888');
+        }
+    }
+    
+    /**
+     * Show a connection message over the hero
+     * @param {string} message - Message to display
+     * @param {string} color - Text color
+     */
+    showMessage(message, color) {
+        if (this.scene.hero) {
+            this.scene.showUpgradeMessage(message, color);
+        }
+    }
+    
+    /**
+     * Check a button, treating analog buttons as pressed past a threshold
+     * @param {number} index - Button index (see GAMEPAD_BUTTONS)
+     * @param {number} threshold - Minimum value for analog buttons
+     * @returns {boolean} - Whether the button is down
+     */
+    isButtonDown(index, threshold = 0.5) {
+        const button = this.pad && this.pad.buttons[index];
+        return !!button && (button.pressed || button.value >= threshold);
+    }
+    
+    /**
+     * Check whether a button went down this frame
+     * @param {number} index - Button index (see GAMEPAD_BUTTONS)
+     * @returns {boolean} - Whether the button was just pressed
+     */
+    wasButtonPressed(index) {
+        const down = this.isButtonDown(index);
+        const wasDown = !!this.previousButtons[index];
+        this.previousButtons[index] = down;
+        return down && !wasDown;
+    }
+    
+    /**
+     * Treat every button held right now as already pressed, so it only counts once let go
+     * (the button that closed the pause menu must not buy a troop or pause again)
+     */
+    ignoreHeldButtons() {
+        if (!this.pad) return;
+        
+        this.pad.buttons.forEach(button => {
+            this.previousButtons[button.index] = this.isButtonDown(button.index);
+        });
+    }
+    
+    /**
+     * Point the aim along the right stick (keeps the last direction when the stick is released)
+     */
+    updateAim() {
+        const stick = this.pad.rightStick;
+        const length = Math.hypot(stick.x, stick.y);
+        
+        if (length > this.options.deadzone) {
+            this.aim = { x: stick.x / length, y: stick.y / length };
+        }
+    }
+    
+    /**
+     * Get the world position the reticle points at
+     * @returns {{x: number, y: number}} - Target position
+     */
+    getAimTarget() {
+        const hero = this.scene.hero.sprite;
+        return {
+            x: Math.round(hero.x + this.aim.x * this.options.aimDistance),
+            y: Math.round(hero.y + this.aim.y * this.options.aimDistance)
+        };
+    }
+    
+    /**
+     * Charge while the right trigger is held and shoot at the reticle when it is released
+     */
+    updateTrigger() {
+        const held = this.isButtonDown(GAMEPAD_BUTTONS.RT, this.options.triggerThreshold);
+        
+        if (held && !this.triggerHeld) {
+            this.triggerHeld = true;
+            this.scene.runAction({ type: 'chargeStart', ...this.getAimTarget() });
+        } else if (!held && this.triggerHeld) {
+            this.releaseTrigger();
+        }
+    }
+    
+    /**
+     * Release the charged arrow at the reticle (same action as a mouse release)
+     */
+    releaseTrigger() {
+        this.triggerHeld = false;
+        
+        const hero = this.scene.hero;
+        if (hero && this.scene.gameActive) {
+            this.scene.runAction({ type: 'release', ...this.getAimTarget(), power: hero.powerLevel });
+        }
+    }
+    
+    /**
+     * Buy troops with the face buttons and cycle arrows with the shoulder buttons
+     */
+    updateButtons() {
+        TROOP_BUTTONS.forEach(({ button, category }) => {
+            if (this.wasButtonPressed(button)) {
+                this.scene.runAction({ type: 'spawnTroop', category });
+            }
+        });
+        
+        ARROW_CYCLE_BUTTONS.forEach(({ button, direction }) => {
+            if (this.wasButtonPressed(button)) {
+                this.scene.runAction({ type: 'cycleArrowType', direction });
+            }
+        });
+        
+        if (this.wasButtonPressed(GAMEPAD_BUTTONS.BACK)) {
+            this.scene.cycleArmyStance();
+        }
+        
+        if (this.wasButtonPressed(GAMEPAD_BUTTONS.START)) {
+            this.scene.pauseGame();
+        }
+    }
+    
+    /**
+     * Get the hero keys the controller is holding
+     * @returns {Object} - { left, right, up, down, space } booleans
+     */
+    getKeyState() {
+        if (!this.pad) {
+            return { left: false, right: false, up: false, down: false, space: false };
+        }
+        
+        const stick = this.pad.leftStick;
+        return {
+            left: stick.x < -this.options.deadzone || this.isButtonDown(GAMEPAD_BUTTONS.DPAD_LEFT),
+            right: stick.x > this.options.deadzone || this.isButtonDown(GAMEPAD_BUTTONS.DPAD_RIGHT),
+            up: stick.y < -this.options.jumpThreshold || this.isButtonDown(GAMEPAD_BUTTONS.DPAD_UP),
+            down: stick.y > this.options.jumpThreshold || this.isButtonDown(GAMEPAD_BUTTONS.DPAD_DOWN),
+            space: this.isButtonDown(GAMEPAD_BUTTONS.Y)
+        };
+    }
+    
+    /**
+     * Combine keyboard keys with the controller for Hero.update
+     * @param {Object} keys - Keyboard keys ({ left, right, up, down, space } with isDown)
+     * @returns {Object} - Keys in the same shape, down if either device holds them
+     */
+    mergeKeys(keys) {
+        if (!this.pad) return keys;
+        
+        const state = this.getKeyState();
+        const merged = {};
+        Object.keys(state).forEach(key => {
+            merged[key] = { isDown: state[key] || (!!keys[key] && keys[key].isDown) };
+        });
+        return merged;
+    }
+    
+    /**
+     * Draw the aim reticle at the current aim target
+     */
+    drawReticle() {
+        const hero = this.scene.hero;
+        this.reticle.clear();
+        if (!hero || !hero.isAlive) return;
+        
+        const { x, y } = this.getAimTarget();
+        const radius = this.options.reticleRadius;
+        const alpha = this.triggerHeld ? 1 : 0.6;
+        
+        this.reticle.lineStyle(2, this.options.reticleColor, alpha);
+        this.reticle.strokeCircle(x, y, radius);
+        this.reticle.lineBetween(x - radius * 1.6, y, x - radius * 0.5, y);
+        this.reticle.lineBetween(x + radius * 0.5, y, x + radius * 1.6, y);
+        this.reticle.lineBetween(x, y - radius * 1.6, x, y - radius * 0.5);
+        this.reticle.lineBetween(x, y + radius * 0.5, x, y + radius * 1.6);
+    }
+}
@@ -0,0 +1,411 @@
+/**
+ * HeadlessScene.js
+ * Minimal stand-in for a Phaser scene so game entities (e.g. Troop) can run in Node without a canvas
+ * Implements only the scene APIs those entities use: add, physics, time, tweens and events
+ * Nothing advances on its own - call step() with a fixed timestep
+ */
+
+/**
+ * Tiny event emitter with the on/once/off/emit subset of Phaser's EventEmitter
+ */
+class HeadlessEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    on(event, callback, context) {
+        (this.listeners[event] = this.listeners[event] || []).push({ callback, context, once: false });
+        return this;
+    }
+    
+    once(event, callback, context) {
+        (this.listeners[event] = this.listeners[event] || []).push({ callback, context, once: true });
+        return this;
+    }
+    
+    off(event, callback, context) {
+        if (!this.listeners[event]) return this;
+        
+        this.listeners[event] = this.listeners[event].filter(listener =>
+            (callback && listener.callback !== callback) || (context && listener.context !== context)
+        );
+        return this;
+    }
+    
+    emit(event, ...args) {
+        const listeners = this.listeners[event];
+        if (!listeners || listeners.length === 0) return false;
+        
+        this.listeners[event] = listeners.filter(listener => !listener.once);
+        listeners.forEach(listener => listener.callback.apply(listener.context, args));
+        return true;
+    }
+}
+
+/**
+ * Game object with position and size but no rendering
+ * Setters return this so chained Phaser calls keep working
+ */
+class HeadlessGameObject extends HeadlessEmitter {
+    constructor(scene, x, y, width = 0, height = 0, fillColor = 0) {
+        super();
+        this.scene = scene;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.fillColor = fillColor;
+        this.alpha = 1;
+        this.scale = 1;
+        this.rotation = 0;
+        this.depth = 0;
+        this.visible = true;
+        this.active = true;
+        this.body = null;
+        this.list = [];            // Children when used as a container
+    }
+    
+    setPosition(x, y = x) { this.x = x; this.y = y; return this; }
+    setDepth(depth) { this.depth = depth; return this; }
+    setAlpha(alpha) { this.alpha = alpha; return this; }
+    setVisible(visible) { this.visible = visible; return this; }
+    setFillStyle(color) { this.fillColor = color; return this; }
+    setText(text) { this.text = text; return this; }
+    setOrigin() { return this; }
+    setStrokeStyle() { return this; }
+    setScrollFactor() { return this; }
+    setInteractive() { return this; }
+    
+    add(children) {
+        this.list.push(...[].concat(children));
+        return this;
+    }
+    
+    destroy() {
+        if (!this.active) return;
+        
+        this.active = false;
+        this.emit('destroy', this);
+        this.list.forEach(child => child.destroy());
+        this.listeners = {};
+    }
+}
+
+/**
+ * Arcade-style body: velocity, gravity flag and world bounds
+ */
+class HeadlessBody {
+    constructor(gameObject, isStatic = false) {
+        this.gameObject = gameObject;
+        this.isStatic = isStatic;
+        this.velocity = { x: 0, y: 0 };
+        this.gravityY = 0;
+        this.allowGravity = true;
+        this.collideWorldBounds = false;
+    }
+    
+    setVelocity(x, y = x) { this.velocity.x = x; this.velocity.y = y; return this; }
+    setVelocityX(x) { this.velocity.x = x; return this; }
+    setVelocityY(y) { this.velocity.y = y; return this; }
+    setGravityY(gravity) { this.gravityY = gravity; return this; }
+    setAllowGravity(allow) { this.allowGravity = allow; return this; }
+    setCollideWorldBounds(collide) { this.collideWorldBounds = collide; return this; }
+    setBounce() { return this; }
+    setImmovable() { return this; }
+}
+
+/**
+ * Simplified arcade physics
+ * Bodies with gravity stand on the ground, other bodies move by their velocity,
+ * and overlaps are tested as axis-aligned boxes
+ */
+class HeadlessPhysics {
+    constructor(width, groundY) {
+        this.world = {
+            bounds: { x: 0, y: 0, width, height: groundY, right: width, bottom: groundY }
+        };
+        this.bodies = [];
+        this.overlaps = [];
+        
+        this.add = {
+            existing: (gameObject, isStatic = false) => {
+                gameObject.body = new HeadlessBody(gameObject, isStatic);
+                this.bodies.push(gameObject.body);
+                return gameObject;
+            },
+            overlap: (objectA, objectB, callback, processCallback = null, context = null) => {
+                const overlap = { objectA, objectB, callback, context, active: true, destroy() { this.active = false; } };
+                this.overlaps.push(overlap);
+                return overlap;
+            },
+            // Troops collide with platforms in the real game; there are none here
+            collider: () => ({ active: false, destroy() {} })
+        };
+    }
+    
+    /**
+     * Move bodies and fire overlap callbacks
+     * @param {number} delta - Milliseconds since the last step
+     */
+    step(delta) {
+        const bounds = this.world.bounds;
+        const seconds = delta / 1000;
+        
+        this.bodies = this.bodies.filter(body => body.gameObject.active);
+        
+        for (const body of this.bodies) {
+            if (body.isStatic) continue;
+            
+            const gameObject = body.gameObject;
+            gameObject.x += body.velocity.x * seconds;
+            
+            // Units only ever fall onto the flat ground, so land them straight away
+            if (body.allowGravity && body.gravityY > 0) {
+                gameObject.y = bounds.bottom - gameObject.height / 2;
+            } else {
+                gameObject.y += body.velocity.y * seconds;
+            }
+            
+            if (body.collideWorldBounds) {
+                const halfWidth = gameObject.width / 2;
+                gameObject.x = Math.min(Math.max(gameObject.x, bounds.x + halfWidth), bounds.right - halfWidth);
+            }
+        }
+        
+        this.overlaps = this.overlaps.filter(overlap =>
+            overlap.active && overlap.objectA.active && overlap.objectB.active
+        );
+        
+        // Callbacks may destroy objects, so re-check before each one
+        for (const overlap of [...this.overlaps]) {
+            const { objectA, objectB } = overlap;
+            if (!overlap.active || !objectA.active || !objectB.active) continue;
+            
+            if (HeadlessPhysics.intersects(objectA, objectB)) {
+                overlap.callback.call(overlap.context, objectA, objectB);
+            }
+        }
+    }
+    
+    /**
+     * Check whether two centered rectangles overlap
+     * @param {HeadlessGameObject} a - First object
+     * @param {HeadlessGameObject} b - Second object
+     * @returns {boolean} - Whether they overlap
+     */
+    static intersects(a, b) {
+        return Math.abs(a.x - b.x) * 2 <= a.width + b.width &&
+            Math.abs(a.y - b.y) * 2 <= a.height + b.height;
+    }
+}
+
+/**
+ * Timer event compatible with the parts of Phaser.Time.TimerEvent entities use
+ */
+class HeadlessTimerEvent {
+    constructor(clock, config) {
+        this.clock = clock;
+        this.delay = config.delay || 0;
+        this.callback = config.callback;
+        this.callbackScope = config.callbackScope;
+        this.args = config.args || [];
+        this.loop = !!config.loop;
+        this.repeatCount = config.repeat || 0;
+        this.dueTime = clock.now + this.delay;
+        this.removed = false;
+    }
+    
+    getRemaining() {
+        return Math.max(0, this.dueTime - this.clock.now);
+    }
+    
+    remove() {
+        this.removed = true;
+    }
+}
+
+/**
+ * Fixed-timestep clock with addEvent/delayedCall
+ */
+class HeadlessClock {
+    constructor() {
+        this.now = 0;
+        this.events = [];
+    }
+    
+    addEvent(config) {
+        const event = new HeadlessTimerEvent(this, config);
+        this.events.push(event);
+        return event;
+    }
+    
+    delayedCall(delay, callback, args = [], callbackScope = null) {
+        return this.addEvent({ delay, callback, args, callbackScope });
+    }
+    
+    removeAllEvents() {
+        this.events.forEach(event => event.remove());
+        this.events = [];
+    }
+    
+    /**
+     * Advance the clock and fire due events in time order
+     * @param {number} delta - Milliseconds to advance
+     */
+    update(delta) {
+        const endTime = this.now + delta;
+        
+        while (true) {
+            let next = null;
+            for (const event of this.events) {
+                if (event.removed || event.dueTime > endTime) continue;
+                if (!next || event.dueTime < next.dueTime) next = event;
+            }
+            if (!next) break;
+            
+            this.now = Math.max(this.now, next.dueTime);
+            
+            if (next.loop || next.repeatCount > 0) {
+                next.repeatCount = Math.max(0, next.repeatCount - 1);
+                // Zero-delay loops fire once per step at most
+                next.dueTime += Math.max(next.delay, endTime - next.dueTime + 1e-6);
+            } else {
+                next.removed = true;
+            }
+            
+            if (next.callback) {
+                next.callback.apply(next.callbackScope, next.args);
+            }
+        }
+        
+        this.now = endTime;
+        this.events = this.events.filter(event => !event.removed);
+    }
+}
+
+// Tween config keys that are not tweened properties
+const TWEEN_CONFIG_KEYS = ['targets', 'duration', 'delay', 'ease', 'yoyo', 'repeat', 'hold', 'loop',
+    'onStart', 'onUpdate', 'onComplete', 'onYoyo', 'onRepeat', 'callbackScope'];
+
+/**
+ * Linear tweens of numeric properties (easing is ignored)
+ */
+class HeadlessTweens {
+    constructor() {
+        this.tweens = [];
+    }
+    
+    add(config) {
+        const targets = [].concat(config.targets).filter(Boolean);
+        const properties = Object.keys(config).filter(key =>
+            !TWEEN_CONFIG_KEYS.includes(key) && typeof config[key] === 'number'
+        );
+        
+        const tween = {
+            targets,
+            properties,
+            duration: config.duration || 0,
+            delay: config.delay || 0,
+            yoyo: !!config.yoyo,
+            elapsed: 0,
+            onComplete: config.onComplete,
+            callbackScope: config.callbackScope,
+            start: targets.map(target => Object.fromEntries(properties.map(key => [key, target[key]]))),
+            end: Object.fromEntries(properties.map(key => [key, config[key]])),
+            isPlaying: true,
+            stop() { this.isPlaying = false; },
+            remove() { this.isPlaying = false; }
+        };
+        
+        this.tweens.push(tween);
+        return tween;
+    }
+    
+    killTweensOf(target) {
+        this.tweens.forEach(tween => {
+            if (tween.targets.includes(target)) tween.stop();
+        });
+    }
+    
+    /**
+     * Advance all tweens
+     * @param {number} delta - Milliseconds to advance
+     */
+    update(delta) {
+        for (const tween of [...this.tweens]) {
+            if (!tween.isPlaying) continue;
+            
+            tween.elapsed += delta;
+            const active = Math.max(0, tween.elapsed - tween.delay);
+            const total = tween.duration * (tween.yoyo ? 2 : 1);
+            let progress = tween.duration > 0 ? Math.min(1, active / tween.duration) : 1;
+            
+            if (tween.yoyo && active > tween.duration) {
+                progress = Math.max(0, 2 - active / tween.duration);
+            }
+            
+            tween.targets.forEach((target, index) => {
+                tween.properties.forEach(key => {
+                    const from = tween.start[index][key];
+                    target[key] = from + (tween.end[key] - from) * progress;
+                });
+            });
+            
+            if (active >= total) {
+                tween.isPlaying = false;
+                if (tween.onComplete) tween.onComplete.call(tween.callbackScope, tween, tween.targets);
+            }
+        }
+        
+        this.tweens = this.tweens.filter(tween => tween.isPlaying);
+    }
+}
+
+export default class HeadlessScene {
+    /**
+     * Create a headless scene
+     * @param {Object} options - { width, groundY } of the battlefield (defaults match GameScene)
+     */
+    constructor(options = {}) {
+        this.WORLD_WIDTH = options.width || 2000;
+        this.GROUND_Y = options.groundY || 570;
+        
+        this.time = new HeadlessClock();
+        this.tweens = new HeadlessTweens();
+        this.physics = new HeadlessPhysics(this.WORLD_WIDTH, this.GROUND_Y);
+        this.events = new HeadlessEmitter();
+        this.hero = null;
+        
+        this.add = {
+            rectangle: (x, y, width, height, color) => new HeadlessGameObject(this, x, y, width, height, color),
+            circle: (x, y, radius, color) => new HeadlessGameObject(this, x, y, radius * 2, radius * 2, color),
+            text: (x, y, text) => new HeadlessGameObject(this, x, y).setText(text),
+            container: (x, y) => new HeadlessGameObject(this, x, y)
+        };
+    }
+    
+    /**
+     * Get the game time (a headless scene is never paused, so this is the clock time)
+     * @returns {number} - Milliseconds
+     */
+    getGameTime() {
+        return this.time.now;
+    }
+    
+    /**
+     * Advance the scene by one fixed step, in the same order as a Phaser frame
+     * (timers, tweens, physics, then the scene update)
+     * @param {number} delta - Milliseconds to advance
+     * @param {Function} update - Optional scene update callback (time, delta)
+     */
+    step(delta, update = null) {
+        this.time.update(delta);
+        this.tweens.update(delta);
+        this.physics.step(delta);
+        this.events.emit('update', this.time.now, delta);
+        
+        if (update) {
+            update(this.time.now, delta);
+        }
+    }
+}
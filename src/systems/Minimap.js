@@ -0,0 +1,214 @@
+/**
+ * Minimap.js
+ * HUD strip showing the whole battlefield - both bases with their health, every troop (filled with
+ * its category color, outlined with its side's color), the heroes, their platforms and the rally flag
+ * The frame marks what the camera shows; clicking or dragging on the strip pans the camera there for a moment
+ */
+
+import { FORMATION_STANCES } from './Formation.js';
+
+// Default minimap settings - sizes are game pixels
+const MINIMAP_CONFIG = {
+    width: 240,
+    height: 40,
+    top: 8,                    // Distance from the top of the screen
+    right: 130,                // Distance from the right of the screen (room for the round text)
+    backgroundAlpha: 0.5,
+    troopSize: 5,              // Troop marker size, outline included
+    heroRadius: 3,
+    allyOutline: 0x66AAFF,
+    enemyOutline: 0xFF5555,
+    heroColor: 0xFFFF00,
+    enemyHeroColor: 0xFF3333,
+    platformColor: 0x8B4513,
+    groundColor: 0x3A5F0B,
+    rallyFlagColor: 0x3333FF
+};
+
+export default class Minimap {
+    /**
+     * Create the minimap for the scene's battlefield
+     * @param {Phaser.Scene} scene - The scene (must provide WORLD_WIDTH, WORLD_HEIGHT, GROUND_Y and peekCamera)
+     * @param {Object} options - Optional overrides for MINIMAP_CONFIG
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.options = { ...MINIMAP_CONFIG, ...options };
+        
+        const { width, height, top, right } = this.options;
+        this.x = scene.cameras.main.width - right - width;
+        this.y = top;
+        this.scaleX = width / scene.WORLD_WIDTH;
+        this.scaleY = height / scene.WORLD_HEIGHT;
+        
+        this.graphics = scene.add.graphics();
+        this.graphics.setScrollFactor(0);
+        this.graphics.setDepth(100);
+        
+        // Clicks on the strip pan the camera instead of charging a shot
+        this.hitZone = scene.add.zone(this.x, this.y, width, height).setOrigin(0, 0);
+        this.hitZone.setScrollFactor(0);
+        this.hitZone.setInteractive({ useHandCursor: true });
+        this.hitZone.on('pointerdown', this.onPointer, this);
+        this.hitZone.on('pointermove', (pointer) => {
+            if (pointer.isDown) this.onPointer(pointer);
+        });
+        
+        this.update();
+    }
+    
+    /**
+     * Pan the camera to the battlefield position under a pointer
+     * @param {Phaser.Input.Pointer} pointer - Pointer on the strip (screen coordinates)
+     */
+    onPointer(pointer) {
+        const worldX = (pointer.x - this.x) / this.scaleX;
+        this.scene.peekCamera(Phaser.Math.Clamp(worldX, 0, this.scene.WORLD_WIDTH));
+    }
+    
+    /**
+     * Minimap x of a world x
+     * @param {number} worldX - World x
+     * @returns {number} - Screen x on the strip
+     */
+    toMapX(worldX) {
+        return this.x + worldX * this.scaleX;
+    }
+    
+    /**
+     * Minimap y of a world y
+     * @param {number} worldY - World y
+     * @returns {number} - Screen y on the strip
+     */
+    toMapY(worldY) {
+        return this.y + worldY * this.scaleY;
+    }
+    
+    /**
+     * Redraw the strip - call once per frame
+     */
+    update() {
+        const scene = this.scene;
+        const g = this.graphics;
+        const { width, height } = this.options;
+        
+        g.clear();
+        
+        // Background and ground
+        g.fillStyle(0x000000, this.options.backgroundAlpha);
+        g.fillRect(this.x, this.y, width, height);
+        const groundY = this.toMapY(scene.GROUND_Y);
+        g.fillStyle(this.options.groundColor, 1);
+        g.fillRect(this.x, groundY, width, this.y + height - groundY);
+        
+        [scene.playerBase, scene.enemyBase].forEach(base => {
+            if (base) this.drawBase(base);
+        });
+        
+        this.drawRallyFlag();
+        
+        // Platforms of every hero on the field
+        const heroes = [scene.hero, scene.enemyHero].filter(hero => hero && hero.sprite);
+        g.fillStyle(this.options.platformColor, 1);
+        heroes.forEach(hero => {
+            (hero.platforms || []).forEach(platform => {
+                if (!platform.sprite || !platform.sprite.active) return;
+                const { x, y, width: platformWidth } = platform.sprite;
+                g.fillRect(this.toMapX(x - platformWidth / 2), this.toMapY(y) - 1, Math.max(2, platformWidth * this.scaleX), 2);
+            });
+        });
+        
+        (scene.troops || []).forEach(troop => {
+            if (!troop.sprite || !troop.sprite.active) return;
+            this.drawTroop(troop);
+        });
+        
+        heroes.forEach(hero => {
+            if (!hero.isAlive) return;
+            g.fillStyle(hero.isEnemy ? this.options.enemyHeroColor : this.options.heroColor, 1);
+            g.fillCircle(this.toMapX(hero.sprite.x), this.toMapY(hero.sprite.y), this.options.heroRadius);
+        });
+        
+        // Frame of what the camera shows
+        const view = scene.cameras.main.worldView;
+        g.lineStyle(1, 0xFFFFFF, 0.9);
+        g.strokeRect(this.toMapX(view.x), this.y, view.width * this.scaleX, height);
+        
+        // Border
+        g.lineStyle(1, 0xFFFFFF, 0.6);
+        g.strokeRect(this.x, this.y, width, height);
+    }
+    
+    /**
+     * Draw a base with a health bar above it
+     * @param {Base} base - The base
+     */
+    drawBase(base) {
+        const g = this.graphics;
+        const { x, y, width, height } = base.sprite;
+        const left = this.toMapX(x - width / 2);
+        const top = this.toMapY(y - height / 2);
+        const mapWidth = Math.max(4, width * this.scaleX);
+        
+        g.fillStyle(base.options.color, base.isDestroyed ? 0.4 : 1);
+        g.fillRect(left, top, mapWidth, height * this.scaleY);
+        
+        // Health bar in the colors of the base's own bar
+        const barWidth = Math.max(16, mapWidth);
+        const barLeft = Phaser.Math.Clamp(left + (mapWidth - barWidth) / 2, this.x + 1, this.x + this.options.width - barWidth - 1);
+        const barTop = top - 5;
+        const healthPercent = Phaser.Math.Clamp(base.health / base.maxHealth, 0, 1);
+        
+        g.fillStyle(0x000000, 1);
+        g.fillRect(barLeft, barTop, barWidth, 3);
+        if (healthPercent > 0.6) {
+            g.fillStyle(0x00FF00, 1);
+        } else if (healthPercent > 0.3) {
+            g.fillStyle(0xFFFF00, 1);
+        } else {
+            g.fillStyle(0xFF0000, 1);
+        }
+        g.fillRect(barLeft, barTop, barWidth * healthPercent, 3);
+    }
+    
+    /**
+     * Draw a troop - its category color outlined with its side's color
+     * @param {Troop} troop - The troop
+     */
+    drawTroop(troop) {
+        const g = this.graphics;
+        const size = this.options.troopSize;
+        const left = this.toMapX(troop.sprite.x) - size / 2;
+        const top = this.toMapY(troop.sprite.y) - size / 2;
+        
+        g.fillStyle(troop.isEnemy ? this.options.enemyOutline : this.options.allyOutline, 1);
+        g.fillRect(left, top, size, size);
+        g.fillStyle(troop.baseColor, 1);
+        g.fillRect(left + 1, top + 1, size - 2, size - 2);
+    }
+    
+    /**
+     * Draw the rally flag while the army is rallying
+     */
+    drawRallyFlag() {
+        const formation = this.scene.formation;
+        if (!formation || formation.stance !== FORMATION_STANCES.RALLY || formation.rallyX === null) return;
+        
+        const g = this.graphics;
+        const x = this.toMapX(formation.rallyX);
+        const groundY = this.toMapY(this.scene.GROUND_Y);
+        
+        g.fillStyle(0xFFFFFF, 1);
+        g.fillRect(x, groundY - 10, 1, 10);
+        g.fillStyle(this.options.rallyFlagColor, 1);
+        g.fillTriangle(x + 1, groundY - 10, x + 1, groundY - 6, x + 6, groundY - 8);
+    }
+    
+    /**
+     * Remove the strip
+     */
+    destroy() {
+        this.graphics.destroy();
+        this.hitZone.destroy();
+    }
+}
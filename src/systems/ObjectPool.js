@@ -0,0 +1,120 @@
+/**
+ * ObjectPool.js
+ * Reuses short-lived objects (arrow sprites, projectiles, floating text) instead of creating
+ * and destroying them, and keeps counters a debug overlay can show
+ * Has no Phaser dependency - the pool owner decides how objects are created, reset and hidden
+ */
+
+export default class ObjectPool {
+    /**
+     * Create an object pool
+     * @param {Object} options - Pool options
+     * @param {string} options.name - Name shown in stats
+     * @param {Function} options.create - () => new object (called when no free object is available)
+     * @param {Function} [options.onAcquire] - (object) => void, makes a free object usable again
+     * @param {Function} [options.onRelease] - (object) => void, hides/disables an object going back to the pool
+     * @param {Function} [options.onDiscard] - (object) => void, disposes an object the pool won't keep
+     * @param {number} [options.maxFree] - Maximum number of free objects kept for reuse
+     */
+    constructor({ name, create, onAcquire = null, onRelease = null, onDiscard = null, maxFree = 100 }) {
+        if (typeof create !== 'function') {
+            throw new Error(`ObjectPool ${name} needs a create function`);
+        }
+        
+        this.name = name;
+        this.create = create;
+        this.onAcquire = onAcquire;
+        this.onRelease = onRelease;
+        this.onDiscard = onDiscard;
+        this.maxFree = maxFree;
+        
+        this.free = [];            // Objects ready for reuse
+        this.inUse = new Set();    // Objects handed out and not released yet
+        
+        // Counters for the debug overlay
+        this.peak = 0;             // Most objects in use at once
+        this.allocations = 0;      // Objects created
+        this.acquisitions = 0;     // Objects handed out (created or reused)
+    }
+    
+    /**
+     * Get an object from the pool, creating one if none are free
+     * @returns {Object} - The object (already passed through onAcquire)
+     */
+    acquire() {
+        let object = this.free.pop();
+        
+        if (!object) {
+            object = this.create();
+            this.allocations++;
+        }
+        
+        this.inUse.add(object);
+        this.acquisitions++;
+        this.peak = Math.max(this.peak, this.inUse.size);
+        
+        if (this.onAcquire) {
+            this.onAcquire(object);
+        }
+        
+        return object;
+    }
+    
+    /**
+     * Return an object to the pool
+     * @param {Object} object - An object from acquire()
+     * @returns {boolean} - Whether the object was in use (releasing twice is ignored)
+     */
+    release(object) {
+        if (!this.inUse.delete(object)) return false;
+        
+        if (this.onRelease) {
+            this.onRelease(object);
+        }
+        
+        if (this.free.length < this.maxFree) {
+            this.free.push(object);
+        } else if (this.onDiscard) {
+            this.onDiscard(object);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check whether an object is currently handed out by this pool
+     * @param {Object} object - Object to check
+     * @returns {boolean} - Whether the object is in use
+     */
+    owns(object) {
+        return this.inUse.has(object);
+    }
+    
+    /**
+     * Get counters for debugging
+     * @returns {Object} - { name, active, free, peak, allocations, acquisitions, reuseRate }
+     */
+    getStats() {
+        return {
+            name: this.name,
+            active: this.inUse.size,
+            free: this.free.length,
+            peak: this.peak,
+            allocations: this.allocations,
+            acquisitions: this.acquisitions,
+            reuseRate: this.acquisitions > 0 ? 1 - this.allocations / this.acquisitions : 0
+        };
+    }
+    
+    /**
+     * Dispose every object, in use or free
+     */
+    clear() {
+        if (this.onDiscard) {
+            [...this.inUse, ...this.free].forEach(object => this.onDiscard(object));
+        }
+        
+        this.inUse.clear();
+        this.free = [];
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * SeededRandom.js
+ * Small seeded pseudo-random generator for deterministic runs (battle simulator, replays)
+ */
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns a float in [0, 1) on each call
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a new random seed
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
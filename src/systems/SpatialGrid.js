@@ -0,0 +1,207 @@
+/**
+ * SpatialGrid.js
+ * Uniform grid spatial index for troops and projectiles
+ * Items are stored by their bounding box in every cell it touches, so range and overlap queries
+ * only look at nearby items instead of scanning every item in the scene
+ * Has no Phaser dependency so it also works in the headless simulator
+ */
+
+export default class SpatialGrid {
+    /**
+     * Create a spatial grid
+     * @param {Object} options - { width, height, cellSize } of the indexed area (items outside are clamped to edge cells)
+     */
+    constructor({ width = 2000, height = 600, cellSize = 100 } = {}) {
+        this.cellSize = cellSize;
+        this.columns = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.cells = new Map();    // Cell index -> Set of items
+        this.entries = new Map();  // Item -> { x, y, halfWidth, halfHeight, minColumn, maxColumn, minRow, maxRow }
+    }
+    
+    /**
+     * Number of indexed items
+     * @returns {number} - Item count
+     */
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * Get the column of an x position (clamped to the grid)
+     * @param {number} x - X position
+     * @returns {number} - Column index
+     */
+    getColumn(x) {
+        return Math.min(this.columns - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+    
+    /**
+     * Get the row of a y position (clamped to the grid)
+     * @param {number} y - Y position
+     * @returns {number} - Row index
+     */
+    getRow(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+    
+    /**
+     * Add an item, or move it if it is already indexed
+     * @param {Object} item - Item to index (troop, arrow sprite, ...)
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} width - Bounding box width
+     * @param {number} height - Bounding box height
+     */
+    update(item, x, y, width = 0, height = 0) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        const minColumn = this.getColumn(x - halfWidth);
+        const maxColumn = this.getColumn(x + halfWidth);
+        const minRow = this.getRow(y - halfHeight);
+        const maxRow = this.getRow(y + halfHeight);
+        
+        const entry = this.entries.get(item);
+        if (entry && entry.minColumn === minColumn && entry.maxColumn === maxColumn &&
+            entry.minRow === minRow && entry.maxRow === maxRow) {
+            // Same cells - just refresh the bounds
+            Object.assign(entry, { x, y, halfWidth, halfHeight });
+            return;
+        }
+        
+        if (entry) {
+            this.removeFromCells(item, entry);
+        }
+        
+        const newEntry = { x, y, halfWidth, halfHeight, minColumn, maxColumn, minRow, maxRow };
+        this.entries.set(item, newEntry);
+        
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const key = row * this.columns + column;
+                if (!this.cells.has(key)) this.cells.set(key, new Set());
+                this.cells.get(key).add(item);
+            }
+        }
+    }
+    
+    /**
+     * Remove an item
+     * @param {Object} item - Indexed item
+     * @returns {boolean} - Whether the item was indexed
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+        
+        this.removeFromCells(item, entry);
+        this.entries.delete(item);
+        return true;
+    }
+    
+    /**
+     * Remove an item from the cells of an entry
+     * @param {Object} item - Indexed item
+     * @param {Object} entry - The item's entry
+     */
+    removeFromCells(item, entry) {
+        for (let column = entry.minColumn; column <= entry.maxColumn; column++) {
+            for (let row = entry.minRow; row <= entry.maxRow; row++) {
+                const key = row * this.columns + column;
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+                
+                cell.delete(item);
+                if (cell.size === 0) this.cells.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Check whether an item is indexed
+     * @param {Object} item - Item
+     * @returns {boolean} - Whether the item is indexed
+     */
+    has(item) {
+        return this.entries.has(item);
+    }
+    
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+    
+    /**
+     * Find items whose bounding box intersects a rectangle
+     * @param {number} minX - Left edge
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @param {Function} filter - Optional (item) => boolean
+     * @returns {Array<Object>} - Matching items (each once)
+     */
+    queryRect(minX, minY, maxX, maxY, filter = null) {
+        const results = [];
+        const seen = new Set();
+        
+        const minColumn = this.getColumn(minX);
+        const maxColumn = this.getColumn(maxX);
+        const minRow = this.getRow(minY);
+        const maxRow = this.getRow(maxY);
+        
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(row * this.columns + column);
+                if (!cell) continue;
+                
+                for (const item of cell) {
+                    if (seen.has(item)) continue;
+                    seen.add(item);
+                    
+                    const entry = this.entries.get(item);
+                    if (entry.x + entry.halfWidth < minX || entry.x - entry.halfWidth > maxX ||
+                        entry.y + entry.halfHeight < minY || entry.y - entry.halfHeight > maxY) continue;
+                    
+                    if (!filter || filter(item)) {
+                        results.push(item);
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Find items whose center is within a horizontal distance of x (any height)
+     * Matches how troops measure engagement and attack ranges
+     * @param {number} x - Center x
+     * @param {number} range - Maximum horizontal distance
+     * @param {Function} filter - Optional (item) => boolean
+     * @returns {Array<Object>} - Matching items
+     */
+    queryHorizontal(x, range, filter = null) {
+        return this.queryRect(x - range, -Infinity, x + range, Infinity, item => {
+            const entry = this.entries.get(item);
+            return Math.abs(entry.x - x) <= range && (!filter || filter(item));
+        });
+    }
+    
+    /**
+     * Find items whose center is within a radius of a point
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {number} radius - Search radius
+     * @param {Function} filter - Optional (item) => boolean
+     * @returns {Array<Object>} - Matching items
+     */
+    queryRadius(x, y, radius, filter = null) {
+        return this.queryRect(x - radius, y - radius, x + radius, y + radius, item => {
+            const entry = this.entries.get(item);
+            return Math.hypot(entry.x - x, entry.y - y) <= radius && (!filter || filter(item));
+        });
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * StatBlock.js
+ * Stat pipeline that combines base values with additive and multiplicative modifiers
+ * Has no Phaser dependency so it can be used (and tested, see tools/test-stats.mjs) outside the game
+ *
+ * Final value = (base + sum of additive modifiers) * product of multiplicative modifiers
+ */
+
+// Supported modifier types
+export const MODIFIER_TYPES = {
+    ADD: 'add',
+    MULTIPLY: 'multiply'
+};
+
+export default class StatBlock {
+    /**
+     * Create a new stat block
+     * @param {Object} baseStats - Map of stat name to base value
+     */
+    constructor(baseStats = {}) {
+        this.baseStats = { ...baseStats };
+        this.modifiers = new Map(); // Modifier id -> modifier
+        this.nextModifierId = 1;
+    }
+    
+    /**
+     * Get the base value of a stat (before modifiers)
+     * @param {string} stat - Stat name
+     * @returns {number} - Base value (0 if unknown)
+     */
+    getBase(stat) {
+        return this.baseStats[stat] || 0;
+    }
+    
+    /**
+     * Set the base value of a stat
+     * @param {string} stat - Stat name
+     * @param {number} value - New base value
+     */
+    setBase(stat, value) {
+        this.baseStats[stat] = value;
+    }
+    
+    /**
+     * Register a modifier
+     * @param {Object} modifier - Modifier definition
+     * @param {string} modifier.stat - Stat to modify
+     * @param {string} modifier.type - MODIFIER_TYPES.ADD or MODIFIER_TYPES.MULTIPLY
+     * @param {number} modifier.value - Amount to add, or factor to multiply by
+     * @param {string} [modifier.id] - Unique id (an existing modifier with the same id is replaced)
+     * @param {string} [modifier.source] - What granted the modifier (for bulk removal)
+     * @returns {string} - The modifier id
+     */
+    addModifier(modifier) {
+        if (!modifier || typeof modifier.stat !== 'string') {
+            throw new Error('StatBlock modifier needs a stat name');
+        }
+        if (modifier.type !== MODIFIER_TYPES.ADD && modifier.type !== MODIFIER_TYPES.MULTIPLY) {
+            throw new Error(`Unknown StatBlock modifier type: ${modifier.type}`);
+        }
+        if (typeof modifier.value !== 'number' || isNaN(modifier.value)) {
+            throw new Error(`StatBlock modifier for ${modifier.stat} needs a numeric value`);
+        }
+        
+        const id = modifier.id || `modifier-${this.nextModifierId++}`;
+        this.modifiers.set(id, { ...modifier, id });
+        return id;
+    }
+    
+    /**
+     * Remove a modifier by id
+     * @param {string} id - Modifier id
+     * @returns {boolean} - Whether a modifier was removed
+     */
+    removeModifier(id) {
+        return this.modifiers.delete(id);
+    }
+    
+    /**
+     * Remove every modifier granted by a source
+     * @param {string} source - Modifier source
+     * @returns {number} - Number of modifiers removed
+     */
+    removeModifiersFromSource(source) {
+        let removed = 0;
+        
+        for (const [id, modifier] of this.modifiers) {
+            if (modifier.source === source) {
+                this.modifiers.delete(id);
+                removed++;
+            }
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * Check whether a modifier is registered
+     * @param {string} id - Modifier id
+     * @returns {boolean} - Whether the modifier exists
+     */
+    hasModifier(id) {
+        return this.modifiers.has(id);
+    }
+    
+    /**
+     * Get all modifiers affecting a stat
+     * @param {string} stat - Stat name
+     * @returns {Array<Object>} - Modifiers for the stat
+     */
+    getModifiers(stat) {
+        return [...this.modifiers.values()].filter(modifier => modifier.stat === stat);
+    }
+    
+    /**
+     * Get the base value plus all additive modifiers
+     * @param {string} stat - Stat name
+     * @returns {number} - Flat value before multipliers
+     */
+    getFlat(stat) {
+        return this.getModifiers(stat)
+            .filter(modifier => modifier.type === MODIFIER_TYPES.ADD)
+            .reduce((total, modifier) => total + modifier.value, this.getBase(stat));
+    }
+    
+    /**
+     * Get the combined multiplier for a stat
+     * @param {string} stat - Stat name
+     * @returns {number} - Product of all multiplicative modifiers (1 if none)
+     */
+    getMultiplier(stat) {
+        return this.getModifiers(stat)
+            .filter(modifier => modifier.type === MODIFIER_TYPES.MULTIPLY)
+            .reduce((total, modifier) => total * modifier.value, 1);
+    }
+    
+    /**
+     * Get the final value of a stat
+     * @param {string} stat - Stat name
+     * @returns {number} - Final computed value
+     */
+    get(stat) {
+        return this.getFlat(stat) * this.getMultiplier(stat);
+    }
+}
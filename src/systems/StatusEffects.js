@@ -0,0 +1,359 @@
+/**
+ * StatusEffects.js
+ * Shared status effect component for troops, the hero and bases
+ * Handles durations, stacking, tick damage, stat modifiers and the icons shown above the unit
+ *
+ * The owner must provide: scene, sprite, takeDamage(amount)
+ * and optionally stats (a StatBlock) for effects that modify stats.
+ */
+
+import { MODIFIER_TYPES } from './StatBlock.js';
+
+// Status effect definitions
+// stacking: 'refresh' resets the duration, 'stack' adds a stack (up to maxStacks) and resets the duration,
+//           'extend' adds the duration to the time left, 'ignore' keeps the existing effect unchanged
+const STATUS_EFFECTS = {
+    burning: {
+        name: 'Burning',
+        icon: 'F',
+        color: 0xFF6600,
+        duration: 2000,
+        stacking: 'refresh',
+        tickInterval: 500,
+        tickDamage: 4
+    },
+    poison: {
+        name: 'Poison',
+        icon: 'P',
+        color: 0x66CC00,
+        duration: 5000,
+        stacking: 'stack',
+        maxStacks: 5,
+        tickInterval: 1000,
+        tickDamage: 2              // Per stack
+    },
+    slow: {
+        name: 'Slow',
+        icon: 'S',
+        color: 0x3399FF,
+        duration: 3000,
+        stacking: 'refresh',
+        modifiers: [
+            { stat: 'speed', type: MODIFIER_TYPES.MULTIPLY, value: 0.5 },
+            { stat: 'moveSpeed', type: MODIFIER_TYPES.MULTIPLY, value: 0.5 },
+            { stat: 'attackSpeed', type: MODIFIER_TYPES.MULTIPLY, value: 1.5 } // attackSpeed is ms between attacks
+        ]
+    },
+    stun: {
+        name: 'Stun',
+        icon: '!',
+        color: 0xFFFF00,
+        duration: 800,
+        stacking: 'refresh',
+        stun: true                 // Unit can't move or attack
+    },
+    armor: {
+        name: 'Armor',
+        icon: 'A',
+        color: 0xAAAAAA,
+        duration: 5000,
+        stacking: 'refresh',
+        modifiers: [
+            { stat: 'damageTaken', type: MODIFIER_TYPES.MULTIPLY, value: 0.7 }
+        ]
+    }
+};
+
+export { STATUS_EFFECTS };
+
+export default class StatusEffectComponent {
+    /**
+     * Create a status effect component
+     * @param {Object} owner - The troop, hero or base that receives effects
+     * @param {Object} options - { iconOffsetY } pixels between the top of the sprite and the icons
+     */
+    constructor(owner, options = {}) {
+        this.owner = owner;
+        this.scene = owner.scene;
+        this.effects = new Map();  // Effect id -> active effect
+        this.iconContainer = null;
+        this.iconOffsetY = options.iconOffsetY || 12;
+        this.isListening = false;  // Whether icons follow the owner each frame
+        this.destroyed = false;
+        
+        // Expire everything when the unit goes away
+        if (owner.sprite) {
+            owner.sprite.once('destroy', () => this.destroy());
+        }
+    }
+    
+    /**
+     * Apply a status effect (or re-apply it following its stacking rule)
+     * @param {string} id - Key of STATUS_EFFECTS
+     * @param {Object} overrides - Optional overrides for the definition (e.g. { duration: 1000 })
+     * @returns {Object|null} - The active effect or null if it could not be applied
+     */
+    apply(id, overrides = {}) {
+        if (this.destroyed || !STATUS_EFFECTS[id]) return null;
+        if (!this.owner.sprite || !this.owner.sprite.active) return null;
+        
+        const existing = this.effects.get(id);
+        if (existing) {
+            this.reapply(existing);
+            return existing;
+        }
+        
+        const effect = {
+            id,
+            definition: { ...STATUS_EFFECTS[id], ...overrides },
+            stacks: 1,
+            tickTimer: null,
+            expireTimer: null
+        };
+        this.effects.set(id, effect);
+        
+        // Damage over time
+        if (effect.definition.tickDamage) {
+            effect.tickTimer = this.scene.time.addEvent({
+                delay: effect.definition.tickInterval,
+                callback: () => this.tick(effect),
+                loop: true
+            });
+        }
+        
+        this.scheduleExpiry(effect, effect.definition.duration);
+        this.applyModifiers(effect);
+        this.refreshIcons();
+        
+        return effect;
+    }
+    
+    /**
+     * Handle applying an effect that is already active
+     * @param {Object} effect - The active effect
+     */
+    reapply(effect) {
+        const definition = effect.definition;
+        
+        switch (definition.stacking) {
+            case 'stack':
+                effect.stacks = Math.min(effect.stacks + 1, definition.maxStacks || Infinity);
+                this.applyModifiers(effect);
+                this.scheduleExpiry(effect, definition.duration);
+                this.refreshIcons();
+                break;
+            
+            case 'extend':
+                this.scheduleExpiry(effect, effect.expireTimer.getRemaining() + definition.duration);
+                break;
+            
+            case 'ignore':
+                break;
+            
+            case 'refresh':
+            default:
+                this.scheduleExpiry(effect, definition.duration);
+                break;
+        }
+    }
+    
+    /**
+     * (Re)start the expiry timer of an effect
+     * @param {Object} effect - The active effect
+     * @param {number} duration - Milliseconds until the effect ends
+     */
+    scheduleExpiry(effect, duration) {
+        if (effect.expireTimer) {
+            effect.expireTimer.remove();
+        }
+        
+        effect.expireTimer = this.scene.time.delayedCall(duration, () => this.remove(effect.id));
+    }
+    
+    /**
+     * Deal tick damage for a damage-over-time effect
+     * @param {Object} effect - The active effect
+     */
+    tick(effect) {
+        if (!this.owner.sprite || !this.owner.sprite.active || this.owner.health <= 0) {
+            this.remove(effect.id);
+            return;
+        }
+        
+        const sprite = this.owner.sprite;
+        this.owner.takeDamage(effect.definition.tickDamage * effect.stacks, `status:${effect.id}`);
+        
+        // Small puff in the effect's color to show the tick
+        try {
+            const puff = this.scene.add.circle(sprite.x, sprite.y - 10, 6, effect.definition.color);
+            puff.setDepth(16);
+            this.scene.tweens.add({
+                targets: puff,
+                alpha: 0,
+                y: puff.y - 15,
+                duration: 300,
+                onComplete: () => puff.destroy()
+            });
+        } catch (error) {
+            console.warn("Error showing status effect tick:", error);
+        }
+    }
+    
+    /**
+     * Register an effect's stat modifiers on the owner (scaled by stacks)
+     * @param {Object} effect - The active effect
+     */
+    applyModifiers(effect) {
+        const stats = this.owner.stats;
+        if (!stats || !effect.definition.modifiers) return;
+        
+        effect.definition.modifiers.forEach((modifier, index) => {
+            // Skip stats the owner doesn't have (e.g. moveSpeed on troops)
+            if (!(modifier.stat in stats.baseStats)) return;
+            
+            const value = modifier.type === MODIFIER_TYPES.MULTIPLY
+                ? Math.pow(modifier.value, effect.stacks)
+                : modifier.value * effect.stacks;
+            
+            stats.addModifier({
+                ...modifier,
+                value,
+                id: `status:${effect.id}.${index}`,
+                source: `status:${effect.id}`
+            });
+        });
+    }
+    
+    /**
+     * End a status effect
+     * @param {string} id - Key of STATUS_EFFECTS
+     */
+    remove(id) {
+        const effect = this.effects.get(id);
+        if (!effect) return;
+        
+        if (effect.tickTimer) effect.tickTimer.remove();
+        if (effect.expireTimer) effect.expireTimer.remove();
+        
+        if (this.owner.stats) {
+            this.owner.stats.removeModifiersFromSource(`status:${id}`);
+        }
+        
+        this.effects.delete(id);
+        this.refreshIcons();
+    }
+    
+    /**
+     * End every status effect
+     */
+    clear() {
+        [...this.effects.keys()].forEach(id => this.remove(id));
+    }
+    
+    /**
+     * Check whether an effect is active
+     * @param {string} id - Key of STATUS_EFFECTS
+     * @returns {boolean} - Whether the effect is active
+     */
+    has(id) {
+        return this.effects.has(id);
+    }
+    
+    /**
+     * Get the number of stacks of an effect
+     * @param {string} id - Key of STATUS_EFFECTS
+     * @returns {number} - Stacks (0 if not active)
+     */
+    getStacks(id) {
+        const effect = this.effects.get(id);
+        return effect ? effect.stacks : 0;
+    }
+    
+    /**
+     * Check whether any active effect prevents acting
+     * @returns {boolean} - Whether the owner is stunned
+     */
+    isStunned() {
+        for (const effect of this.effects.values()) {
+            if (effect.definition.stun) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Rebuild the icons shown above the owner
+     */
+    refreshIcons() {
+        if (this.iconContainer) {
+            this.iconContainer.destroy();
+            this.iconContainer = null;
+        }
+        
+        if (this.effects.size === 0 || this.destroyed) {
+            this.setFollowing(false);
+            return;
+        }
+        
+        this.iconContainer = this.scene.add.container(0, 0);
+        this.iconContainer.setDepth(25);
+        
+        const spacing = 14;
+        const startX = -((this.effects.size - 1) * spacing) / 2;
+        let index = 0;
+        
+        for (const effect of this.effects.values()) {
+            const x = startX + index * spacing;
+            const label = effect.stacks > 1 ? `${effect.definition.icon}${effect.stacks}` : effect.definition.icon;
+            
+            const background = this.scene.add.circle(x, 0, 6, effect.definition.color);
+            background.setStrokeStyle(1, 0x000000);
+            const text = this.scene.add.text(x, 0, label, {
+                fontFamily: 'Arial',
+                fontSize: 9,
+                color: '#000000'
+            }).setOrigin(0.5);
+            
+            this.iconContainer.add([background, text]);
+            index++;
+        }
+        
+        this.setFollowing(true);
+        this.updateIconPosition();
+    }
+    
+    /**
+     * Start or stop moving the icons with the owner every frame
+     * @param {boolean} follow - Whether icons should follow the owner
+     */
+    setFollowing(follow) {
+        if (follow && !this.isListening) {
+            this.scene.events.on('update', this.updateIconPosition, this);
+            this.isListening = true;
+        } else if (!follow && this.isListening) {
+            this.scene.events.off('update', this.updateIconPosition, this);
+            this.isListening = false;
+        }
+    }
+    
+    /**
+     * Keep the icons just above the owner's sprite
+     */
+    updateIconPosition() {
+        const sprite = this.owner.sprite;
+        if (!this.iconContainer || !sprite || !sprite.active) return;
+        
+        this.iconContainer.setPosition(sprite.x, sprite.y - sprite.height / 2 - this.iconOffsetY);
+        this.iconContainer.setVisible(sprite.visible && sprite.alpha > 0);
+    }
+    
+    /**
+     * Remove all effects, timers and icons (called when the owner is destroyed)
+     */
+    destroy() {
+        if (this.destroyed) return;
+        
+        this.clear();
+        this.destroyed = true;
+        this.refreshIcons();
+    }
+}
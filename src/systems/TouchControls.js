@@ -0,0 +1,307 @@
+/**
+ * TouchControls.js
+ * On-screen controls for phones and tablets - a virtual joystick moves the hero, buttons jump
+ * and summon platforms, and dragging anywhere else aims (releasing the finger shoots)
+ * Controls are sized in screen pixels so they stay thumb-sized however far the game is scaled down
+ */
+
+// Default touch control settings - sizes are CSS pixels on the device's screen
+const TOUCH_CONFIG = {
+    joystickRadius: 55,        // Joystick base radius
+    buttonRadius: 34,          // Jump / platform button radius
+    minTroopButtonRadius: 26,  // Troop buttons are scaled up to at least this radius
+    pauseButtonRadius: 22,     // Pause button radius
+    pauseButtonTop: 70,        // Game pixels kept free at the top right for the round and gold texts
+    margin: 16,                // Distance from the screen edges
+    bottomReserve: 80,         // Game pixels kept free at the bottom for the health bar and arrow type
+    deadzone: 0.3,             // Joystick deflection ignored (fraction of the radius)
+    dropThreshold: 0.6,        // Downward deflection that drops through platforms
+    alpha: 0.45
+};
+
+export default class TouchControls {
+    /**
+     * Create touch controls for the scene's hero
+     * @param {Phaser.Scene} scene - The scene (must provide hero, getChargePointer and getPointerWorldPosition)
+     * @param {Object} options - Optional overrides for TOUCH_CONFIG
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.options = { ...TOUCH_CONFIG, ...options };
+        
+        this.joystickPointerId = null;  // Pointer dragging the joystick
+        this.stick = { x: 0, y: 0 };    // Joystick deflection (-1 to 1 on each axis)
+        this.heldButtons = {};          // Key name ('up' / 'space') -> id of the pointer holding it
+        this.layout = null;             // Positions and sizes in game pixels (see updateLayout)
+        
+        // Phones and tablets show the controls right away, other touch screens on the first touch
+        const device = scene.sys.game.device;
+        this.visible = device.input.touch && !device.os.desktop;
+        
+        this.createControls();
+        this.updateLayout();
+        this.setVisible(this.visible);
+        
+        scene.input.on('pointerdown', this.onPointerDown, this);
+        scene.input.on('pointermove', this.onPointerMove, this);
+        scene.input.on('pointerup', this.onPointerUp, this);
+        scene.input.on('pointerupoutside', this.onPointerUp, this);
+        
+        // Keep the layout in step with the screen (rotation, window resizing)
+        scene.scale.on('resize', this.updateLayout, this);
+        scene.events.once('shutdown', () => scene.scale.off('resize', this.updateLayout, this));
+    }
+    
+    /**
+     * Create the joystick, the buttons and the aim line
+     */
+    createControls() {
+        const scene = this.scene;
+        
+        this.joystickBase = scene.add.circle(0, 0, 1, 0x000000, this.options.alpha);
+        this.joystickBase.setStrokeStyle(3, 0xFFFFFF, 0.6);
+        this.joystickBase.setInteractive();
+        this.joystickBase.on('pointerdown', (pointer) => {
+            this.joystickPointerId = pointer.id;
+            this.moveJoystick(pointer);
+        });
+        
+        this.joystickThumb = scene.add.circle(0, 0, 1, 0xFFFFFF, 0.7);
+        
+        this.jumpButton = this.createButton('Jump', 'up');
+        this.platformButton = this.createButton('Platform', 'space');
+        
+        // Pause button (touch screens have no Esc key)
+        this.pauseButton = this.createButton('II', null);
+        this.pauseButton.circle.on('pointerup', () => scene.pauseGame());
+        
+        [this.joystickBase, this.joystickThumb].forEach(object => {
+            object.setScrollFactor(0);
+            object.setDepth(150);
+        });
+        
+        // Line from the hero to the finger while a touch is charging a shot
+        this.aimLine = scene.add.graphics();
+        this.aimLine.setDepth(50);
+    }
+    
+    /**
+     * Create a button that holds one of the hero's keys while touched
+     * @param {string} label - Button text
+     * @param {string|null} key - Hero key it holds ('up' or 'space'), or null for a plain button
+     * @returns {Object} - { circle, text }
+     */
+    createButton(label, key) {
+        const circle = this.scene.add.circle(0, 0, 1, 0x000000, this.options.alpha);
+        circle.setStrokeStyle(3, 0xFFFFFF, 0.6);
+        circle.setInteractive();
+        circle.on('pointerdown', (pointer) => {
+            if (key) this.heldButtons[key] = pointer.id;
+            circle.setFillStyle(0xFFFFFF, this.options.alpha);
+        });
+        
+        const text = this.scene.add.text(0, 0, label, {
+            fontFamily: 'Arial',
+            fontSize: 14,
+            color: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        [circle, text].forEach(object => {
+            object.setScrollFactor(0);
+            object.setDepth(150);
+        });
+        
+        return { circle, text, key };
+    }
+    
+    /**
+     * Get how many game pixels one CSS pixel of the screen covers
+     * @returns {number} - Scale factor (1 when the game is shown at its own size)
+     */
+    getScreenScale() {
+        const displayScale = this.scene.scale.displayScale;
+        return displayScale && displayScale.x > 0 ? displayScale.x : 1;
+    }
+    
+    /**
+     * Scale for the troop buttons so they are big enough to tap
+     * @param {number} radius - Radius of the troop buttons in game pixels
+     * @returns {number} - Scale to apply (at least 1)
+     */
+    getTroopButtonScale(radius) {
+        if (!this.visible) return 1;
+        
+        return Math.max(1, this.options.minTroopButtonRadius * this.getScreenScale() / radius);
+    }
+    
+    /**
+     * Place the controls for the current screen size
+     * The joystick sits bottom left above the health bar, the buttons bottom right
+     */
+    updateLayout() {
+        const { width, height } = this.scene.cameras.main;
+        const scale = this.getScreenScale();
+        
+        // Never cover more than a quarter of the screen height with one control
+        const joystickRadius = Math.min(this.options.joystickRadius * scale, height / 8);
+        const buttonRadius = Math.min(this.options.buttonRadius * scale, height / 10);
+        const margin = this.options.margin * scale;
+        const bottom = height - this.options.bottomReserve;
+        const pauseRadius = Math.min(this.options.pauseButtonRadius * scale, height / 14);
+        
+        this.layout = {
+            joystick: { x: margin + joystickRadius, y: bottom - joystickRadius, radius: joystickRadius },
+            jump: { x: width - margin - buttonRadius, y: bottom - buttonRadius, radius: buttonRadius },
+            platform: { x: width - margin * 2 - buttonRadius * 3, y: bottom - buttonRadius, radius: buttonRadius },
+            pause: { x: width - margin - pauseRadius, y: this.options.pauseButtonTop + pauseRadius, radius: pauseRadius }
+        };
+        
+        const { joystick } = this.layout;
+        this.joystickBase.setPosition(joystick.x, joystick.y);
+        this.setCircleRadius(this.joystickBase, joystick.radius);
+        this.joystickThumb.setRadius(joystick.radius * 0.45);
+        this.updateThumb();
+        
+        [[this.jumpButton, this.layout.jump], [this.platformButton, this.layout.platform],
+            [this.pauseButton, this.layout.pause]].forEach(([button, position]) => {
+            button.circle.setPosition(position.x, position.y);
+            this.setCircleRadius(button.circle, position.radius);
+            button.text.setPosition(position.x, position.y);
+        });
+    }
+    
+    /**
+     * Resize an interactive circle together with its touch area
+     * @param {Phaser.GameObjects.Arc} circle - Interactive circle
+     * @param {number} radius - New radius
+     */
+    setCircleRadius(circle, radius) {
+        circle.setRadius(radius);
+        circle.input.hitArea.setTo(0, 0, circle.width, circle.height);
+    }
+    
+    /**
+     * Show or hide every control
+     * @param {boolean} visible - Visibility
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        
+        [this.joystickBase, this.joystickThumb, this.jumpButton.circle, this.jumpButton.text,
+            this.platformButton.circle, this.platformButton.text,
+            this.pauseButton.circle, this.pauseButton.text].forEach(object => {
+            object.setVisible(visible);
+        });
+        
+        // Hidden controls must not swallow clicks
+        [this.joystickBase, this.jumpButton.circle, this.platformButton.circle, this.pauseButton.circle].forEach(object => {
+            if (object.input) object.input.enabled = visible;
+        });
+    }
+    
+    /**
+     * Show the controls on the first touch
+     * @param {Phaser.Input.Pointer} pointer - The pointer that went down
+     */
+    onPointerDown(pointer) {
+        if (!this.visible && pointer.wasTouch) {
+            this.setVisible(true);
+        }
+    }
+    
+    /**
+     * Follow the finger on the joystick
+     * @param {Phaser.Input.Pointer} pointer - The pointer that moved
+     */
+    onPointerMove(pointer) {
+        if (pointer.id === this.joystickPointerId) {
+            this.moveJoystick(pointer);
+        }
+    }
+    
+    /**
+     * Let go of the joystick or a button
+     * @param {Phaser.Input.Pointer} pointer - The pointer that went up
+     */
+    onPointerUp(pointer) {
+        if (pointer.id === this.joystickPointerId) {
+            this.joystickPointerId = null;
+            this.stick = { x: 0, y: 0 };
+            this.updateThumb();
+        }
+        
+        this.pauseButton.circle.setFillStyle(0x000000, this.options.alpha);
+        
+        [this.jumpButton, this.platformButton].forEach(({ circle, key }) => {
+            if (this.heldButtons[key] === pointer.id) {
+                delete this.heldButtons[key];
+                circle.setFillStyle(0x000000, this.options.alpha);
+            }
+        });
+    }
+    
+    /**
+     * Deflect the joystick towards a pointer
+     * @param {Phaser.Input.Pointer} pointer - Pointer on the joystick (screen coordinates)
+     */
+    moveJoystick(pointer) {
+        const { x, y, radius } = this.layout.joystick;
+        const dx = (pointer.x - x) / radius;
+        const dy = (pointer.y - y) / radius;
+        const length = Math.hypot(dx, dy);
+        
+        // Clamp to the edge of the base
+        this.stick = length > 1 ? { x: dx / length, y: dy / length } : { x: dx, y: dy };
+        this.updateThumb();
+    }
+    
+    /**
+     * Move the joystick thumb to the current deflection
+     */
+    updateThumb() {
+        const { x, y, radius } = this.layout.joystick;
+        this.joystickThumb.setPosition(x + this.stick.x * radius, y + this.stick.y * radius);
+    }
+    
+    /**
+     * Draw the aim line while a touch is charging a shot - call once per frame
+     */
+    update() {
+        this.aimLine.clear();
+        
+        const hero = this.scene.hero;
+        const pointer = this.scene.getChargePointer();
+        if (!hero || !hero.isCharging || !pointer || !pointer.wasTouch) return;
+        
+        const target = this.scene.getPointerWorldPosition(pointer);
+        this.aimLine.lineStyle(2, 0xFFFFFF, 0.7);
+        this.aimLine.lineBetween(hero.sprite.x, hero.sprite.y, target.x, target.y);
+        this.aimLine.strokeCircle(target.x, target.y, 8);
+    }
+    
+    /**
+     * Combine the keys with the joystick and buttons for Hero.update
+     * @param {Object} keys - Keys ({ left, right, up, down, space } with isDown)
+     * @returns {Object} - Keys in the same shape, down if any input holds them
+     */
+    mergeKeys(keys) {
+        if (!this.visible) return keys;
+        
+        const { deadzone, dropThreshold } = this.options;
+        const state = {
+            left: this.stick.x < -deadzone,
+            right: this.stick.x > deadzone,
+            up: this.heldButtons.up !== undefined,
+            down: this.stick.y > dropThreshold,
+            space: this.heldButtons.space !== undefined
+        };
+        
+        const merged = {};
+        Object.keys(state).forEach(key => {
+            merged[key] = { isDown: state[key] || (!!keys[key] && keys[key].isDown) };
+        });
+        return merged;
+    }
+}
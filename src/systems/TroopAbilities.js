@@ -0,0 +1,211 @@
+/**
+ * TroopAbilities.js
+ * Active skills that troops use on their own, with cooldowns and trigger conditions
+ * Troop types list ability ids in their config (see TROOP_CONFIGS in Troop.js)
+ *
+ * Each ability declares:
+ *   name        - Text shown above the troop when the ability fires
+ *   cooldown    - Milliseconds before the ability can fire again
+ *   canActivate - (troop, context) => boolean trigger condition
+ *   activate    - (troop, context) => void, may return a cleanup function that runs after `duration`
+ */
+
+import { MODIFIER_TYPES } from './StatBlock.js';
+
+// Ability definitions by id
+export const ABILITIES = {
+    // Heavy: bash the troop in front, dealing some damage, knocking it back and stunning it
+    shieldBash: {
+        name: 'Shield Bash!',
+        cooldown: 6000,
+        damageMultiplier: 0.5,     // Fraction of the troop's attack damage
+        knockbackDistance: 60,     // Pixels the target is pushed back
+        knockbackDuration: 250,    // Milliseconds the push takes (target can't act meanwhile)
+        stunDuration: 800,         // Milliseconds the target stays stunned after the bash
+        
+        canActivate(troop) {
+            const target = troop.currentTarget;
+            
+            // Only troops can be knocked back, and only while we are engaged with them
+            return troop.isStopped && troop.isAttacking && !!target &&
+                !!target.category && troop.isTargetInAttackRange(target);
+        },
+        
+        activate(troop) {
+            const target = troop.currentTarget;
+            const direction = target.sprite.x >= troop.sprite.x ? 1 : -1;
+            
+            target.takeDamage(troop.calculateDamage(target) * this.damageMultiplier, troop.damageSource);
+            
+            // The bash may have killed the target
+            if (target.sprite && target.sprite.active) {
+                target.knockBack(direction * this.knockbackDistance, this.knockbackDuration);
+                target.statusEffects.apply('stun', { duration: this.stunDuration });
+            }
+        }
+    },
+    
+    // Ranged: fire three arrows in quick succession instead of a single shot
+    volley: {
+        name: 'Volley!',
+        cooldown: 8000,
+        arrowCount: 3,
+        arrowSpacing: 150,         // Milliseconds between volley arrows
+        damageMultiplier: 0.6,     // Damage of each volley arrow compared to a normal shot
+        
+        canActivate(troop, context) {
+            const target = troop.currentTarget;
+            
+            // Fire when engaged and the regular attack is ready, so the volley replaces it
+            return troop.isAttacking && !!target && troop.isTargetInAttackRange(target) &&
+                context.now - troop.lastAttackTime >= troop.attackSpeed;
+        },
+        
+        activate(troop, context) {
+            const target = troop.currentTarget;
+            const damage = troop.calculateDamage(target) * this.damageMultiplier;
+            
+            // Counts as this cycle's attack
+            troop.lastAttackTime = context.now;
+            
+            for (let i = 0; i < this.arrowCount; i++) {
+                troop.scene.time.delayedCall(i * this.arrowSpacing, () => {
+                    if (troop.sprite && troop.sprite.active) {
+                        troop.createRangedAttack(target, Math.round(damage));
+                    }
+                });
+            }
+        }
+    },
+    
+    // Light: sprint when badly hurt (towards the enemy or away from a fight that just ended)
+    sprint: {
+        name: 'Sprint!',
+        cooldown: 10000,
+        duration: 2500,            // Milliseconds the speed boost lasts
+        speedMultiplier: 1.8,
+        healthThreshold: 0.4,      // Sprint below 40% health
+        
+        canActivate(troop) {
+            // Only while moving freely - not while queued or fighting
+            return !troop.isStopped && !troop.currentTarget &&
+                troop.health / troop.maxHealth <= this.healthThreshold;
+        },
+        
+        activate(troop) {
+            const modifierId = troop.stats.addModifier({
+                stat: 'speed',
+                type: MODIFIER_TYPES.MULTIPLY,
+                value: this.speedMultiplier,
+                source: 'sprint'
+            });
+            
+            return () => {
+                troop.stats.removeModifier(modifierId);
+            };
+        }
+    }
+};
+
+export default class AbilityRunner {
+    /**
+     * Create an ability runner for a troop
+     * @param {Troop} troop - The troop using the abilities
+     * @param {Array<string>} abilityIds - Ids of the troop's abilities (keys of ABILITIES)
+     */
+    constructor(troop, abilityIds = []) {
+        this.troop = troop;
+        this.abilities = [];
+        this.lastUsed = {};        // Ability id -> time it last fired
+        this.activeEffects = [];   // { endTime, cleanup } for abilities with a duration
+        
+        abilityIds.forEach(id => {
+            if (ABILITIES[id]) {
+                this.abilities.push({ id, ...ABILITIES[id] });
+                this.lastUsed[id] = -Infinity;
+            } else {
+                console.warn(`Unknown troop ability: ${id}`);
+            }
+        });
+    }
+    
+    /**
+     * Check whether an ability is off cooldown
+     * @param {string} id - Ability id
+     * @param {number} now - Current scene time
+     * @returns {boolean} - Whether the ability can fire
+     */
+    isReady(id, now) {
+        const ability = this.abilities.find(entry => entry.id === id);
+        return !!ability && now - this.lastUsed[id] >= ability.cooldown;
+    }
+    
+    /**
+     * Expire finished effects and fire every ability whose trigger condition is met
+     * Called from Troop.move once the current target has been validated
+     * @param {Object} context - { now, allTroops, targetBase, hero }
+     */
+    update(context) {
+        if (!this.troop.sprite || !this.troop.sprite.active) return;
+        
+        this.expireEffects(context.now);
+        
+        for (const ability of this.abilities) {
+            if (!this.isReady(ability.id, context.now)) continue;
+            if (!ability.canActivate(this.troop, context)) continue;
+            
+            this.lastUsed[ability.id] = context.now;
+            
+            const cleanup = ability.activate(this.troop, context);
+            if (typeof cleanup === 'function') {
+                this.activeEffects.push({ endTime: context.now + (ability.duration || 0), cleanup });
+            }
+            
+            this.showAbilityText(ability.name);
+        }
+    }
+    
+    /**
+     * Run cleanup for effects whose duration has passed
+     * @param {number} now - Current scene time
+     */
+    expireEffects(now) {
+        this.activeEffects = this.activeEffects.filter(effect => {
+            if (now < effect.endTime) return true;
+            
+            effect.cleanup();
+            return false;
+        });
+    }
+    
+    /**
+     * Show the ability name above the troop
+     * @param {string} text - Text to display
+     */
+    showAbilityText(text) {
+        const scene = this.troop.scene;
+        const sprite = this.troop.sprite;
+        
+        try {
+            const label = scene.add.text(sprite.x, sprite.y - 35, text, {
+                fontFamily: 'Arial',
+                fontSize: 12,
+                color: this.troop.isEnemy ? '#FF8888' : '#88FF88',
+                stroke: '#000000',
+                strokeThickness: 2
+            });
+            label.setOrigin(0.5);
+            label.setDepth(30);
+            
+            scene.tweens.add({
+                targets: label,
+                y: label.y - 20,
+                alpha: 0,
+                duration: 800,
+                onComplete: () => label.destroy()
+            });
+        } catch (error) {
+            console.warn("Error showing ability text:", error);
+        }
+    }
+}
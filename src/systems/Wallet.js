@@ -0,0 +1,108 @@
+/**
+ * Wallet.js
+ * Gold and XP balance of one side (the player, or player 2 in versus mode)
+ * Reports every change on the event bus with the side it belongs to
+ */
+
+import eventBus, { GAME_EVENTS } from '../managers/EventBus.js';
+
+export default class Wallet {
+    /**
+     * Create a wallet
+     * @param {Object} options - { side ('player' | 'enemy'), gold, xp }
+     */
+    constructor({ side = 'player', gold = 0, xp = 0 } = {}) {
+        this.side = side;
+        this.gold = gold;
+        this.xp = xp;
+    }
+    
+    /**
+     * Check whether the wallet holds enough of a currency
+     * @param {string} currency - 'gold' or 'xp'
+     * @param {number} amount - Amount needed
+     * @returns {boolean} - Whether the amount is affordable
+     */
+    canAfford(currency, amount) {
+        return this.getBalance(currency) >= amount;
+    }
+    
+    /**
+     * Get the balance of a currency
+     * @param {string} currency - 'gold' or 'xp'
+     * @returns {number} - Current balance
+     */
+    getBalance(currency) {
+        return currency === 'xp' ? this.xp : this.gold;
+    }
+    
+    /**
+     * Add gold
+     * @param {number} amount - Gold to add
+     * @param {string} reason - Source of the gold (for logging/tracking)
+     * @returns {number} - New gold total
+     */
+    addGold(amount, reason = 'unknown') {
+        this.gold += amount;
+        console.log(`Added ${amount} gold from ${reason}. New total: ${this.gold}${this.describeSide()}`);
+        eventBus.emit(GAME_EVENTS.GOLD_CHANGED, { gold: this.gold, amount, reason, side: this.side });
+        return this.gold;
+    }
+    
+    /**
+     * Spend gold if the wallet holds enough
+     * @param {number} amount - Gold to spend
+     * @param {string} reason - What the gold is spent on (for logging)
+     * @returns {boolean} - Whether the gold was spent
+     */
+    spendGold(amount, reason = 'purchase') {
+        if (this.gold < amount) {
+            console.log(`Not enough gold for ${reason}. Required: ${amount}, Available: ${this.gold}${this.describeSide()}`);
+            return false;
+        }
+        
+        this.gold -= amount;
+        console.log(`Spent ${amount} gold on ${reason}. Remaining: ${this.gold}${this.describeSide()}`);
+        eventBus.emit(GAME_EVENTS.GOLD_CHANGED, { gold: this.gold, amount: -amount, reason, side: this.side });
+        return true;
+    }
+    
+    /**
+     * Add XP
+     * @param {number} amount - XP to add
+     * @param {string} reason - Source of the XP (for logging/tracking)
+     * @returns {number} - New XP total
+     */
+    addXP(amount, reason = 'unknown') {
+        this.xp += amount;
+        console.log(`Added ${amount} XP from ${reason}. New total: ${this.xp}${this.describeSide()}`);
+        eventBus.emit(GAME_EVENTS.XP_CHANGED, { xp: this.xp, amount, reason, side: this.side });
+        return this.xp;
+    }
+    
+    /**
+     * Spend XP if the wallet holds enough
+     * @param {number} amount - XP to spend
+     * @param {string} reason - What the XP is spent on
+     * @returns {boolean} - Whether the XP was spent
+     */
+    spendXP(amount, reason = 'upgrade') {
+        if (this.xp < amount) {
+            console.log(`Not enough XP for ${reason}. Required: ${amount}, Available: ${this.xp}${this.describeSide()}`);
+            return false;
+        }
+        
+        this.xp -= amount;
+        console.log(`Spent ${amount} XP on ${reason}. Remaining: ${this.xp}${this.describeSide()}`);
+        eventBus.emit(GAME_EVENTS.XP_CHANGED, { xp: this.xp, amount: -amount, reason, side: this.side });
+        return true;
+    }
+    
+    /**
+     * Suffix for log messages so the second wallet can be told apart
+     * @returns {string} - Empty for the player wallet
+     */
+    describeSide() {
+        return this.side === 'player' ? '' : ` (${this.side})`;
+    }
+}
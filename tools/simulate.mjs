@@ -0,0 +1,86 @@
+/**
+ * simulate.mjs
+ * Command line front end for the headless BattleSimulator
+ *
+ * Usage: node tools/simulate.mjs <left army> <right army> [--runs 100] [--seed 1] [--json]
+ * Armies are comma separated unit=count lists, e.g.
+ *   node tools/simulate.mjs Heavy=4 Ranged=6 --runs 200
+ *   node tools/simulate.mjs "Light=5,Heavy=2" "Ranged:Longbowman=3"
+ */
+
+import BattleSimulator, { validateArmy } from '../src/systems/BattleSimulator.js';
+
+/**
+ * Parse an army argument
+ * @param {string} text - e.g. "Heavy=3,Ranged=2"
+ * @returns {Object} - Unit -> count
+ */
+function parseArmy(text) {
+    const army = {};
+    
+    text.split(',').filter(Boolean).forEach(part => {
+        const [unit, count = '1'] = part.split('=');
+        army[unit.trim()] = (army[unit.trim()] || 0) + Number(count);
+    });
+    
+    return army;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { armies, runs, seed, json }
+ */
+function parseArgs(argv) {
+    const options = { armies: [], runs: 100, seed: 1, json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        if (arg === '--runs') {
+            options.runs = Number(argv[++i]);
+        } else if (arg === '--seed') {
+            options.seed = Number(argv[++i]);
+        } else if (arg === '--json') {
+            options.json = true;
+        } else {
+            options.armies.push(parseArmy(arg));
+        }
+    }
+    
+    return options;
+}
+
+const formatSeconds = ms => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+
+const options = parseArgs(process.argv.slice(2));
+
+if (options.armies.length !== 2 || !Number.isInteger(options.runs) || options.runs <= 0) {
+    console.error('Usage: node tools/simulate.mjs <left army> <right army> [--runs 100] [--seed 1] [--json]');
+    console.error('Example: node tools/simulate.mjs Heavy=4 Ranged=6 --runs 200');
+    process.exit(1);
+}
+
+const [leftArmy, rightArmy] = options.armies;
+const errors = [...validateArmy(leftArmy), ...validateArmy(rightArmy)];
+if (errors.length > 0) {
+    console.error(`Invalid army:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+}
+
+const summary = new BattleSimulator().runMatchup(leftArmy, rightArmy, { runs: options.runs, seed: options.seed });
+
+if (options.json) {
+    console.log(JSON.stringify({ leftArmy, rightArmy, ...summary }, null, 2));
+} else {
+    const describe = army => Object.entries(army).map(([unit, count]) => `${count}x ${unit}`).join(', ');
+    
+    console.log(`${summary.runs} battles (seeds ${summary.seed}-${summary.seed + summary.runs - 1})`);
+    [['Left', leftArmy, summary.left], ['Right', rightArmy, summary.right]].forEach(([label, army, side]) => {
+        console.log(`${label}: ${describe(army)} (${side.cost} gold)`);
+        console.log(`  win rate ${formatPercent(side.winRate)}, avg time to win ${formatSeconds(side.averageTimeToWin)}, ` +
+            `avg survivors ${side.averageSurvivors.toFixed(2)}, gold efficiency ${side.goldEfficiency.toFixed(2)}`);
+    });
+    console.log(`Draws: ${summary.draws}, avg time to kill ${formatSeconds(summary.averageTimeToKill)}`);
+}
@@ -0,0 +1,219 @@
+/**
+ * test-audio.mjs
+ * Drives the AudioManager with a stub audio context and checks the node graph it builds
+ *
+ * Usage: node tools/test-audio.mjs
+ * Exits with code 1 if any check fails
+ */
+
+import assert from 'node:assert/strict';
+
+// AudioManager loads its volumes while the module is imported, so storage has to exist first
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value))
+};
+
+const { default: audioManager, VOLUME_CHANNELS } = await import('../src/managers/AudioManager.js');
+const { default: eventBus, GAME_EVENTS } = await import('../src/managers/EventBus.js');
+
+/**
+ * Create a stub audio param that records its scheduled values
+ * @returns {Object} - AudioParam-like object
+ */
+function createParam() {
+    const param = { value: 0, events: [] };
+    ['setValueAtTime', 'linearRampToValueAtTime', 'exponentialRampToValueAtTime', 'setTargetAtTime'].forEach(method => {
+        param[method] = (value, time) => {
+            param.value = value;
+            param.events.push({ method, value, time });
+        };
+    });
+    return param;
+}
+
+/**
+ * Create a stub audio context that records every node it creates
+ * @returns {Object} - AudioContext-like object with a nodes list
+ */
+function createStubContext() {
+    const context = {
+        currentTime: 0,
+        sampleRate: 100,
+        state: 'running',
+        destination: { kind: 'destination' },
+        nodes: []
+    };
+    
+    const createNode = (kind) => {
+        const node = {
+            kind,
+            outputs: [],
+            started: null,
+            stopped: null,
+            gain: createParam(),
+            frequency: createParam(),
+            connect: (target) => node.outputs.push(target),
+            start: (time) => { node.started = time; },
+            stop: (time) => { node.stopped = time; }
+        };
+        context.nodes.push(node);
+        return node;
+    };
+    
+    context.createGain = () => createNode('gain');
+    context.createOscillator = () => createNode('oscillator');
+    context.createBiquadFilter = () => createNode('filter');
+    context.createBufferSource = () => createNode('bufferSource');
+    context.createBuffer = (channels, length) => {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    };
+    
+    return context;
+}
+
+/**
+ * Give the manager a fresh stub context
+ * @returns {Object} - The stub context
+ */
+function useStubContext() {
+    const context = createStubContext();
+    audioManager.setContextFactory(() => context);
+    return context;
+}
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+check('the mixer routes sfx and music through master to the speakers', () => {
+    const context = useStubContext();
+    audioManager.play('gold');
+    
+    const { master, sfx, music } = audioManager.channels;
+    assert.deepEqual(master.outputs, [context.destination]);
+    assert.deepEqual(sfx.outputs, [master]);
+    assert.deepEqual(music.outputs, [master]);
+    VOLUME_CHANNELS.forEach(channel => {
+        assert.equal(audioManager.channels[channel].gain.value, audioManager.getVolume(channel));
+    });
+});
+
+check('a sound plays one voice per definition into the sfx channel', () => {
+    const context = useStubContext();
+    assert.equal(audioManager.play('upgrade'), true);
+    
+    const oscillators = context.nodes.filter(node => node.kind === 'oscillator');
+    assert.equal(oscillators.length, 4);
+    oscillators.forEach(oscillator => {
+        const [gain] = oscillator.outputs;
+        assert.deepEqual(gain.outputs, [audioManager.channels.sfx]);
+        assert.ok(oscillator.stopped > oscillator.started);
+    });
+});
+
+check('noise voices go through a low-pass filter', () => {
+    const context = useStubContext();
+    audioManager.play('hitBase');
+    
+    const [source] = context.nodes.filter(node => node.kind === 'bufferSource');
+    const [filter] = source.outputs;
+    assert.equal(filter.kind, 'filter');
+    assert.equal(filter.type, 'lowpass');
+    assert.deepEqual(filter.outputs[0].outputs, [audioManager.channels.sfx]);
+});
+
+check('the same sound is throttled within a frame', () => {
+    const context = useStubContext();
+    assert.equal(audioManager.play('hitTroop'), true);
+    assert.equal(audioManager.play('hitTroop'), false);
+    context.currentTime = 1;
+    assert.equal(audioManager.play('hitTroop'), true);
+});
+
+check('unknown sounds and missing audio play nothing', () => {
+    useStubContext();
+    assert.equal(audioManager.play('nope'), false);
+    
+    audioManager.setContextFactory(() => null);
+    assert.equal(audioManager.play('gold'), false);
+    
+    audioManager.setContextFactory(() => { throw new Error('no audio'); });
+    assert.equal(audioManager.play('gold'), false);
+});
+
+check('game events pick their sounds', () => {
+    const context = useStubContext();
+    const played = [];
+    const play = audioManager.play;
+    audioManager.play = (name) => played.push(name);
+    
+    try {
+        eventBus.emit(GAME_EVENTS.ARROW_FIRED, { arrow: { options: {} }, isMaxPower: true });
+        eventBus.emit(GAME_EVENTS.ARROW_FIRED, { arrow: { options: { splitFrom: {} } }, isMaxPower: false });
+        eventBus.emit(GAME_EVENTS.ARROW_HIT, { targetType: 'base' });
+        eventBus.emit(GAME_EVENTS.GOLD_CHANGED, { gold: 10, amount: 5, reason: 'passive', side: 'player' });
+        eventBus.emit(GAME_EVENTS.GOLD_CHANGED, { gold: 15, amount: 5, reason: 'kill', side: 'player' });
+    } finally {
+        audioManager.play = play;
+    }
+    
+    assert.deepEqual(played, ['maxPowerRelease', 'hitBase', 'gold']);
+    assert.equal(context.nodes.length, 0);
+});
+
+check('the bow draw tone follows the power level and stops when released', () => {
+    const context = useStubContext();
+    audioManager.updateBowDraw(0);
+    audioManager.updateBowDraw(100);
+    
+    const [oscillator] = context.nodes.filter(node => node.kind === 'oscillator');
+    assert.equal(oscillator.frequency.value, 420);
+    assert.equal(oscillator.stopped, null);
+    
+    audioManager.updateBowDraw(null);
+    assert.notEqual(oscillator.stopped, null);
+    assert.equal(audioManager.drawVoice, null);
+});
+
+check('volumes are clamped, rounded and saved', () => {
+    useStubContext();
+    audioManager.play('gold');
+    
+    audioManager.setVolume('music', 1.5);
+    assert.equal(audioManager.getVolume('music'), 1);
+    audioManager.setVolume('sfx', 0.33333);
+    assert.equal(audioManager.getVolume('sfx'), 0.33);
+    assert.equal(audioManager.channels.sfx.gain.value, 0.33);
+    assert.equal(audioManager.setVolume('voices', 0.5), false);
+    
+    const saved = JSON.parse(storage.get('archery2.audio'));
+    assert.equal(saved.volumes.music, 1);
+    assert.equal(saved.volumes.sfx, 0.33);
+});
+
+check('music schedules the arpeggio into the music channel', () => {
+    const context = useStubContext();
+    audioManager.startMusic();
+    audioManager.stopMusic();
+    
+    const gains = context.nodes.filter(node => node.kind === 'gain' && node.outputs[0] === audioManager.channels.music);
+    assert.ok(gains.length >= 2, 'melody and bass notes scheduled');
+    assert.equal(audioManager.music.timer, null);
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message}`);
+    }
+});
+
+audioManager.setContextFactory(() => null);
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,115 @@
+/**
+ * test-cameras.mjs
+ * Checks which camera GameScene.assignCameras gives the world, the HUD and the children of containers
+ *
+ * Usage: node tools/test-cameras.mjs
+ * Exits with code 1 if any check fails
+ */
+
+import assert from 'node:assert/strict';
+
+// GameScene extends Phaser.Scene and its managers read localStorage while the modules load
+globalThis.Phaser = { Scene: class {} };
+globalThis.localStorage = { getItem: () => null, setItem: () => {} };
+
+const { default: GameScene } = await import('../src/scenes/GameScene.js');
+
+const mainCamera = { id: 1 };
+const uiCamera = { id: 2 };
+
+/**
+ * Create a stub game object
+ * @param {number} scrollFactorX - Scroll factor (0 for objects fixed to the screen)
+ * @param {Array<Object>} children - Objects to put in it, as a container
+ * @returns {Object} - Game object with the fields assignCameras and willRender use
+ */
+function createObject(scrollFactorX = 1, children = []) {
+    const object = { scrollFactorX, cameraFilter: 0, parentContainer: null, list: children };
+    children.forEach(child => { child.parentContainer = object; });
+    return object;
+}
+
+/**
+ * Whether Phaser draws an object (and hit tests it) for a camera - the object and every container
+ * above it must pass GameObject.willRender
+ * @param {Object} object - Stub game object
+ * @param {Object} camera - Stub camera
+ * @returns {boolean} - Whether the object is rendered by the camera
+ */
+function rendersUnder(object, camera) {
+    for (let current = object; current; current = current.parentContainer) {
+        if (current.cameraFilter !== 0 && (current.cameraFilter & camera.id)) return false;
+    }
+    return true;
+}
+
+/**
+ * Run assignCameras on a stub scene
+ * @param {Array<Object>} objects - Objects added since the last render (top level and container children)
+ * @param {Object} uiContainer - The scene's HUD container
+ */
+function assignCameras(objects, uiContainer = null) {
+    const scene = { cameras: { main: mainCamera }, uiCamera, uiContainer, unassignedObjects: [...objects] };
+    GameScene.prototype.assignCameras.call(scene);
+    assert.equal(scene.unassignedObjects.length, 0);
+}
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+check('world objects render under the main camera only', () => {
+    const platform = createObject(1);
+    assignCameras([platform]);
+    assert.equal(rendersUnder(platform, mainCamera), true);
+    assert.equal(rendersUnder(platform, uiCamera), false);
+});
+
+check('objects fixed to the screen render under the UI camera only', () => {
+    const minimap = createObject(0);
+    assignCameras([minimap]);
+    assert.equal(rendersUnder(minimap, uiCamera), true);
+    assert.equal(rendersUnder(minimap, mainCamera), false);
+});
+
+check('uiContainer children render under the UI camera', () => {
+    const goldText = createObject(1);
+    const buttonLabel = createObject(1);
+    const troopButton = createObject(1, [buttonLabel]);
+    const uiContainer = createObject(1, [goldText, troopButton]);
+    assignCameras([goldText, buttonLabel, troopButton, uiContainer], uiContainer);
+    
+    [goldText, troopButton, buttonLabel].forEach(child => {
+        assert.equal(rendersUnder(child, uiCamera), true);
+        assert.equal(rendersUnder(child, mainCamera), false);
+    });
+});
+
+check('children of a fixed container follow their container', () => {
+    const healthText = createObject(1);
+    const healthBarContainer = createObject(0, [healthText]);
+    assignCameras([healthText, healthBarContainer]);
+    assert.equal(rendersUnder(healthText, uiCamera), true);
+    assert.equal(rendersUnder(healthText, mainCamera), false);
+});
+
+check('children of a world container follow their container', () => {
+    const banner = createObject(0);
+    const rallyFlag = createObject(1, [banner]);
+    assignCameras([banner, rallyFlag]);
+    assert.equal(rendersUnder(banner, mainCamera), true);
+    assert.equal(rendersUnder(banner, uiCamera), false);
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
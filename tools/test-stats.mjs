@@ -0,0 +1,102 @@
+/**
+ * test-stats.mjs
+ * Checks the StatBlock stat pipeline and the modifiers upgrades feed into it
+ *
+ * Usage: node tools/test-stats.mjs
+ * Exits with code 1 if any check fails
+ */
+
+import assert from 'node:assert/strict';
+import StatBlock, { MODIFIER_TYPES } from '../src/systems/StatBlock.js';
+import upgradeRegistry from '../src/managers/UpgradeRegistry.js';
+
+const { ADD, MULTIPLY } = MODIFIER_TYPES;
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+check('stats without modifiers are their base value', () => {
+    const stats = new StatBlock({ damage: 10 });
+    assert.equal(stats.get('damage'), 10);
+    assert.equal(stats.get('unknown'), 0);
+    assert.equal(stats.getMultiplier('damage'), 1);
+});
+
+check('additive modifiers apply before multipliers', () => {
+    const stats = new StatBlock({ damage: 10 });
+    stats.addModifier({ stat: 'damage', type: MULTIPLY, value: 1.5 });
+    stats.addModifier({ stat: 'damage', type: ADD, value: 4 });
+    stats.addModifier({ stat: 'damage', type: MULTIPLY, value: 2 });
+    stats.addModifier({ stat: 'moveSpeed', type: ADD, value: 100 });
+    
+    assert.equal(stats.getFlat('damage'), 14);
+    assert.equal(stats.getMultiplier('damage'), 3);
+    assert.equal(stats.get('damage'), 42);
+});
+
+check('a modifier with an existing id replaces it', () => {
+    const stats = new StatBlock({ damage: 10 });
+    stats.addModifier({ id: 'rage', stat: 'damage', type: MULTIPLY, value: 2 });
+    stats.addModifier({ id: 'rage', stat: 'damage', type: MULTIPLY, value: 3 });
+    assert.equal(stats.get('damage'), 30);
+});
+
+check('modifiers can be removed by id or by source', () => {
+    const stats = new StatBlock({ damage: 10 });
+    const id = stats.addModifier({ stat: 'damage', type: ADD, value: 5 });
+    stats.addModifier({ stat: 'damage', type: MULTIPLY, value: 2, source: 'slow' });
+    stats.addModifier({ stat: 'moveSpeed', type: MULTIPLY, value: 0.5, source: 'slow' });
+    
+    assert.equal(stats.removeModifier(id), true);
+    assert.equal(stats.removeModifier(id), false);
+    assert.equal(stats.get('damage'), 20);
+    assert.equal(stats.removeModifiersFromSource('slow'), 2);
+    assert.equal(stats.get('damage'), 10);
+});
+
+check('base values can change under existing modifiers', () => {
+    const stats = new StatBlock({ maxHealth: 100 });
+    stats.addModifier({ stat: 'maxHealth', type: MULTIPLY, value: 1.25 });
+    stats.setBase('maxHealth', 200);
+    assert.equal(stats.getBase('maxHealth'), 200);
+    assert.equal(stats.get('maxHealth'), 250);
+});
+
+check('invalid modifiers are rejected', () => {
+    const stats = new StatBlock({ damage: 10 });
+    assert.throws(() => stats.addModifier({ type: ADD, value: 1 }), /stat name/);
+    assert.throws(() => stats.addModifier({ stat: 'damage', type: 'divide', value: 2 }), /modifier type/);
+    assert.throws(() => stats.addModifier({ stat: 'damage', type: ADD, value: NaN }), /numeric value/);
+    assert.equal(stats.modifiers.size, 0);
+});
+
+check('upgrades feed their own target\'s modifiers', () => {
+    const owned = ['improvedArrows', 'quickSummoning', 'reinforcedWalls', 'unlockLongbowTraining'];
+    const modifiers = upgradeRegistry.getStatModifiers(owned, 'hero');
+    
+    assert.deepEqual(modifiers.map(modifier => modifier.id), ['improvedArrows.0', 'quickSummoning.0']);
+    modifiers.forEach(modifier => assert.equal(modifier.source, modifier.id.split('.')[0]));
+    
+    const stats = new StatBlock({ damage: 10, platformCooldown: 8000 });
+    modifiers.forEach(modifier => stats.addModifier(modifier));
+    assert.equal(stats.get('damage'), 12);
+    assert.equal(stats.get('platformCooldown'), 6000);
+    
+    // Re-applying the same upgrades replaces their modifiers instead of stacking them
+    modifiers.forEach(modifier => stats.addModifier(modifier));
+    assert.equal(stats.get('damage'), 12);
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message}`);
+    }
+});
+
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;